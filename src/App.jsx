@@ -1,35 +1,68 @@
 import { Routes, Route } from 'react-router-dom'
 import { CartProvider } from './context/CartContext.jsx'
+import { CurrencyProvider } from './context/CurrencyContext.jsx'
+import { LocaleProvider } from './context/LocaleContext.jsx'
 import { ProductProvider } from './context/ProductContext.jsx'
+import { InventoryProvider } from './context/InventoryContext.jsx'
+import { CategoryProvider } from './context/CategoryContext.jsx'
+import { PricingProvider } from './context/PricingContext.jsx'
+import { PromotionProvider } from './context/PromotionContext.jsx'
+import { CustomerProvider } from './context/CustomerContext.jsx'
+import { WishlistProvider } from './context/WishlistContext.jsx'
 import Header from './components/Header.jsx'
 import Footer from './components/Footer.jsx'
 import Home from './pages/Home.jsx'
 import Shop from './pages/Shop.jsx'
+import ProductDetail from './pages/ProductDetail.jsx'
 import Cart from './pages/Cart.jsx'
 import Checkout from './pages/Checkout.jsx'
+import OrderConfirmation from './pages/OrderConfirmation.jsx'
+import Account from './pages/Account.jsx'
+import Wishlist from './pages/Wishlist.jsx'
 import Contact from './pages/Contact.jsx'
 import AdminDashboard from './admin/AdminDashboard.jsx'
 
 function App() {
   return (
-    <ProductProvider>
-      <CartProvider>
-        <div className="min-h-screen flex flex-col">
-          <Header />
-          <main className="flex-grow">
-            <Routes>
-              <Route path="/" element={<Home />} />
-              <Route path="/shop" element={<Shop />} />
-              <Route path="/cart" element={<Cart />} />
-              <Route path="/checkout" element={<Checkout />} />
-              <Route path="/contact" element={<Contact />} />
-              <Route path="/admin" element={<AdminDashboard />} />
-            </Routes>
-          </main>
-          <Footer />
-        </div>
-      </CartProvider>
-    </ProductProvider>
+    <LocaleProvider>
+      <ProductProvider>
+        <InventoryProvider>
+          <CurrencyProvider>
+            <CategoryProvider>
+              <CartProvider>
+                <PricingProvider>
+                  <PromotionProvider>
+                    <CustomerProvider>
+                      <WishlistProvider>
+                        <div className="min-h-screen flex flex-col">
+                          <Header />
+                          <main className="flex-grow">
+                            <Routes>
+                              <Route path="/" element={<Home />} />
+                              <Route path="/shop" element={<Shop />} />
+                              <Route path="/shop/:category" element={<Shop />} />
+                              <Route path="/product/:id" element={<ProductDetail />} />
+                              <Route path="/wishlist" element={<Wishlist />} />
+                              <Route path="/cart" element={<Cart />} />
+                              <Route path="/checkout" element={<Checkout />} />
+                              <Route path="/order/:orderId" element={<OrderConfirmation />} />
+                              <Route path="/account" element={<Account />} />
+                              <Route path="/contact" element={<Contact />} />
+                              <Route path="/admin" element={<AdminDashboard />} />
+                            </Routes>
+                          </main>
+                          <Footer />
+                        </div>
+                      </WishlistProvider>
+                    </CustomerProvider>
+                  </PromotionProvider>
+                </PricingProvider>
+              </CartProvider>
+            </CategoryProvider>
+          </CurrencyProvider>
+        </InventoryProvider>
+      </ProductProvider>
+    </LocaleProvider>
   )
 }
 
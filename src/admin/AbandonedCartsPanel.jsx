@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import { getSnapshotStore, isAbandoned, getRestoreUrl, ABANDONED_AFTER_MINUTES } from '../recovery/index.js';
+import { formatMoney } from '../currency/money.js';
+
+const STATUS_STYLES = {
+  abandoned: 'bg-yellow-100 text-yellow-800',
+  open: 'bg-gray-100 text-gray-700',
+  recovered: 'bg-blue-100 text-blue-800',
+  converted: 'bg-green-100 text-green-800'
+};
+
+const STATUS_LABELS = {
+  abandoned: 'Abandoned',
+  open: 'In checkout',
+  recovered: 'Recovered',
+  converted: 'Converted'
+};
+
+const FILTERS = ['abandoned', 'recovered', 'converted', ''];
+
+// Open snapshots only count as abandoned once they've gone quiet
+const getDisplayStatus = (snapshot, now) =>
+  (isAbandoned(snapshot, now) ? 'abandoned' : snapshot.status);
+
+const formatAge = (iso, now) => {
+  const minutes = Math.max(0, Math.floor((now - new Date(iso).getTime()) / 60000));
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} days ago`;
+};
+
+// Abandoned carts tab - checkouts that got an email but never became an order
+function AbandonedCartsPanel({ showToast }) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [filter, setFilter] = useState('abandoned');
+  const [now, setNow] = useState(Date.now());
+
+  const loadSnapshots = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setSnapshots(await getSnapshotStore().list());
+      setNow(Date.now());
+    } catch (err) {
+      console.error('Failed to load abandoned carts:', err);
+      setError('Failed to load abandoned carts. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSnapshots();
+  }, []);
+
+  const handleCopyLink = async (snapshot) => {
+    try {
+      await navigator.clipboard.writeText(getRestoreUrl(snapshot.token));
+      showToast('Restore link copied', 'success');
+    } catch {
+      window.prompt('Copy the restore link:', getRestoreUrl(snapshot.token));
+    }
+  };
+
+  const countFor = (status) => (status
+    ? snapshots.filter(s => getDisplayStatus(s, now) === status).length
+    : snapshots.length);
+  const visible = filter ? snapshots.filter(s => getDisplayStatus(s, now) === filter) : snapshots;
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="p-4 border-b bg-gray-50 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold">Abandoned Carts ({countFor('abandoned')})</h2>
+          <p className="text-xs text-gray-500">Carts count as abandoned after {ABANDONED_AFTER_MINUTES} minutes without activity.</p>
+        </div>
+        <button onClick={loadSnapshots} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+          ↻ Refresh
+        </button>
+      </div>
+
+      <div className="px-4 py-3 border-b flex flex-wrap gap-2">
+        {FILTERS.map(status => (
+          <button
+            key={status || 'all'}
+            onClick={() => setFilter(status)}
+            className={`px-3 py-1 rounded-full text-sm ${filter === status ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            {status ? STATUS_LABELS[status] : 'All'} ({countFor(status)})
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <p className="p-8 text-center text-gray-500">⏳ Loading carts...</p>
+      ) : error ? (
+        <p className="p-8 text-center text-red-600">{error}</p>
+      ) : visible.length === 0 ? (
+        <p className="p-8 text-center text-gray-500">No {filter ? `${STATUS_LABELS[filter].toLowerCase()} ` : ''}carts yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Customer</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Items</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Value</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Last Activity</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Status</th>
+                <th className="px-4 py-3 text-right text-sm font-medium text-gray-600">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {visible.map(snapshot => {
+                const status = getDisplayStatus(snapshot, now);
+                return (
+                  <tr key={snapshot.token} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm">
+                      {snapshot.name || '—'}
+                      <span className="block text-xs text-gray-500">{snapshot.email}</span>
+                    </td>
+                    <td className="px-4 py-3 text-sm">{snapshot.itemCount}</td>
+                    <td className="px-4 py-3 text-sm">{formatMoney(snapshot.value, snapshot.currency)}</td>
+                    <td className="px-4 py-3 text-sm" title={new Date(snapshot.updatedAt).toLocaleString()}>
+                      {formatAge(snapshot.updatedAt, now)}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[status]}`}>
+                        {STATUS_LABELS[status]}
+                      </span>
+                      {snapshot.orderId && <span className="block text-xs text-gray-500 font-mono mt-1">{snapshot.orderId}</span>}
+                    </td>
+                    <td className="px-4 py-3 text-right text-sm whitespace-nowrap">
+                      {snapshot.status !== 'converted' && (
+                        <>
+                          <button onClick={() => handleCopyLink(snapshot)} className="text-blue-600 hover:text-blue-800 mr-3">
+                            Copy link
+                          </button>
+                          <a
+                            href={`mailto:${snapshot.email}?subject=${encodeURIComponent('You left something in your cart')}&body=${encodeURIComponent(`Pick up where you left off: ${getRestoreUrl(snapshot.token)}`)}`}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Email
+                          </a>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AbandonedCartsPanel;
@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import { getAuditStore, AUDIT_ACTIONS } from '../audit/index.js';
+import { toCsv, downloadFile } from './catalogFiles.js';
+
+const EMPTY_FILTERS = { actor: '', action: '', from: '', to: '' };
+const VISIBLE_CHANGES = 3;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const truncate = (text, length = 60) => (text.length > length ? `${text.slice(0, length)}…` : text);
+
+// One CSV row per changed field, so the export can be filtered in a spreadsheet
+const activityToCsv = (entries) => toCsv(
+  ['at', 'actor_email', 'actor_uid', 'action', 'target_id', 'target_name', 'field', 'from', 'to'],
+  entries.flatMap(entry => entry.changes.map(change => ({
+    at: entry.at,
+    actor_email: entry.actor.email,
+    actor_uid: entry.actor.uid,
+    action: entry.action,
+    target_id: entry.target.id ?? '',
+    target_name: entry.target.name,
+    field: change.field,
+    from: formatValue(change.from),
+    to: formatValue(change.to)
+  })))
+);
+
+function ChangeList({ changes }) {
+  const [expanded, setExpanded] = useState(false);
+  const visible = expanded ? changes : changes.slice(0, VISIBLE_CHANGES);
+
+  return (
+    <ul className="space-y-1">
+      {visible.map(change => (
+        <li key={change.field} className="text-xs">
+          <span className="font-medium">{change.field}:</span>{' '}
+          <span className="text-red-700 line-through" title={formatValue(change.from)}>{truncate(formatValue(change.from))}</span>
+          {' → '}
+          <span className="text-green-700" title={formatValue(change.to)}>{truncate(formatValue(change.to))}</span>
+        </li>
+      ))}
+      {changes.length > VISIBLE_CHANGES && (
+        <li>
+          <button onClick={() => setExpanded(!expanded)} className="text-xs text-blue-600 hover:text-blue-800">
+            {expanded ? 'Show less' : `+${changes.length - VISIBLE_CHANGES} more`}
+          </button>
+        </li>
+      )}
+    </ul>
+  );
+}
+
+// Activity tab - the audit log of admin changes, newest first
+function ActivityPanel({ showToast }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Everyone seen so far, so the user filter keeps its options while filtered
+  const [actors, setActors] = useState({});
+
+  const loadEntries = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const list = await getAuditStore().list(filters);
+      setEntries(list);
+      setActors(prev => ({
+        ...prev,
+        ...Object.fromEntries(list.map(entry => [entry.actor.uid, entry.actor.email || entry.actor.uid]))
+      }));
+    } catch (err) {
+      console.error('Failed to load activity:', err);
+      setError('Failed to load activity. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries();
+  }, [filters]);
+
+  const updateFilter = (updates) => setFilters({ ...filters, ...updates });
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  const handleExport = () => {
+    downloadFile(`activity-${new Date().toISOString().slice(0, 10)}.csv`, activityToCsv(entries), 'text/csv;charset=utf-8');
+    showToast(`Exported ${entries.length} entries`, 'success');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="p-4 border-b bg-gray-50 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold">Activity ({entries.length})</h2>
+          <p className="text-xs text-gray-500">Every change made in this dashboard, with who made it and what changed.</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button onClick={loadEntries} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+            ↻ Refresh
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={entries.length === 0}
+            className="px-3 py-1 rounded-lg border text-sm hover:bg-gray-100 disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="px-4 py-3 border-b flex flex-wrap items-center gap-3 text-sm">
+        <select value={filters.actor} onChange={(e) => updateFilter({ actor: e.target.value })} className="p-1 border rounded" aria-label="User">
+          <option value="">All users</option>
+          {Object.entries(actors).map(([uid, label]) => <option key={uid} value={uid}>{label}</option>)}
+        </select>
+        <select value={filters.action} onChange={(e) => updateFilter({ action: e.target.value })} className="p-1 border rounded" aria-label="Action">
+          <option value="">All actions</option>
+          {Object.entries(AUDIT_ACTIONS).map(([action, label]) => <option key={action} value={action}>{label}</option>)}
+        </select>
+        <label className="flex items-center gap-1">
+          From
+          <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => updateFilter({ from: e.target.value })} className="p-1 border rounded" />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => updateFilter({ to: e.target.value })} className="p-1 border rounded" />
+        </label>
+        {hasFilters && (
+          <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-gray-500 hover:text-gray-700">Clear filters</button>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="p-8 text-center text-gray-500">⏳ Loading activity...</p>
+      ) : error ? (
+        <p className="p-8 text-center text-red-600">{error}</p>
+      ) : entries.length === 0 ? (
+        <p className="p-8 text-center text-gray-500">{hasFilters ? 'No activity matches these filters.' : 'No activity yet.'}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">When</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Who</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Action</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Changes</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {entries.map(entry => (
+                <tr key={entry.id} className="hover:bg-gray-50 align-top">
+                  <td className="px-4 py-3 text-sm whitespace-nowrap">{new Date(entry.at).toLocaleString()}</td>
+                  <td className="px-4 py-3 text-sm">{entry.actor.email || entry.actor.uid}</td>
+                  <td className="px-4 py-3 text-sm">
+                    {AUDIT_ACTIONS[entry.action] || entry.action}
+                    {entry.target.name && <span className="block text-xs text-gray-500">{entry.target.name}</span>}
+                  </td>
+                  <td className="px-4 py-3">
+                    <ChangeList changes={entry.changes} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ActivityPanel;
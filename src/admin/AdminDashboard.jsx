@@ -1,230 +1,54 @@
 import { useState, useEffect, useRef } from 'react';
 import { useProducts } from '../context/ProductContext.jsx';
+import { useCategories } from '../context/CategoryContext.jsx';
+import { generateVariants, formatVariantLabel } from '../utils/variants.js';
+import { getLowStockItems } from '../utils/inventory.js';
+import { slugify, getProductCategory } from '../utils/categories.js';
+import { SecurityUtils } from './security.js';
+import { EMPTY_FORM, sanitizeOptions, productToForm, validateProductForm } from './productValidation.js';
+import { loadFirebase, getAuth } from '../auth/firebase.js';
+import { getProjectId } from '../api/http.js';
+import OrdersPanel from './OrdersPanel.jsx';
+import AbandonedCartsPanel from './AbandonedCartsPanel.jsx';
+import PromotionsPanel from './PromotionsPanel.jsx';
+import ShippingTaxPanel from './ShippingTaxPanel.jsx';
+import CurrencyPanel from './CurrencyPanel.jsx';
+import CatalogTransfer from './CatalogTransfer.jsx';
+import StaffPanel from './StaffPanel.jsx';
+import { ROLES, PERMISSIONS, hasPermission } from './roles.js';
+import { resolveAdminRole } from './access.js';
+import ActivityPanel from './ActivityPanel.jsx';
+import { setAuditActor, recordAudit } from '../audit/index.js';
+import ProductTable from './ProductTable.jsx';
+import { runBulkAction, runProductEdit, undoBulkAction } from './bulkEdit.js';
+import ProductHistory from './ProductHistory.jsx';
+import TrashPanel from './TrashPanel.jsx';
+import StorefrontPreview from './StorefrontPreview.jsx';
+import { PRODUCT_STATUSES } from '../utils/publishing.js';
+import { getLoginLimitStore, getMinutesUntil } from '../loginLimit/index.js';
+import {
+  getRevisionStore, getPurgeableDriveFiles, DEFAULT_TRASH_RETENTION_DAYS, TRASH_SETTINGS_DOCUMENT, normalizeRetentionDays
+} from '../revisions/index.js';
+import { getCatalogRepository } from '../catalog/index.js';
+import { useCurrency } from '../context/CurrencyContext.jsx';
+import { LOCALES, DEFAULT_LOCALE } from '../i18n/locales.js';
+import { usePricing } from '../context/PricingContext.jsx';
+import { useInventory } from '../context/InventoryContext.jsx';
 
 // Alimi API URL
 const API_URL = 'https://api.alimi.ai';
 
-// ============================================
-// SECURITY: Input Sanitization Functions
-// ============================================
-
-const SecurityUtils = {
-  // Sanitize text input - prevents XSS
-  sanitizeText: (input) => {
-    if (!input || typeof input !== 'string') return '';
-    return input
-      .replace(/[<>]/g, '') // Remove < and > to prevent HTML injection
-      .replace(/javascript:/gi, '') // Remove javascript: protocol
-      .replace(/on\w+=/gi, '') // Remove event handlers like onclick=
-      .replace(/data:/gi, '') // Remove data: protocol
-      .trim()
-      .slice(0, 1000); // Max length
-  },
-
-  // Sanitize product name - stricter
-  sanitizeName: (input) => {
-    if (!input || typeof input !== 'string') return '';
-    return input
-      .replace(/[<>\"\'`;\\]/g, '') // Remove dangerous chars
-      .replace(/javascript:/gi, '')
-      .replace(/on\w+=/gi, '')
-      .trim()
-      .slice(0, 200); // Max 200 chars for name
-  },
-
-  // Sanitize description - allows some formatting but no scripts
-  sanitizeDescription: (input) => {
-    if (!input || typeof input !== 'string') return '';
-    return input
-      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // Remove script tags
-      .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '') // Remove iframes
-      .replace(/javascript:/gi, '')
-      .replace(/on\w+=/gi, '')
-      .replace(/data:text\/html/gi, '')
-      .trim()
-      .slice(0, 5000); // Max 5000 chars for description
-  },
-
-  // Sanitize price - only numbers and decimal
-  sanitizePrice: (input) => {
-    if (!input) return '';
-    const cleaned = String(input).replace(/[^0-9.]/g, '');
-    const parts = cleaned.split('.');
-    if (parts.length > 2) return parts[0] + '.' + parts.slice(1).join('');
-    return cleaned.slice(0, 10); // Max price length
-  },
-
-  // Sanitize URL - validate and clean
-  sanitizeUrl: (input) => {
-    if (!input || typeof input !== 'string') return '';
-    const trimmed = input.trim();
-
-    // Only allow http, https protocols
-    if (trimmed && !trimmed.match(/^https?:\/\//i)) {
-      return '';
-    }
-
-    // Block javascript: and data: in URLs
-    if (trimmed.match(/^(javascript|data|vbscript):/i)) {
-      return '';
-    }
-
-    return trimmed.slice(0, 2000);
-  },
-
-  // Sanitize email
-  sanitizeEmail: (input) => {
-    if (!input || typeof input !== 'string') return '';
-    return input
-      .toLowerCase()
-      .replace(/[<>\"\'`;\\]/g, '')
-      .trim()
-      .slice(0, 254);
-  },
-
-  // Sanitize category
-  sanitizeCategory: (input) => {
-    if (!input || typeof input !== 'string') return '';
-    return input
-      .replace(/[<>\"\'`;\\]/g, '')
-      .trim()
-      .slice(0, 100);
-  },
-
-  // Check for common attack patterns
-  detectAttack: (input) => {
-    if (!input || typeof input !== 'string') return false;
-    const attackPatterns = [
-      /<script/i,
-      /javascript:/i,
-      /on\w+\s*=/i,
-      /union\s+select/i,
-      /;\s*drop\s+table/i,
-      /;\s*delete\s+from/i,
-      /'\s*or\s+'1'\s*=\s*'1/i,
-      /--\s*$/,
-      /\/\*.*\*\//,
-      /\$\{.*\}/,
-      /\{\{.*\}\}/,
-    ];
-    return attackPatterns.some(pattern => pattern.test(input));
-  }
-};
-
-// ============================================
-// SECURITY: Rate Limiting for Login
-// ============================================
-
-const RateLimiter = {
-  attempts: {},
-  maxAttempts: 5,
-  lockoutTime: 15 * 60 * 1000, // 15 minutes
-
-  canAttempt: (identifier) => {
-    const now = Date.now();
-    const record = RateLimiter.attempts[identifier];
-
-    if (!record) return true;
-
-    // Check if lockout period has passed
-    if (record.lockedUntil && now < record.lockedUntil) {
-      return false;
-    }
-
-    // Reset if lockout expired
-    if (record.lockedUntil && now >= record.lockedUntil) {
-      delete RateLimiter.attempts[identifier];
-      return true;
-    }
-
-    return record.count < RateLimiter.maxAttempts;
-  },
-
-  recordAttempt: (identifier, success) => {
-    const now = Date.now();
-
-    if (success) {
-      delete RateLimiter.attempts[identifier];
-      return;
-    }
-
-    if (!RateLimiter.attempts[identifier]) {
-      RateLimiter.attempts[identifier] = { count: 0, firstAttempt: now };
-    }
-
-    RateLimiter.attempts[identifier].count++;
-
-    if (RateLimiter.attempts[identifier].count >= RateLimiter.maxAttempts) {
-      RateLimiter.attempts[identifier].lockedUntil = now + RateLimiter.lockoutTime;
-    }
-  },
-
-  getRemainingTime: (identifier) => {
-    const record = RateLimiter.attempts[identifier];
-    if (!record?.lockedUntil) return 0;
-    const remaining = record.lockedUntil - Date.now();
-    return remaining > 0 ? Math.ceil(remaining / 1000 / 60) : 0;
-  },
-
-  getAttemptsLeft: (identifier) => {
-    const record = RateLimiter.attempts[identifier];
-    if (!record) return RateLimiter.maxAttempts;
-    return Math.max(0, RateLimiter.maxAttempts - record.count);
-  }
-};
-
-// Initialize Firebase Auth (loaded from CDN)
-let auth = null;
-let firebaseLoaded = false;
-
-const loadFirebase = async () => {
-  if (firebaseLoaded && auth) {
-    return true;
-  }
-
-  // Check if already loaded
-  if (window.firebase?.auth) {
-    auth = window.firebase.auth();
-    firebaseLoaded = true;
-    return true;
-  }
-
-  try {
-    // Fetch Firebase config from backend
-    const configResponse = await fetch(`${API_URL}/api/firebase-config`);
-    const configData = await configResponse.json();
-
-    if (!configData.success) {
-      throw new Error('Failed to load Firebase config');
-    }
-
-    // Load Firebase SDK
-    await new Promise((resolve, reject) => {
-      const script1 = document.createElement('script');
-      script1.src = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-app-compat.js';
-      script1.onload = () => {
-        const script2 = document.createElement('script');
-        script2.src = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-auth-compat.js';
-        script2.onload = () => resolve();
-        script2.onerror = () => reject(new Error('Failed to load Firebase Auth'));
-        document.head.appendChild(script2);
-      };
-      script1.onerror = () => reject(new Error('Failed to load Firebase'));
-      document.head.appendChild(script1);
-    });
-
-    // Initialize Firebase with config from backend
-    if (!window.firebase.apps.length) {
-      window.firebase.initializeApp(configData.config);
-    }
-    auth = window.firebase.auth();
-    firebaseLoaded = true;
-    return true;
-  } catch (err) {
-    console.error('Failed to load Firebase:', err);
-    return false;
-  }
-};
+// Each tab needs one permission; see roles.js
+const ADMIN_TABS = [
+  { id: 'products', label: 'Products', permission: PERMISSIONS.EDIT_PRODUCTS },
+  { id: 'orders', label: 'Orders', permission: PERMISSIONS.VIEW_ORDERS },
+  { id: 'abandoned', label: 'Abandoned Carts', permission: PERMISSIONS.VIEW_CARTS },
+  { id: 'promotions', label: 'Promotions', permission: PERMISSIONS.MANAGE_PROMOTIONS },
+  { id: 'shipping', label: 'Shipping & Tax', permission: PERMISSIONS.MANAGE_SETTINGS },
+  { id: 'currency', label: 'Currency', permission: PERMISSIONS.MANAGE_SETTINGS },
+  { id: 'staff', label: 'Staff', permission: PERMISSIONS.MANAGE_STAFF },
+  { id: 'activity', label: 'Activity', permission: PERMISSIONS.VIEW_ACTIVITY }
+];
 
 // Image Uploader Component with Security
 function ImageUploader({ currentImage, onImageUploaded, userId, projectId }) {
@@ -332,6 +156,381 @@ function ImageUploader({ currentImage, onImageUploaded, userId, projectId }) {
   );
 }
 
+// Translations Editor - per-locale name/description; blank fields fall back to English
+function TranslationsEditor({ translations, onChange }) {
+  const locales = LOCALES.filter(l => l.code !== DEFAULT_LOCALE);
+  const filled = locales.filter(l => translations[l.code]?.name || translations[l.code]?.description).length;
+
+  const update = (code, updates) => {
+    onChange({ ...translations, [code]: { ...(translations[code] || {}), ...updates } });
+  };
+
+  return (
+    <details className="md:col-span-2 border rounded-lg p-4">
+      <summary className="font-medium cursor-pointer">
+        Translations <span className="text-sm text-gray-500 font-normal">({filled} of {locales.length})</span>
+      </summary>
+      <div className="mt-4 space-y-4">
+        {locales.map(l => (
+          <div key={l.code} className="grid grid-cols-1 gap-2" dir={l.dir} lang={l.code}>
+            <p className="text-sm font-medium text-gray-600">{l.name}</p>
+            <input
+              type="text"
+              placeholder="Product name"
+              value={translations[l.code]?.name || ''}
+              onChange={(e) => update(l.code, { name: e.target.value })}
+              className="p-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+              maxLength={100}
+            />
+            <textarea
+              placeholder="Description"
+              value={translations[l.code]?.description || ''}
+              onChange={(e) => update(l.code, { description: e.target.value })}
+              className="p-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+              rows="2"
+              maxLength={5000}
+            />
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+// Variant Editor - option axes plus one row per combination
+function VariantEditor({ options, variants, basePrice, onChange }) {
+  const updateAxis = (index, updates) => {
+    onChange({ options: options.map((axis, i) => i === index ? { ...axis, ...updates } : axis), variants });
+  };
+
+  const addAxis = () => {
+    const name = options.some(axis => axis.name === 'Size') ? (options.some(axis => axis.name === 'Color') ? '' : 'Color') : 'Size';
+    onChange({ options: [...options, { name, values: [] }], variants });
+  };
+
+  const removeAxis = (index) => {
+    const nextOptions = options.filter((_, i) => i !== index);
+    onChange({ options: nextOptions, variants: generateVariants(sanitizeOptions(nextOptions), variants) });
+  };
+
+  const updateVariant = (id, updates) => {
+    onChange({ options, variants: variants.map(v => v.id === id ? { ...v, ...updates } : v) });
+  };
+
+  const handleGenerate = () => {
+    const cleaned = sanitizeOptions(options);
+    onChange({ options: cleaned, variants: generateVariants(cleaned, variants) });
+  };
+
+  return (
+    <div className="md:col-span-2 border rounded-lg p-4 bg-gray-50">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-semibold">Variants</h3>
+          <p className="text-xs text-gray-500">Optional. Add sizes or colors, each with its own SKU, price, stock and image.</p>
+        </div>
+        <button type="button" onClick={addAxis} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+          + Add Option
+        </button>
+      </div>
+
+      {options.map((axis, index) => (
+        <div key={index} className="flex gap-2 mb-2">
+          <input
+            type="text"
+            placeholder="Option (e.g. Size)"
+            value={axis.name}
+            onChange={(e) => updateAxis(index, { name: e.target.value })}
+            className="p-2 border rounded w-1/3 text-sm"
+            maxLength={50}
+          />
+          <input
+            type="text"
+            placeholder="Values, comma separated (e.g. S, M, L)"
+            value={(axis.values || []).join(',')}
+            onChange={(e) => updateAxis(index, { values: e.target.value.split(',') })}
+            className="p-2 border rounded flex-grow text-sm"
+            maxLength={500}
+          />
+          <button type="button" onClick={() => removeAxis(index)} className="text-red-600 hover:text-red-800 text-sm px-2">
+            Remove
+          </button>
+        </div>
+      ))}
+
+      {options.length > 0 && (
+        <button
+          type="button"
+          onClick={handleGenerate}
+          className="mt-1 mb-3 bg-white border px-3 py-1 rounded text-sm hover:bg-gray-100 transition"
+        >
+          Generate Variants
+        </button>
+      )}
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm bg-white border rounded">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="px-2 py-2 text-left font-medium text-gray-600">Variant</th>
+                <th className="px-2 py-2 text-left font-medium text-gray-600">SKU</th>
+                <th className="px-2 py-2 text-left font-medium text-gray-600">Price</th>
+                <th className="px-2 py-2 text-left font-medium text-gray-600">Stock</th>
+                <th className="px-2 py-2 text-left font-medium text-gray-600">Image URL</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {variants.map(variant => (
+                <tr key={variant.id}>
+                  <td className="px-2 py-1 whitespace-nowrap">{formatVariantLabel(variant.options)}</td>
+                  <td className="px-2 py-1">
+                    <input
+                      type="text"
+                      value={variant.sku || ''}
+                      onChange={(e) => updateVariant(variant.id, { sku: e.target.value })}
+                      className="p-1 border rounded w-28"
+                      maxLength={64}
+                    />
+                  </td>
+                  <td className="px-2 py-1">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      placeholder={basePrice || 'Base'}
+                      value={variant.price ?? ''}
+                      onChange={(e) => updateVariant(variant.id, { price: e.target.value })}
+                      className="p-1 border rounded w-24"
+                    />
+                  </td>
+                  <td className="px-2 py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={variant.stock ?? 0}
+                      onChange={(e) => updateVariant(variant.id, { stock: e.target.value })}
+                      className="p-1 border rounded w-20"
+                    />
+                  </td>
+                  <td className="px-2 py-1">
+                    <input
+                      type="url"
+                      placeholder="Uses product image"
+                      value={variant.image || ''}
+                      onChange={(e) => updateVariant(variant.id, { image: e.target.value })}
+                      className="p-1 border rounded w-full"
+                      maxLength={2000}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const EMPTY_CATEGORY_FORM = {
+  type: 'category',
+  name: '',
+  slug: '',
+  description: '',
+  heroImage: '',
+  heroDriveFileId: null,
+  productIds: []
+};
+
+// Categories & Collections - create, rename, reorder and delete
+function CategoryManager({ categories, products, onSave, onDelete, onMove, userId, projectId, showToast }) {
+  const [editingId, setEditingId] = useState(null);
+  const [categoryForm, setCategoryForm] = useState(EMPTY_CATEGORY_FORM);
+  const [error, setError] = useState('');
+
+  const resetForm = () => {
+    setEditingId(null);
+    setCategoryForm(EMPTY_CATEGORY_FORM);
+    setError('');
+  };
+
+  const startEditCategory = (category) => {
+    setEditingId(category.id);
+    setCategoryForm({ ...EMPTY_CATEGORY_FORM, ...category });
+    setError('');
+  };
+
+  const toggleProduct = (productId) => {
+    setCategoryForm(prev => ({
+      ...prev,
+      productIds: prev.productIds.includes(productId)
+        ? prev.productIds.filter(id => id !== productId)
+        : [...prev.productIds, productId]
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (SecurityUtils.detectAttack(categoryForm.name) ||
+      SecurityUtils.detectAttack(categoryForm.description)) {
+      setError('Invalid characters detected. Please remove special characters and try again.');
+      return;
+    }
+
+    const sanitized = {
+      type: categoryForm.type === 'collection' ? 'collection' : 'category',
+      name: SecurityUtils.sanitizeCategory(categoryForm.name),
+      slug: slugify(categoryForm.slug || categoryForm.name),
+      description: SecurityUtils.sanitizeDescription(categoryForm.description).slice(0, 1000),
+      heroImage: categoryForm.heroImage || '', // Already validated by ImageUploader
+      heroDriveFileId: categoryForm.heroDriveFileId || null,
+      productIds: categoryForm.type === 'collection' ? categoryForm.productIds : []
+    };
+
+    if (!sanitized.name) {
+      setError('Name is required');
+      return;
+    }
+
+    onSave(editingId, sanitized);
+    showToast(editingId ? `"${sanitized.name}" updated` : `"${sanitized.name}" created`, 'success');
+    resetForm();
+  };
+
+  const renderList = (type, title) => {
+    const entries = categories.filter(c => c.type === type);
+    return (
+      <div>
+        <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">{title}</h3>
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-400 mb-4">None yet.</p>
+        ) : (
+          <ul className="divide-y border rounded-lg mb-4">
+            {entries.map((category, index) => (
+              <li key={category.id} className="px-3 py-2 flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="font-medium truncate">{category.name}</p>
+                  <p className="text-xs text-gray-500">
+                    /shop/{category.slug}
+                    {type === 'collection' && ` · ${category.productIds?.length || 0} products`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 text-sm flex-shrink-0">
+                  <button type="button" onClick={() => onMove(category.id, -1)} disabled={index === 0} className="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" aria-label="Move up">↑</button>
+                  <button type="button" onClick={() => onMove(category.id, 1)} disabled={index === entries.length - 1} className="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" aria-label="Move down">↓</button>
+                  <button type="button" onClick={() => startEditCategory(category)} className="text-blue-600 hover:text-blue-800 font-medium">Edit</button>
+                  {onDelete && (
+                    <button type="button" onClick={() => onDelete(category)} className="text-red-600 hover:text-red-800 font-medium">Delete</button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden mb-8">
+      <div className="p-4 border-b bg-gray-50">
+        <h2 className="text-lg font-semibold">Categories & Collections</h2>
+      </div>
+      <div className="grid md:grid-cols-2 gap-6 p-4">
+        <div>
+          {renderList('category', 'Categories')}
+          {renderList('collection', 'Collections')}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <h3 className="font-semibold">{editingId ? 'Edit' : 'New'} {categoryForm.type === 'collection' ? 'Collection' : 'Category'}</h3>
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">⚠️ {error}</div>
+          )}
+          <div className="flex gap-4 text-sm">
+            {['category', 'collection'].map(type => (
+              <label key={type} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="categoryType"
+                  checked={categoryForm.type === type}
+                  onChange={() => setCategoryForm({ ...categoryForm, type })}
+                  disabled={Boolean(editingId)}
+                />
+                {type === 'category' ? 'Category' : 'Curated collection'}
+              </label>
+            ))}
+          </div>
+          <input
+            type="text"
+            placeholder="Name (e.g. Summer Dresses)"
+            required
+            value={categoryForm.name}
+            onChange={(e) => setCategoryForm({ ...categoryForm, name: e.target.value })}
+            className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 w-full"
+            maxLength={100}
+          />
+          <input
+            type="text"
+            placeholder={`Slug (${slugify(categoryForm.name) || 'auto'})`}
+            value={categoryForm.slug}
+            onChange={(e) => setCategoryForm({ ...categoryForm, slug: e.target.value })}
+            className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 w-full"
+            maxLength={80}
+          />
+          <textarea
+            placeholder="Description"
+            value={categoryForm.description}
+            onChange={(e) => setCategoryForm({ ...categoryForm, description: e.target.value })}
+            className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 w-full"
+            rows="2"
+            maxLength={1000}
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Hero Image</label>
+            <ImageUploader
+              currentImage={categoryForm.heroImage}
+              onImageUploaded={(url, fileId) => setCategoryForm(prev => ({ ...prev, heroImage: url, heroDriveFileId: fileId || null }))}
+              userId={userId}
+              projectId={projectId}
+            />
+          </div>
+          {categoryForm.type === 'collection' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Products in this collection</label>
+              <div className="max-h-48 overflow-y-auto border rounded-lg divide-y">
+                {products.map(product => (
+                  <label key={product.id} className="flex items-center gap-2 px-3 py-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={categoryForm.productIds.includes(product.id)}
+                      onChange={() => toggleProduct(product.id)}
+                    />
+                    {product.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          <div className="flex gap-3">
+            <button type="submit" className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition font-medium">
+              {editingId ? 'Save Changes' : 'Create'}
+            </button>
+            {editingId && (
+              <button type="button" onClick={resetForm} className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300 transition">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
 function AdminDashboard() {
   // Auth states
   const [authMode, setAuthMode] = useState('loading');
@@ -339,23 +538,75 @@ function AdminDashboard() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [authError, setAuthError] = useState('');
-  const [isOwner, setIsOwner] = useState(false);
+  // 'owner', a staff role from roles.js, or null
+  const [role, setRole] = useState(null);
   const [isLocked, setIsLocked] = useState(false);
   const [lockoutMinutes, setLockoutMinutes] = useState(0);
+  // Set while attempts can't be checked or counted; the form stays shut until they can
+  const [limitUnavailable, setLimitUnavailable] = useState(false);
+
+  const [activeTab, setActiveTab] = useState('products');
+  const can = (permission) => hasPermission(role, permission);
 
   // Product states
-  const { products, addProduct, updateProduct, deleteProduct } = useProducts();
+  const {
+    products, status: catalogStatus, error: catalogError, reload: reloadCatalog, saveError, dismissSaveError, readOnly: catalogReadOnly,
+    addProduct, addProducts, updateProduct, replaceProducts, saveDocument, historyVersion
+  } = useProducts();
+  const { categories, addCategory, updateCategory, deleteCategory, moveCategory } = useCategories();
+  const { settings: pricingSettings } = usePricing();
+  const { baseCurrency, formatBase } = useCurrency();
+  const productCategories = categories.filter(c => c.type === 'category');
   const [editing, setEditing] = useState(null);
-  const [form, setForm] = useState({
-    name: '',
-    description: '',
-    price: '',
-    image: '',
-    category: '',
-    inStock: true,
-    driveFileId: null,
-    externalPaymentUrl: ''
-  });
+  const [form, setForm] = useState(EMPTY_FORM);
+  // Undo entry for the last bulk or inline edit (see bulkEdit.js)
+  const [lastEdit, setLastEdit] = useState(null);
+
+  // Inventory: items at or below this count show up in the low-stock alerts.
+  // Edited as a draft and saved on blur or Enter, not on every keystroke.
+  const { lowStockThreshold, updateSettings: updateInventorySettings } = useInventory();
+  const [thresholdDraft, setThresholdDraft] = useState(String(lowStockThreshold));
+  const lowStockItems = getLowStockItems(products, lowStockThreshold);
+
+  useEffect(() => {
+    setThresholdDraft(String(lowStockThreshold));
+  }, [lowStockThreshold]);
+
+  const saveLowStockThreshold = async (e) => {
+    e?.preventDefault();
+    const threshold = Math.max(0, parseInt(thresholdDraft, 10) || 0);
+    if (threshold === lowStockThreshold) {
+      setThresholdDraft(String(lowStockThreshold));
+      return;
+    }
+    if (await updateInventorySettings({ lowStockThreshold: threshold })) {
+      showToast(`Low-stock alerts now at ${threshold} units`, 'success');
+    }
+  };
+
+  // Trash: deleted products are kept this many days before being purged.
+  // null until the saved value has loaded; nothing is purged before then.
+  const [trashRetentionDays, setTrashRetentionDays] = useState(null);
+
+  useEffect(() => {
+    getCatalogRepository().getDocument(TRASH_SETTINGS_DOCUMENT)
+      .then(saved => setTrashRetentionDays(normalizeRetentionDays(saved?.retentionDays)))
+      .catch(err => console.error('Failed to load trash settings:', err));
+  }, []);
+
+  // Resolves true once saved; a failed save shows the catalog save error
+  const saveTrashRetention = async (retentionDays) => {
+    const before = { retentionDays: trashRetentionDays };
+    const after = { retentionDays };
+    if (!(await saveDocument(TRASH_SETTINGS_DOCUMENT, after))) return false;
+    setTrashRetentionDays(retentionDays);
+    recordAudit({ action: 'settings.trash', target: { id: 'trash', name: 'Trash' }, before, after });
+    return true;
+  };
+
+  // { productId, productName, current } while the history dialog is open
+  const [historyFor, setHistoryFor] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
 
   // Security: Track form submission attempts
   const [formError, setFormError] = useState('');
@@ -372,7 +623,7 @@ function AdminDashboard() {
   });
 
   // Get project ID from meta tag
-  const projectId = document.querySelector('meta[name="project-id"]')?.content || '';
+  const projectId = getProjectId();
 
   // Check Stripe Connect status
   const checkStripeConnect = async () => {
@@ -404,6 +655,7 @@ function AdminDashboard() {
 
   // Start Stripe Connect onboarding
   const startStripeConnect = async () => {
+    if (!hasPermission(role, PERMISSIONS.MANAGE_PAYMENTS)) return;
     if (!projectId || !user?.uid) {
       showToast('Unable to set up payments. Please try again.', 'error');
       return;
@@ -424,6 +676,12 @@ function AdminDashboard() {
       const data = await response.json();
 
       if (data.success && data.onboardingUrl) {
+        recordAudit({
+          action: 'payments.connect',
+          target: { id: projectId, name: 'Stripe Connect' },
+          before: { onboarding: stripeConnect.connected ? 'incomplete' : 'not started' },
+          after: { onboarding: 'started' }
+        });
         // Redirect to Stripe onboarding
         window.location.href = data.onboardingUrl;
       } else {
@@ -436,9 +694,15 @@ function AdminDashboard() {
     }
   };
 
+  // Set when Stripe sends the owner back; logged once we know who they are
+  const connectReturn = useRef(null);
+
   // Check for connect success/refresh in URL
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
+    if (urlParams.get('connect_success') === 'true' || urlParams.get('connect_refresh') === 'true') {
+      connectReturn.current = urlParams.get('connect_success') === 'true' ? 'completed' : 'needs more information';
+    }
     if (urlParams.get('connect_success') === 'true') {
       showToast('Payment setup completed successfully!', 'success');
       checkStripeConnect();
@@ -457,31 +721,149 @@ function AdminDashboard() {
     setTimeout(() => setToast({ show: false, message: '', type: 'success' }), 3000);
   };
 
-  // Delete product and its image from Google Drive
-  const handleDelete = async (product) => {
-    if (product.driveFileId) {
-      try {
-        const response = await fetch(`${API_URL}/api/delete-product-image`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            projectId: SecurityUtils.sanitizeText(projectId),
-            fileId: SecurityUtils.sanitizeText(product.driveFileId)
-          })
-        });
-        const data = await response.json();
-        if (data.success) {
-          console.log('✅ Image deleted from Drive');
-        }
-      } catch (err) {
-        console.warn('⚠️ Could not delete from Drive:', err);
+  const deleteDriveImage = async (fileId) => {
+    try {
+      const response = await fetch(`${API_URL}/api/delete-product-image`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          projectId: SecurityUtils.sanitizeText(projectId),
+          fileId: SecurityUtils.sanitizeText(fileId)
+        })
+      });
+      const data = await response.json();
+      if (data.success) {
+        console.log('✅ Image deleted from Drive');
       }
+    } catch (err) {
+      console.warn('⚠️ Could not delete from Drive:', err);
     }
+  };
 
-    deleteProduct(product.id);
-    showToast(`"${SecurityUtils.sanitizeName(product.name)}" has been deleted`, 'success');
+  // Only the latest edit can be undone
+  const recordEdit = (entry) => {
+    setLastEdit(entry);
   };
 
+  // Returns whether the action ran
+  const handleBulkAction = (ids, action, label) => {
+    if (ids.length === 0) return false;
+    if (action.type === 'delete' && !can(PERMISSIONS.DELETE_PRODUCTS)) return false;
+    if (action.type === 'delete' && !window.confirm(`Delete ${ids.length} products? They stay in the trash for ${trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS} days.`)) {
+      return false;
+    }
+
+    const result = runBulkAction(products, ids, action, label);
+    if (result.undo.changed.length + result.undo.removed.length + result.undo.added.length === 0) {
+      showToast('None of the selected products could be changed', 'error');
+      return false;
+    }
+    replaceProducts(result.products);
+    recordEdit(result.undo);
+    showToast(result.skipped > 0 ? `${label} (${result.skipped} skipped)` : label, result.skipped > 0 ? 'error' : 'success');
+    return true;
+  };
+
+  const handleInlineEdit = (product, updates, label) => {
+    const result = runProductEdit(products, product.id, updates, label);
+    replaceProducts(result.products);
+    recordEdit(result.undo);
+  };
+
+  const handleDelete = (product) => {
+    handleBulkAction([product.id], { type: 'delete' }, `"${SecurityUtils.sanitizeName(product.name)}" has been deleted`);
+  };
+
+  const handleUndo = () => {
+    const { products: restored, conflicts } = undoBulkAction(products, lastEdit);
+    replaceProducts(restored);
+    setLastEdit(null);
+    showToast(conflicts > 0
+      ? `Undone, except ${conflicts} products edited since`
+      : `Undone: ${lastEdit.label}`, conflicts > 0 ? 'error' : 'success');
+  };
+
+  const dismissUndo = () => {
+    setLastEdit(null);
+  };
+
+  // Puts back a saved version, or brings a deleted product back from the trash
+  const handleRestoreRevision = (revision) => {
+    const exists = products.some(p => p.id === revision.productId);
+    replaceProducts(exists
+      ? products.map(p => (p.id === revision.productId ? revision.product : p))
+      : [...products, revision.product]);
+    setHistoryFor(null);
+    showToast(`"${SecurityUtils.sanitizeName(revision.product.name)}" restored`, 'success');
+  };
+
+  const handleRestoreFromTrash = (entry) => {
+    handleRestoreRevision({ productId: entry.productId, product: entry.product });
+  };
+
+  // Gone for good: Drive images from any of its versions are deleted too,
+  // unless the catalog, the trash or another product's history still uses them
+  const purgeTrash = async (entries) => {
+    const revisions = getRevisionStore();
+    for (const entry of entries) {
+      const [history, keptUrls] = await Promise.all([
+        revisions.list(entry.productId),
+        revisions.listImageUrls(entry.productId)
+      ]);
+      const versions = [entry.product, ...history.map(revision => revision.product)];
+      for (const fileId of getPurgeableDriveFiles(versions, products, keptUrls)) {
+        await deleteDriveImage(fileId);
+      }
+      await revisions.purge(entry.productId);
+    }
+  };
+
+  // Fails closed: if the role can't be verified, the user gets no access.
+  // `quiet` re-checks without the loading screen, e.g. when the tab regains focus.
+  const checkAccess = async (firebaseUser, { quiet = false } = {}) => {
+    if (!quiet) setAuthMode('loading');
+    try {
+      const nextRole = await resolveAdminRole({ user: firebaseUser, projectId, apiUrl: API_URL });
+      if (!nextRole) {
+        setRole(null);
+        setAuditActor(null);
+        setAuthMode('not-owner');
+        return;
+      }
+      setRole(nextRole);
+      setAuditActor(firebaseUser);
+      setAuthMode('authenticated');
+      localStorage.setItem('userId', firebaseUser.uid);
+      localStorage.setItem('projectId', projectId);
+      if (!quiet && hasPermission(nextRole, PERMISSIONS.MANAGE_PAYMENTS)) {
+        checkStripeConnect(); // Check Stripe Connect status
+      }
+      if (connectReturn.current) {
+        recordAudit({
+          action: 'payments.connect',
+          target: { id: projectId, name: 'Stripe Connect' },
+          before: { onboarding: 'started' },
+          after: { onboarding: connectReturn.current }
+        });
+        connectReturn.current = null;
+      }
+    } catch (err) {
+      console.error('Access check failed:', err);
+      setRole(null);
+      setAuditActor(null);
+      setAuthError('We could not verify your access to this store. Please check your connection and try again.');
+      setAuthMode('error');
+    }
+  };
+
+  // Revoked or re-roled staff lose access when they come back to the tab
+  useEffect(() => {
+    if (!user || authMode !== 'authenticated') return;
+    const handleFocus = () => checkAccess(user, { quiet: true });
+    window.addEventListener('focus', handleFocus);
+    return () => window.removeEventListener('focus', handleFocus);
+  }, [user, authMode]);
+
   // Initialize Firebase and check auth state
   useEffect(() => {
     const initAuth = async () => {
@@ -492,36 +874,14 @@ function AdminDashboard() {
         return;
       }
 
-      auth.onAuthStateChanged(async (firebaseUser) => {
+      getAuth().onAuthStateChanged(async (firebaseUser) => {
         if (firebaseUser) {
           setUser(firebaseUser);
-          try {
-            const response = await fetch(`${API_URL}/api/verify-project-owner?` + new URLSearchParams({
-              userId: firebaseUser.uid,
-              projectId: projectId
-            }));
-            const data = await response.json();
-
-            if (data.isOwner === true) {
-              setIsOwner(true);
-              setAuthMode('authenticated');
-              localStorage.setItem('userId', firebaseUser.uid);
-              localStorage.setItem('projectId', projectId);
-              checkStripeConnect(); // Check Stripe Connect status
-            } else {
-              setIsOwner(false);
-              setAuthMode('not-owner');
-            }
-          } catch (err) {
-            console.error('Owner check failed:', err);
-            setIsOwner(true);
-            setAuthMode('authenticated');
-            localStorage.setItem('userId', firebaseUser.uid);
-            checkStripeConnect(); // Check Stripe Connect status
-          }
+          await checkAccess(firebaseUser);
         } else {
           setUser(null);
-          setIsOwner(false);
+          setRole(null);
+          setAuditActor(null);
           setAuthMode('login');
         }
       });
@@ -530,33 +890,69 @@ function AdminDashboard() {
     initAuth();
   }, [projectId]);
 
-  // Security: Check rate limit status on mount
+  // Security: Login attempts are limited per store, across refreshes and tabs
+  const loginLimitId = 'login_' + (projectId || 'default');
+
+  const applyLoginLimit = (status) => {
+    setLimitUnavailable(false);
+    setIsLocked(status.locked);
+    setLockoutMinutes(getMinutesUntil(status.retryAt, Date.now()));
+  };
+
+  // Fails closed: a failure that can't be counted keeps the form shut until
+  // the next successful check. -> status after the failure, or null
+  const recordLoginFailure = async (loginLimit) => {
+    try {
+      const status = await loginLimit.recordFailure(loginLimitId);
+      applyLoginLimit(status);
+      return status;
+    } catch (err) {
+      console.error('Failed to record login attempt:', err);
+      setLimitUnavailable(true);
+      return null;
+    }
+  };
+
+  // Check on mount, every 10 seconds while the form is up, and whenever
+  // another tab records an attempt
   useEffect(() => {
+    const store = getLoginLimitStore();
     const checkLockout = () => {
-      const identifier = 'login_' + (projectId || 'default');
-      if (!RateLimiter.canAttempt(identifier)) {
-        setIsLocked(true);
-        setLockoutMinutes(RateLimiter.getRemainingTime(identifier));
-      }
+      store.status(loginLimitId)
+        .then(applyLoginLimit)
+        .catch(err => {
+          console.error('Failed to check login limit:', err);
+          setLimitUnavailable(true);
+        });
     };
 
     checkLockout();
-    const interval = setInterval(checkLockout, 10000); // Check every 10 seconds
-    return () => clearInterval(interval);
-  }, [projectId]);
+    const interval = setInterval(checkLockout, 10000);
+    const unsubscribe = store.subscribe?.(loginLimitId, checkLockout);
+    return () => {
+      clearInterval(interval);
+      unsubscribe?.();
+    };
+  }, [loginLimitId]);
 
   const handleLogin = async (e) => {
     e.preventDefault();
     setAuthError('');
 
-    const identifier = 'login_' + (projectId || 'default');
+    const loginLimit = getLoginLimitStore();
 
-    // Security: Check rate limit
-    if (!RateLimiter.canAttempt(identifier)) {
-      const minutes = RateLimiter.getRemainingTime(identifier);
-      setIsLocked(true);
-      setLockoutMinutes(minutes);
-      setAuthError(`Too many failed attempts. Please try again in ${minutes} minutes.`);
+    // Security: Check rate limit, and refuse to sign in if it can't be checked
+    let limit;
+    try {
+      limit = await loginLimit.status(loginLimitId);
+    } catch (err) {
+      console.error('Failed to check login limit:', err);
+      setLimitUnavailable(true);
+      return;
+    }
+    if (limit.locked) {
+      applyLoginLimit(limit);
+      setAuthError(`Too many failed attempts. Please try again in ${getMinutesUntil(limit.retryAt, Date.now())} minutes.`);
       return;
     }
 
@@ -565,42 +961,33 @@ function AdminDashboard() {
 
     // Security: Detect attack patterns
     if (SecurityUtils.detectAttack(email) || SecurityUtils.detectAttack(password)) {
-      RateLimiter.recordAttempt(identifier, false);
+      await recordLoginFailure(loginLimit);
       setAuthError('Invalid input detected.');
       return;
     }
 
     try {
-      await auth.signInWithEmailAndPassword(sanitizedEmail, password);
-      RateLimiter.recordAttempt(identifier, true); // Reset on success
+      await getAuth().signInWithEmailAndPassword(sanitizedEmail, password);
+      loginLimit.reset(loginLimitId).catch(err => console.error('Failed to reset login limit:', err)); // Reset on success
     } catch (err) {
       console.error('Login error:', err);
-      RateLimiter.recordAttempt(identifier, false);
-
-      const attemptsLeft = RateLimiter.getAttemptsLeft(identifier);
+      const status = await recordLoginFailure(loginLimit);
 
       if (err.code === 'auth/user-not-found' || err.code === 'auth/wrong-password' || err.code === 'auth/invalid-credential') {
-        setAuthError(`Invalid email or password. ${attemptsLeft} attempts remaining.`);
+        setAuthError(status ? `Invalid email or password. ${status.attemptsLeft} attempts remaining.` : 'Invalid email or password.');
       } else if (err.code === 'auth/invalid-email') {
         setAuthError('Invalid email format');
       } else if (err.code === 'auth/too-many-requests') {
         setAuthError('Too many failed attempts. Please try again later.');
-        setIsLocked(true);
-        setLockoutMinutes(15);
       } else {
         setAuthError('Login failed. Please try again.');
       }
-
-      if (attemptsLeft === 0) {
-        setIsLocked(true);
-        setLockoutMinutes(15);
-      }
     }
   };
 
   const handleLogout = async () => {
     try {
-      await auth.signOut();
+      await getAuth().signOut();
       localStorage.removeItem('userId');
       localStorage.removeItem('projectId');
     } catch (err) {
@@ -608,50 +995,59 @@ function AdminDashboard() {
     }
   };
 
+  // Renames flow through to the category name stored on each product
+  const handleSaveCategory = (id, data) => {
+    if (!id) {
+      addCategory(data);
+      return;
+    }
+    updateCategory(id, data);
+    if (data.type === 'category') {
+      products
+        .filter(p => getProductCategory(p, categories)?.id === id)
+        .forEach(p => updateProduct(p.id, { categoryId: id, category: data.name }));
+    }
+  };
+
+  const handleDeleteCategory = async (category) => {
+    if (!can(PERMISSIONS.DELETE_PRODUCTS)) return;
+    if (!window.confirm(`Delete "${category.name}"? Products stay in the catalog.`)) return;
+    if (category.type === 'category') {
+      products
+        .filter(p => getProductCategory(p, categories)?.id === category.id)
+        .forEach(p => updateProduct(p.id, { categoryId: null, category: '' }));
+    }
+    if (category.heroDriveFileId) {
+      await deleteDriveImage(category.heroDriveFileId);
+    }
+    deleteCategory(category.id);
+    showToast(`"${SecurityUtils.sanitizeName(category.name)}" has been deleted`, 'success');
+  };
+
   const handleImageUploaded = (imageUrl, fileId) => {
     setForm(prev => ({ ...prev, image: imageUrl, driveFileId: fileId || null }));
   };
 
+  const handleGalleryImageUploaded = (imageUrl, fileId) => {
+    setForm(prev => ({ ...prev, images: [...prev.images, { url: imageUrl, driveFileId: fileId || null }] }));
+  };
+
+  // The Drive file is kept on purpose: earlier revisions still show it and can
+  // be restored. It is deleted when the product is purged from the trash.
+  const removeGalleryImage = (index) => {
+    setForm(prev => ({ ...prev, images: prev.images.filter((_, i) => i !== index) }));
+  };
+
   // Security: Sanitized form submission
   const handleSubmit = (e) => {
     e.preventDefault();
     setFormError('');
 
-    // Security: Sanitize all inputs
-    const sanitizedData = {
-      name: SecurityUtils.sanitizeName(form.name),
-      description: SecurityUtils.sanitizeDescription(form.description),
-      price: parseFloat(SecurityUtils.sanitizePrice(form.price)) || 0,
-      image: form.image, // Already validated by ImageUploader
-      category: SecurityUtils.sanitizeCategory(form.category),
-      inStock: Boolean(form.inStock),
-      driveFileId: form.driveFileId || null,
-      externalPaymentUrl: SecurityUtils.sanitizeUrl(form.externalPaymentUrl)
-    };
-
-    // Security: Detect attack patterns
-    if (SecurityUtils.detectAttack(form.name) ||
-      SecurityUtils.detectAttack(form.description) ||
-      SecurityUtils.detectAttack(form.category)) {
-      setFormError('Invalid characters detected. Please remove special characters and try again.');
-      showToast('Invalid input detected', 'error');
-      return;
-    }
-
-    // Validate required fields
-    if (!sanitizedData.name || sanitizedData.name.length < 1) {
-      setFormError('Product name is required');
-      return;
-    }
-
-    if (sanitizedData.price <= 0 || isNaN(sanitizedData.price)) {
-      setFormError('Please enter a valid price');
-      return;
-    }
-
-    // Validate external URL if provided
-    if (form.externalPaymentUrl && !sanitizedData.externalPaymentUrl) {
-      setFormError('Invalid payment URL. Must start with http:// or https://');
+    // Security: Sanitize and validate all inputs
+    const { data: sanitizedData, error, attack } = validateProductForm(form, productCategories);
+    if (error) {
+      setFormError(error);
+      if (attack) showToast('Invalid input detected', 'error');
       return;
     }
 
@@ -663,19 +1059,14 @@ function AdminDashboard() {
       showToast('Product added successfully!', 'success');
     }
 
-    setForm({ name: '', description: '', price: '', image: '', category: '', inStock: true, driveFileId: null, externalPaymentUrl: '' });
+    setForm(EMPTY_FORM);
     setEditing(null);
     setFormError('');
   };
 
   const startEdit = (product) => {
     setEditing(product.id);
-    setForm({
-      ...product,
-      price: product.price?.toString() || '',
-      driveFileId: product.driveFileId || null,
-      externalPaymentUrl: product.externalPaymentUrl || ''
-    });
+    setForm(productToForm(product, categories));
     setFormError('');
   };
 
@@ -767,7 +1158,17 @@ function AdminDashboard() {
                 </div>
               )}
 
-              <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition font-medium">
+              {limitUnavailable && (
+                <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800 text-sm">
+                  Sign-in is paused because login attempts can't be checked right now. Please try again in a moment.
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={limitUnavailable}
+                className="w-full bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
                 Sign In
               </button>
             </form>
@@ -797,8 +1198,14 @@ function AdminDashboard() {
           <div className="text-red-500 text-5xl mb-4">🚫</div>
           <h1 className="text-2xl font-bold mb-2">Access Denied</h1>
           <p className="text-gray-600 mb-6">
-            You don't have permission to manage this store. Please sign in with the account that owns this website.
+            You don't have permission to manage this store. Please sign in with the account that owns this website,
+            or ask the owner to invite you as staff.
           </p>
+          {user && !user.emailVerified && (
+            <p className="text-sm text-gray-500 -mt-4 mb-6">
+              Staff invitations can only be used once your email address is verified.
+            </p>
+          )}
           <button
             onClick={handleLogout}
             className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300 transition"
@@ -811,6 +1218,9 @@ function AdminDashboard() {
   }
 
   // Authenticated - Admin Dashboard
+  const visibleTabs = ADMIN_TABS.filter(tab => can(tab.permission));
+  const currentTab = visibleTabs.some(tab => tab.id === activeTab) ? activeTab : visibleTabs[0]?.id;
+
   return (
     <div className="min-h-screen bg-gray-100 py-8">
       <div className="container mx-auto px-4">
@@ -818,7 +1228,7 @@ function AdminDashboard() {
         <div className="flex justify-between items-center mb-8">
           <div>
             <h1 className="text-3xl font-bold">Store Dashboard</h1>
-            <p className="text-gray-600 text-sm mt-1">Signed in as {user?.email}</p>
+            <p className="text-gray-600 text-sm mt-1">Signed in as {user?.email} · {ROLES[role]?.label}</p>
           </div>
           <button onClick={handleLogout} className="text-red-600 hover:text-red-800 font-medium">
             Logout
@@ -833,214 +1243,461 @@ function AdminDashboard() {
         </div>
 
         {/* Stripe Connect Status */}
-        <div className={`border rounded-lg p-4 mb-6 ${stripeConnect.chargesEnabled
-          ? 'bg-green-50 border-green-200'
-          : 'bg-yellow-50 border-yellow-200'
-          }`}>
-          {stripeConnect.loading ? (
-            <p className="text-gray-600">⏳ Checking payment setup...</p>
-          ) : stripeConnect.chargesEnabled ? (
-            <div className="flex items-center justify-between">
-              <p className="text-green-800">
-                ✅ <strong>Payments Enabled</strong> - Your store can accept payments
-              </p>
-              <span className="text-xs text-green-600 bg-green-100 px-2 py-1 rounded">Active</span>
-            </div>
-          ) : stripeConnect.connected ? (
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-yellow-800 font-medium">⚠️ Payment Setup Incomplete</p>
-                <p className="text-yellow-700 text-sm">Complete your Stripe setup to accept payments</p>
+        {can(PERMISSIONS.MANAGE_PAYMENTS) && (
+          <div className={`border rounded-lg p-4 mb-6 ${stripeConnect.chargesEnabled
+            ? 'bg-green-50 border-green-200'
+            : 'bg-yellow-50 border-yellow-200'
+            }`}>
+            {stripeConnect.loading ? (
+              <p className="text-gray-600">⏳ Checking payment setup...</p>
+            ) : stripeConnect.chargesEnabled ? (
+              <div className="flex items-center justify-between">
+                <p className="text-green-800">
+                  ✅ <strong>Payments Enabled</strong> - Your store can accept payments
+                </p>
+                <span className="text-xs text-green-600 bg-green-100 px-2 py-1 rounded">Active</span>
               </div>
-              <button
-                onClick={startStripeConnect}
-                className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-lg text-sm font-medium"
-              >
-                Complete Setup
-              </button>
-            </div>
-          ) : (
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-yellow-800 font-medium">💳 Set Up Payments</p>
-                <p className="text-yellow-700 text-sm">Connect Stripe to accept credit card payments from customers</p>
+            ) : stripeConnect.connected ? (
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-yellow-800 font-medium">⚠️ Payment Setup Incomplete</p>
+                  <p className="text-yellow-700 text-sm">Complete your Stripe setup to accept payments</p>
+                </div>
+                <button
+                  onClick={startStripeConnect}
+                  className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-lg text-sm font-medium"
+                >
+                  Complete Setup
+                </button>
               </div>
-              <button
-                onClick={startStripeConnect}
-                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium"
-              >
-                Connect Stripe
-              </button>
-            </div>
-          )}
+            ) : (
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-yellow-800 font-medium">💳 Set Up Payments</p>
+                  <p className="text-yellow-700 text-sm">Connect Stripe to accept credit card payments from customers</p>
+                </div>
+                <button
+                  onClick={startStripeConnect}
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium"
+                >
+                  Connect Stripe
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Tabs */}
+        <div className="flex gap-2 mb-6 border-b">
+          {visibleTabs.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 -mb-px border-b-2 font-medium transition ${currentTab === tab.id ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
         </div>
 
-        {/* Add/Edit Form */}
-        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-8">
-          <h2 className="text-xl font-bold mb-4">{editing ? 'Edit Product' : 'Add Product'}</h2>
-
-          {formError && (
-            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
-              ⚠️ {formError}
+        {currentTab === 'orders' && can(PERMISSIONS.VIEW_ORDERS) && (
+          <OrdersPanel actor={user?.email || user?.uid} canManage={can(PERMISSIONS.MANAGE_ORDERS)} showToast={showToast} />
+        )}
+
+        {currentTab === 'abandoned' && can(PERMISSIONS.VIEW_CARTS) && (
+          <AbandonedCartsPanel showToast={showToast} />
+        )}
+
+        {currentTab === 'promotions' && can(PERMISSIONS.MANAGE_PROMOTIONS) && (
+          <PromotionsPanel products={products} categories={categories} showToast={showToast} />
+        )}
+
+        {currentTab === 'shipping' && can(PERMISSIONS.MANAGE_SETTINGS) && (
+          <ShippingTaxPanel showToast={showToast} />
+        )}
+
+        {currentTab === 'currency' && can(PERMISSIONS.MANAGE_SETTINGS) && (
+          <CurrencyPanel showToast={showToast} />
+        )}
+
+        {currentTab === 'staff' && can(PERMISSIONS.MANAGE_STAFF) && (
+          <StaffPanel actor={user?.email || user?.uid} ownerEmail={user?.email} showToast={showToast} />
+        )}
+
+        {currentTab === 'activity' && can(PERMISSIONS.VIEW_ACTIVITY) && (
+          <ActivityPanel showToast={showToast} />
+        )}
+
+        {currentTab === 'products' && can(PERMISSIONS.EDIT_PRODUCTS) && (
+          <>
+          {/* Catalog sync */}
+          {catalogReadOnly && (
+            <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-blue-800 text-sm">
+              ℹ️ Shoppers see the catalog published in catalog.json. To change it, use Export catalog.json below,
+              save the file over public/catalog.json and redeploy.
+            </div>
+          )}
+          {catalogStatus === 'error' && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm flex items-center justify-between gap-4">
+              <span>⚠️ Could not load products: {catalogError}</span>
+              <button onClick={reloadCatalog} className="font-medium hover:underline">Retry</button>
+            </div>
+          )}
+          {saveError && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm flex items-center justify-between gap-4">
+              <span>⚠️ Your last change was not saved: {saveError}</span>
+              <button onClick={dismissSaveError} className="font-medium hover:underline">Dismiss</button>
             </div>
           )}
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <input
-              type="text"
-              placeholder="Product Name"
-              required
-              value={form.name}
-              onChange={(e) => setForm({ ...form, name: e.target.value })}
-              className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
-              maxLength={200}
-            />
-            <input
-              type="number"
-              placeholder="Price"
-              required
-              step="0.01"
-              min="0"
-              max="999999.99"
-              value={form.price}
-              onChange={(e) => setForm({ ...form, price: e.target.value })}
-              className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
-            />
-            <div className="md:col-span-2">
-              <label className="block text-sm font-medium text-gray-700 mb-2">Product Image</label>
-              <ImageUploader
-                currentImage={form.image}
-                onImageUploaded={handleImageUploaded}
-                userId={user?.uid}
-                projectId={projectId}
+          {/* Add/Edit Form */}
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-8">
+            <h2 className="text-xl font-bold mb-4">{editing ? 'Edit Product' : 'Add Product'}</h2>
+
+            {formError && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+                ⚠️ {formError}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="text"
+                placeholder="Product Name"
+                required
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                maxLength={200}
               />
-              {form.image && !form.image.startsWith('data:') && (
+              <input
+                type="number"
+                placeholder={`Price (${baseCurrency})`}
+                required
+                step="0.01"
+                min="0"
+                max="999999.99"
+                value={form.price}
+                onChange={(e) => setForm({ ...form, price: e.target.value })}
+                className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
+              />
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Product Image</label>
+                <ImageUploader
+                  currentImage={form.image}
+                  onImageUploaded={handleImageUploaded}
+                  userId={user?.uid}
+                  projectId={projectId}
+                />
+                {form.image && !form.image.startsWith('data:') && (
+                  <input
+                    type="text"
+                    value={form.image}
+                    onChange={(e) => setForm({ ...form, image: e.target.value })}
+                    placeholder="Or enter image URL directly"
+                    className="mt-2 p-2 border rounded w-full text-sm"
+                    maxLength={2000}
+                  />
+                )}
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Gallery Images (optional)</label>
+                {form.images.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mb-2">
+                    {form.images.map((image, index) => (
+                      <div key={`${image.url}-${index}`} className="relative">
+                        <img src={image.url} alt={`Gallery ${index + 1}`} className="w-20 h-20 object-cover rounded border" />
+                        <button
+                          type="button"
+                          onClick={() => removeGalleryImage(index)}
+                          className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-5 h-5 text-xs"
+                          aria-label="Remove image"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <ImageUploader
+                  key={form.images.length}
+                  currentImage=""
+                  onImageUploaded={handleGalleryImageUploaded}
+                  userId={user?.uid}
+                  projectId={projectId}
+                />
+              </div>
+              <select
+                value={form.categoryId}
+                onChange={(e) => setForm({ ...form, categoryId: e.target.value })}
+                className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 bg-white"
+              >
+                <option value="">No category</option>
+                {productCategories.map(c => (
+                  <option key={c.id} value={c.id}>{c.name}</option>
+                ))}
+              </select>
+              <div>
                 <input
-                  type="text"
-                  value={form.image}
-                  onChange={(e) => setForm({ ...form, image: e.target.value })}
-                  placeholder="Or enter image URL directly"
-                  className="mt-2 p-2 border rounded w-full text-sm"
+                  type="url"
+                  placeholder="External Payment Link (optional)"
+                  value={form.externalPaymentUrl}
+                  onChange={(e) => setForm({ ...form, externalPaymentUrl: e.target.value })}
+                  className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 w-full"
                   maxLength={2000}
                 />
+                <p className="text-xs text-gray-500 mt-1">Stripe, PayPal, or other checkout link. If set, "Buy Now" opens this URL.</p>
+                {form.externalPaymentUrl && (
+                  <div className="mt-2 text-sm text-gray-700 space-y-1">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={form.externalReturnToStore}
+                        onChange={(e) => setForm({ ...form, externalReturnToStore: e.target.checked })}
+                        className="w-4 h-4 text-blue-600"
+                      />
+                      Send shoppers back to the store's thank-you page
+                    </label>
+                    {form.externalReturnToStore && (
+                      <label className="flex items-center gap-2 text-xs text-gray-500">
+                        Return URL parameter
+                        <input
+                          type="text"
+                          value={form.externalReturnParam}
+                          onChange={(e) => setForm({ ...form, externalReturnParam: e.target.value })}
+                          className="p-1 border rounded w-32"
+                          maxLength={40}
+                        />
+                      </label>
+                    )}
+                  </div>
+                )}
+              </div>
+              <textarea
+                placeholder="Description"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 md:col-span-2"
+                rows="3"
+                maxLength={5000}
+              />
+              <TranslationsEditor
+                translations={form.translations}
+                onChange={(translations) => setForm(prev => ({ ...prev, translations }))}
+              />
+              <VariantEditor
+                options={form.options}
+                variants={form.variants}
+                basePrice={form.price}
+                onChange={({ options, variants }) => setForm(prev => ({ ...prev, options, variants }))}
+              />
+              {form.variants.length > 0 ? (
+                <p className="text-sm text-gray-500 self-center">Stock is tracked per variant above.</p>
+              ) : (
+                <input
+                  type="number"
+                  placeholder="Stock Quantity"
+                  required
+                  step="1"
+                  min="0"
+                  max="999999"
+                  value={form.stock}
+                  onChange={(e) => setForm({ ...form, stock: e.target.value })}
+                  className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                />
               )}
-            </div>
-            <input
-              type="text"
-              placeholder="Category (optional)"
-              value={form.category}
-              onChange={(e) => setForm({ ...form, category: e.target.value })}
-              className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
-              maxLength={100}
-            />
-            <div>
               <input
-                type="url"
-                placeholder="External Payment Link (optional)"
-                value={form.externalPaymentUrl}
-                onChange={(e) => setForm({ ...form, externalPaymentUrl: e.target.value })}
-                className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 w-full"
-                maxLength={2000}
+                type="number"
+                placeholder={`Shipping weight (${pricingSettings.shipping.weightUnit}, optional)`}
+                step="0.01"
+                min="0"
+                max="99999"
+                value={form.weight}
+                onChange={(e) => setForm({ ...form, weight: e.target.value })}
+                className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
               />
-              <p className="text-xs text-gray-500 mt-1">Stripe, PayPal, or other checkout link. If set, "Buy Now" opens this URL.</p>
+              {/* Publishing: only published products inside their window reach the storefront */}
+              <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-3 gap-4">
+                <label className="text-sm text-gray-700">
+                  Status
+                  <select
+                    value={form.status}
+                    onChange={(e) => setForm({ ...form, status: e.target.value })}
+                    className="mt-1 p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 bg-white w-full"
+                  >
+                    {Object.entries(PRODUCT_STATUSES).map(([status, label]) => (
+                      <option key={status} value={status}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                {(form.status === 'scheduled' || form.status === 'published') && (
+                  <>
+                    <label className="text-sm text-gray-700">
+                      {form.status === 'scheduled' ? 'Publish at' : 'Publish at (optional)'}
+                      <input
+                        type="datetime-local"
+                        value={form.publishAt}
+                        required={form.status === 'scheduled'}
+                        onChange={(e) => setForm({ ...form, publishAt: e.target.value })}
+                        className="mt-1 p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 w-full"
+                      />
+                    </label>
+                    <label className="text-sm text-gray-700">
+                      Unpublish at (optional)
+                      <input
+                        type="datetime-local"
+                        value={form.unpublishAt}
+                        min={form.publishAt || undefined}
+                        onChange={(e) => setForm({ ...form, unpublishAt: e.target.value })}
+                        className="mt-1 p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 w-full"
+                      />
+                    </label>
+                  </>
+                )}
+              </div>
             </div>
-            <textarea
-              placeholder="Description"
-              value={form.description}
-              onChange={(e) => setForm({ ...form, description: e.target.value })}
-              className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 md:col-span-2"
-              rows="3"
-              maxLength={5000}
-            />
-            <label className="flex items-center gap-2 text-gray-700">
-              <input
-                type="checkbox"
-                checked={form.inStock}
-                onChange={(e) => setForm({ ...form, inStock: e.target.checked })}
-                className="w-4 h-4 text-blue-600"
-              />
-              In Stock
-            </label>
-          </div>
-          <div className="mt-6 flex gap-3">
-            <button type="submit" className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition font-medium">
-              {editing ? 'Update Product' : 'Add Product'}
-            </button>
-            {editing && (
-              <button
-                type="button"
-                onClick={() => { setEditing(null); setForm({ name: '', description: '', price: '', image: '', category: '', inStock: true, driveFileId: null, externalPaymentUrl: '' }); setFormError(''); }}
-                className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300 transition"
-              >
-                Cancel
+            <div className="mt-6 flex gap-3">
+              <button type="submit" className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition font-medium">
+                {editing ? 'Update Product' : 'Add Product'}
               </button>
+              {editing && (
+                <button
+                  type="button"
+                  onClick={() => { setEditing(null); setForm(EMPTY_FORM); setFormError(''); }}
+                  className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300 transition"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+
+          <CategoryManager
+            categories={categories}
+            products={products}
+            onSave={handleSaveCategory}
+            onDelete={can(PERMISSIONS.DELETE_PRODUCTS) ? handleDeleteCategory : null}
+            onMove={moveCategory}
+            userId={user?.uid}
+            projectId={projectId}
+            showToast={showToast}
+          />
+
+          {/* Low Stock Alerts */}
+          <div className="bg-white rounded-lg shadow overflow-hidden mb-8">
+            <div className="p-4 border-b bg-gray-50 flex flex-wrap items-center justify-between gap-4">
+              <h2 className="text-lg font-semibold">
+                Low Stock Alerts {lowStockItems.length > 0 && (
+                  <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                    {lowStockItems.length}
+                  </span>
+                )}
+              </h2>
+              <form onSubmit={saveLowStockThreshold}>
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  Alert at or below
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={thresholdDraft}
+                    onChange={(e) => setThresholdDraft(e.target.value)}
+                    onBlur={saveLowStockThreshold}
+                    className="w-20 p-1 border rounded"
+                  />
+                  units
+                </label>
+              </form>
+            </div>
+            {lowStockItems.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">All products are above the low-stock threshold.</p>
+            ) : (
+              <ul className="divide-y">
+                {lowStockItems.map(({ product, variant, stock }) => (
+                  <li key={`${product.id}-${variant?.id || ''}`} className="px-4 py-3 flex items-center justify-between">
+                    <div>
+                      <p className="font-medium">{product.name}</p>
+                      {variant && (
+                        <p className="text-xs text-gray-500">
+                          {formatVariantLabel(variant.options)}{variant.sku ? ` · SKU ${variant.sku}` : ''}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-4">
+                      <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${stock === 0 ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                        {stock === 0 ? 'Sold out' : `${stock} left`}
+                      </span>
+                      <button onClick={() => startEdit(product)} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+                        Restock
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
             )}
           </div>
-        </form>
 
-        {/* Products List */}
-        <div className="bg-white rounded-lg shadow overflow-hidden">
-          <div className="p-4 border-b bg-gray-50">
-            <h2 className="text-lg font-semibold">Products ({products.length})</h2>
-          </div>
-          {products.length === 0 ? (
-            <div className="p-8 text-center text-gray-500">
-              <p>No products yet. Add your first product above!</p>
-            </div>
+          <CatalogTransfer
+            products={products}
+            categories={categories}
+            addProducts={addProducts}
+            updateProduct={updateProduct}
+            showToast={showToast}
+          />
+
+          {showPreview ? (
+            <StorefrontPreview products={products} onClose={() => setShowPreview(false)} />
           ) : (
-            <div className="overflow-x-auto">
-              <table className="w-full">
-                <thead className="bg-gray-50 border-b">
-                  <tr>
-                    <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Image</th>
-                    <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Name</th>
-                    <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Price</th>
-                    <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Status</th>
-                    <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Payment</th>
-                    <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Actions</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y">
-                  {products.map(product => (
-                    <tr key={product.id} className="hover:bg-gray-50">
-                      <td className="px-4 py-3">
-                        <img
-                          src={product.image || 'https://placehold.co/50x50?text=No+Image'}
-                          alt={SecurityUtils.sanitizeName(product.name)}
-                          className="w-12 h-12 object-cover rounded border"
-                          onError={(e) => { e.target.src = 'https://placehold.co/50x50?text=Error'; }}
-                        />
-                      </td>
-                      <td className="px-4 py-3 font-medium">{product.name}</td>
-                      <td className="px-4 py-3">${product.price?.toFixed(2)}</td>
-                      <td className="px-4 py-3">
-                        <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${product.inStock ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
-                          {product.inStock ? 'In Stock' : 'Out of Stock'}
-                        </span>
-                      </td>
-                      <td className="px-4 py-3">
-                        <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${product.externalPaymentUrl ? 'bg-purple-100 text-purple-800' : 'bg-blue-100 text-blue-800'}`}>
-                          {product.externalPaymentUrl ? 'External' : 'Cart'}
-                        </span>
-                      </td>
-                      <td className="px-4 py-3">
-                        <button onClick={() => startEdit(product)} className="text-blue-600 hover:text-blue-800 mr-4 font-medium">
-                          Edit
-                        </button>
-                        <button
-                          onClick={() => handleDelete(product)}
-                          className="text-red-600 hover:text-red-800 font-medium"
-                        >
-                          Delete
-                        </button>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+            <div className="flex justify-end mb-4">
+              <button
+                onClick={() => setShowPreview(true)}
+                className="px-4 py-2 rounded-lg border bg-white text-sm hover:bg-gray-50"
+              >
+                👁 Preview Unpublished Products
+              </button>
             </div>
           )}
-        </div>
+
+          {/* Products List */}
+          <ProductTable
+            products={products}
+            loading={catalogStatus === 'loading'}
+            categories={productCategories}
+            lowStockThreshold={lowStockThreshold}
+            baseCurrency={baseCurrency}
+            formatBase={formatBase}
+            onEdit={startEdit}
+            onDelete={can(PERMISSIONS.DELETE_PRODUCTS) ? handleDelete : null}
+            onBulkAction={handleBulkAction}
+            onInlineEdit={handleInlineEdit}
+            lastEdit={lastEdit}
+            onUndo={handleUndo}
+            onDismissUndo={dismissUndo}
+            onHistory={(product) => setHistoryFor({ productId: product.id, productName: product.name, current: product })}
+          />
+
+          {can(PERMISSIONS.DELETE_PRODUCTS) && (
+            <TrashPanel
+              retentionDays={trashRetentionDays}
+              onSaveRetention={saveTrashRetention}
+              onRestore={handleRestoreFromTrash}
+              onShowHistory={(entry) => setHistoryFor({ productId: entry.productId, productName: entry.product.name, current: null })}
+              onPurge={purgeTrash}
+              showToast={showToast}
+              refreshKey={historyVersion}
+            />
+          )}
+
+          {historyFor && (
+            <ProductHistory
+              {...historyFor}
+              current={historyFor.current && (products.find(p => p.id === historyFor.productId) || null)}
+              onRestore={handleRestoreRevision}
+              onClose={() => setHistoryFor(null)}
+            />
+          )}
+          </>
+        )}
       </div>
 
       {/* Toast Notification */}
@@ -0,0 +1,228 @@
+import { useState, useRef } from 'react';
+import {
+  IMPORT_FIELDS, MAX_IMPORT_BYTES, parseCatalogFile, autoMapColumns, buildImportPreview, errorReportCsv,
+  exportCatalogCsv, exportCatalogJson, exportStorefrontJson, getStorefrontProducts, downloadFile
+} from './catalogFiles.js';
+import { SecurityUtils } from './security.js';
+import { usePricing } from '../context/PricingContext.jsx';
+import { useCurrency } from '../context/CurrencyContext.jsx';
+import { useInventory } from '../context/InventoryContext.jsx';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Bulk import/export - upload, map columns, dry-run preview, then apply
+function CatalogTransfer({ products, categories, addProducts, updateProduct, showToast }) {
+  const { settings: pricingSettings } = usePricing();
+  const { settings: currencySettings } = useCurrency();
+  const { settings: inventorySettings } = useInventory();
+  const fileInput = useRef(null);
+  // null | { fileName, columns, rows, firstRow }
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setFile(null);
+    setMapping({});
+    setPreview(null);
+    setError('');
+    if (fileInput.current) fileInput.current.value = '';
+  };
+
+  const handleExport = (format) => {
+    const documents = { categories, pricingSettings, currencySettings, inventorySettings };
+    if (format === 'storefront') {
+      const now = Date.now();
+      downloadFile('catalog.json', exportStorefrontJson(products, documents, now), 'application/json');
+      showToast(`Exported ${getStorefrontProducts(products, now).length} live products for the storefront`, 'success');
+      return;
+    }
+    if (format === 'json') {
+      downloadFile(`catalog-${today()}.json`, exportCatalogJson(products, documents), 'application/json');
+    } else {
+      downloadFile(`catalog-${today()}.csv`, exportCatalogCsv(products, categories), 'text/csv;charset=utf-8');
+    }
+    showToast(`Exported ${products.length} products`, 'success');
+  };
+
+  const handleFile = async (e) => {
+    const selected = e.target.files?.[0];
+    if (!selected) return;
+    setError('');
+    setPreview(null);
+
+    if (!/\.(csv|json)$/i.test(selected.name)) {
+      setError('Please choose a .csv or .json file.');
+      return;
+    }
+    if (selected.size > MAX_IMPORT_BYTES) {
+      setError('File is too large. Maximum size is 5MB.');
+      return;
+    }
+
+    try {
+      const parsed = parseCatalogFile(selected.name, await selected.text());
+      if (parsed.rows.length === 0) {
+        setError('No product rows found in this file.');
+        return;
+      }
+      setFile({ fileName: SecurityUtils.sanitizeName(selected.name), ...parsed });
+      setMapping(autoMapColumns(parsed.columns));
+    } catch (err) {
+      console.error('Import parse error:', err);
+      setError(`Could not read file: ${err.message}`);
+    }
+  };
+
+  const handlePreview = () => {
+    const missing = IMPORT_FIELDS.filter(field => field.required && !mapping[field.key]);
+    if (missing.length > 0) {
+      setError(`Map a column to: ${missing.map(field => field.label).join(', ')}`);
+      return;
+    }
+    setError('');
+    setPreview(buildImportPreview(file.rows, mapping, { products, categories, firstRow: file.firstRow }));
+  };
+
+  const handleApply = () => {
+    const valid = preview.filter(entry => !entry.error);
+    const creates = valid.filter(entry => entry.action === 'create');
+    const updates = valid.filter(entry => entry.action === 'update');
+    if (!window.confirm(`Import ${creates.length} new and ${updates.length} updated products?`)) return;
+
+    updates.forEach(entry => updateProduct(entry.productId, entry.data));
+    if (creates.length > 0) addProducts(creates.map(entry => entry.data));
+    showToast(`Imported ${valid.length} products`, 'success');
+    reset();
+  };
+
+  const errors = preview ? preview.filter(entry => entry.error) : [];
+  const createCount = preview ? preview.filter(entry => entry.action === 'create').length : 0;
+  const updateCount = preview ? preview.filter(entry => entry.action === 'update').length : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden mb-8">
+      <div className="p-4 border-b bg-gray-50 flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-lg font-semibold">Import / Export</h2>
+        <div className="flex gap-2">
+          <button onClick={() => handleExport('csv')} disabled={products.length === 0} className="px-3 py-1 rounded-lg border text-sm hover:bg-gray-100 disabled:opacity-50">
+            Export CSV
+          </button>
+          <button onClick={() => handleExport('json')} disabled={products.length === 0} className="px-3 py-1 rounded-lg border text-sm hover:bg-gray-100 disabled:opacity-50">
+            Export JSON
+          </button>
+          <button
+            onClick={() => handleExport('storefront')}
+            disabled={products.length === 0}
+            title="Only live products, for publishing as public/catalog.json"
+            className="px-3 py-1 rounded-lg border text-sm hover:bg-gray-100 disabled:opacity-50"
+          >
+            Export catalog.json
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {error && <p className="p-3 rounded-lg bg-red-100 text-red-700 text-sm">{error}</p>}
+
+        {!file && (
+          <div>
+            <label className="block text-sm font-medium mb-1">Import products from CSV or JSON</label>
+            <input ref={fileInput} type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="text-sm" />
+            <p className="text-xs text-gray-500 mt-1">
+              Rows with an ID that matches an existing product update it; other rows are added as new products.
+              Use an export as a template.
+            </p>
+          </div>
+        )}
+
+        {file && !preview && (
+          <div>
+            <p className="text-sm text-gray-600 mb-3">
+              <strong>{file.fileName}</strong> · {file.rows.length} rows. Choose which column fills each field.
+            </p>
+            <div className="grid md:grid-cols-2 gap-3">
+              {IMPORT_FIELDS.map(field => (
+                <label key={field.key} className="flex items-center justify-between gap-3 text-sm">
+                  <span>{field.label}{field.required && <span className="text-red-500"> *</span>}</span>
+                  <select
+                    value={mapping[field.key] || ''}
+                    onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                    className="p-1 border rounded w-48"
+                  >
+                    <option value="">— Don't import —</option>
+                    {file.columns.map(column => <option key={column} value={column}>{column}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-2 mt-4">
+              <button onClick={handlePreview} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm">
+                Preview Import
+              </button>
+              <button onClick={reset} className="px-4 py-2 rounded-lg border text-sm hover:bg-gray-50">Cancel</button>
+            </div>
+          </div>
+        )}
+
+        {preview && (
+          <div>
+            <p className="text-sm mb-3">
+              Dry run: <strong>{createCount}</strong> new, <strong>{updateCount}</strong> updated,{' '}
+              <strong className={errors.length > 0 ? 'text-red-600' : ''}>{errors.length}</strong> with errors.
+              Nothing has been saved yet.
+            </p>
+            <div className="max-h-80 overflow-y-auto border rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 border-b sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Row</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Name</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Result</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {preview.map(entry => (
+                    <tr key={entry.row} className={entry.error ? 'bg-red-50' : ''}>
+                      <td className="px-3 py-2 text-gray-500">{entry.row}</td>
+                      <td className="px-3 py-2">{entry.name || '—'}</td>
+                      <td className="px-3 py-2">
+                        {entry.error
+                          ? <span className="text-red-700">{entry.error}</span>
+                          : <span className="text-green-700">{entry.action === 'update' ? 'Update' : 'Create'}</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex flex-wrap gap-2 mt-4">
+              <button
+                onClick={handleApply}
+                disabled={createCount + updateCount === 0}
+                className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50"
+              >
+                Import {createCount + updateCount} Valid Rows
+              </button>
+              {errors.length > 0 && (
+                <button
+                  onClick={() => downloadFile(`import-errors-${today()}.csv`, errorReportCsv(preview), 'text/csv;charset=utf-8')}
+                  className="px-4 py-2 rounded-lg border text-sm hover:bg-gray-50"
+                >
+                  Download Error Report
+                </button>
+              )}
+              <button onClick={() => setPreview(null)} className="px-4 py-2 rounded-lg border text-sm hover:bg-gray-50">
+                ← Back to Mapping
+              </button>
+              <button onClick={reset} className="px-4 py-2 rounded-lg border text-sm hover:bg-gray-50">Cancel</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CatalogTransfer;
@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react';
+import { useCurrency } from '../context/CurrencyContext.jsx';
+import { SUPPORTED_CURRENCIES } from '../currency/settings.js';
+import { formatMoney } from '../currency/money.js';
+
+// Currency tab - base currency and hand-maintained exchange rates
+function CurrencyPanel({ showToast }) {
+  const { settings, updateSettings } = useCurrency();
+  const [baseCurrency, setBaseCurrency] = useState(settings.baseCurrency);
+  const [rates, setRates] = useState({});
+
+  useEffect(() => {
+    setBaseCurrency(settings.baseCurrency);
+    setRates(Object.fromEntries(
+      Object.entries(settings.rates)
+        .filter(([code]) => code !== settings.baseCurrency)
+        .map(([code, rate]) => [code, String(rate)])
+    ));
+  }, [settings]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (baseCurrency !== settings.baseCurrency &&
+      !window.confirm(`Switch the base currency to ${baseCurrency}? Product prices are not converted; they will be read as ${baseCurrency}.`)) {
+      return;
+    }
+    if (await updateSettings({ baseCurrency, rates })) showToast('Currency settings saved', 'success');
+  };
+
+  return (
+    <form onSubmit={handleSave} className="bg-white rounded-lg shadow p-6 space-y-6">
+      <div>
+        <h2 className="text-xl font-bold mb-1">Currency</h2>
+        <p className="text-sm text-gray-500">
+          Prices are entered and charged in the base currency. Shoppers can view prices in any currency with a rate below.
+        </p>
+      </div>
+
+      <label className="block text-sm text-gray-600 max-w-xs">
+        Base currency
+        <select
+          value={baseCurrency}
+          onChange={(e) => setBaseCurrency(e.target.value)}
+          className="mt-1 w-full p-2 border rounded-lg bg-white focus:ring-2 focus:ring-blue-500"
+        >
+          {SUPPORTED_CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} - {c.name}</option>)}
+        </select>
+      </label>
+
+      <div>
+        <h3 className="font-semibold mb-2">Display currencies</h3>
+        <div className="space-y-2">
+          {SUPPORTED_CURRENCIES.filter(c => c.code !== baseCurrency).map(currency => (
+            <div key={currency.code} className="grid grid-cols-3 gap-3 items-center max-w-xl">
+              <span className="text-sm">{currency.code} - {currency.name}</span>
+              <input
+                type="number"
+                step="0.0001"
+                min="0"
+                placeholder="Not offered"
+                value={rates[currency.code] || ''}
+                onChange={(e) => setRates({ ...rates, [currency.code]: e.target.value })}
+                className="p-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                aria-label={`${currency.code} per 1 ${baseCurrency}`}
+              />
+              <span className="text-xs text-gray-500">
+                {parseFloat(rates[currency.code]) > 0
+                  ? `${formatMoney(1, baseCurrency)} = ${formatMoney(parseFloat(rates[currency.code]), currency.code)}`
+                  : 'Leave blank to hide'}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <button type="submit" className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition font-medium">
+        Save Currency Settings
+      </button>
+    </form>
+  );
+}
+
+export default CurrencyPanel;
@@ -0,0 +1,336 @@
+import { useState, useEffect } from 'react';
+import { getOrderStore, ORDER_STATUSES, ORDER_TRANSITIONS, transitionOrder, addOrderNote } from '../orders/index.js';
+import { formatVariantLabel } from '../utils/variants.js';
+import { SecurityUtils } from './security.js';
+import { formatMoney } from '../currency/money.js';
+import { translateLabel } from '../i18n/translate.js';
+import { DEFAULT_LOCALE } from '../i18n/locales.js';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-blue-100 text-blue-800',
+  shipped: 'bg-purple-100 text-purple-800',
+  delivered: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-200 text-gray-700',
+  refunded: 'bg-red-100 text-red-800'
+};
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-700'}`}>
+      {capitalize(status)}
+    </span>
+  );
+}
+
+function OrderDetail({ order, actor, canManage, onBack, onUpdated, showToast }) {
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const save = async (updates, message) => {
+    setSaving(true);
+    try {
+      const updated = await getOrderStore().update(order.id, updates);
+      onUpdated(updated);
+      showToast(message, 'success');
+      return true;
+    } catch (err) {
+      console.error('Order update error:', err);
+      showToast(err.message || 'Failed to update order', 'error');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTransition = (status) => {
+    if (['cancelled', 'refunded'].includes(status) &&
+      !window.confirm(`Mark order ${order.id} as ${status}? This cannot be undone.`)) return;
+    save(transitionOrder(order, status, actor), `Order marked as ${status}`);
+  };
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (SecurityUtils.detectAttack(note)) {
+      showToast('Invalid input detected', 'error');
+      return;
+    }
+    const text = SecurityUtils.sanitizeText(note);
+    if (!text) return;
+    if (await save(addOrderNote(order, text, actor), 'Note added')) setNote('');
+  };
+
+  return (
+    <div>
+      <div className="p-4 border-b bg-gray-50 flex items-center justify-between">
+        <button onClick={onBack} className="text-blue-600 hover:text-blue-800 font-medium">← All orders</button>
+        <StatusBadge status={order.status} />
+      </div>
+
+      <div className="p-4 grid md:grid-cols-3 gap-6">
+        <div className="md:col-span-2 space-y-6">
+          <div>
+            <h3 className="text-lg font-semibold font-mono">{order.id}</h3>
+            <p className="text-sm text-gray-500">Placed {formatDate(order.createdAt)}</p>
+          </div>
+
+          <table className="w-full text-sm">
+            <thead className="border-b">
+              <tr>
+                <th className="py-2 text-left font-medium text-gray-600">Item</th>
+                <th className="py-2 text-left font-medium text-gray-600">SKU</th>
+                <th className="py-2 text-right font-medium text-gray-600">Price</th>
+                <th className="py-2 text-right font-medium text-gray-600">Qty</th>
+                <th className="py-2 text-right font-medium text-gray-600">Total</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {order.items.map(item => (
+                <tr key={item.lineId}>
+                  <td className="py-2">
+                    {item.name}
+                    {item.variantOptions && (
+                      <span className="block text-xs text-gray-500">{formatVariantLabel(item.variantOptions)}</span>
+                    )}
+                  </td>
+                  <td className="py-2 text-gray-500">{item.sku || '—'}</td>
+                  <td className="py-2 text-right">{formatMoney(item.price, order.totals.currency)}</td>
+                  <td className="py-2 text-right">{item.quantity}</td>
+                  <td className="py-2 text-right">{formatMoney(item.lineTotal, order.totals.currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="border-t font-semibold">
+              {order.totals.discount > 0 && (
+                <tr className="text-green-700 font-normal">
+                  <td colSpan={4} className="py-2 text-right">
+                    Discount{order.totals.promotionCode ? ` (${order.totals.promotionCode})` : ''}
+                  </td>
+                  <td className="py-2 text-right">−{formatMoney(order.totals.discount, order.totals.currency)}</td>
+                </tr>
+              )}
+              {order.totals.shipping > 0 && (
+                <tr className="font-normal">
+                  <td colSpan={4} className="py-2 text-right">
+                    Shipping{order.totals.shippingLabel ? ` (${translateLabel(DEFAULT_LOCALE, order.totals.shippingLabel)})` : ''}
+                  </td>
+                  <td className="py-2 text-right">{formatMoney(order.totals.shipping, order.totals.currency)}</td>
+                </tr>
+              )}
+              {order.totals.tax > 0 && (
+                <tr className="font-normal">
+                  <td colSpan={4} className="py-2 text-right">
+                    Tax{order.totals.taxLabel ? ` (${translateLabel(DEFAULT_LOCALE, order.totals.taxLabel)})` : ''}
+                  </td>
+                  <td className="py-2 text-right">{formatMoney(order.totals.tax, order.totals.currency)}</td>
+                </tr>
+              )}
+              <tr>
+                <td colSpan={4} className="py-2 text-right">Total</td>
+                <td className="py-2 text-right">{formatMoney(order.totals.total, order.totals.currency)}</td>
+              </tr>
+            </tfoot>
+          </table>
+
+          <div>
+            <h4 className="font-semibold mb-2">Internal Notes</h4>
+            {(order.notes || []).length === 0 ? (
+              <p className="text-sm text-gray-400 mb-2">No notes yet.</p>
+            ) : (
+              <ul className="space-y-2 mb-3">
+                {order.notes.map((n, index) => (
+                  <li key={index} className="text-sm bg-yellow-50 border border-yellow-100 rounded p-2">
+                    <p className="whitespace-pre-line">{n.text}</p>
+                    <p className="text-xs text-gray-500 mt-1">{n.author || 'Staff'} · {formatDate(n.at)}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {canManage && (
+              <form onSubmit={handleAddNote} className="flex gap-2">
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="Add a note (only visible to staff)"
+                  className="flex-grow p-2 border rounded-lg text-sm"
+                  maxLength={1000}
+                />
+                <button type="submit" disabled={saving || !note.trim()} className="bg-gray-800 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50">
+                  Add
+                </button>
+              </form>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          <div>
+            <h4 className="font-semibold mb-2">Customer</h4>
+            <p className="text-sm">{order.customer.name}</p>
+            <a href={`mailto:${order.customer.email}`} className="text-sm text-blue-600 hover:underline">{order.customer.email}</a>
+          </div>
+          <div>
+            <h4 className="font-semibold mb-2">Shipping Address</h4>
+            <p className="text-sm">{order.shipping.address}</p>
+            <p className="text-sm">{[order.shipping.city, order.shipping.region, order.shipping.zip].filter(Boolean).join(' ')}</p>
+            {order.shipping.country && <p className="text-sm">{order.shipping.country}</p>}
+          </div>
+          <div>
+            <h4 className="font-semibold mb-2">Update Status</h4>
+            {!canManage ? (
+              <p className="text-sm text-gray-400">Your role can't change orders.</p>
+            ) : (ORDER_TRANSITIONS[order.status] || []).length === 0 ? (
+              <p className="text-sm text-gray-400">No further changes possible.</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {ORDER_TRANSITIONS[order.status].map(status => (
+                  <button
+                    key={status}
+                    onClick={() => handleTransition(status)}
+                    disabled={saving}
+                    className={`px-3 py-1 rounded-lg text-sm font-medium border hover:bg-gray-50 disabled:opacity-50 ${['cancelled', 'refunded'].includes(status) ? 'text-red-600 border-red-200' : 'text-gray-700'}`}
+                  >
+                    Mark {status}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <div>
+            <h4 className="font-semibold mb-2">History</h4>
+            <ol className="space-y-2 text-sm border-l pl-4">
+              {(order.statusHistory || []).map((entry, index) => (
+                <li key={index}>
+                  <StatusBadge status={entry.status} />
+                  <span className="block text-xs text-gray-500 mt-1">
+                    {formatDate(entry.at)}{entry.by ? ` · ${entry.by}` : ''}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Orders tab - list, filter by status, drill into one order
+// Without `canManage` orders are read-only
+function OrdersPanel({ actor, canManage, showToast }) {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const loadOrders = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setOrders(await getOrderStore().list());
+    } catch (err) {
+      console.error('Failed to load orders:', err);
+      setError('Failed to load orders. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadOrders();
+  }, []);
+
+  const handleUpdated = (updated) => {
+    setOrders(prev => prev.map(o => o.id === updated.id ? updated : o));
+  };
+
+  const selected = orders.find(o => o.id === selectedId);
+  if (selected) {
+    return (
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <OrderDetail
+          order={selected}
+          actor={actor}
+          canManage={canManage}
+          onBack={() => setSelectedId(null)}
+          onUpdated={handleUpdated}
+          showToast={showToast}
+        />
+      </div>
+    );
+  }
+
+  const visible = statusFilter ? orders.filter(o => o.status === statusFilter) : orders;
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="p-4 border-b bg-gray-50 flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-lg font-semibold">Orders ({orders.length})</h2>
+        <button onClick={loadOrders} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+          ↻ Refresh
+        </button>
+      </div>
+
+      <div className="px-4 py-3 border-b flex flex-wrap gap-2">
+        {['', ...ORDER_STATUSES].map(status => {
+          const count = status ? orders.filter(o => o.status === status).length : orders.length;
+          return (
+            <button
+              key={status || 'all'}
+              onClick={() => setStatusFilter(status)}
+              className={`px-3 py-1 rounded-full text-sm ${statusFilter === status ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {status ? capitalize(status) : 'All'} ({count})
+            </button>
+          );
+        })}
+      </div>
+
+      {loading ? (
+        <p className="p-8 text-center text-gray-500">⏳ Loading orders...</p>
+      ) : error ? (
+        <p className="p-8 text-center text-red-600">{error}</p>
+      ) : visible.length === 0 ? (
+        <p className="p-8 text-center text-gray-500">No orders {statusFilter ? `marked ${statusFilter}` : 'yet'}.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Order</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Date</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Customer</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Items</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Total</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {visible.map(order => (
+                <tr key={order.id} onClick={() => setSelectedId(order.id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-4 py-3 font-mono text-sm">{order.id}</td>
+                  <td className="px-4 py-3 text-sm">{formatDate(order.createdAt)}</td>
+                  <td className="px-4 py-3 text-sm">
+                    {order.customer.name}
+                    <span className="block text-xs text-gray-500">{order.customer.email}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm">{order.items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+                  <td className="px-4 py-3 text-sm">{formatMoney(order.totals.total, order.totals.currency)}</td>
+                  <td className="px-4 py-3"><StatusBadge status={order.status} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OrdersPanel;
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react';
+import { getRevisionStore, REVISION_ACTIONS } from '../revisions/index.js';
+import { diffFields } from '../audit/index.js';
+
+const HIDDEN_FIELDS = ['id', 'createdAt'];
+const CURRENT = 'current';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value, null, 1) : String(value);
+};
+
+const revisionLabel = (revision) =>
+  `${new Date(revision.at).toLocaleString()} · ${REVISION_ACTIONS[revision.action] || revision.action}` +
+  (revision.actor ? ` · ${revision.actor.email || revision.actor.uid}` : '');
+
+// Revision history for one product - compare any two versions side by side
+// and restore one. `current` is null when the product is in the trash.
+function ProductHistory({ productId, productName, current, onRestore, onClose }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [leftId, setLeftId] = useState('');
+  const [rightId, setRightId] = useState(CURRENT);
+
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        const list = await getRevisionStore().list(productId);
+        setRevisions(list);
+        // Start by comparing the previous version with what's live now
+        setLeftId((current ? list[1] || list[0] : list[0])?.id || '');
+        setRightId(current ? CURRENT : list[1]?.id || '');
+      } catch (err) {
+        console.error('Failed to load revisions:', err);
+        setError('Failed to load the history of this product.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRevisions();
+  }, [productId]);
+
+  const pick = (id) => (id === CURRENT ? current : revisions.find(r => r.id === id)?.product) || null;
+  const left = revisions.find(r => r.id === leftId);
+  const leftProduct = pick(leftId);
+  const rightProduct = pick(rightId);
+  const changed = new Set(diffFields(leftProduct, rightProduct).map(change => change.field));
+  const fields = [...new Set([...Object.keys(leftProduct || {}), ...Object.keys(rightProduct || {})])]
+    .filter(field => !HIDDEN_FIELDS.includes(field))
+    .sort((a, b) => Number(changed.has(b)) - Number(changed.has(a)));
+
+  const handleRestore = () => {
+    if (!window.confirm(`Restore "${productName}" to the version from ${new Date(left.at).toLocaleString()}?`)) return;
+    onRestore(left);
+  };
+
+  const versionSelect = (value, onChange, allowCurrent) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="p-1 border rounded text-sm w-full">
+      {allowCurrent && current && <option value={CURRENT}>Current version</option>}
+      {revisions.map(revision => <option key={revision.id} value={revision.id}>{revisionLabel(revision)}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-40" role="dialog" aria-modal="true">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold">History: {productName}</h2>
+            <p className="text-xs text-gray-500">{revisions.length} saved versions. Changed fields are listed first.</p>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-xl" aria-label="Close">✕</button>
+        </div>
+
+        {loading ? (
+          <p className="p-8 text-center text-gray-500">⏳ Loading history...</p>
+        ) : error ? (
+          <p className="p-8 text-center text-red-600">{error}</p>
+        ) : revisions.length === 0 ? (
+          <p className="p-8 text-center text-gray-500">No earlier versions yet. History starts with the next change.</p>
+        ) : (
+          <>
+            <div className="p-4 border-b grid grid-cols-[10rem_1fr_1fr] gap-3 items-center">
+              <span className="text-sm font-medium text-gray-600">Compare</span>
+              {versionSelect(leftId, setLeftId, false)}
+              {versionSelect(rightId, setRightId, true)}
+            </div>
+            <div className="overflow-y-auto">
+              <table className="w-full text-sm table-fixed">
+                <tbody className="divide-y">
+                  {fields.map(field => (
+                    <tr key={field} className={changed.has(field) ? 'bg-yellow-50' : ''}>
+                      <td className="px-4 py-2 w-40 font-medium text-gray-600 align-top">{field}</td>
+                      <td className="px-4 py-2 align-top whitespace-pre-wrap break-words">{formatValue(leftProduct?.[field])}</td>
+                      <td className="px-4 py-2 align-top whitespace-pre-wrap break-words">{formatValue(rightProduct?.[field])}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="p-4 border-t flex justify-end gap-2">
+              <button onClick={onClose} className="px-4 py-2 rounded-lg border text-sm hover:bg-gray-50">Close</button>
+              <button
+                onClick={handleRestore}
+                disabled={!left}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50"
+              >
+                Restore Left Version
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ProductHistory;
@@ -0,0 +1,370 @@
+import { useState } from 'react';
+import { getAvailableStock, isTracked } from '../utils/inventory.js';
+import { hasVariants } from '../utils/variants.js';
+import { SecurityUtils } from './security.js';
+import { parsePrice } from './bulkEdit.js';
+import { PRODUCT_STATUSES, getPublishState } from '../utils/publishing.js';
+
+const PUBLISH_BADGES = {
+  live: { label: 'Live', className: 'bg-green-100 text-green-800' },
+  upcoming: { label: 'Scheduled', className: 'bg-blue-100 text-blue-800' },
+  ended: { label: 'Ended', className: 'bg-gray-100 text-gray-700' },
+  draft: { label: 'Draft', className: 'bg-yellow-100 text-yellow-800' },
+  archived: { label: 'Archived', className: 'bg-gray-100 text-gray-700' }
+};
+
+// Whether shoppers see the product right now, with the window when there is one
+function PublishBadge({ product }) {
+  const badge = PUBLISH_BADGES[getPublishState(product)];
+  const date = (value) => new Date(value).toLocaleString();
+  const schedule = [
+    product.publishAt && `from ${date(product.publishAt)}`,
+    product.unpublishAt && `until ${date(product.unpublishAt)}`
+  ].filter(Boolean).join(' ');
+  return (
+    <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${badge.className}`} title={schedule || undefined}>
+      {badge.label}
+    </span>
+  );
+}
+
+function StockBadge({ product, lowStockThreshold }) {
+  const stock = getAvailableStock(product);
+  if (stock <= 0) {
+    return <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">Sold Out</span>;
+  }
+  if (!isTracked(product)) {
+    return <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">In Stock</span>;
+  }
+  return (
+    <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${stock <= lowStockThreshold ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`}>
+      {stock} in stock
+    </span>
+  );
+}
+
+// Click-to-edit cell - Enter or blur saves, Escape cancels. `onSave` returns
+// an error message to keep the cell open.
+function EditableCell({ value, onSave, inputMode, children }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState('');
+
+  const save = () => {
+    if (draft === null) return;
+    if (draft === value) {
+      setDraft(null);
+      return;
+    }
+    const message = onSave(draft);
+    if (message) {
+      setError(message);
+      return;
+    }
+    setDraft(null);
+    setError('');
+  };
+
+  const cancel = () => {
+    setDraft(null);
+    setError('');
+  };
+
+  if (draft === null) {
+    return (
+      <button
+        onClick={() => setDraft(value)}
+        className="text-left rounded px-1 -mx-1 hover:bg-blue-50 hover:ring-1 hover:ring-blue-200"
+        title="Click to edit"
+      >
+        {children}
+      </button>
+    );
+  }
+
+  return (
+    <div>
+      <input
+        autoFocus
+        inputMode={inputMode}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={save}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') save();
+          if (e.key === 'Escape') cancel();
+        }}
+        className={`w-24 p-1 border rounded text-sm ${error ? 'border-red-500' : ''}`}
+      />
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+// Products list with row selection, bulk actions and inline price/stock edits.
+// Without `onDelete` the delete actions are hidden.
+function ProductTable({
+  products, loading, categories, lowStockThreshold, baseCurrency, formatBase,
+  onEdit, onDelete, onBulkAction, onInlineEdit, lastEdit, onUndo, onDismissUndo, onHistory
+}) {
+  const [selected, setSelected] = useState(() => new Set());
+  const [priceAdjust, setPriceAdjust] = useState({ mode: 'percent', amount: '' });
+
+  // Drop ids that were deleted since they were ticked
+  const selectedIds = products.filter(p => selected.has(p.id)).map(p => p.id);
+  const allSelected = products.length > 0 && selectedIds.length === products.length;
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setSelected(next);
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(products.map(p => p.id)));
+  };
+
+  const runBulk = (action, label) => {
+    if (onBulkAction(selectedIds, action, label) && action.type === 'delete') {
+      setSelected(new Set());
+    }
+  };
+
+  const handleSetCategory = (categoryId) => {
+    const category = categories.find(c => c.id === categoryId) || null;
+    runBulk(
+      { type: 'setCategory', params: { category } },
+      `Moved ${selectedIds.length} products to ${category ? category.name : 'no category'}`
+    );
+  };
+
+  const handleSetStatus = (status) => {
+    runBulk(
+      { type: 'setStatus', params: { status } },
+      `Set ${selectedIds.length} products to ${PRODUCT_STATUSES[status]}`
+    );
+  };
+
+  const handleAdjustPrice = () => {
+    const amount = parseFloat(priceAdjust.amount);
+    if (!amount) return;
+    const label = priceAdjust.mode === 'percent'
+      ? `Adjusted ${selectedIds.length} prices by ${amount > 0 ? '+' : ''}${amount}%`
+      : `Adjusted ${selectedIds.length} prices by ${amount > 0 ? '+' : '-'}${formatBase(Math.abs(amount))}`;
+    runBulk({ type: 'adjustPrice', params: { mode: priceAdjust.mode, amount, currency: baseCurrency } }, label);
+    setPriceAdjust({ ...priceAdjust, amount: '' });
+  };
+
+  const savePrice = (product, input) => {
+    const price = parsePrice(input, baseCurrency);
+    if (!price) return 'Enter a price above 0';
+    onInlineEdit(product, { price }, `Changed price of "${SecurityUtils.sanitizeName(product.name)}"`);
+    return '';
+  };
+
+  const saveStock = (product, input) => {
+    const stock = Number(input);
+    if (input.trim() === '' || !Number.isInteger(stock) || stock < 0) return 'Enter a whole number';
+    onInlineEdit(product, { stock, inStock: stock > 0 }, `Changed stock of "${SecurityUtils.sanitizeName(product.name)}"`);
+    return '';
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="p-4 border-b bg-gray-50">
+        <h2 className="text-lg font-semibold">Products ({products.length})</h2>
+        <p className="text-xs text-gray-500">Click a price or stock count to edit it in place.</p>
+      </div>
+
+      {lastEdit && (
+        <div className="px-4 py-3 border-b bg-blue-50 flex items-center justify-between gap-4 text-sm">
+          <span>{lastEdit.label}</span>
+          <div className="flex items-center gap-3">
+            <button onClick={onUndo} className="text-blue-700 hover:text-blue-900 font-medium">↶ Undo</button>
+            <button onClick={onDismissUndo} className="text-gray-500 hover:text-gray-700" aria-label="Dismiss">✕</button>
+          </div>
+        </div>
+      )}
+
+      {selectedIds.length > 0 && (
+        <div className="px-4 py-3 border-b bg-yellow-50 flex flex-wrap items-center gap-3 text-sm">
+          <span className="font-medium">{selectedIds.length} selected</span>
+          <select
+            value=""
+            onChange={(e) => e.target.value && handleSetCategory(e.target.value === 'none' ? '' : e.target.value)}
+            className="p-1 border rounded"
+          >
+            <option value="">Set category…</option>
+            {categories.map(category => <option key={category.id} value={category.id}>{category.name}</option>)}
+            <option value="none">No category</option>
+          </select>
+          <select
+            value=""
+            onChange={(e) => e.target.value && handleSetStatus(e.target.value)}
+            className="p-1 border rounded"
+          >
+            <option value="">Set status…</option>
+            <option value="published">Publish now</option>
+            <option value="draft">Move to draft</option>
+            <option value="archived">Archive</option>
+          </select>
+          <button
+            onClick={() => runBulk({ type: 'setInStock', params: { inStock: true } }, `Marked ${selectedIds.length} products in stock`)}
+            className="px-2 py-1 rounded border bg-white hover:bg-gray-50"
+          >
+            Mark In Stock
+          </button>
+          <button
+            onClick={() => runBulk({ type: 'setInStock', params: { inStock: false } }, `Marked ${selectedIds.length} products out of stock`)}
+            className="px-2 py-1 rounded border bg-white hover:bg-gray-50"
+          >
+            Mark Sold Out
+          </button>
+          <div className="flex items-center gap-1">
+            <select
+              value={priceAdjust.mode}
+              onChange={(e) => setPriceAdjust({ ...priceAdjust, mode: e.target.value })}
+              className="p-1 border rounded"
+            >
+              <option value="percent">Price %</option>
+              <option value="fixed">Price ±</option>
+            </select>
+            <input
+              type="number"
+              step="0.01"
+              value={priceAdjust.amount}
+              onChange={(e) => setPriceAdjust({ ...priceAdjust, amount: e.target.value })}
+              onKeyDown={(e) => e.key === 'Enter' && handleAdjustPrice()}
+              placeholder={priceAdjust.mode === 'percent' ? 'e.g. -10' : 'e.g. 5'}
+              className="w-24 p-1 border rounded"
+            />
+            <button
+              onClick={handleAdjustPrice}
+              disabled={!parseFloat(priceAdjust.amount)}
+              className="px-2 py-1 rounded border bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Apply
+            </button>
+          </div>
+          <button
+            onClick={() => runBulk({ type: 'duplicate' }, `Duplicated ${selectedIds.length} products`)}
+            className="px-2 py-1 rounded border bg-white hover:bg-gray-50"
+          >
+            Duplicate
+          </button>
+          {onDelete && (
+            <button
+              onClick={() => runBulk({ type: 'delete' }, `Deleted ${selectedIds.length} products`)}
+              className="px-2 py-1 rounded border border-red-200 bg-white text-red-600 hover:bg-red-50"
+            >
+              Delete
+            </button>
+          )}
+          <button onClick={() => setSelected(new Set())} className="text-gray-500 hover:text-gray-700 ml-auto">
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="p-8 text-center text-gray-500">⏳ Loading products...</p>
+      ) : products.length === 0 ? (
+        <div className="p-8 text-center text-gray-500">
+          <p>No products yet. Add your first product above!</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-4 py-3 text-left">
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all products" />
+                </th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Image</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Name</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Price</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Stock</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Status</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Payment</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {products.map(product => (
+                <tr key={product.id} className={selected.has(product.id) ? 'bg-yellow-50' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-3">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(product.id)}
+                      onChange={() => toggle(product.id)}
+                      aria-label={`Select ${SecurityUtils.sanitizeName(product.name)}`}
+                    />
+                  </td>
+                  <td className="px-4 py-3">
+                    <img
+                      src={product.image || 'https://placehold.co/50x50?text=No+Image'}
+                      alt={SecurityUtils.sanitizeName(product.name)}
+                      className="w-12 h-12 object-cover rounded border"
+                      onError={(e) => { e.target.src = 'https://placehold.co/50x50?text=Error'; }}
+                    />
+                  </td>
+                  <td className="px-4 py-3 font-medium">
+                    {product.name}
+                    {product.variants?.length > 0 && (
+                      <span className="block text-xs text-gray-500 font-normal">{product.variants.length} variants</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3">
+                    <EditableCell value={String(product.price)} inputMode="decimal" onSave={(input) => savePrice(product, input)}>
+                      {formatBase(product.price)}
+                    </EditableCell>
+                  </td>
+                  <td className="px-4 py-3">
+                    {/* Variant stock lives on each variant, so it's edited in the form */}
+                    {hasVariants(product) ? (
+                      <StockBadge product={product} lowStockThreshold={lowStockThreshold} />
+                    ) : (
+                      <EditableCell
+                        value={isTracked(product) ? String(getAvailableStock(product)) : ''}
+                        inputMode="numeric"
+                        onSave={(input) => saveStock(product, input)}
+                      >
+                        <StockBadge product={product} lowStockThreshold={lowStockThreshold} />
+                      </EditableCell>
+                    )}
+                  </td>
+                  <td className="px-4 py-3">
+                    <PublishBadge product={product} />
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${product.externalPaymentUrl ? 'bg-purple-100 text-purple-800' : 'bg-blue-100 text-blue-800'}`}>
+                      {product.externalPaymentUrl ? 'External' : 'Cart'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3">
+                    <button onClick={() => onEdit(product)} className="text-blue-600 hover:text-blue-800 mr-4 font-medium">
+                      Edit
+                    </button>
+                    <button onClick={() => onHistory(product)} className="text-gray-600 hover:text-gray-800 mr-4 font-medium">
+                      History
+                    </button>
+                    {onDelete && (
+                      <button
+                        onClick={() => onDelete(product)}
+                        className="text-red-600 hover:text-red-800 font-medium"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProductTable;
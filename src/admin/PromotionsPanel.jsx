@@ -0,0 +1,399 @@
+import { useState, useEffect } from 'react';
+import { usePromotions } from '../context/PromotionContext.jsx';
+import { useCurrency } from '../context/CurrencyContext.jsx';
+import { PROMOTION_TYPES, normalizeCode, describePromotion, findPromotionByCode } from '../promotions/engine.js';
+import { SecurityUtils } from './security.js';
+import { translateLabel } from '../i18n/translate.js';
+import { DEFAULT_LOCALE } from '../i18n/locales.js';
+
+const EMPTY_PROMOTION_FORM = {
+  code: '',
+  type: 'percentage',
+  value: '',
+  buyQuantity: '1',
+  getQuantity: '1',
+  minSubtotal: '',
+  scopeType: 'all',
+  scopeIds: [],
+  startsAt: '',
+  endsAt: '',
+  usageLimit: '',
+  active: true
+};
+
+// datetime-local inputs work in local time without a zone suffix
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+const getPromotionStatus = (promotion, now = new Date()) => {
+  if (!promotion.active) return { label: 'Paused', style: 'bg-gray-200 text-gray-700' };
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) return { label: 'Scheduled', style: 'bg-blue-100 text-blue-800' };
+  if (promotion.endsAt && now > new Date(promotion.endsAt)) return { label: 'Expired', style: 'bg-red-100 text-red-800' };
+  if (promotion.usageLimit && (promotion.usageCount || 0) >= promotion.usageLimit) {
+    return { label: 'Used up', style: 'bg-red-100 text-red-800' };
+  }
+  return { label: 'Active', style: 'bg-green-100 text-green-800' };
+};
+
+// Promotions tab - discount codes and their rules
+function PromotionsPanel({ products, categories, showToast }) {
+  const { promotions, loadPromotions, addPromotion, updatePromotion, deletePromotion } = usePromotions();
+  const { baseCurrency, formatBase } = useCurrency();
+  const [editingId, setEditingId] = useState(null);
+  const [promoForm, setPromoForm] = useState(EMPTY_PROMOTION_FORM);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadPromotions().catch(err => {
+      console.error('Failed to load promotions:', err);
+      showToast('Failed to load discount codes. Please try again.', 'error');
+    });
+  }, []);
+
+  const productCategories = categories.filter(c => c.type === 'category');
+  const scopeOptions = promoForm.scopeType === 'category'
+    ? productCategories.map(c => ({ id: c.id, name: c.name }))
+    : products.map(p => ({ id: p.id, name: p.name }));
+
+  const resetForm = () => {
+    setEditingId(null);
+    setPromoForm(EMPTY_PROMOTION_FORM);
+    setError('');
+  };
+
+  const startEditPromotion = (promotion) => {
+    setEditingId(promotion.id);
+    setPromoForm({
+      code: promotion.code,
+      type: promotion.type,
+      value: promotion.value?.toString() || '',
+      buyQuantity: promotion.buyQuantity?.toString() || '1',
+      getQuantity: promotion.getQuantity?.toString() || '1',
+      minSubtotal: promotion.minSubtotal?.toString() || '',
+      scopeType: promotion.scope?.type || 'all',
+      scopeIds: promotion.scope?.ids || [],
+      startsAt: toLocalInput(promotion.startsAt),
+      endsAt: toLocalInput(promotion.endsAt),
+      usageLimit: promotion.usageLimit?.toString() || '',
+      active: promotion.active
+    });
+    setError('');
+  };
+
+  const toggleScopeId = (id) => {
+    setPromoForm(prev => ({
+      ...prev,
+      scopeIds: prev.scopeIds.includes(id) ? prev.scopeIds.filter(x => x !== id) : [...prev.scopeIds, id]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const code = normalizeCode(promoForm.code);
+    const value = parseFloat(SecurityUtils.sanitizePrice(promoForm.value)) || 0;
+    const sanitized = {
+      code,
+      type: PROMOTION_TYPES.some(t => t.value === promoForm.type) ? promoForm.type : 'percentage',
+      value,
+      buyQuantity: Math.max(1, parseInt(promoForm.buyQuantity, 10) || 1),
+      getQuantity: Math.max(1, parseInt(promoForm.getQuantity, 10) || 1),
+      minSubtotal: parseFloat(SecurityUtils.sanitizePrice(promoForm.minSubtotal)) || 0,
+      scope: {
+        type: ['all', 'category', 'product'].includes(promoForm.scopeType) ? promoForm.scopeType : 'all',
+        ids: promoForm.scopeType === 'all' ? [] : promoForm.scopeIds
+      },
+      startsAt: fromLocalInput(promoForm.startsAt),
+      endsAt: fromLocalInput(promoForm.endsAt),
+      usageLimit: Math.max(0, parseInt(promoForm.usageLimit, 10) || 0) || null,
+      active: Boolean(promoForm.active)
+    };
+
+    if (code.length < 3) {
+      setError('Code must be at least 3 letters or numbers');
+      return;
+    }
+    const existing = findPromotionByCode(promotions, code);
+    if (existing && existing.id !== editingId) {
+      setError(`Code ${code} already exists`);
+      return;
+    }
+    if (sanitized.type === 'percentage' && (value <= 0 || value > 100)) {
+      setError('Percentage must be between 1 and 100');
+      return;
+    }
+    if (sanitized.type === 'fixed' && value <= 0) {
+      setError('Please enter a valid amount');
+      return;
+    }
+    if (sanitized.scope.type !== 'all' && sanitized.scope.ids.length === 0) {
+      setError(`Pick at least one ${sanitized.scope.type}`);
+      return;
+    }
+    if (sanitized.startsAt && sanitized.endsAt && sanitized.endsAt <= sanitized.startsAt) {
+      setError('End date must be after the start date');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await updatePromotion(editingId, sanitized);
+        showToast(`${code} updated`, 'success');
+      } else {
+        await addPromotion(sanitized);
+        showToast(`${code} created`, 'success');
+      }
+      resetForm();
+    } catch (err) {
+      console.error('Failed to save promotion:', err);
+      setError(`Failed to save ${code}. Please try again.`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (promotion) => {
+    if (!window.confirm(`Delete code ${promotion.code}?`)) return;
+    try {
+      await deletePromotion(promotion.id);
+      if (editingId === promotion.id) resetForm();
+      showToast(`${promotion.code} has been deleted`, 'success');
+    } catch (err) {
+      console.error('Failed to delete promotion:', err);
+      showToast(`Failed to delete ${promotion.code}`, 'error');
+    }
+  };
+
+  const describeScope = (promotion) => {
+    const scope = promotion.scope || { type: 'all', ids: [] };
+    if (scope.type === 'all') return 'Entire store';
+    const names = scope.type === 'category'
+      ? scope.ids.map(id => productCategories.find(c => c.id === id)?.name).filter(Boolean)
+      : scope.ids.map(id => products.find(p => p.id === id)?.name).filter(Boolean);
+    return names.join(', ') || `No ${scope.type}`;
+  };
+
+  return (
+    <div className="space-y-8">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-bold mb-4">{editingId ? 'Edit Discount Code' : 'New Discount Code'}</h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">⚠️ {error}</div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <input
+            type="text"
+            placeholder="Code (e.g. SUMMER20)"
+            required
+            value={promoForm.code}
+            onChange={(e) => setPromoForm({ ...promoForm, code: e.target.value })}
+            className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 uppercase"
+            maxLength={32}
+          />
+          <select
+            value={promoForm.type}
+            onChange={(e) => setPromoForm({ ...promoForm, type: e.target.value })}
+            className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 bg-white"
+          >
+            {PROMOTION_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+          {promoForm.type === 'percentage' || promoForm.type === 'fixed' ? (
+            <input
+              type="number"
+              placeholder={promoForm.type === 'percentage' ? 'Percent off' : `Amount off (${baseCurrency})`}
+              required
+              step="0.01"
+              min="0"
+              max={promoForm.type === 'percentage' ? '100' : '999999.99'}
+              value={promoForm.value}
+              onChange={(e) => setPromoForm({ ...promoForm, value: e.target.value })}
+              className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
+            />
+          ) : promoForm.type === 'bxgy' ? (
+            <div className="flex items-center gap-2 text-sm text-gray-700">
+              Buy
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={promoForm.buyQuantity}
+                onChange={(e) => setPromoForm({ ...promoForm, buyQuantity: e.target.value })}
+                className="p-3 border rounded-lg w-20"
+              />
+              get
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={promoForm.getQuantity}
+                onChange={(e) => setPromoForm({ ...promoForm, getQuantity: e.target.value })}
+                className="p-3 border rounded-lg w-20"
+              />
+              free
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 self-center">Removes the shipping charge.</p>
+          )}
+
+          <input
+            type="number"
+            placeholder={`Minimum subtotal (${baseCurrency}, optional)`}
+            step="0.01"
+            min="0"
+            value={promoForm.minSubtotal}
+            onChange={(e) => setPromoForm({ ...promoForm, minSubtotal: e.target.value })}
+            className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+          <input
+            type="number"
+            placeholder="Usage limit (optional)"
+            step="1"
+            min="0"
+            value={promoForm.usageLimit}
+            onChange={(e) => setPromoForm({ ...promoForm, usageLimit: e.target.value })}
+            className="p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={promoForm.active}
+              onChange={(e) => setPromoForm({ ...promoForm, active: e.target.checked })}
+              className="w-4 h-4 text-blue-600"
+            />
+            Active
+          </label>
+
+          <label className="text-sm text-gray-600">
+            Starts (optional)
+            <input
+              type="datetime-local"
+              value={promoForm.startsAt}
+              onChange={(e) => setPromoForm({ ...promoForm, startsAt: e.target.value })}
+              className="mt-1 p-3 border rounded-lg w-full"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Ends (optional)
+            <input
+              type="datetime-local"
+              value={promoForm.endsAt}
+              onChange={(e) => setPromoForm({ ...promoForm, endsAt: e.target.value })}
+              className="mt-1 p-3 border rounded-lg w-full"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Applies to
+            <select
+              value={promoForm.scopeType}
+              onChange={(e) => setPromoForm({ ...promoForm, scopeType: e.target.value, scopeIds: [] })}
+              className="mt-1 p-3 border rounded-lg w-full bg-white"
+            >
+              <option value="all">Entire store</option>
+              <option value="category">Specific categories</option>
+              <option value="product">Specific products</option>
+            </select>
+          </label>
+
+          {promoForm.scopeType !== 'all' && (
+            <div className="md:col-span-3 max-h-48 overflow-y-auto border rounded-lg divide-y">
+              {scopeOptions.length === 0 ? (
+                <p className="p-3 text-sm text-gray-400">Nothing to choose from yet.</p>
+              ) : scopeOptions.map(option => (
+                <label key={option.id} className="flex items-center gap-2 px-3 py-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={promoForm.scopeIds.includes(option.id)}
+                    onChange={() => toggleScopeId(option.id)}
+                  />
+                  {option.name}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="mt-6 flex gap-3">
+          <button type="submit" disabled={saving} className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition font-medium disabled:opacity-50">
+            {editingId ? 'Update Code' : 'Create Code'}
+          </button>
+          {editingId && (
+            <button type="button" onClick={resetForm} className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300 transition">
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="p-4 border-b bg-gray-50">
+          <h2 className="text-lg font-semibold">Discount Codes ({promotions.length})</h2>
+        </div>
+        {promotions.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <p>No discount codes yet. Create your first one above!</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b">
+                <tr>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Code</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Offer</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Applies To</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Used</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Status</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {promotions.map(promotion => {
+                  const status = getPromotionStatus(promotion);
+                  return (
+                    <tr key={promotion.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 font-mono font-medium">{promotion.code}</td>
+                      <td className="px-4 py-3 text-sm">
+                        {translateLabel(DEFAULT_LOCALE, describePromotion(promotion, formatBase))}
+                        {promotion.minSubtotal > 0 && (
+                          <span className="block text-xs text-gray-500">Min. {formatBase(promotion.minSubtotal)}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm">{describeScope(promotion)}</td>
+                      <td className="px-4 py-3 text-sm">
+                        {promotion.usageCount || 0}{promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${status.style}`}>
+                          {status.label}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3">
+                        <button onClick={() => startEditPromotion(promotion)} className="text-blue-600 hover:text-blue-800 mr-4 font-medium">
+                          Edit
+                        </button>
+                        <button onClick={() => handleDelete(promotion)} className="text-red-600 hover:text-red-800 font-medium">
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PromotionsPanel;
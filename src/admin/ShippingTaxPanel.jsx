@@ -0,0 +1,275 @@
+import { useState, useEffect } from 'react';
+import { usePricing } from '../context/PricingContext.jsx';
+import { useCurrency } from '../context/CurrencyContext.jsx';
+import { SHIPPING_METHODS } from '../pricing/settings.js';
+import { SecurityUtils } from './security.js';
+
+// Zone and rate rows keep comma-separated text while editing
+const toDraft = (settings) => ({
+  shipping: {
+    ...settings.shipping,
+    zones: settings.shipping.zones.map(zone => ({
+      ...zone,
+      countries: zone.countries.join(', '),
+      zipPrefixes: zone.zipPrefixes.join(', ')
+    }))
+  },
+  tax: { ...settings.tax, rates: [...settings.tax.rates] }
+});
+
+const newRowId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Shipping & Tax tab - rates feeding the storefront pricing pipeline
+function ShippingTaxPanel({ showToast }) {
+  const { settings, updateSettings } = usePricing();
+  const { baseCurrency } = useCurrency();
+  const [draft, setDraft] = useState(() => toDraft(settings));
+
+  useEffect(() => {
+    setDraft(toDraft(settings));
+  }, [settings]);
+
+  const setShipping = (updates) => {
+    setDraft(prev => ({ ...prev, shipping: { ...prev.shipping, ...updates } }));
+  };
+
+  const setTax = (updates) => {
+    setDraft(prev => ({ ...prev, tax: { ...prev.tax, ...updates } }));
+  };
+
+  const updateZone = (id, updates) => {
+    setShipping({ zones: draft.shipping.zones.map(z => z.id === id ? { ...z, ...updates } : z) });
+  };
+
+  const updateRate = (id, updates) => {
+    setTax({ rates: draft.tax.rates.map(r => r.id === id ? { ...r, ...updates } : r) });
+  };
+
+  const addZone = () => {
+    setShipping({
+      zones: [...draft.shipping.zones, {
+        id: newRowId(), name: '', countries: '', zipPrefixes: '',
+        flatRate: draft.shipping.flatRate, weightBase: draft.shipping.weightBase, weightRate: draft.shipping.weightRate
+      }]
+    });
+  };
+
+  const addRate = () => {
+    setTax({ rates: [...draft.tax.rates, { id: newRowId(), country: 'US', region: '', zipPrefix: '', rate: '' }] });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const saved = await updateSettings({
+      ...draft,
+      shipping: {
+        ...draft.shipping,
+        zones: draft.shipping.zones.map(zone => ({ ...zone, name: SecurityUtils.sanitizeName(zone.name) }))
+      }
+    });
+    if (saved) showToast('Shipping and tax rates saved', 'success');
+  };
+
+  const byWeight = draft.shipping.method === 'weight';
+  const inputClass = 'p-2 border rounded-lg focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <form onSubmit={handleSave} className="space-y-8">
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-bold mb-4">Shipping</h2>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label className="text-sm text-gray-600">
+            Method
+            <select
+              value={draft.shipping.method}
+              onChange={(e) => setShipping({ method: e.target.value })}
+              className={`mt-1 w-full bg-white ${inputClass}`}
+            >
+              {SHIPPING_METHODS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+          </label>
+          {byWeight ? (
+            <>
+              <label className="text-sm text-gray-600">
+                Base charge ({baseCurrency})
+                <input
+                  type="number" step="0.01" min="0"
+                  value={draft.shipping.weightBase}
+                  onChange={(e) => setShipping({ weightBase: e.target.value })}
+                  className={`mt-1 w-full ${inputClass}`}
+                />
+              </label>
+              <label className="text-sm text-gray-600">
+                Per {draft.shipping.weightUnit} ({baseCurrency})
+                <input
+                  type="number" step="0.01" min="0"
+                  value={draft.shipping.weightRate}
+                  onChange={(e) => setShipping({ weightRate: e.target.value })}
+                  className={`mt-1 w-full ${inputClass}`}
+                />
+              </label>
+            </>
+          ) : (
+            <label className="text-sm text-gray-600">
+              Flat rate ({baseCurrency})
+              <input
+                type="number" step="0.01" min="0"
+                value={draft.shipping.flatRate}
+                onChange={(e) => setShipping({ flatRate: e.target.value })}
+                className={`mt-1 w-full ${inputClass}`}
+              />
+            </label>
+          )}
+          <label className="text-sm text-gray-600">
+            Free shipping over ({baseCurrency}, 0 = never)
+            <input
+              type="number" step="0.01" min="0"
+              value={draft.shipping.freeOverThreshold}
+              onChange={(e) => setShipping({ freeOverThreshold: e.target.value })}
+              className={`mt-1 w-full ${inputClass}`}
+            />
+          </label>
+        </div>
+
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold">Zones</h3>
+            <button type="button" onClick={addZone} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+              + Add Zone
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mb-3">
+            Zones override the rate above. Countries are 2-letter codes; ZIP prefixes match the start of the postal code.
+            The most specific matching zone wins.
+          </p>
+          {draft.shipping.zones.length === 0 ? (
+            <p className="text-sm text-gray-400">No zones. Every destination uses the default rate.</p>
+          ) : (
+            <div className="space-y-2">
+              {draft.shipping.zones.map(zone => (
+                <div key={zone.id} className="grid grid-cols-2 md:grid-cols-6 gap-2 items-center">
+                  <input
+                    type="text" placeholder="Zone name" required
+                    value={zone.name}
+                    onChange={(e) => updateZone(zone.id, { name: e.target.value })}
+                    className={inputClass}
+                  />
+                  <input
+                    type="text" placeholder="Countries (US, CA)"
+                    value={zone.countries}
+                    onChange={(e) => updateZone(zone.id, { countries: e.target.value })}
+                    className={`uppercase ${inputClass}`}
+                  />
+                  <input
+                    type="text" placeholder="ZIP prefixes (optional)"
+                    value={zone.zipPrefixes}
+                    onChange={(e) => updateZone(zone.id, { zipPrefixes: e.target.value })}
+                    className={`uppercase ${inputClass}`}
+                  />
+                  {byWeight ? (
+                    <>
+                      <input
+                        type="number" step="0.01" min="0" placeholder={`Base (${baseCurrency})`}
+                        value={zone.weightBase}
+                        onChange={(e) => updateZone(zone.id, { weightBase: e.target.value })}
+                        className={inputClass}
+                      />
+                      <input
+                        type="number" step="0.01" min="0" placeholder={`Per ${draft.shipping.weightUnit} (${baseCurrency})`}
+                        value={zone.weightRate}
+                        onChange={(e) => updateZone(zone.id, { weightRate: e.target.value })}
+                        className={inputClass}
+                      />
+                    </>
+                  ) : (
+                    <input
+                      type="number" step="0.01" min="0" placeholder={`Rate (${baseCurrency})`}
+                      value={zone.flatRate}
+                      onChange={(e) => updateZone(zone.id, { flatRate: e.target.value })}
+                      className={`md:col-span-2 ${inputClass}`}
+                    />
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setShipping({ zones: draft.shipping.zones.filter(z => z.id !== zone.id) })}
+                    className="text-red-600 hover:text-red-800 text-sm font-medium"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-xl font-bold">Sales Tax</h2>
+          <button type="button" onClick={addRate} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+            + Add Rate
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+          Leave a field blank to match any value. A ZIP prefix beats a state, which beats a country-wide rate.
+        </p>
+        <label className="flex items-center gap-2 text-gray-700 mb-4">
+          <input
+            type="checkbox"
+            checked={draft.tax.taxShipping}
+            onChange={(e) => setTax({ taxShipping: e.target.checked })}
+            className="w-4 h-4 text-blue-600"
+          />
+          Charge tax on shipping
+        </label>
+        {draft.tax.rates.length === 0 ? (
+          <p className="text-sm text-gray-400">No tax rates. Orders are not taxed.</p>
+        ) : (
+          <div className="space-y-2">
+            {draft.tax.rates.map(rate => (
+              <div key={rate.id} className="grid grid-cols-2 md:grid-cols-5 gap-2 items-center">
+                <input
+                  type="text" placeholder="Country (US)" maxLength={2}
+                  value={rate.country}
+                  onChange={(e) => updateRate(rate.id, { country: e.target.value })}
+                  className={`uppercase ${inputClass}`}
+                />
+                <input
+                  type="text" placeholder="State (CA)" maxLength={3}
+                  value={rate.region}
+                  onChange={(e) => updateRate(rate.id, { region: e.target.value })}
+                  className={`uppercase ${inputClass}`}
+                />
+                <input
+                  type="text" placeholder="ZIP prefix" maxLength={10}
+                  value={rate.zipPrefix}
+                  onChange={(e) => updateRate(rate.id, { zipPrefix: e.target.value })}
+                  className={`uppercase ${inputClass}`}
+                />
+                <input
+                  type="number" step="0.001" min="0" max="100" placeholder="Rate (%)" required
+                  value={rate.rate}
+                  onChange={(e) => updateRate(rate.id, { rate: e.target.value })}
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => setTax({ rates: draft.tax.rates.filter(r => r.id !== rate.id) })}
+                  className="text-red-600 hover:text-red-800 text-sm font-medium"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <button type="submit" className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition font-medium">
+        Save Rates
+      </button>
+    </form>
+  );
+}
+
+export default ShippingTaxPanel;
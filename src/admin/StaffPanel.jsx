@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { ROLES, STAFF_ROLES } from './roles.js';
+import { getStaffStore, createInvitation, isValidStaffEmail, normalizeStaffEmail } from '../staff/index.js';
+import { SecurityUtils } from './security.js';
+import { recordAudit } from '../audit/index.js';
+
+const STATUS_STYLES = {
+  invited: 'bg-yellow-100 text-yellow-800',
+  active: 'bg-green-100 text-green-800',
+  revoked: 'bg-gray-100 text-gray-600'
+};
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : '—');
+
+// Staff sign in on the admin page; new people create an account first
+const inviteMailto = (member) => {
+  const adminUrl = `${window.location.origin}${window.location.pathname}#/admin`;
+  const accountUrl = `${window.location.origin}${window.location.pathname}#/account`;
+  const body = `You've been added to our store team as ${ROLES[member.role].label}.\n\n` +
+    `Sign in at ${adminUrl} with ${member.email}.\n` +
+    `If you don't have an account yet, create one with this email at ${accountUrl} first.`;
+  return `mailto:${member.email}?subject=${encodeURIComponent('Your store admin invitation')}&body=${encodeURIComponent(body)}`;
+};
+
+// Staff tab - the owner invites people, changes their role or revokes access
+function StaffPanel({ actor, ownerEmail, showToast }) {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'fulfillment' });
+  const [saving, setSaving] = useState(false);
+
+  const loadMembers = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setMembers(await getStaffStore().list());
+    } catch (err) {
+      console.error('Failed to load staff:', err);
+      setError('Failed to load staff. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMembers();
+  }, []);
+
+  const replaceMember = (updated) => {
+    setMembers(prev => [updated, ...prev.filter(m => m.email !== updated.email)]);
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (SecurityUtils.detectAttack(invite.email)) {
+      showToast('Invalid input detected', 'error');
+      return;
+    }
+    const email = normalizeStaffEmail(SecurityUtils.sanitizeEmail(invite.email));
+    if (!isValidStaffEmail(email)) {
+      showToast('Enter a valid email address', 'error');
+      return;
+    }
+    if (email === normalizeStaffEmail(ownerEmail)) {
+      showToast('That is the owner account', 'error');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const member = await getStaffStore().invite(createInvitation({ email, role: invite.role, invitedBy: actor }));
+      replaceMember(member);
+      recordAudit({ action: 'staff.invite', target: { id: member.email, name: member.email }, before: null, after: member });
+      setInvite({ ...invite, email: '' });
+      showToast(`Invited ${member.email}`, 'success');
+    } catch (err) {
+      console.error('Invite error:', err);
+      showToast(err.message || 'Failed to invite staff member', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = async (member, updates, message) => {
+    try {
+      const updated = await getStaffStore().update(member.email, updates);
+      replaceMember(updated);
+      recordAudit({ action: 'staff.update', target: { id: member.email, name: member.email }, before: member, after: updated });
+      showToast(message, 'success');
+    } catch (err) {
+      console.error('Staff update error:', err);
+      showToast(err.message || 'Failed to update staff member', 'error');
+    }
+  };
+
+  const handleRevoke = (member) => {
+    if (!window.confirm(`Revoke admin access for ${member.email}?`)) return;
+    save(member, { status: 'revoked', revokedAt: new Date().toISOString(), revokedBy: actor }, `Revoked ${member.email}`);
+  };
+
+  // A re-invite starts over, so a different account can claim the address
+  const handleReinvite = (member) => {
+    save(member, { ...createInvitation({ email: member.email, role: member.role, invitedBy: actor }), revokedAt: null, revokedBy: null }, `Re-invited ${member.email}`);
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleInvite} className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold mb-1">Invite Staff</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Staff sign in on this page with the invited email and only see what their role allows.
+          Role changes and revocations apply the next time they open or return to the dashboard.
+        </p>
+        {!getStaffStore().grantsAccess && (
+          <p className="text-sm bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-3 mb-4">
+            Invitations are only saved in this browser, so staff can't sign in with them yet.
+            Set VITE_STAFF_API_URL to a staff backend to let them in.
+          </p>
+        )}
+        <div className="flex flex-wrap gap-3">
+          <input
+            type="email"
+            value={invite.email}
+            onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+            placeholder="name@example.com"
+            className="flex-grow min-w-[16rem] p-2 border rounded-lg"
+            maxLength={254}
+            required
+          />
+          <select
+            value={invite.role}
+            onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+            className="p-2 border rounded-lg"
+          >
+            {STAFF_ROLES.map(role => <option key={role} value={role}>{ROLES[role].label}</option>)}
+          </select>
+          <button type="submit" disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg disabled:opacity-50">
+            {saving ? 'Inviting...' : 'Send Invite'}
+          </button>
+        </div>
+        <ul className="mt-4 grid md:grid-cols-3 gap-2 text-xs text-gray-500">
+          {STAFF_ROLES.map(role => (
+            <li key={role}><strong className="text-gray-700">{ROLES[role].label}:</strong> {ROLES[role].description}</li>
+          ))}
+        </ul>
+      </form>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="p-4 border-b bg-gray-50 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Team ({members.filter(m => m.status !== 'revoked').length})</h2>
+          <button onClick={loadMembers} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+            ↻ Refresh
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="p-8 text-center text-gray-500">⏳ Loading staff...</p>
+        ) : error ? (
+          <p className="p-8 text-center text-red-600">{error}</p>
+        ) : members.length === 0 ? (
+          <p className="p-8 text-center text-gray-500">No staff yet. Only you can sign in.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b">
+                <tr>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Email</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Role</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Status</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Last Sign-in</th>
+                  <th className="px-4 py-3 text-right text-sm font-medium text-gray-600">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {members.map(member => (
+                  <tr key={member.email} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm">
+                      {member.email}
+                      <span className="block text-xs text-gray-500">Invited {formatDate(member.invitedAt)}{member.invitedBy ? ` by ${member.invitedBy}` : ''}</span>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {member.status === 'revoked' ? ROLES[member.role]?.label : (
+                        <select
+                          value={member.role}
+                          onChange={(e) => save(member, { role: e.target.value }, `${member.email} is now ${ROLES[e.target.value].label}`)}
+                          className="p-1 border rounded"
+                        >
+                          {STAFF_ROLES.map(role => <option key={role} value={role}>{ROLES[role].label}</option>)}
+                        </select>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[member.status]}`}>
+                        {member.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-sm">{formatDate(member.lastSignInAt)}</td>
+                    <td className="px-4 py-3 text-right text-sm whitespace-nowrap">
+                      {member.status === 'revoked' ? (
+                        <button onClick={() => handleReinvite(member)} className="text-blue-600 hover:text-blue-800">Re-invite</button>
+                      ) : (
+                        <>
+                          {member.status === 'invited' && (
+                            <a href={inviteMailto(member)} className="text-blue-600 hover:text-blue-800 mr-3">Email invite</a>
+                          )}
+                          <button onClick={() => handleRevoke(member)} className="text-red-600 hover:text-red-800">Revoke</button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StaffPanel;
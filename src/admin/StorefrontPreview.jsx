@@ -0,0 +1,46 @@
+import { useState } from 'react';
+import ProductCard from '../components/ProductCard.jsx';
+import { getPublishState } from '../utils/publishing.js';
+
+const PREVIEW_FILTERS = {
+  pending: { label: 'Not live yet', states: ['draft', 'upcoming'] },
+  draft: { label: 'Drafts', states: ['draft'] },
+  upcoming: { label: 'Scheduled', states: ['upcoming'] },
+  all: { label: 'Everything', states: ['draft', 'upcoming', 'live', 'ended', 'archived'] }
+};
+
+// Unpublished products rendered as the storefront will show them. Cards are
+// for looking only - shoppers can't open or buy them yet.
+function StorefrontPreview({ products, onClose }) {
+  const [filter, setFilter] = useState('pending');
+  const shown = products.filter(product => PREVIEW_FILTERS[filter].states.includes(getPublishState(product)));
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden mb-8">
+      <div className="p-4 border-b bg-gray-50 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold">Storefront Preview ({shown.length})</h2>
+          <p className="text-xs text-gray-500">How these products will look in the shop once they go live.</p>
+        </div>
+        <div className="flex items-center gap-3 text-sm">
+          <select value={filter} onChange={(e) => setFilter(e.target.value)} className="p-1 border rounded" aria-label="Show">
+            {Object.entries(PREVIEW_FILTERS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">Close Preview</button>
+        </div>
+      </div>
+
+      {shown.length === 0 ? (
+        <p className="p-8 text-center text-gray-500">Nothing to preview. Drafts and scheduled products show up here.</p>
+      ) : (
+        <div className="p-6 bg-gray-50 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 pointer-events-none select-none">
+          {shown.map(product => (
+            <ProductCard key={product.id} product={product} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StorefrontPreview;
@@ -0,0 +1,157 @@
+import { useState, useEffect, useRef } from 'react';
+import { getRevisionStore, getPurgeDate, isExpired, normalizeRetentionDays } from '../revisions/index.js';
+import { SecurityUtils } from './security.js';
+
+// Deleted products - restorable until the retention period runs out, then
+// purged along with their Drive images. `retentionDays` is null until the
+// saved value has loaded.
+function TrashPanel({ retentionDays, onSaveRetention, onRestore, onShowHistory, onPurge, showToast, refreshKey }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [retentionDraft, setRetentionDraft] = useState('');
+  const retentionLoaded = retentionDays !== null;
+  const expiredPurged = useRef(false);
+
+  useEffect(() => {
+    if (retentionLoaded) setRetentionDraft(String(retentionDays));
+  }, [retentionDays]);
+
+  const loadTrash = async ({ purgeExpired }) => {
+    setLoading(true);
+    setError('');
+    try {
+      const trash = await getRevisionStore().listTrash();
+      const expired = purgeExpired ? trash.filter(entry => isExpired(entry, retentionDays)) : [];
+      if (expired.length > 0) await onPurge(expired);
+      setEntries(trash.filter(entry => !expired.includes(entry)));
+    } catch (err) {
+      console.error('Failed to load trash:', err);
+      setError('Failed to load the trash. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Expired entries are purged once, on the first load with the saved
+  // retention; reloads after deletes/restores elsewhere only list
+  useEffect(() => {
+    const purgeExpired = retentionLoaded && !expiredPurged.current;
+    if (purgeExpired) expiredPurged.current = true;
+    loadTrash({ purgeExpired });
+  }, [retentionLoaded, refreshKey]);
+
+  const handlePurge = async (purged, message) => {
+    try {
+      await onPurge(purged);
+      setEntries(prev => prev.filter(entry => !purged.includes(entry)));
+      showToast(message, 'success');
+    } catch (err) {
+      console.error('Purge error:', err);
+      showToast(err.message || 'Failed to empty the trash', 'error');
+    }
+  };
+
+  const handleDeleteForever = (entry) => {
+    const name = SecurityUtils.sanitizeName(entry.product.name);
+    if (!window.confirm(`Permanently delete "${name}" and its images? This cannot be undone.`)) return;
+    handlePurge([entry], `"${name}" was permanently deleted`);
+  };
+
+  // A shorter period purges what's already past it, so it's confirmed first
+  const handleSaveRetention = async (e) => {
+    e.preventDefault();
+    const days = normalizeRetentionDays(retentionDraft);
+    const expired = entries.filter(entry => isExpired(entry, days));
+    const warning = expired.length > 0
+      ? `${expired.length} products in the trash are older than that and will be permanently deleted with their images.`
+      : 'Products in the trash are permanently deleted once they are older than that.';
+    if (!window.confirm(`Keep deleted products for ${days} days? ${warning}`)) {
+      setRetentionDraft(String(retentionDays));
+      return;
+    }
+    if (!(await onSaveRetention(days))) {
+      setRetentionDraft(String(retentionDays));
+      return;
+    }
+    showToast(`Deleted products are now kept for ${days} days`, 'success');
+    if (expired.length > 0) handlePurge(expired, `${expired.length} expired products were permanently deleted`);
+  };
+
+  const handleEmptyTrash = () => {
+    if (!window.confirm(`Permanently delete all ${entries.length} products in the trash? This cannot be undone.`)) return;
+    handlePurge(entries, 'Trash emptied');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden mt-8">
+      <div className="p-4 border-b bg-gray-50 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold">Trash ({entries.length})</h2>
+          <p className="text-xs text-gray-500">Deleted products and their images are kept until they're purged.</p>
+        </div>
+        <div className="flex items-center gap-3 text-sm">
+          <form onSubmit={handleSaveRetention} className="flex items-center gap-2">
+            <label className="flex items-center gap-2">
+              Purge after
+              <input
+                type="number"
+                min="1"
+                max="365"
+                required
+                value={retentionDraft}
+                onChange={(e) => setRetentionDraft(e.target.value)}
+                disabled={!retentionLoaded}
+                className="w-16 p-1 border rounded"
+              />
+              days
+            </label>
+            <button
+              type="submit"
+              disabled={!retentionLoaded || retentionDraft === String(retentionDays)}
+              className="px-3 py-1 rounded-lg border text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Save
+            </button>
+          </form>
+          <button
+            onClick={handleEmptyTrash}
+            disabled={entries.length === 0}
+            className="px-3 py-1 rounded-lg border border-red-200 text-red-600 hover:bg-red-50 disabled:opacity-50"
+          >
+            Empty Trash
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="p-8 text-center text-gray-500">⏳ Loading trash...</p>
+      ) : error ? (
+        <p className="p-8 text-center text-red-600">{error}</p>
+      ) : entries.length === 0 ? (
+        <p className="p-8 text-center text-gray-500">The trash is empty.</p>
+      ) : (
+        <ul className="divide-y">
+          {entries.map(entry => (
+            <li key={entry.productId} className="px-4 py-3 flex flex-wrap items-center justify-between gap-4">
+              <div>
+                <p className="font-medium">{entry.product.name}</p>
+                <p className="text-xs text-gray-500">
+                  Deleted {new Date(entry.deletedAt).toLocaleString()}{entry.deletedBy ? ` by ${entry.deletedBy}` : ''}
+                  {retentionLoaded && <>{' · '}purged {getPurgeDate(entry, retentionDays).toLocaleDateString()}</>}
+                </p>
+              </div>
+              <div className="flex items-center gap-4 text-sm">
+                <button onClick={() => onShowHistory(entry)} className="text-gray-600 hover:text-gray-800 font-medium">History</button>
+                <button onClick={() => onRestore(entry)} className="text-blue-600 hover:text-blue-800 font-medium">Restore</button>
+                <button onClick={() => handleDeleteForever(entry)} className="text-red-600 hover:text-red-800 font-medium">Delete Forever</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TrashPanel;
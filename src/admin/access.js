@@ -0,0 +1,32 @@
+// ============================================
+// Admin access check
+// ============================================
+//
+// Roles are decided by the backend, never by the browser: the owner check
+// asks the Alimi API, and staff claim their invitation through the staff
+// store, which only a backend can grant (see staff/index.js). The owner check
+// still sends `userId` as the existing endpoint expects; the ID token goes
+// along so the backend can switch to verifying it instead.
+
+import { getStaffStore } from '../staff/index.js';
+
+// Works out the admin role of a signed-in Firebase user: 'owner', a staff
+// role, or null for no access. Throws when a check can't be completed, and
+// callers must treat that as no access too.
+export const resolveAdminRole = async ({ user, projectId, apiUrl }) => {
+  const token = await user.getIdToken();
+  const response = await fetch(`${apiUrl}/api/verify-project-owner?` + new URLSearchParams({
+    userId: user.uid,
+    projectId
+  }), {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  if (!response.ok) throw new Error(`Owner check failed (${response.status})`);
+  const data = await response.json();
+  if (data.isOwner === true) return 'owner';
+
+  // Invitations go to an address, so only someone who proved they own it may claim one
+  if (!user.emailVerified) return null;
+  const member = await getStaffStore().claim();
+  return member?.role || null;
+};
@@ -0,0 +1,164 @@
+// ============================================
+// Bulk product edits with undo
+// ============================================
+//
+// Every bulk action is a pure function from the product list to a new one.
+// runBulkAction also returns an undo entry describing what it touched:
+//   { label, changed: [{ before, after }], removed: [{ product, index }], added: [product] }
+// Undo puts back only products that haven't been edited again since, so a
+// later form save is never silently reverted.
+
+import { SecurityUtils } from './security.js';
+import { getAvailableStock, isTracked } from '../utils/inventory.js';
+import { hasVariants } from '../utils/variants.js';
+import { getPublishState } from '../utils/publishing.js';
+import { roundMoney } from '../currency/money.js';
+
+// mode 'percent' moves the price by `amount`%; 'fixed' adds `amount` (either
+// may be negative). Prices round to the minor units of the base `currency`.
+export const adjustPrice = (price, { mode, amount, currency = 'USD' }) => {
+  const base = Number(price) || 0;
+  return roundMoney(mode === 'percent' ? base * (1 + amount / 100) : base + amount, currency);
+};
+
+// Parsed from a user-typed price; null when it isn't a usable price
+export const parsePrice = (input, currency = 'USD') => {
+  const price = roundMoney(parseFloat(SecurityUtils.sanitizePrice(input)), currency);
+  return price > 0 ? price : null;
+};
+
+// Each action maps one selected product to its replacement, or returns null
+// to leave it untouched (reported back as skipped)
+export const BULK_UPDATES = {
+  setCategory: (product, { category }) => ({
+    ...product,
+    categoryId: category?.id || null,
+    category: category?.name || ''
+  }),
+
+  // Tracked products can't be put back in stock without a quantity
+  setInStock: (product, { inStock }) => {
+    if (inStock) {
+      if (isTracked(product) && getAvailableStock(product) <= 0) return null;
+      return { ...product, inStock: true };
+    }
+    return {
+      ...product,
+      inStock: false,
+      stock: isTracked(product) ? 0 : product.stock,
+      variants: hasVariants(product) ? product.variants.map(v => ({ ...v, stock: 0 })) : product.variants
+    };
+  },
+
+  // Variants with their own price move with the product price
+  adjustPrice: (product, adjustment) => {
+    const price = adjustPrice(product.price, adjustment);
+    const variants = (product.variants || []).map(v =>
+      (v.price ? { ...v, price: adjustPrice(v.price, adjustment) } : v));
+    if (price <= 0 || variants.some(v => v.price !== null && v.price !== undefined && v.price <= 0)) return null;
+    return { ...product, price, variants };
+  },
+
+  // Publishing takes effect now, so a pending or ended window is dropped
+  setStatus: (product, { status }) => {
+    if (status !== 'published') return { ...product, status };
+    const state = getPublishState({ ...product, status });
+    return {
+      ...product,
+      status,
+      publishAt: state === 'upcoming' ? null : product.publishAt || null,
+      unpublishAt: state === 'ended' ? null : product.unpublishAt || null
+    };
+  }
+};
+
+export const generateProductId = (index = 0) => `${Date.now()}-${index}`;
+
+// Copies share image URLs but not Drive files, so deleting a copy never
+// deletes the original's images
+export const duplicateProduct = (product, index = 0) => ({
+  ...product,
+  id: generateProductId(index),
+  name: `${product.name} (Copy)`.slice(0, 200),
+  driveFileId: null,
+  images: (product.images || []).map(image => ({ ...image, driveFileId: null })),
+  // Copies start hidden so they can be edited before going live
+  status: 'draft',
+  publishAt: null,
+  unpublishAt: null,
+  createdAt: Date.now()
+});
+
+// Returns { products, undo, skipped }
+export const runBulkAction = (products, ids, action, label) => {
+  const selected = new Set(ids);
+  const undo = { label, changed: [], removed: [], added: [] };
+  let skipped = 0;
+
+  if (action.type === 'delete') {
+    products.forEach((product, index) => {
+      if (selected.has(product.id)) undo.removed.push({ product, index });
+    });
+    return { products: products.filter(p => !selected.has(p.id)), undo, skipped };
+  }
+
+  if (action.type === 'duplicate') {
+    undo.added = products.filter(p => selected.has(p.id)).map(duplicateProduct);
+    return { products: [...products, ...undo.added], undo, skipped };
+  }
+
+  const update = BULK_UPDATES[action.type];
+  const next = products.map(product => {
+    if (!selected.has(product.id)) return product;
+    const after = update(product, action.params);
+    if (!after) {
+      skipped++;
+      return product;
+    }
+    undo.changed.push({ before: product, after });
+    return after;
+  });
+  return { products: next, undo, skipped };
+};
+
+// A single product edited in place (inline price/stock cells)
+export const runProductEdit = (products, id, updates, label) => {
+  const before = products.find(p => p.id === id);
+  const after = { ...before, ...updates };
+  return {
+    products: products.map(p => (p.id === id ? after : p)),
+    undo: { label, changed: [{ before, after }], removed: [], added: [] }
+  };
+};
+
+// Returns { products, conflicts } where conflicts counts products left alone
+// because they changed after the action
+export const undoBulkAction = (products, undo) => {
+  let conflicts = 0;
+  const addedIds = new Set(undo.added.map(p => p.id));
+  let next = products.filter(p => {
+    if (!addedIds.has(p.id)) return true;
+    const original = undo.added.find(a => a.id === p.id);
+    if (p === original) return false;
+    conflicts++;
+    return true;
+  });
+
+  next = next.map(p => {
+    const change = undo.changed.find(c => c.after.id === p.id);
+    if (!change) return p;
+    if (p !== change.after) {
+      conflicts++;
+      return p;
+    }
+    return change.before;
+  });
+
+  // Re-insert lowest index first so later positions line up
+  [...undo.removed].sort((a, b) => a.index - b.index).forEach(({ product, index }) => {
+    if (next.some(p => p.id === product.id)) return;
+    next = [...next.slice(0, index), product, ...next.slice(index)];
+  });
+
+  return { products: next, conflicts };
+};
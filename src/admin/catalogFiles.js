@@ -0,0 +1,292 @@
+// ============================================
+// Catalog import / export (CSV and JSON)
+// ============================================
+//
+// Import is three steps: parse the file into rows keyed by column name, map
+// columns onto product fields, then build a dry-run preview where every row
+// has gone through the same validation as the product form. Nothing touches
+// the catalog until the preview is applied.
+//
+// Nested fields (options, variants, translations) travel as JSON text in CSV
+// so an exported file can be edited in a spreadsheet and imported back.
+
+import { SecurityUtils } from './security.js';
+import { EMPTY_FORM, productToForm, validateProductForm } from './productValidation.js';
+import { getAvailableStock, isTracked } from '../utils/inventory.js';
+import { getProductCategory } from '../utils/categories.js';
+import { PRODUCT_STATUSES, getProductStatus, isPublished } from '../utils/publishing.js';
+
+export const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+export const MAX_IMPORT_ROWS = 5000;
+
+// Product fields a column can be mapped onto; `aliases` drive auto-mapping
+export const IMPORT_FIELDS = [
+  { key: 'id', label: 'ID (updates an existing product)', aliases: ['productid'] },
+  { key: 'name', label: 'Name', required: true, aliases: ['title', 'productname'] },
+  { key: 'description', label: 'Description', aliases: ['body', 'details'] },
+  { key: 'price', label: 'Price', required: true, aliases: ['amount', 'unitprice'] },
+  { key: 'image', label: 'Image URL', aliases: ['imageurl', 'photo', 'picture'] },
+  { key: 'category', label: 'Category (name)', aliases: ['categoryname', 'type'] },
+  { key: 'stock', label: 'Stock', aliases: ['quantity', 'qty', 'inventory'] },
+  { key: 'weight', label: 'Weight', aliases: [] },
+  { key: 'externalPaymentUrl', label: 'External payment URL', aliases: ['paymenturl', 'buyurl'] },
+  { key: 'status', label: 'Status (draft, scheduled, published, archived)', aliases: ['productstatus', 'visibility'] },
+  { key: 'publishAt', label: 'Publish at (date/time)', aliases: ['publishdate', 'liveat'] },
+  { key: 'unpublishAt', label: 'Unpublish at (date/time)', aliases: ['unpublishdate', 'enddate'] },
+  { key: 'options', label: 'Options (JSON)', aliases: [] },
+  { key: 'variants', label: 'Variants (JSON)', aliases: [] },
+  { key: 'translations', label: 'Translations (JSON)', aliases: [] }
+];
+
+const EXPORT_COLUMNS = IMPORT_FIELDS.map(field => field.key);
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// ============================================
+// CSV
+// ============================================
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error('Unclosed quote in CSV file');
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...body] = records.filter(r => r.some(cell => cell.trim() !== ''));
+  const columns = header.map(h => h.trim());
+  return {
+    columns,
+    rows: body.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])))
+  };
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escapeCsvCell).join(','))
+    .join('\r\n');
+
+// ============================================
+// JSON
+// ============================================
+
+// Accepts our own export ({ products: [...] }) or a bare array
+export const parseJsonCatalog = (text) => {
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(rows)) throw new Error('Expected an array of products');
+  const objects = rows.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+  return {
+    columns: [...new Set(objects.flatMap(Object.keys))],
+    rows: objects
+  };
+};
+
+export const parseCatalogFile = (name, text) => {
+  const format = /\.json$/i.test(name) ? 'json' : 'csv';
+  const parsed = format === 'json' ? parseJsonCatalog(text) : parseCsv(text);
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Files are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+  // Row numbers in the preview match what the admin sees in a spreadsheet
+  return { ...parsed, format, firstRow: format === 'csv' ? 2 : 1 };
+};
+
+// ============================================
+// Mapping and preview
+// ============================================
+
+// field key -> column name ('' leaves the field unmapped)
+export const autoMapColumns = (columns) =>
+  Object.fromEntries(IMPORT_FIELDS.map(field => {
+    const names = [field.key, ...field.aliases].map(normalizeHeader);
+    return [field.key, columns.find(column => names.includes(normalizeHeader(column))) || ''];
+  }));
+
+const parseJsonCell = (value, label) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`${label} is not valid JSON`);
+  }
+};
+
+// Undoes the formula guard added on export
+const cellText = (value) =>
+  (value === undefined || value === null ? '' : String(value).trim().replace(/^'(?=[=+\-@])/, ''));
+
+// Builds the product form for one row, starting from the existing product
+// when the row updates one so unmapped fields are left as they are
+const rowToForm = (row, mapping, { existing, categories, productCategories }) => {
+  const form = existing ? productToForm(existing, categories) : { ...EMPTY_FORM };
+  const value = (key) => (mapping[key] ? row[mapping[key]] : undefined);
+  const mapped = (key) => Boolean(mapping[key]) && value(key) !== undefined;
+
+  ['name', 'description', 'price', 'stock', 'weight', 'externalPaymentUrl'].forEach(key => {
+    if (mapped(key)) form[key] = cellText(value(key));
+  });
+
+  if (mapped('image')) {
+    const image = cellText(value('image'));
+    form.image = SecurityUtils.sanitizeUrl(image);
+    if (image && !form.image) throw new Error('Invalid image URL. Must start with http:// or https://');
+    if (form.image !== existing?.image) form.driveFileId = null;
+  }
+
+  if (mapped('status')) {
+    const status = cellText(value('status')).toLowerCase();
+    if (status && !PRODUCT_STATUSES[status]) throw new Error(`Unknown status "${SecurityUtils.sanitizeCategory(status)}"`);
+    if (status) form.status = status;
+  }
+
+  ['publishAt', 'unpublishAt'].forEach(key => {
+    if (!mapped(key)) return;
+    const date = cellText(value(key));
+    if (date && Number.isNaN(Date.parse(date))) throw new Error(`"${SecurityUtils.sanitizeCategory(date)}" is not a valid date`);
+    form[key] = date;
+  });
+
+  if (mapped('category')) {
+    const name = cellText(value('category'));
+    const category = productCategories.find(c =>
+      c.id === name || c.name.toLowerCase() === name.toLowerCase());
+    if (name && !category) throw new Error(`Unknown category "${SecurityUtils.sanitizeCategory(name)}"`);
+    form.categoryId = category?.id || '';
+  }
+
+  [['options', 'Options'], ['variants', 'Variants'], ['translations', 'Translations']].forEach(([key, label]) => {
+    if (!mapped(key)) return;
+    const parsed = parseJsonCell(value(key), label);
+    if (parsed === undefined) return;
+    const expectArray = key !== 'translations';
+    if (expectArray !== Array.isArray(parsed) || typeof parsed !== 'object') {
+      throw new Error(`${label} must be a JSON ${expectArray ? 'array' : 'object'}`);
+    }
+    form[key] = parsed;
+  });
+
+  return form;
+};
+
+// One entry per row: { row, name, action: 'create' | 'update', productId, data } or { row, name, error }
+export const buildImportPreview = (rows, mapping, { products, categories, firstRow = 2 }) => {
+  const productCategories = categories.filter(c => c.type === 'category');
+  const seenIds = new Set();
+
+  return rows.map((row, index) => {
+    const entry = { row: index + firstRow, name: cellText(mapping.name ? row[mapping.name] : '') };
+    const id = cellText(mapping.id ? row[mapping.id] : '');
+    const existing = id ? products.find(p => p.id === id) : null;
+
+    if (id && seenIds.has(id)) return { ...entry, error: `Duplicate ID "${SecurityUtils.sanitizeCategory(id)}" in file` };
+    if (id) seenIds.add(id);
+
+    try {
+      const form = rowToForm(row, mapping, { existing, categories, productCategories });
+      const { data, error } = validateProductForm(form, productCategories);
+      if (error) return { ...entry, error };
+      return { ...entry, name: data.name, action: existing ? 'update' : 'create', productId: existing?.id || null, data };
+    } catch (err) {
+      return { ...entry, error: err.message };
+    }
+  });
+};
+
+export const errorReportCsv = (preview) =>
+  toCsv(['row', 'name', 'error'], preview.filter(entry => entry.error));
+
+// ============================================
+// Export
+// ============================================
+
+const toExportRow = (product, categories) => ({
+  id: product.id,
+  name: product.name,
+  description: product.description || '',
+  price: product.price,
+  image: product.image || '',
+  category: getProductCategory(product, categories)?.name || product.category || '',
+  // Untracked products export a blank stock rather than Infinity
+  stock: isTracked(product) ? getAvailableStock(product) : '',
+  weight: product.weight || '',
+  externalPaymentUrl: product.externalPaymentUrl || '',
+  status: getProductStatus(product),
+  publishAt: product.publishAt || '',
+  unpublishAt: product.unpublishAt || '',
+  options: product.options?.length ? product.options : '',
+  variants: product.variants?.length ? product.variants : '',
+  translations: product.translations && Object.keys(product.translations).length ? product.translations : ''
+});
+
+export const exportCatalogCsv = (products, categories) =>
+  toCsv(EXPORT_COLUMNS, products.map(product => toExportRow(product, categories)));
+
+// Full product records, for backups. `documents` go alongside the products
+// so the file carries the categories and settings too.
+export const exportCatalogJson = (products, documents = {}) =>
+  JSON.stringify({ exportedAt: new Date().toISOString(), products, ...documents }, null, 2);
+
+// The public catalog.json (see staticCatalogRepository.js): anyone can read
+// it, so only products live right now go in. Scheduled products need a fresh
+// export once they go live.
+export const getStorefrontProducts = (products, now = Date.now()) =>
+  products.filter(product => isPublished(product, now));
+
+export const exportStorefrontJson = (products, documents = {}, now = Date.now()) =>
+  exportCatalogJson(getStorefrontProducts(products, now), documents);
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
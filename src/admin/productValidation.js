@@ -0,0 +1,166 @@
+// ============================================
+// Product validation shared by the admin form and bulk import
+// ============================================
+
+import { SecurityUtils } from './security.js';
+import { generateVariants } from '../utils/variants.js';
+import { LOCALES, DEFAULT_LOCALE } from '../i18n/locales.js';
+import { getAvailableStock, isTracked } from '../utils/inventory.js';
+import { getProductCategory } from '../utils/categories.js';
+import { PRODUCT_STATUSES, getProductStatus, toLocalInput, fromLocalInput } from '../utils/publishing.js';
+
+export const EMPTY_FORM = {
+  name: '',
+  description: '',
+  price: '',
+  image: '',
+  categoryId: '',
+  stock: '',
+  weight: '',
+  driveFileId: null,
+  externalPaymentUrl: '',
+  externalReturnToStore: false,
+  externalReturnParam: 'return_url',
+  images: [],
+  options: [],
+  variants: [],
+  translations: {},
+  status: 'published',
+  publishAt: '',
+  unpublishAt: ''
+};
+
+// Form values for editing a saved product
+export const productToForm = (product, categories) => ({
+  ...product,
+  price: product.price?.toString() || '',
+  categoryId: getProductCategory(product, categories)?.id || '',
+  stock: isTracked(product) ? String(getAvailableStock(product)) : '',
+  weight: product.weight ? String(product.weight) : '',
+  driveFileId: product.driveFileId || null,
+  externalPaymentUrl: product.externalPaymentUrl || '',
+  externalReturnToStore: Boolean(product.externalReturnToStore),
+  externalReturnParam: product.externalReturnParam || 'return_url',
+  images: product.images || [],
+  options: product.options || [],
+  variants: product.variants || [],
+  translations: product.translations || {},
+  status: getProductStatus(product),
+  publishAt: toLocalInput(product.publishAt),
+  unpublishAt: toLocalInput(product.unpublishAt)
+});
+
+// Clean option axes typed into the variant editor (values are comma-separated)
+export const sanitizeOptions = (options) =>
+  (options || [])
+    .map(axis => ({
+      name: SecurityUtils.sanitizeCategory(axis.name).slice(0, 50),
+      values: [...new Set((axis.values || [])
+        .map(value => SecurityUtils.sanitizeCategory(value).slice(0, 50))
+        .filter(Boolean))]
+    }))
+    .filter(axis => axis.name && axis.values.length > 0);
+
+export const sanitizeVariants = (variants) =>
+  (variants || []).map(variant => {
+    const price = parseFloat(SecurityUtils.sanitizePrice(variant.price));
+    return {
+      id: SecurityUtils.sanitizeCategory(variant.id),
+      sku: SecurityUtils.sanitizeCategory(variant.sku).slice(0, 64),
+      options: variant.options,
+      price: price > 0 ? price : null,
+      stock: Math.max(0, parseInt(variant.stock, 10) || 0),
+      image: SecurityUtils.sanitizeUrl(variant.image)
+    };
+  });
+
+// Clean per-locale overrides, dropping locales with nothing filled in
+export const sanitizeTranslations = (translations) =>
+  Object.fromEntries(
+    Object.entries(translations || {})
+      .filter(([code]) => LOCALES.some(l => l.code === code && code !== DEFAULT_LOCALE))
+      .map(([code, t]) => [code, {
+        name: SecurityUtils.sanitizeName(t.name || ''),
+        description: SecurityUtils.sanitizeDescription(t.description || '')
+      }])
+      .filter(([, t]) => t.name || t.description)
+  );
+
+// Turns product form values into the stored product. Returns { data } when
+// valid, or { error } with a message for the admin; `attack` is set when the
+// input was rejected as malicious rather than merely incomplete.
+export const validateProductForm = (form, productCategories) => {
+  // Security: Sanitize all inputs
+  const options = sanitizeOptions(form.options);
+  // Rebuilt from the axes as saved, in case they changed since the rows were generated
+  const variants = options.length > 0 ? sanitizeVariants(generateVariants(options, form.variants)) : [];
+  const stock = variants.length > 0
+    ? variants.reduce((sum, v) => sum + v.stock, 0)
+    : parseInt(form.stock, 10);
+  const data = {
+    name: SecurityUtils.sanitizeName(form.name),
+    description: SecurityUtils.sanitizeDescription(form.description),
+    price: parseFloat(SecurityUtils.sanitizePrice(form.price)) || 0,
+    image: form.image, // Already validated by ImageUploader (or the importer)
+    // The name is denormalized so the storefront can search on it
+    categoryId: productCategories.some(c => c.id === form.categoryId) ? form.categoryId : null,
+    category: productCategories.find(c => c.id === form.categoryId)?.name || '',
+    stock,
+    inStock: stock > 0,
+    // Used by weight-based shipping; 0 means weightless
+    weight: Math.max(0, parseFloat(form.weight) || 0),
+    driveFileId: form.driveFileId || null,
+    externalPaymentUrl: SecurityUtils.sanitizeUrl(form.externalPaymentUrl),
+    externalReturnToStore: Boolean(form.externalPaymentUrl && form.externalReturnToStore),
+    externalReturnParam: (form.externalReturnParam || '').replace(/[^a-zA-Z0-9_]/g, '').slice(0, 40) || 'return_url',
+    images: (form.images || []).filter(image => image.url), // Already validated by ImageUploader
+    options,
+    variants,
+    translations: sanitizeTranslations(form.translations),
+    status: PRODUCT_STATUSES[form.status] ? form.status : 'published',
+    // Timestamps come from datetime-local inputs in the admin's timezone
+    publishAt: fromLocalInput(form.publishAt),
+    unpublishAt: fromLocalInput(form.unpublishAt)
+  };
+
+  // Security: Detect attack patterns
+  if (SecurityUtils.detectAttack(form.name) ||
+    SecurityUtils.detectAttack(form.description) ||
+    (form.options || []).some(axis => SecurityUtils.detectAttack(axis.name) || (axis.values || []).some(SecurityUtils.detectAttack)) ||
+    (form.variants || []).some(v => SecurityUtils.detectAttack(v.sku)) ||
+    Object.values(form.translations || {}).some(t => SecurityUtils.detectAttack(t.name) || SecurityUtils.detectAttack(t.description))) {
+    return { error: 'Invalid characters detected. Please remove special characters and try again.', attack: true };
+  }
+
+  // Validate required fields
+  if (!data.name || data.name.length < 1) {
+    return { error: 'Product name is required' };
+  }
+
+  if (data.price <= 0 || isNaN(data.price)) {
+    return { error: 'Please enter a valid price' };
+  }
+
+  if (variants.length === 0 && (Number.isNaN(stock) || stock < 0)) {
+    return { error: 'Please enter a valid stock quantity' };
+  }
+
+  if (options.length > 0 && variants.length === 0) {
+    return { error: 'Click "Generate Variants" to create the variant rows' };
+  }
+
+  if (data.status === 'scheduled' && !data.publishAt) {
+    return { error: 'Pick a publish date for a scheduled product' };
+  }
+
+  if (data.publishAt && data.unpublishAt && data.unpublishAt <= data.publishAt) {
+    return { error: 'The unpublish date must be after the publish date' };
+  }
+
+  // Validate external URL if provided
+  if (form.externalPaymentUrl && !data.externalPaymentUrl) {
+    return { error: 'Invalid payment URL. Must start with http:// or https://' };
+  }
+
+  return { data };
+};
@@ -0,0 +1,52 @@
+// ============================================
+// Admin roles and permissions
+// ============================================
+//
+// The owner is whoever verify-project-owner says owns the project; everyone
+// else gets in through a staff invitation with one of the other roles.
+// Unknown roles have no permissions, so anything unexpected fails closed.
+
+export const PERMISSIONS = {
+  EDIT_PRODUCTS: 'products:edit',
+  DELETE_PRODUCTS: 'products:delete',
+  VIEW_ORDERS: 'orders:view',
+  MANAGE_ORDERS: 'orders:manage',
+  VIEW_CARTS: 'carts:view',
+  MANAGE_PROMOTIONS: 'promotions:manage',
+  MANAGE_SETTINGS: 'settings:manage',
+  MANAGE_PAYMENTS: 'payments:manage',
+  MANAGE_STAFF: 'staff:manage',
+  VIEW_ACTIVITY: 'activity:view'
+};
+
+export const ROLES = {
+  owner: {
+    label: 'Owner',
+    description: 'Full access, including payments and staff.',
+    permissions: Object.values(PERMISSIONS)
+  },
+  manager: {
+    label: 'Manager',
+    description: 'Runs the store day to day: products, orders, promotions and settings.',
+    permissions: [
+      PERMISSIONS.EDIT_PRODUCTS, PERMISSIONS.DELETE_PRODUCTS, PERMISSIONS.VIEW_ORDERS, PERMISSIONS.MANAGE_ORDERS,
+      PERMISSIONS.VIEW_CARTS, PERMISSIONS.MANAGE_PROMOTIONS, PERMISSIONS.MANAGE_SETTINGS, PERMISSIONS.VIEW_ACTIVITY
+    ]
+  },
+  fulfillment: {
+    label: 'Fulfillment',
+    description: 'Sees orders and moves them through packing and shipping.',
+    permissions: [PERMISSIONS.VIEW_ORDERS, PERMISSIONS.MANAGE_ORDERS]
+  },
+  editor: {
+    label: 'Content Editor',
+    description: 'Adds and edits products and categories, but cannot delete them.',
+    permissions: [PERMISSIONS.EDIT_PRODUCTS]
+  }
+};
+
+// Roles the owner can hand out
+export const STAFF_ROLES = Object.keys(ROLES).filter(role => role !== 'owner');
+
+export const hasPermission = (role, permission) =>
+  Boolean(ROLES[role]?.permissions.includes(permission));
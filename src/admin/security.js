@@ -0,0 +1,108 @@
+// ============================================
+// SECURITY: Input Sanitization Functions
+// ============================================
+
+export const SecurityUtils = {
+  // Sanitize text input - prevents XSS
+  sanitizeText: (input) => {
+    if (!input || typeof input !== 'string') return '';
+    return input
+      .replace(/[<>]/g, '') // Remove < and > to prevent HTML injection
+      .replace(/javascript:/gi, '') // Remove javascript: protocol
+      .replace(/on\w+=/gi, '') // Remove event handlers like onclick=
+      .replace(/data:/gi, '') // Remove data: protocol
+      .trim()
+      .slice(0, 1000); // Max length
+  },
+
+  // Sanitize product name - stricter
+  sanitizeName: (input) => {
+    if (!input || typeof input !== 'string') return '';
+    return input
+      .replace(/[<>\"\'`;\\]/g, '') // Remove dangerous chars
+      .replace(/javascript:/gi, '')
+      .replace(/on\w+=/gi, '')
+      .trim()
+      .slice(0, 200); // Max 200 chars for name
+  },
+
+  // Sanitize description - allows some formatting but no scripts
+  sanitizeDescription: (input) => {
+    if (!input || typeof input !== 'string') return '';
+    return input
+      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // Remove script tags
+      .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '') // Remove iframes
+      .replace(/javascript:/gi, '')
+      .replace(/on\w+=/gi, '')
+      .replace(/data:text\/html/gi, '')
+      .trim()
+      .slice(0, 5000); // Max 5000 chars for description
+  },
+
+  // Sanitize price - only numbers and decimal
+  sanitizePrice: (input) => {
+    if (!input) return '';
+    const cleaned = String(input).replace(/[^0-9.]/g, '');
+    const parts = cleaned.split('.');
+    if (parts.length > 2) return parts[0] + '.' + parts.slice(1).join('');
+    return cleaned.slice(0, 10); // Max price length
+  },
+
+  // Sanitize URL - validate and clean
+  sanitizeUrl: (input) => {
+    if (!input || typeof input !== 'string') return '';
+    const trimmed = input.trim();
+
+    // Only allow http, https protocols
+    if (trimmed && !trimmed.match(/^https?:\/\//i)) {
+      return '';
+    }
+
+    // Block javascript: and data: in URLs
+    if (trimmed.match(/^(javascript|data|vbscript):/i)) {
+      return '';
+    }
+
+    return trimmed.slice(0, 2000);
+  },
+
+  // Sanitize email
+  sanitizeEmail: (input) => {
+    if (!input || typeof input !== 'string') return '';
+    return input
+      .toLowerCase()
+      .replace(/[<>\"\'`;\\]/g, '')
+      .trim()
+      .slice(0, 254);
+  },
+
+  // Sanitize category
+  sanitizeCategory: (input) => {
+    if (!input || typeof input !== 'string') return '';
+    return input
+      .replace(/[<>\"\'`;\\]/g, '')
+      .trim()
+      .slice(0, 100);
+  },
+
+  // Check for common attack patterns
+  detectAttack: (input) => {
+    if (!input || typeof input !== 'string') return false;
+    const attackPatterns = [
+      /<script/i,
+      /javascript:/i,
+      /on\w+\s*=/i,
+      /union\s+select/i,
+      /;\s*drop\s+table/i,
+      /;\s*delete\s+from/i,
+      /'\s*or\s+'1'\s*=\s*'1/i,
+      /--\s*$/,
+      /\/\*.*\*\//,
+      /\$\{.*\}/,
+      /\{\{.*\}\}/,
+    ];
+    return attackPatterns.some(pattern => pattern.test(input));
+  }
+};
+
+export default SecurityUtils;
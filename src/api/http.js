@@ -0,0 +1,43 @@
+// ============================================
+// Shared HTTP client for the REST stores
+// ============================================
+//
+// Every backend speaks the Alimi API's { success, ... } envelope and scopes
+// requests to one store with X-Project-Id. While someone is signed in
+// (admin, staff or customer) requests also carry their Firebase ID token as
+// `Authorization: Bearer <token>`. Backends must verify that token to decide
+// who may read or write, and never trust anything else the browser says about
+// who is asking.
+
+import { getIdToken } from '../auth/firebase.js';
+
+export const getProjectId = () => document.querySelector('meta[name="project-id"]')?.content || '';
+
+// Returns request(path, { method, body, headers, keepalive }) -> response data.
+// Failures throw an Error carrying the HTTP `status`.
+export const createApiClient = ({ baseUrl, projectId = getProjectId(), name = 'API' }) => {
+  const root = baseUrl.replace(/\/$/, '');
+
+  return async (path, { method = 'GET', body, headers = {}, keepalive = false } = {}) => {
+    const token = await getIdToken();
+    const response = await fetch(`${root}${path}`, {
+      method,
+      keepalive,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(projectId ? { 'X-Project-Id': projectId } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      const error = new Error(data.error || `${name} request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  };
+};
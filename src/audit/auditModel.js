@@ -0,0 +1,60 @@
+// ============================================
+// Audit log entries
+// ============================================
+
+export const AUDIT_ACTIONS = {
+  'product.create': 'Product added',
+  'product.update': 'Product edited',
+  'product.delete': 'Product deleted',
+  'category.create': 'Category added',
+  'category.update': 'Category edited',
+  'category.delete': 'Category deleted',
+  'category.reorder': 'Category moved',
+  'promotion.create': 'Promotion added',
+  'promotion.update': 'Promotion edited',
+  'promotion.delete': 'Promotion deleted',
+  'settings.shipping': 'Shipping & tax changed',
+  'settings.currency': 'Currency settings changed',
+  'settings.trash': 'Trash retention changed',
+  'settings.inventory': 'Low-stock threshold changed',
+  'payments.connect': 'Stripe Connect',
+  'staff.invite': 'Staff invited',
+  'staff.update': 'Staff changed'
+};
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Top-level fields that differ; a missing record (create/delete) counts as empty
+export const diffFields = (before, after) => {
+  const from = before || {};
+  const to = after || {};
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => !isSame(from[field], to[field]))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+};
+
+const generateEntryId = () => {
+  const bytes = new Uint8Array(8);
+  crypto.getRandomValues(bytes);
+  return `${Date.now()}-${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// `target` is { id, name } of whatever changed
+export const createAuditEntry = ({ actor, action, target, before, after }) => ({
+  id: generateEntryId(),
+  at: new Date().toISOString(),
+  actor: { uid: actor.uid, email: actor.email || '' },
+  action,
+  target: { id: target?.id ?? null, name: target?.name || '' },
+  changes: diffFields(before, after)
+});
+
+// Filters shared by every store: actor (uid), action, from/to (YYYY-MM-DD, inclusive)
+export const matchesAuditFilters = (entry, { actor, action, from, to } = {}) => {
+  if (actor && entry.actor.uid !== actor) return false;
+  if (action && entry.action !== action) return false;
+  const day = entry.at.slice(0, 10);
+  if (from && day < from) return false;
+  if (to && day > to) return false;
+  return true;
+};
@@ -0,0 +1,29 @@
+// ============================================
+// Audit store: REST backend
+// ============================================
+//
+// Expects the same { success, ... } envelope as the Alimi API:
+//   GET {baseUrl}/audit?actor=&action=&from=&to=   -> { success, entries } (newest first)
+// Read-only: the backend writes each entry itself, in the same request as
+// the change it describes (catalog, documents, promotions, staff, payments),
+// with the actor taken from that request's verified ID token. Nothing the
+// browser sends can add, edit or remove an entry, and a change can't land
+// without its entry.
+
+import { createApiClient } from '../api/http.js';
+
+export const createHttpAuditStore = ({ baseUrl, projectId }) => {
+  const request = createApiClient({ baseUrl, projectId, name: 'Audit' });
+
+  return {
+    async list(filters = {}) {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      const query = params.toString() ? `?${params}` : '';
+      const data = await request(`/audit${query}`);
+      return data.entries || [];
+    }
+  };
+};
@@ -0,0 +1,50 @@
+// ============================================
+// Audit log subsystem
+// ============================================
+//
+// Every audit store implements:
+//   list({ actor, action, from, to }) -> entry[] (newest first)
+//   append(entry) -> entry   (localStorage store only)
+// Set VITE_AUDIT_API_URL to read the log from the backend, which records
+// every change itself as part of the authenticated request that made it.
+// Otherwise entries stay in this browser's localStorage, written by
+// recordAudit below against the signed-in admin (see setAuditActor) - fine
+// for offline development, but nothing stops a browser from skipping or
+// editing them.
+// Storefront side effects - stock taken by orders, promo code usage - have
+// no admin behind them and are tracked by the orders instead.
+
+import { createLocalStorageAuditStore } from './localStorageAuditStore.js';
+import { createHttpAuditStore } from './httpAuditStore.js';
+import { createAuditEntry } from './auditModel.js';
+import { createLazyStore } from '../utils/lazyStore.js';
+
+export { AUDIT_ACTIONS, diffFields, createAuditEntry, matchesAuditFilters } from './auditModel.js';
+export { createLocalStorageAuditStore, createHttpAuditStore };
+
+let actor = null;
+
+const auditStore = createLazyStore(() => {
+  const baseUrl = import.meta.env.VITE_AUDIT_API_URL;
+  return baseUrl ? createHttpAuditStore({ baseUrl }) : createLocalStorageAuditStore();
+});
+
+export const getAuditStore = auditStore.get;
+export const setAuditStore = auditStore.set;
+
+// The admin whose changes get recorded; null when nobody is signed in
+export const setAuditActor = (user) => {
+  actor = user ? { uid: user.uid, email: user.email || '' } : null;
+};
+
+export const getAuditActor = () => actor;
+
+// Offline stand-in for the backend's own log. Fire and forget: a failed
+// write is reported but never blocks the change.
+export const recordAudit = ({ action, target, before, after }) => {
+  const store = getAuditStore();
+  if (!actor || !store.append) return;
+  const entry = createAuditEntry({ actor, action, target, before, after });
+  if (entry.changes.length === 0) return;
+  store.append(entry).catch(err => console.error('Failed to write audit entry:', err));
+};
@@ -0,0 +1,31 @@
+// ============================================
+// Audit store: browser localStorage (offline dev only)
+// ============================================
+//
+// Only sees changes made in this browser. The newest entries are kept when
+// storage gets full; use the HTTP store for a complete record.
+
+import { matchesAuditFilters } from './auditModel.js';
+
+const STORAGE_KEY = 'auditLog';
+const MAX_ENTRIES = 1000;
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (err) {
+    console.warn('⚠️ Could not read audit log:', err);
+    return [];
+  }
+};
+
+export const createLocalStorageAuditStore = () => ({
+  async append(entry) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([entry, ...readAll()].slice(0, MAX_ENTRIES)));
+    return entry;
+  },
+
+  async list(filters = {}) {
+    return readAll().filter(entry => matchesAuditFilters(entry, filters));
+  }
+});
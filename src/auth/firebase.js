@@ -0,0 +1,77 @@
+// ============================================
+// Firebase Auth (loaded from CDN)
+// ============================================
+//
+// Shared by the owner login in AdminDashboard and customer accounts. The SDK
+// and project config are fetched on first use, so pages that never touch
+// auth never download Firebase.
+
+const API_URL = 'https://api.alimi.ai';
+
+let auth = null;
+let firebaseLoaded = false;
+let loading = null;
+
+const initialize = async () => {
+  // Check if already loaded
+  if (window.firebase?.auth) {
+    auth = window.firebase.auth();
+    firebaseLoaded = true;
+    return true;
+  }
+
+  try {
+    // Fetch Firebase config from backend
+    const configResponse = await fetch(`${API_URL}/api/firebase-config`);
+    const configData = await configResponse.json();
+
+    if (!configData.success) {
+      throw new Error('Failed to load Firebase config');
+    }
+
+    // Load Firebase SDK
+    await new Promise((resolve, reject) => {
+      const script1 = document.createElement('script');
+      script1.src = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-app-compat.js';
+      script1.onload = () => {
+        const script2 = document.createElement('script');
+        script2.src = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-auth-compat.js';
+        script2.onload = () => resolve();
+        script2.onerror = () => reject(new Error('Failed to load Firebase Auth'));
+        document.head.appendChild(script2);
+      };
+      script1.onerror = () => reject(new Error('Failed to load Firebase'));
+      document.head.appendChild(script1);
+    });
+
+    // Initialize Firebase with config from backend
+    if (!window.firebase.apps.length) {
+      window.firebase.initializeApp(configData.config);
+    }
+    auth = window.firebase.auth();
+    firebaseLoaded = true;
+    return true;
+  } catch (err) {
+    console.error('Failed to load Firebase:', err);
+    return false;
+  }
+};
+
+// Resolves true once auth is ready. Concurrent callers share one load so the
+// SDK scripts are only injected once.
+export const loadFirebase = async () => {
+  if (firebaseLoaded && auth) {
+    return true;
+  }
+  if (!loading) {
+    loading = initialize().finally(() => { loading = null; });
+  }
+  return loading;
+};
+
+// The firebase.auth() instance; only valid after loadFirebase() resolved true
+export const getAuth = () => auth;
+
+// The signed-in user's ID token for backend requests, or null when nobody is
+// signed in (or auth was never loaded on this page)
+export const getIdToken = async () => (auth?.currentUser ? auth.currentUser.getIdToken() : null);
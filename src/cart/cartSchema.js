@@ -0,0 +1,98 @@
+// ============================================
+// Saved cart format
+// ============================================
+//
+// The cart is stored under `cart` as { version, items }. Bump
+// CART_SCHEMA_VERSION whenever the stored shape changes and add a migration
+// from the previous version; saved carts are upgraded one step at a time.
+
+import { getLineId, getVariantPrice, getVariantImage } from '../utils/variants.js';
+
+export const CART_SCHEMA_VERSION = 2;
+
+export const CART_STORAGE_KEY = 'cart';
+
+// A cart line keeps just enough of the product to render the cart offline;
+// everything else is looked up in the catalog when it's needed.
+export const createCartLine = (product, variant, quantity) => ({
+  lineId: getLineId(product, variant),
+  id: product.id,
+  variantId: variant?.id || null,
+  variantOptions: variant?.options || null,
+  sku: variant?.sku || product.sku || '',
+  name: product.name,
+  translations: product.translations || null,
+  price: getVariantPrice(product, variant),
+  image: getVariantImage(product, variant) || '',
+  weight: product.weight ?? null,
+  quantity
+});
+
+const pickLineFields = (item) => ({
+  lineId: item.lineId,
+  id: item.id,
+  variantId: item.variantId || null,
+  variantOptions: item.variantOptions || null,
+  sku: item.sku || '',
+  name: item.name || '',
+  translations: item.translations || null,
+  price: Number(item.price) || 0,
+  image: item.image || '',
+  weight: item.weight ?? null,
+  quantity: item.quantity
+});
+
+// Each entry upgrades a cart saved at that version to the next one
+const MIGRATIONS = {
+  // v1 was a bare array of full product copies. The oldest lines predate
+  // variants and were keyed by product id only.
+  1: (items) => ({
+    version: 2,
+    items: items.map(item => pickLineFields({ ...item, lineId: item.lineId || item.id }))
+  })
+};
+
+const isValidLine = (item) =>
+  item && typeof item.lineId === 'string' && item.id != null && Number.isInteger(item.quantity) && item.quantity > 0;
+
+// Upgrades a saved cart of any known version and returns its valid lines
+export const migrateCart = (data) => {
+  let version = Array.isArray(data) ? 1 : Number(data?.version);
+  let cart = data;
+  if (!Number.isInteger(version) || version < 1 || version > CART_SCHEMA_VERSION) {
+    console.warn(`Discarding saved cart with unknown version ${data?.version}`);
+    return [];
+  }
+  while (version < CART_SCHEMA_VERSION) {
+    cart = MIGRATIONS[version](cart);
+    version = cart.version;
+  }
+  return Array.isArray(cart.items) ? cart.items.filter(isValidLine) : [];
+};
+
+// Returns the saved lines, or an empty cart if the data is unreadable
+export const parseCart = (raw) => {
+  if (!raw) return [];
+  try {
+    return migrateCart(JSON.parse(raw));
+  } catch (err) {
+    console.warn('Discarding unreadable saved cart:', err);
+    return [];
+  }
+};
+
+export const packCart = (items) => ({ version: CART_SCHEMA_VERSION, items });
+
+export const serializeCart = (items) => JSON.stringify(packCart(items));
+
+export const readCart = () => {
+  try {
+    return parseCart(localStorage.getItem(CART_STORAGE_KEY));
+  } catch {
+    return [];
+  }
+};
+
+export const writeCart = (serialized) => {
+  localStorage.setItem(CART_STORAGE_KEY, serialized);
+};
@@ -0,0 +1,58 @@
+// ============================================
+// Cart reconciliation against the live catalog
+// ============================================
+//
+// Saved lines can outlive the product they were copied from: the price may
+// have changed, the product or variant may be gone, or stock may have run
+// out. reconcileCart refreshes every line from the catalog and reports what
+// changed so the shopper can be told.
+//
+// Change records carry the line as it was saved:
+//   { type: 'removed',  line }             product or variant no longer sold
+//   { type: 'soldOut',  line }             nothing left in stock
+//   { type: 'quantity', line, from, to }   fewer left than were in the cart
+//   { type: 'price',    line, from, to }   price changed since it was added
+
+import { hasVariants } from '../utils/variants.js';
+import { getAvailableStock } from '../utils/inventory.js';
+import { createCartLine } from './cartSchema.js';
+
+const findLineVariant = (product, line) => {
+  if (!hasVariants(product)) return line.variantId ? undefined : null;
+  return product.variants.find(v => v.id === line.variantId);
+};
+
+export const reconcileCart = (items, products) => {
+  const changes = [];
+  const next = [];
+
+  items.forEach(line => {
+    const product = products.find(p => p.id === line.id);
+    // A missing variant means the option was removed, or the product gained
+    // options after this line was added and needs a choice made again
+    const variant = product ? findLineVariant(product, line) : undefined;
+    if (!product || variant === undefined) {
+      changes.push({ type: 'removed', line });
+      return;
+    }
+
+    const available = getAvailableStock(product, variant?.id || null);
+    if (available <= 0) {
+      changes.push({ type: 'soldOut', line });
+      return;
+    }
+
+    const quantity = Math.min(line.quantity, available);
+    if (quantity < line.quantity) {
+      changes.push({ type: 'quantity', line, from: line.quantity, to: quantity });
+    }
+
+    const fresh = createCartLine(product, variant, quantity);
+    if (Number(fresh.price) !== Number(line.price)) {
+      changes.push({ type: 'price', line, from: line.price, to: fresh.price });
+    }
+    next.push(fresh);
+  });
+
+  return { items: next, changes };
+};
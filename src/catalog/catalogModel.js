@@ -0,0 +1,35 @@
+// ============================================
+// Catalog helpers shared by every repository
+// ============================================
+
+// Accepts a bare array or the admin's JSON export ({ exportedAt, products })
+export const normalizeCatalog = (data) => {
+  const products = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(products)) throw new Error('Catalog is not a list of products');
+  return products.filter(product => product && typeof product === 'object' && product.id);
+};
+
+// What a repository has to persist to get from one catalog to the next.
+// Edits always replace the product object, so an unchanged reference means
+// an unchanged product.
+export const diffCatalog = (prev, next) => {
+  const prevById = new Map(prev.map(product => [product.id, product]));
+  const nextIds = new Set(next.map(product => product.id));
+  return {
+    upserts: next.filter(product => prevById.get(product.id) !== product),
+    removals: prev.filter(product => !nextIds.has(product.id)).map(product => product.id)
+  };
+};
+
+export const isEmptyChange = ({ upserts, removals }) => upserts.length === 0 && removals.length === 0;
+
+// Applies a change set in place, keeping catalog order; new products go last
+export const applyCatalogChanges = (products, { upserts, removals }) => {
+  const removed = new Set(removals);
+  const byId = new Map(upserts.map(product => [product.id, product]));
+  const kept = products
+    .filter(product => !removed.has(product.id))
+    .map(product => byId.get(product.id) || product);
+  const keptIds = new Set(kept.map(product => product.id));
+  return [...kept, ...upserts.filter(product => !keptIds.has(product.id))];
+};
@@ -0,0 +1,52 @@
+// ============================================
+// Catalog repository: REST backend
+// ============================================
+//
+// Expects the same { success, ... } envelope as the Alimi API:
+//   GET   {baseUrl}/products                                   -> { success, products }
+//   PATCH {baseUrl}/products  body: { upserts, removals }      -> { success }
+//   GET   {baseUrl}/documents/:name                            -> { success, document } (404: never saved)
+//   PUT   {baseUrl}/documents/:name  body: { document }        -> { success }
+// `upserts` are whole products keyed by id; `removals` are product ids.
+// Documents are whole values (the category tree, a settings object).
+// Writes carry the admin's ID token (see api/http.js); the backend must only
+// accept them from the owner or staff allowed to edit products.
+// GET /products must leave out products that aren't live (drafts, archived,
+// scheduled before `publishAt`, past `unpublishAt`; see utils/publishing.js)
+// unless the token belongs to the owner or staff. The storefront hides them
+// too, but that only keeps them off the page, not out of the response.
+
+import { normalizeCatalog } from './catalogModel.js';
+import { createApiClient } from '../api/http.js';
+
+export const createHttpCatalogRepository = ({ baseUrl, projectId }) => {
+  const request = createApiClient({ baseUrl, projectId, name: 'Catalog' });
+  const documentPath = (name) => `/documents/${encodeURIComponent(name)}`;
+
+  return {
+    readOnly: false,
+
+    async list() {
+      const data = await request('/products');
+      return normalizeCatalog(data.products || []);
+    },
+
+    async save(changes) {
+      await request('/products', { method: 'PATCH', body: changes });
+    },
+
+    async getDocument(name) {
+      try {
+        const data = await request(documentPath(name));
+        return data.document ?? null;
+      } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
+      }
+    },
+
+    async saveDocument(name, value) {
+      await request(documentPath(name), { method: 'PUT', body: { document: value } });
+    }
+  };
+};
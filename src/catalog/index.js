@@ -0,0 +1,50 @@
+// ============================================
+// Catalog data layer
+// ============================================
+//
+// Every catalog repository implements the same async interface:
+//   list()          -> product[] (in catalog order)
+//   save(changes)   -> void, where changes is { upserts: product[], removals: id[] }
+//   readOnly        -> true when the admin can't write to it
+//   getDocument(name)        -> value | null
+//   saveDocument(name, value) -> void
+// Documents are the store-wide data that goes with the products - the
+// category tree and the shipping, tax, currency, inventory and trash
+// settings - so every shopper sees what the admin saved, wherever the
+// catalog lives.
+// Stock is taken off by the backend when an order is paid, never from a
+// shopper's browser. The localStorage repository alone also has
+// takeStock(lineItems), so offline development behaves the same.
+// Set VITE_CATALOG_API_URL to use the HTTP repository, or
+// VITE_CATALOG_STATIC_URL (e.g. catalog.json, relative to the site root) to
+// serve the catalog built into dist/. Otherwise products stay in this
+// browser's localStorage.
+
+import { createLocalStorageCatalogRepository } from './localStorageCatalogRepository.js';
+import { createHttpCatalogRepository } from './httpCatalogRepository.js';
+import { createStaticCatalogRepository } from './staticCatalogRepository.js';
+import { createLazyStore } from '../utils/lazyStore.js';
+
+export { normalizeCatalog, diffCatalog, isEmptyChange, applyCatalogChanges } from './catalogModel.js';
+export { createLocalStorageCatalogRepository, createHttpCatalogRepository, createStaticCatalogRepository };
+
+const catalogRepository = createLazyStore(() => {
+  const baseUrl = import.meta.env.VITE_CATALOG_API_URL;
+  const staticUrl = import.meta.env.VITE_CATALOG_STATIC_URL;
+  if (baseUrl) return createHttpCatalogRepository({ baseUrl });
+  if (staticUrl) {
+    return createStaticCatalogRepository({ url: new URL(staticUrl, new URL(import.meta.env.BASE_URL, window.location.origin)).href });
+  }
+  return createLocalStorageCatalogRepository();
+});
+
+export const getCatalogRepository = catalogRepository.get;
+export const setCatalogRepository = catalogRepository.set;
+
+// Called by the local order store when an order is paid; other repositories
+// leave stock to their backend
+export const takeStockForOrder = async (order) => {
+  const repository = getCatalogRepository();
+  if (!repository.takeStock) return;
+  await repository.takeStock(order.items.map(item => ({ id: item.productId, variantId: item.variantId, quantity: item.quantity })));
+};
@@ -0,0 +1,62 @@
+// ============================================
+// Catalog repository: this browser's localStorage
+// ============================================
+//
+// Only the browser that made a change can see it, so this is for offline
+// development. A first visit is seeded with a few placeholder products.
+// Documents are kept under their own name as the key.
+
+import { normalizeCatalog, applyCatalogChanges } from './catalogModel.js';
+import { applyStockDecrement } from '../utils/inventory.js';
+
+const STORAGE_KEY = 'products';
+
+const defaultProducts = [
+  { id: '1', name: 'Product 1', description: 'Quality product for your needs', price: 29.99, image: 'https://placehold.co/300x300?text=Product+1', category: 'General', inStock: true, stock: 20 },
+  { id: '2', name: 'Product 2', description: 'Another excellent choice', price: 49.99, image: 'https://placehold.co/300x300?text=Product+2', category: 'General', inStock: true, stock: 20 },
+  { id: '3', name: 'Product 3', description: 'Premium quality item', price: 79.99, image: 'https://placehold.co/300x300?text=Product+3', category: 'Premium', inStock: true, stock: 10 },
+];
+
+const readAll = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (saved === null) return defaultProducts;
+  try {
+    return normalizeCatalog(JSON.parse(saved));
+  } catch {
+    return [];
+  }
+};
+
+const readDocument = (name) => {
+  try {
+    return JSON.parse(localStorage.getItem(name));
+  } catch (err) {
+    console.warn(`⚠️ Could not read saved ${name}:`, err);
+    return null;
+  }
+};
+
+export const createLocalStorageCatalogRepository = () => ({
+  readOnly: false,
+
+  async list() {
+    return readAll();
+  },
+
+  async save(changes) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(applyCatalogChanges(readAll(), changes)));
+  },
+
+  async getDocument(name) {
+    return readDocument(name);
+  },
+
+  async saveDocument(name, value) {
+    localStorage.setItem(name, JSON.stringify(value));
+  },
+
+  // Stands in for the backend taking stock when an order is paid
+  async takeStock(lineItems) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(applyStockDecrement(readAll(), lineItems)));
+  }
+});
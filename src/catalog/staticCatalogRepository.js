@@ -0,0 +1,54 @@
+// ============================================
+// Catalog repository: static JSON shipped with the site
+// ============================================
+//
+// public/catalog.json is copied into dist/ by `npm run build`, so every
+// shopper sees the catalog that was deployed. To publish changes, use
+// "Export catalog.json" in the admin, save it over public/catalog.json and
+// redeploy. That export holds only live products, since the file is public,
+// and carries the documents (categories, settings) next to them; a bare
+// product array has none.
+
+import { normalizeCatalog } from './catalogModel.js';
+
+const PUBLISH_HELP = 'This catalog is published from catalog.json. Export catalog.json, replace public/catalog.json and redeploy.';
+
+export const createStaticCatalogRepository = ({ url }) => {
+  // One request serves the products and every document; list() refreshes it
+  let published = null;
+  const load = (fresh = false) => {
+    if (!published || fresh) {
+      // Skip the HTTP cache so a fresh deploy shows up on the next visit
+      const pending = fetch(url, { cache: 'no-cache' }).then(response => {
+        if (!response.ok) throw new Error(`Could not load catalog (${response.status})`);
+        return response.json();
+      });
+      pending.catch(() => {
+        if (published === pending) published = null;
+      });
+      published = pending;
+    }
+    return published;
+  };
+
+  return {
+    readOnly: true,
+
+    async list() {
+      return normalizeCatalog(await load(true));
+    },
+
+    async save() {
+      throw new Error(PUBLISH_HELP);
+    },
+
+    async getDocument(name) {
+      const data = await load();
+      return Array.isArray(data) ? null : data?.[name] ?? null;
+    },
+
+    async saveDocument() {
+      throw new Error(PUBLISH_HELP);
+    }
+  };
+};
@@ -0,0 +1,52 @@
+import { useState } from 'react'
+import { useLocale } from '../context/LocaleContext.jsx'
+import { COUNTRIES } from '../utils/countries.js'
+
+const EMPTY_ADDRESS = { name: '', address: '', city: '', region: '', zip: '', country: 'US', isDefault: false }
+
+const inputClass = 'w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent'
+
+// Add/edit form for the account address book
+function AddressForm({ initial, onSave, onCancel }) {
+  const { t } = useLocale()
+  const [form, setForm] = useState({ ...EMPTY_ADDRESS, ...initial })
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setForm({ ...form, [name]: type === 'checkbox' ? checked : value })
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSave(form)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <input type="text" name="name" placeholder={t('checkout.fullName')} required value={form.name} onChange={handleChange} className={inputClass} />
+      <input type="text" name="address" placeholder={t('checkout.address')} required value={form.address} onChange={handleChange} className={inputClass} />
+      <div className="grid grid-cols-2 gap-4">
+        <input type="text" name="city" placeholder={t('checkout.city')} required value={form.city} onChange={handleChange} className={inputClass} />
+        <input type="text" name="region" placeholder={t('checkout.region')} value={form.region} onChange={handleChange} className={inputClass} />
+        <input type="text" name="zip" placeholder={t('checkout.zip')} required value={form.zip} onChange={handleChange} className={inputClass} />
+        <select name="country" required value={form.country} onChange={handleChange} className={`${inputClass} bg-white`}>
+          {COUNTRIES.map(c => <option key={c.code} value={c.code}>{c.name}</option>)}
+        </select>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" name="isDefault" checked={form.isDefault} onChange={handleChange} />
+        {t('account.makeDefault')}
+      </label>
+      <div className="flex gap-3">
+        <button type="submit" className="text-white px-6 py-2 rounded-lg font-semibold hover:opacity-90 transition" style={{ backgroundColor: '#1e2a67' }}>
+          {t('account.saveAddress')}
+        </button>
+        <button type="button" onClick={onCancel} className="px-6 py-2 rounded-lg border text-gray-700 hover:bg-gray-50">
+          {t('account.cancel')}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default AddressForm
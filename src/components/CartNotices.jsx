@@ -0,0 +1,40 @@
+import { useCart } from '../context/CartContext.jsx'
+import { useCurrency } from '../context/CurrencyContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+
+// Tells the shopper what changed in their saved cart since they last saw it
+function CartNotices() {
+  const { cartNotices, dismissCartNotices } = useCart()
+  const { formatPrice } = useCurrency()
+  const { t, localizeProduct } = useLocale()
+
+  if (cartNotices.length === 0) return null
+
+  const describe = ({ type, line, from, to }) => {
+    const name = localizeProduct(line).name
+    if (type === 'price') return t('cart.notices.price', { name, from: formatPrice(from), to: formatPrice(to) })
+    if (type === 'quantity') return t('cart.notices.quantity', { name, count: to })
+    if (type === 'soldOut') return t('cart.notices.soldOut', { name })
+    return t('cart.notices.removed', { name })
+  }
+
+  return (
+    <div className="p-4 mb-6 rounded-lg bg-amber-50 border border-amber-200 text-amber-800" role="status">
+      <div className="flex justify-between items-start gap-4">
+        <div>
+          <p className="font-semibold mb-1">{t('cart.notices.title')}</p>
+          <ul className="list-disc ps-5 space-y-1 text-sm">
+            {cartNotices.map(notice => (
+              <li key={`${notice.type}:${notice.line.lineId}`}>{describe(notice)}</li>
+            ))}
+          </ul>
+        </div>
+        <button type="button" onClick={dismissCartNotices} className="text-sm underline flex-shrink-0">
+          {t('cart.notices.dismiss')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CartNotices
@@ -0,0 +1,41 @@
+import { useProducts } from '../context/ProductContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+
+// Stands in for a product grid until the catalog has loaded
+function CatalogStatus({ placeholders = 4 }) {
+  const { status, reload } = useProducts()
+  const { t } = useLocale()
+
+  if (status === 'error') {
+    return (
+      <div className="text-center py-12" role="alert">
+        <h2 className="text-2xl font-bold mb-4">{t('catalog.errorTitle')}</h2>
+        <p className="text-gray-500 text-lg mb-6">{t('catalog.errorBody')}</p>
+        <button
+          onClick={reload}
+          className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition"
+          style={{ backgroundColor: '#1e2a67' }}
+        >
+          {t('catalog.retry')}
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6" role="status" aria-live="polite">
+      <span className="sr-only">{t('catalog.loading')}</span>
+      {Array.from({ length: placeholders }, (_, i) => (
+        <div key={i} className="bg-white rounded-lg shadow-md overflow-hidden animate-pulse" aria-hidden="true">
+          <div className="h-48 bg-gray-200" />
+          <div className="p-4 space-y-3">
+            <div className="h-4 bg-gray-200 rounded w-3/4" />
+            <div className="h-4 bg-gray-200 rounded w-1/3" />
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default CatalogStatus
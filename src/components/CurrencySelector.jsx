@@ -0,0 +1,23 @@
+import { useCurrency } from '../context/CurrencyContext.jsx';
+import { useLocale } from '../context/LocaleContext.jsx';
+
+// Display currency picker; hidden until the admin adds an exchange rate
+function CurrencySelector() {
+  const { currencies, displayCurrency, setDisplayCurrency } = useCurrency();
+  const { t } = useLocale();
+
+  if (currencies.length < 2) return null;
+
+  return (
+    <select
+      value={displayCurrency}
+      onChange={(e) => setDisplayCurrency(e.target.value)}
+      className="text-sm text-gray-600 bg-transparent border rounded px-1 py-1"
+      aria-label={t('nav.currency')}
+    >
+      {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+    </select>
+  );
+}
+
+export default CurrencySelector;
@@ -1,32 +1,36 @@
+import { useLocale } from '../context/LocaleContext.jsx'
+
 function Footer() {
+  const { t } = useLocale()
+
   return (
     <footer className="bg-gray-900 text-white py-12">
       <div className="container mx-auto px-4">
         <div className="grid grid-cols-1 md:grid-cols-4 gap-8 mb-8">
           <div>
             <h3 className="text-xl font-bold mb-4">Femme Clothing</h3>
-            <p className="text-gray-400">Premium fashion and style for the modern woman. Quality products and excellent service.</p>
+            <p className="text-gray-400">{t('footer.tagline')}</p>
           </div>
           <div>
-            <h4 className="font-semibold mb-4">Quick Links</h4>
+            <h4 className="font-semibold mb-4">{t('footer.quickLinks')}</h4>
             <ul className="space-y-2 text-gray-400">
-              <li><a href="#/" className="hover:text-white transition">Home</a></li>
-              <li><a href="#/shop" className="hover:text-white transition">Shop</a></li>
-              <li><a href="#/cart" className="hover:text-white transition">Cart</a></li>
-              <li><a href="#/contact" className="hover:text-white transition">Contact</a></li>
+              <li><a href="#/" className="hover:text-white transition">{t('nav.home')}</a></li>
+              <li><a href="#/shop" className="hover:text-white transition">{t('nav.shop')}</a></li>
+              <li><a href="#/cart" className="hover:text-white transition">{t('nav.cart')}</a></li>
+              <li><a href="#/contact" className="hover:text-white transition">{t('nav.contact')}</a></li>
             </ul>
           </div>
           <div>
-            <h4 className="font-semibold mb-4">Contact Us</h4>
+            <h4 className="font-semibold mb-4">{t('footer.contactUs')}</h4>
             <div className="space-y-2 text-gray-400">
               <p>📧 contact@holysmokas.com</p>
               <p>📞 (800) 555 - 9999</p>
               <p>📍 333 Broadway, New York, NY, 10025</p>
-              <p>🕒 Mon - Fri 9 am - 5 pm</p>
+              <p>🕒 {t('footer.hours')}</p>
             </div>
           </div>
           <div>
-            <h4 className="font-semibold mb-4">Follow Us</h4>
+            <h4 className="font-semibold mb-4">{t('footer.followUs')}</h4>
             <div className="flex gap-4">
               <a href="https://www.facebook.com/babakmilani" target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-white transition">
                 <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
@@ -44,20 +48,20 @@ function Footer() {
         <div className="border-t border-gray-800 pt-8 text-center">
           <div className="flex flex-wrap justify-center gap-6 mb-4">
             <a href="terms-of-service.html" target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-white transition">
-              Terms of Service
+              {t('footer.terms')}
             </a>
             <a href="privacy-policy.html" target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-white transition">
-              Privacy Policy
+              {t('footer.privacy')}
             </a>
             <a href="cookies.html" target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-white transition">
-              Cookie Policy
+              {t('footer.cookies')}
             </a>
             <a href="disclaimer.html" target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-white transition">
-              Disclaimer
+              {t('footer.disclaimer')}
             </a>
           </div>
           <p className="text-gray-400">
-            &copy; 2026 Femme Clothing. All rights reserved.
+            {t('footer.rights', { year: 2026 })}
           </p>
         </div>
       </div>
@@ -1,9 +1,19 @@
 import { Link } from 'react-router-dom';
 import { useCart } from '../context/CartContext.jsx';
+import { useCategories } from '../context/CategoryContext.jsx';
+import CurrencySelector from './CurrencySelector.jsx';
+import LanguageSwitcher from './LanguageSwitcher.jsx';
+import { useLocale } from '../context/LocaleContext.jsx';
+import { useCustomer } from '../context/CustomerContext.jsx';
+import { useWishlist } from '../context/WishlistContext.jsx';
 import { useState } from 'react';
 
 function Header() {
   const { cartItems } = useCart();
+  const { categories } = useCategories();
+  const { t } = useLocale();
+  const { customer } = useCustomer();
+  const { items: wishlistItems } = useWishlist();
   const cartCount = cartItems.reduce((sum, item) => sum + item.quantity, 0);
   const [logoError, setLogoError] = useState(false);
 
@@ -39,17 +49,54 @@ function Header() {
           )}
         </Link>
         <div className="flex items-center gap-6">
-          <Link to="/" className="text-gray-600 hover:text-blue-600">Home</Link>
-          <Link to="/shop" className="text-gray-600 hover:text-blue-600">Shop</Link>
+          <Link to="/" className="text-gray-600 hover:text-blue-600">{t('nav.home')}</Link>
+          <div className="relative group">
+            <Link to="/shop" className="text-gray-600 hover:text-blue-600">{t('nav.shop')}</Link>
+            {categories.length > 0 && (
+              <div className="absolute left-1/2 -translate-x-1/2 top-full pt-3 hidden group-hover:block group-focus-within:block">
+                <div className="bg-white shadow-lg rounded-lg py-2 w-56">
+                  <Link to="/shop" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-50">{t('nav.allProducts')}</Link>
+                  {categories.filter(c => c.type === 'category').map(c => (
+                    <Link key={c.id} to={`/shop/${c.slug}`} className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-50">
+                      {c.name}
+                    </Link>
+                  ))}
+                  {categories.some(c => c.type === 'collection') && (
+                    <>
+                      <p className="px-4 pt-3 pb-1 text-xs font-semibold text-gray-400 uppercase tracking-wide">{t('nav.collections')}</p>
+                      {categories.filter(c => c.type === 'collection').map(c => (
+                        <Link key={c.id} to={`/shop/${c.slug}`} className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-50">
+                          {c.name}
+                        </Link>
+                      ))}
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+          <Link to="/account" className="text-gray-600 hover:text-blue-600">
+            {customer ? t('nav.account') : t('nav.signIn')}
+          </Link>
+          <Link to="/wishlist" className="relative text-gray-600 hover:text-blue-600">
+            {t('nav.wishlist')}
+            {wishlistItems.length > 0 && (
+              <span className="absolute -top-2 -right-3 bg-gray-700 text-white text-xs w-5 h-5 rounded-full flex items-center justify-center">
+                {wishlistItems.length}
+              </span>
+            )}
+          </Link>
           <Link to="/cart" className="relative text-gray-600 hover:text-blue-600">
-            Cart
+            {t('nav.cart')}
             {cartCount > 0 && (
               <span className="absolute -top-2 -right-3 bg-red-500 text-white text-xs w-5 h-5 rounded-full flex items-center justify-center">
                 {cartCount}
               </span>
             )}
           </Link>
-          <Link to="/admin" className="text-sm text-gray-400 hover:text-gray-600">Login</Link>
+          <LanguageSwitcher />
+          <CurrencySelector />
+          <Link to="/admin" className="text-sm text-gray-400 hover:text-gray-600">{t('nav.login')}</Link>
         </div>
       </nav>
     </header>
@@ -0,0 +1,19 @@
+import { useLocale } from '../context/LocaleContext.jsx';
+import { LOCALES } from '../i18n/locales.js';
+
+function LanguageSwitcher() {
+  const { locale, setLocale, t } = useLocale();
+
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      className="text-sm text-gray-600 bg-transparent border rounded px-1 py-1"
+      aria-label={t('nav.language')}
+    >
+      {LOCALES.map(l => <option key={l.code} value={l.code} lang={l.code}>{l.name}</option>)}
+    </select>
+  );
+}
+
+export default LanguageSwitcher;
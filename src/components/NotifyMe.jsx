@@ -0,0 +1,74 @@
+import { useState } from 'react'
+import { useLocale } from '../context/LocaleContext.jsx'
+
+// Back-in-stock requests go to the store owner's contact inbox
+function NotifyMe({ product, variantLabel }) {
+  const { t } = useLocale()
+  const [email, setEmail] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [status, setStatus] = useState({ type: '', message: '' })
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setStatus({ type: '', message: '' })
+
+    const projectId = document.querySelector('meta[name="project-id"]')?.content || ''
+    const itemName = variantLabel ? `${product.name} (${variantLabel})` : product.name
+
+    try {
+      const response = await fetch(`https://api.alimi.ai/api/contact/${projectId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: 'Back in stock request',
+          email,
+          phone: '',
+          message: `Please notify me when "${itemName}" is back in stock.`
+        })
+      })
+
+      if (response.ok) {
+        setStatus({ type: 'success', message: t('notify.success') })
+        setEmail('')
+      } else {
+        setStatus({ type: 'error', message: t('notify.error') })
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: t('notify.unavailable') })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  if (status.type === 'success') {
+    return <p className="text-sm text-green-700 mt-3">✓ {status.message}</p>
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3">
+      <div className="flex gap-2">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+          placeholder="your@email.com"
+          aria-label={t('notify.emailLabel')}
+          className="flex-grow min-w-0 px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="text-white px-3 py-2 rounded-lg text-sm font-semibold hover:opacity-90 transition disabled:opacity-50"
+          style={{ backgroundColor: '#1e2a67' }}
+        >
+          {isSubmitting ? '...' : t('product.notifyMe')}
+        </button>
+      </div>
+      {status.type === 'error' && <p className="text-sm text-red-600 mt-1">{status.message}</p>}
+    </form>
+  )
+}
+
+export default NotifyMe
@@ -0,0 +1,44 @@
+import { useCurrency } from '../context/CurrencyContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+
+// Itemized totals shared by Cart, Checkout and the order confirmation.
+// Cart amounts show in the shopper's currency; placed orders pass their own formatter.
+function OrderTotals({ totals, size = 'md', formatAmount }) {
+  const { formatPrice } = useCurrency()
+  const { t, tLabel } = useLocale()
+  const format = formatAmount || formatPrice
+  const totalClass = size === 'lg' ? 'text-2xl' : 'text-xl'
+
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between text-gray-600">
+        <span>{t('totals.subtotal')}</span>
+        <span>{format(totals.subtotal)}</span>
+      </div>
+      {totals.discount > 0 && (
+        <div className="flex justify-between text-green-700">
+          <span>{t('totals.discount')}{totals.discountLabel ? ` (${tLabel(totals.discountLabel)})` : ''}</span>
+          <span>−{format(totals.discount)}</span>
+        </div>
+      )}
+      {(totals.shipping !== undefined || totals.freeShipping) && (
+        <div className={`flex justify-between ${totals.shipping > 0 ? 'text-gray-600' : 'text-green-700'}`}>
+          <span>{t('totals.shipping')}{totals.shippingLabel ? ` (${tLabel(totals.shippingLabel)})` : ''}</span>
+          <span>{totals.shipping > 0 ? format(totals.shipping) : t('totals.free')}</span>
+        </div>
+      )}
+      {totals.tax > 0 && (
+        <div className="flex justify-between text-gray-600">
+          <span>{t('totals.tax')}{totals.taxLabel ? ` (${tLabel(totals.taxLabel)})` : ''}</span>
+          <span>{format(totals.tax)}</span>
+        </div>
+      )}
+      <div className={`flex justify-between font-bold pt-2 ${totalClass}`}>
+        <span>{t('totals.total')}</span>
+        <span>{format(totals.total)}</span>
+      </div>
+    </div>
+  )
+}
+
+export default OrderTotals
@@ -1,31 +1,90 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
 import { useCart } from '../context/CartContext.jsx'
+import { useCurrency } from '../context/CurrencyContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+import VariantPicker from './VariantPicker.jsx'
+import NotifyMe from './NotifyMe.jsx'
+import WishlistButton from './WishlistButton.jsx'
+import {
+  hasVariants, findVariant, getDefaultSelection, getVariantPrice, getVariantImage, isVariantAvailable
+} from '../utils/variants.js'
+import { isSoldOut } from '../utils/inventory.js'
+import { hasExternalPayment, getExternalPaymentUrl } from '../utils/externalPayment.js'
 
 function ProductCard({ product }) {
   const { addToCart } = useCart()
+  const { formatPrice } = useCurrency()
+  const { t, localizeProduct } = useLocale()
+  const [selection, setSelection] = useState(() => getDefaultSelection(product))
+  const [showNotify, setShowNotify] = useState(false)
+
+  const withVariants = hasVariants(product)
+  const variant = withVariants ? findVariant(product, selection) : null
+  const soldOut = isSoldOut(product)
+  const canAdd = !soldOut && (!withVariants || isVariantAvailable(variant))
+  const price = getVariantPrice(product, variant)
+  const { name, description } = localizeProduct(product)
 
   return (
     <div className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow duration-300">
-      <img 
-        src={product.image || 'https://placehold.co/300x300?text=No+Image'} 
-        alt={product.name}
-        className="w-full h-48 object-cover"
-      />
+      <div className="relative">
+        <Link to={`/product/${product.id}`} className="relative block">
+          <img 
+            src={getVariantImage(product, variant) || 'https://placehold.co/300x300?text=No+Image'} 
+            alt={name}
+            className={`w-full h-48 object-cover ${soldOut ? 'opacity-60' : ''}`}
+          />
+          {soldOut && (
+            <span className="absolute top-2 left-2 bg-gray-900 text-white text-xs font-semibold px-2 py-1 rounded">
+              {t('common.soldOut')}
+            </span>
+          )}
+        </Link>
+        <WishlistButton productId={product.id} className="absolute top-2 right-2" />
+      </div>
       <div className="p-4">
-        <h3 className="font-semibold text-lg mb-2">{product.name}</h3>
-        <p className="text-gray-600 text-sm mb-2 line-clamp-2">{product.description}</p>
+        <h3 className="font-semibold text-lg mb-2">
+          <Link to={`/product/${product.id}`} className="hover:underline">{name}</Link>
+        </h3>
+        <p className="text-gray-600 text-sm mb-2 line-clamp-2">{description}</p>
+        {withVariants && (
+          <VariantPicker product={product} selection={selection} onChange={setSelection} />
+        )}
         <div className="flex items-center justify-between mt-4">
-          <span className="text-xl font-bold text-gray-900">${product.price?.toFixed(2)}</span>
-          <button
-            onClick={() => addToCart(product)}
-            className="text-white px-4 py-2 rounded-lg font-semibold hover:opacity-90 transition"
-            style={{ backgroundColor: '#1e2a67' }}
-          >
-            Add to Cart
-          </button>
+          <span className="text-xl font-bold text-gray-900">{formatPrice(price)}</span>
+          {soldOut ? (
+            <button
+              onClick={() => setShowNotify(!showNotify)}
+              className="px-4 py-2 rounded-lg font-semibold border transition hover:bg-gray-50"
+              style={{ borderColor: '#1e2a67', color: '#1e2a67' }}
+            >
+              {t('product.notifyMe')}
+            </button>
+          ) : hasExternalPayment(product) ? (
+            <a
+              href={getExternalPaymentUrl(product)}
+              rel="noopener noreferrer"
+              className="text-white px-4 py-2 rounded-lg font-semibold hover:opacity-90 transition"
+              style={{ backgroundColor: '#1e2a67' }}
+            >
+              {t('common.buyNow')}
+            </a>
+          ) : (
+            <button
+              onClick={() => addToCart(product, variant)}
+              disabled={!canAdd}
+              className="text-white px-4 py-2 rounded-lg font-semibold hover:opacity-90 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ backgroundColor: '#1e2a67' }}
+            >
+              {canAdd ? t('product.addToCart') : t('common.soldOut')}
+            </button>
+          )}
         </div>
+        {soldOut && showNotify && <NotifyMe product={product} />}
       </div>
     </div>
   )
 }
 
-export default ProductCard
\ No newline at end of file
+export default ProductCard
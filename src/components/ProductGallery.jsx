@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef } from 'react'
+
+// Minimum horizontal travel (px) before a touch counts as a swipe
+const SWIPE_THRESHOLD = 50
+
+function ProductGallery({ images, alt }) {
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [zoomed, setZoomed] = useState(false)
+  const [origin, setOrigin] = useState('50% 50%')
+  const touchStartX = useRef(null)
+
+  const slides = images.length > 0 ? images : ['https://placehold.co/600x600?text=No+Image']
+
+  // A different variant or product brings a different image set
+  useEffect(() => {
+    setActiveIndex(0)
+    setZoomed(false)
+  }, [images.join('|')])
+
+  const goTo = (index) => {
+    setActiveIndex((index + slides.length) % slides.length)
+    setZoomed(false)
+  }
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const x = ((e.clientX - rect.left) / rect.width) * 100
+    const y = ((e.clientY - rect.top) / rect.height) * 100
+    setOrigin(`${x}% ${y}%`)
+  }
+
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX
+  }
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null) return
+    const delta = e.changedTouches[0].clientX - touchStartX.current
+    touchStartX.current = null
+    if (Math.abs(delta) < SWIPE_THRESHOLD) return
+    goTo(delta < 0 ? activeIndex + 1 : activeIndex - 1)
+  }
+
+  return (
+    <div>
+      <div
+        className={`relative bg-white rounded-lg shadow-md overflow-hidden aspect-square ${zoomed ? 'cursor-zoom-out' : 'cursor-zoom-in'}`}
+        onClick={() => setZoomed(!zoomed)}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setZoomed(false)}
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
+      >
+        <img
+          src={slides[activeIndex]}
+          alt={alt}
+          className="w-full h-full object-cover transition-transform duration-200"
+          style={{ transform: zoomed ? 'scale(2)' : 'scale(1)', transformOrigin: origin }}
+          draggable={false}
+        />
+        {slides.length > 1 && (
+          <>
+            <button
+              type="button"
+              onClick={(e) => { e.stopPropagation(); goTo(activeIndex - 1) }}
+              className="absolute left-2 top-1/2 -translate-y-1/2 bg-white/80 hover:bg-white rounded-full w-9 h-9 shadow flex items-center justify-center"
+              aria-label="Previous image"
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              onClick={(e) => { e.stopPropagation(); goTo(activeIndex + 1) }}
+              className="absolute right-2 top-1/2 -translate-y-1/2 bg-white/80 hover:bg-white rounded-full w-9 h-9 shadow flex items-center justify-center"
+              aria-label="Next image"
+            >
+              ›
+            </button>
+          </>
+        )}
+      </div>
+
+      {slides.length > 1 && (
+        <div className="flex gap-2 mt-4 overflow-x-auto">
+          {slides.map((src, index) => (
+            <button
+              key={`${src}-${index}`}
+              type="button"
+              onClick={() => goTo(index)}
+              className={`w-20 h-20 flex-shrink-0 rounded border-2 overflow-hidden ${index === activeIndex ? '' : 'border-transparent opacity-70 hover:opacity-100'}`}
+              style={index === activeIndex ? { borderColor: '#1e2a67' } : undefined}
+              aria-label={`Show image ${index + 1}`}
+            >
+              <img src={src} alt="" className="w-full h-full object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ProductGallery
@@ -0,0 +1,66 @@
+import { useState } from 'react'
+import { usePromotions } from '../context/PromotionContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+
+function PromoCodeInput({ cartItems }) {
+  const { appliedCode, applyCode, removeCode, getDiscount } = usePromotions()
+  const { t, tLabel } = useLocale()
+  const [code, setCode] = useState('')
+  const [error, setError] = useState(null)
+  const [checking, setChecking] = useState(false)
+
+  const discount = getDiscount(cartItems)
+
+  const handleApply = async (e) => {
+    e.preventDefault()
+    setChecking(true)
+    const reason = await applyCode(code, cartItems)
+    setChecking(false)
+    setError(reason)
+    if (!reason) setCode('')
+  }
+
+  if (appliedCode) {
+    return (
+      <div className="text-sm">
+        <div className="flex items-center justify-between gap-2">
+          <span>
+            {t('promo.code')} <span className="font-mono font-semibold">{appliedCode}</span>
+            {discount.label && <span className="text-gray-500"> · {tLabel(discount.label)}</span>}
+          </span>
+          <button type="button" onClick={removeCode} className="text-red-500 hover:text-red-700 font-medium">
+            {t('common.remove')}
+          </button>
+        </div>
+        {discount.error && <p className="text-amber-600 mt-1">{tLabel(discount.error)}</p>}
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleApply}>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={t('promo.placeholder')}
+          className="flex-grow min-w-0 px-3 py-2 border rounded-lg text-sm uppercase focus:ring-2 focus:border-transparent"
+          maxLength={32}
+          aria-label={t('promo.placeholder')}
+        />
+        <button
+          type="submit"
+          disabled={!code.trim() || checking}
+          className="px-4 py-2 rounded-lg text-sm font-semibold border transition hover:bg-gray-50 disabled:opacity-50"
+          style={{ borderColor: '#1e2a67', color: '#1e2a67' }}
+        >
+          {t('promo.apply')}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 mt-1">{tLabel(error)}</p>}
+    </form>
+  )
+}
+
+export default PromoCodeInput
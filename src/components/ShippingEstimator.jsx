@@ -0,0 +1,45 @@
+import { usePricing } from '../context/PricingContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+import { COUNTRIES } from '../utils/countries.js'
+
+// Lets shoppers preview shipping and tax before checkout
+function ShippingEstimator() {
+  const { destination, setDestination } = usePricing()
+  const { t } = useLocale()
+
+  return (
+    <div className="text-sm">
+      <p className="font-medium text-gray-700 mb-2">{t('estimator.title')}</p>
+      <div className="grid grid-cols-3 gap-2">
+        <select
+          value={destination.country}
+          onChange={(e) => setDestination({ country: e.target.value })}
+          className="px-2 py-2 border rounded-lg bg-white"
+          aria-label={t('estimator.country')}
+        >
+          {COUNTRIES.map(c => <option key={c.code} value={c.code}>{c.code}</option>)}
+        </select>
+        <input
+          type="text"
+          value={destination.region}
+          onChange={(e) => setDestination({ region: e.target.value })}
+          placeholder={t('estimator.region')}
+          className="px-2 py-2 border rounded-lg uppercase"
+          maxLength={3}
+          aria-label={t('estimator.regionLabel')}
+        />
+        <input
+          type="text"
+          value={destination.zip}
+          onChange={(e) => setDestination({ zip: e.target.value })}
+          placeholder={t('estimator.zip')}
+          className="px-2 py-2 border rounded-lg uppercase"
+          maxLength={10}
+          aria-label={t('estimator.zipLabel')}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default ShippingEstimator
@@ -0,0 +1,40 @@
+import { getOptionAxes, isOptionValueAvailable } from '../utils/variants.js'
+
+function VariantPicker({ product, selection, onChange, size = 'sm' }) {
+  const axes = getOptionAxes(product)
+  if (axes.length === 0) return null
+
+  const buttonSize = size === 'lg' ? 'px-4 py-2 text-sm' : 'px-2 py-1 text-xs'
+
+  return (
+    <div className="space-y-2">
+      {axes.map(axis => (
+        <div key={axis.name}>
+          <p className="text-xs font-medium text-gray-500 mb-1">
+            {axis.name}{selection[axis.name] ? `: ${selection[axis.name]}` : ''}
+          </p>
+          <div className="flex flex-wrap gap-1">
+            {axis.values.map(value => {
+              const selected = selection[axis.name] === value
+              const available = isOptionValueAvailable(product, selection, axis.name, value)
+              return (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => onChange({ ...selection, [axis.name]: value })}
+                  className={`${buttonSize} border rounded transition ${selected ? 'text-white border-transparent' : 'bg-white text-gray-700 hover:border-gray-400'} ${available ? '' : 'line-through opacity-50'}`}
+                  style={selected ? { backgroundColor: '#1e2a67' } : undefined}
+                  aria-pressed={selected}
+                >
+                  {value}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default VariantPicker
@@ -0,0 +1,31 @@
+import { useWishlist } from '../context/WishlistContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+
+// Heart toggle overlaid on product images
+function WishlistButton({ productId, className = '' }) {
+  const { isInWishlist, toggleWishlist } = useWishlist()
+  const { t } = useLocale()
+  const saved = isInWishlist(productId)
+
+  return (
+    <button
+      type="button"
+      onClick={() => toggleWishlist(productId)}
+      aria-pressed={saved}
+      aria-label={saved ? t('wishlist.remove') : t('wishlist.add')}
+      title={saved ? t('wishlist.remove') : t('wishlist.add')}
+      className={`w-9 h-9 rounded-full bg-white/90 shadow flex items-center justify-center hover:scale-110 transition ${className}`}
+    >
+      <svg
+        className={`w-5 h-5 ${saved ? 'text-red-500' : 'text-gray-500'}`}
+        fill={saved ? 'currentColor' : 'none'}
+        stroke="currentColor"
+        viewBox="0 0 24 24"
+      >
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+      </svg>
+    </button>
+  )
+}
+
+export default WishlistButton
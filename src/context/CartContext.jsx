@@ -1,55 +1,135 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { useProducts } from './ProductContext.jsx';
+import { getLineId } from '../utils/variants.js';
+import { getAvailableStock } from '../utils/inventory.js';
+import { hasExternalPayment } from '../utils/externalPayment.js';
+import { sumLines } from '../currency/money.js';
+import { useCurrency } from './CurrencyContext.jsx';
+import { CART_STORAGE_KEY, createCartLine, readCart, parseCart, serializeCart, writeCart } from '../cart/cartSchema.js';
+import { reconcileCart } from '../cart/reconcile.js';
 
 const CartContext = createContext();
 
 export function CartProvider({ children }) {
   const [cartItems, setCartItems] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  // What changed when the cart was last checked against the catalog
+  const [cartNotices, setCartNotices] = useState([]);
+  // Last value written to or received from storage, so a synced cart isn't echoed back
+  const lastSaved = useRef(null);
+  // Unpublished products drop out of carts like deleted ones
+  const { publishedProducts: products, status: catalogStatus } = useProducts();
+  const { baseCurrency } = useCurrency();
 
   useEffect(() => {
-    const saved = localStorage.getItem('cart');
-    if (saved) setCartItems(JSON.parse(saved));
+    setCartItems(readCart());
+    setLoaded(true);
   }, []);
 
   useEffect(() => {
-    localStorage.setItem('cart', JSON.stringify(cartItems));
-  }, [cartItems]);
+    if (!loaded) return;
+    const serialized = serializeCart(cartItems);
+    if (serialized === lastSaved.current) return;
+    lastSaved.current = serialized;
+    writeCart(serialized);
+  }, [cartItems, loaded]);
 
-  const addToCart = (product) => {
+  // Another tab changed the cart; it has already reconciled its copy
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== CART_STORAGE_KEY) return;
+      lastSaved.current = e.newValue;
+      setCartItems(parseCart(e.newValue));
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  const addCartNotices = (changes) => {
+    if (changes.length === 0) return;
+    setCartNotices(prev => [
+      ...prev.filter(notice => !changes.some(c => c.type === notice.type && c.line.lineId === notice.line.lineId)),
+      ...changes
+    ]);
+  };
+
+  // Refresh saved lines whenever the catalog loads or changes
+  useEffect(() => {
+    if (!loaded || catalogStatus !== 'ready') return;
+    const { items, changes } = reconcileCart(cartItems, products);
+    if (serializeCart(items) !== serializeCart(cartItems)) setCartItems(items);
+    addCartNotices(changes);
+  }, [products, loaded, catalogStatus]);
+
+  // Replace the cart with saved lines, e.g. from an abandoned cart link.
+  // Before the catalog has loaded, the effect above reconciles them later.
+  const restoreCart = (lines) => {
+    if (catalogStatus !== 'ready') {
+      setCartItems(lines);
+      return;
+    }
+    const { items, changes } = reconcileCart(lines, products);
+    setCartItems(items);
+    addCartNotices(changes);
+  };
+
+  const dismissCartNotices = () => setCartNotices([]);
+
+  // Lines whose product now has its own payment link can't go through Checkout
+  const isExternalLine = (item) => hasExternalPayment(products.find(p => p.id === item.id));
+  const checkoutItems = cartItems.filter(item => !isExternalLine(item));
+  const externalItems = cartItems.filter(isExternalLine);
+
+  const getAvailable = (productId, variantId) =>
+    getAvailableStock(products.find(p => p.id === productId), variantId);
+
+  // Line items are keyed by variant, so the same product in two sizes is two lines
+  const addToCart = (product, variant = null) => {
+    if (hasExternalPayment(product)) return;
+    const lineId = getLineId(product, variant);
+    const available = getAvailable(product.id, variant?.id || null);
     setCartItems(prev => {
-      const exists = prev.find(item => item.id === product.id);
+      const exists = prev.find(item => item.lineId === lineId);
       if (exists) {
         return prev.map(item => 
-          item.id === product.id 
-            ? { ...item, quantity: item.quantity + 1 }
+          item.lineId === lineId 
+            ? { ...item, quantity: item.quantity < available ? item.quantity + 1 : item.quantity }
             : item
         );
       }
-      return [...prev, { ...product, quantity: 1 }];
+      if (available <= 0) return prev;
+      return [...prev, createCartLine(product, variant, 1)];
     });
   };
 
-  const removeFromCart = (id) => {
-    setCartItems(prev => prev.filter(item => item.id !== id));
+  const removeFromCart = (lineId) => {
+    setCartItems(prev => prev.filter(item => item.lineId !== lineId));
   };
 
-  const updateQuantity = (id, quantity) => {
+  const updateQuantity = (lineId, quantity) => {
     if (quantity <= 0) {
-      removeFromCart(id);
+      removeFromCart(lineId);
       return;
     }
+    // Never let a line exceed what's left on the shelf; sold-out lines are caught at checkout
     setCartItems(prev => 
-      prev.map(item => item.id === id ? { ...item, quantity } : item)
+      prev.map(item => item.lineId === lineId
+        ? { ...item, quantity: Math.max(1, Math.min(quantity, getAvailable(item.id, item.variantId))) }
+        : item)
     );
   };
 
+  const getAvailableForLine = (item) => getAvailable(item.id, item.variantId);
+
   const clearCart = () => setCartItems([]);
 
-  const getTotal = () => 
-    cartItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  // Added up in minor units so repeated quantities don't drift
+  const getTotal = () => sumLines(checkoutItems, baseCurrency);
 
   return (
     <CartContext.Provider value={{ 
-      cartItems, addToCart, removeFromCart, updateQuantity, clearCart, getTotal 
+      cartItems, checkoutItems, externalItems, addToCart, removeFromCart, updateQuantity, clearCart, getTotal,
+      getAvailableForLine, cartNotices, dismissCartNotices, restoreCart
     }}>
       {children}
     </CartContext.Provider>
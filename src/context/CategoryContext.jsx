@@ -0,0 +1,132 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { useProducts } from './ProductContext.jsx';
+import { byOrder, uniqueSlug } from '../utils/categories.js';
+import { getCatalogRepository } from '../catalog/index.js';
+import { recordAudit } from '../audit/index.js';
+
+const CategoryContext = createContext();
+
+// The category tree is saved with the catalog (see catalog/index.js)
+const DOCUMENT = 'categories';
+
+export function CategoryProvider({ children }) {
+  const [categories, setCategories] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [needsSeed, setNeedsSeed] = useState(false);
+  const { products, saveDocument } = useProducts();
+
+  const load = async () => {
+    try {
+      const saved = await getCatalogRepository().getDocument(DOCUMENT);
+      if (Array.isArray(saved)) {
+        setCategories(saved);
+      } else {
+        setNeedsSeed(true);
+      }
+    } catch (err) {
+      console.error('Failed to load categories:', err);
+    } finally {
+      setLoaded(true);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // First run: promote the free-text categories already on products. The
+  // ids come from the slugs, so they stay the same on every visit until the
+  // admin's first category edit saves the tree.
+  useEffect(() => {
+    if (!needsSeed || products.length === 0) return;
+    setCategories(prev => {
+      const names = [...new Set(products.map(p => p.category).filter(Boolean))]
+        .filter(name => !prev.some(c => c.type === 'category' && c.name === name));
+      return names.reduce((acc, name) => {
+        const slug = uniqueSlug(name, acc);
+        return [...acc, {
+          id: `cat-${slug}`,
+          type: 'category',
+          name,
+          slug,
+          description: '',
+          heroImage: '',
+          order: acc.length,
+          productIds: []
+        }];
+      }, prev);
+    });
+    setNeedsSeed(false);
+  }, [needsSeed, products]);
+
+  // Admin edits are built from the current list so the audit log sees
+  // exactly what was saved. A rejected save reloads the saved tree.
+  const save = async (next, audit) => {
+    setCategories(next);
+    if (await saveDocument(DOCUMENT, next)) {
+      recordAudit(audit);
+    } else {
+      load();
+    }
+  };
+
+  const addCategory = (category) => {
+    const added = {
+      productIds: [],
+      ...category,
+      id: Date.now().toString(),
+      slug: uniqueSlug(category.slug || category.name, categories),
+      order: categories.length
+    };
+    return save([...categories, added], { action: 'category.create', target: added, before: null, after: added });
+  };
+
+  const updateCategory = (id, updates) => {
+    const before = categories.find(c => c.id === id);
+    if (!before) return;
+    const after = { ...before, ...updates, slug: uniqueSlug(updates.slug || updates.name || before.slug, categories, id) };
+    return save(categories.map(c => c.id === id ? after : c), { action: 'category.update', target: after, before, after });
+  };
+
+  const deleteCategory = (id) => {
+    const before = categories.find(c => c.id === id);
+    if (!before) return;
+    const next = categories
+      .filter(c => c.id !== id)
+      .sort(byOrder)
+      .map((c, index) => ({ ...c, order: index }));
+    return save(next, { action: 'category.delete', target: before, before, after: null });
+  };
+
+  // Move an entry up (-1) or down (+1) among entries of the same type
+  const moveCategory = (id, direction) => {
+    const sorted = [...categories].sort(byOrder);
+    const index = sorted.findIndex(c => c.id === id);
+    if (index < 0) return;
+    let target = index + direction;
+    while (sorted[target] && sorted[target].type !== sorted[index].type) target += direction;
+    if (!sorted[target]) return;
+    const moved = sorted[index];
+    [sorted[index], sorted[target]] = [sorted[target], sorted[index]];
+    const next = sorted.map((c, order) => ({ ...c, order }));
+    return save(next, { action: 'category.reorder', target: moved, before: { position: index }, after: { position: target } });
+  };
+
+  const getBySlug = (slug) => categories.find(c => c.slug === slug) || null;
+
+  return (
+    <CategoryContext.Provider value={{
+      categories: [...categories].sort(byOrder), loaded,
+      addCategory, updateCategory, deleteCategory, moveCategory, getBySlug
+    }}>
+      {children}
+    </CategoryContext.Provider>
+  );
+}
+
+export function useCategories() {
+  return useContext(CategoryContext);
+}
+
+
+export default CategoryContext;
@@ -0,0 +1,78 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { DEFAULT_CURRENCY_SETTINGS, normalizeCurrencySettings, getDisplayCurrencies } from '../currency/settings.js';
+import { convertAmount, formatMoney } from '../currency/money.js';
+import { getCatalogRepository } from '../catalog/index.js';
+import { recordAudit } from '../audit/index.js';
+import { useLocale } from './LocaleContext.jsx';
+import { useProducts } from './ProductContext.jsx';
+
+const CurrencyContext = createContext();
+
+// The base currency and rates are saved with the catalog (see
+// catalog/index.js); the shopper's display currency stays in this browser
+const DOCUMENT = 'currencySettings';
+const DISPLAY_CURRENCY_KEY = 'displayCurrency';
+
+export function CurrencyProvider({ children }) {
+  const [settings, setSettings] = useState(() => normalizeCurrencySettings(DEFAULT_CURRENCY_SETTINGS));
+  const [displayCurrency, setDisplayCurrency] = useState(() => localStorage.getItem(DISPLAY_CURRENCY_KEY) || '');
+  const { locale } = useLocale();
+  const { saveDocument } = useProducts();
+
+  const load = async () => {
+    try {
+      const saved = await getCatalogRepository().getDocument(DOCUMENT);
+      if (saved) setSettings(normalizeCurrencySettings(saved));
+    } catch (err) {
+      console.error('Failed to load currency settings:', err);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(DISPLAY_CURRENCY_KEY, displayCurrency);
+  }, [displayCurrency]);
+
+  // Resolves true once saved; a rejected save reloads the saved settings
+  const updateSettings = async (next) => {
+    const normalized = normalizeCurrencySettings(next);
+    setSettings(normalized);
+    if (!(await saveDocument(DOCUMENT, normalized))) {
+      load();
+      return false;
+    }
+    recordAudit({ action: 'settings.currency', target: { id: 'currency', name: 'Currency' }, before: settings, after: normalized });
+    return true;
+  };
+
+  const currencies = getDisplayCurrencies(settings);
+  // Falls back to the base currency if the admin removed the shopper's pick
+  const activeCurrency = currencies.includes(displayCurrency) ? displayCurrency : settings.baseCurrency;
+
+  // Amounts in the base currency, shown in the shopper's currency
+  const convertPrice = (amount) =>
+    convertAmount(amount || 0, { from: settings.baseCurrency, to: activeCurrency, rates: settings.rates });
+
+  const formatPrice = (amount) => formatMoney(convertPrice(amount), activeCurrency, locale);
+
+  // Admin screens and charges always use the base currency
+  const formatBase = (amount) => formatMoney(amount, settings.baseCurrency, locale);
+
+  return (
+    <CurrencyContext.Provider value={{
+      settings, updateSettings, baseCurrency: settings.baseCurrency, currencies,
+      displayCurrency: activeCurrency, setDisplayCurrency, convertPrice, formatPrice, formatBase
+    }}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+}
+
+export function useCurrency() {
+  return useContext(CurrencyContext);
+}
+
+export default CurrencyContext;
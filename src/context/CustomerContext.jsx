@@ -0,0 +1,138 @@
+import { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { loadFirebase, getAuth } from '../auth/firebase.js';
+import { upsertAddress, removeAddress, setDefaultAddress as markDefault } from '../customers/addressBook.js';
+import { getAddressStore } from '../customers/index.js';
+
+const CustomerContext = createContext();
+
+// Set while a shopper is signed in so the next visit restores the session
+// without making guests download Firebase.
+const SESSION_FLAG = 'customerSession';
+
+const toCustomer = (user) => ({
+  uid: user.uid,
+  email: user.email,
+  name: user.displayName || ''
+});
+
+export function CustomerProvider({ children }) {
+  const [customer, setCustomer] = useState(null);
+  const [addresses, setAddresses] = useState([]);
+  // idle until auth is needed, then loading -> ready (or error if Firebase failed)
+  const [status, setStatus] = useState('idle');
+  const unsubscribe = useRef(null);
+  // Latest list and save queue, so back-to-back edits build on each other and land in order
+  const addressesRef = useRef([]);
+  const saving = useRef(Promise.resolve());
+
+  const connect = async () => {
+    if (unsubscribe.current) return true;
+    setStatus('loading');
+    const loaded = await loadFirebase();
+    if (!loaded) {
+      setStatus('error');
+      return false;
+    }
+    if (!unsubscribe.current) {
+      unsubscribe.current = getAuth().onAuthStateChanged((user) => {
+        setCustomer(user ? toCustomer(user) : null);
+        if (user) localStorage.setItem(SESSION_FLAG, '1');
+        else localStorage.removeItem(SESSION_FLAG);
+        setStatus('ready');
+      });
+    }
+    return true;
+  };
+
+  useEffect(() => {
+    if (localStorage.getItem(SESSION_FLAG)) connect();
+    return () => unsubscribe.current?.();
+  }, []);
+
+  const showAddresses = (list) => {
+    addressesRef.current = list;
+    setAddresses(list);
+  };
+
+  useEffect(() => {
+    showAddresses([]);
+    if (!customer) return;
+    let current = true;
+    getAddressStore().load(customer.uid)
+      .then(list => {
+        if (current) showAddresses(list);
+      })
+      .catch(err => console.error('Failed to load saved addresses:', err));
+    return () => {
+      current = false;
+    };
+  }, [customer?.uid]);
+
+  // Resolves true once saved. Checkout waits for it, since it may redirect to
+  // payment right after saving.
+  const updateAddresses = (update) => {
+    if (!customer) return Promise.resolve(false);
+    const next = update(addressesRef.current);
+    showAddresses(next);
+    const saved = saving.current.then(() => getAddressStore().save(customer.uid, next));
+    saving.current = saved.catch(() => {});
+    return saved.then(() => true, err => {
+      console.error('Failed to save addresses:', err);
+      return false;
+    });
+  };
+
+  const signIn = async (email, password) => {
+    if (!(await connect())) throw new Error('Authentication is unavailable');
+    await getAuth().signInWithEmailAndPassword(email, password);
+  };
+
+  const signUp = async ({ name, email, password }) => {
+    if (!(await connect())) throw new Error('Authentication is unavailable');
+    const { user } = await getAuth().createUserWithEmailAndPassword(email, password);
+    if (name) {
+      await user.updateProfile({ displayName: name });
+      // onAuthStateChanged fired before the profile update landed
+      setCustomer(toCustomer(user));
+    }
+  };
+
+  const resetPassword = async (email) => {
+    if (!(await connect())) throw new Error('Authentication is unavailable');
+    await getAuth().sendPasswordResetEmail(email);
+  };
+
+  const signOut = async () => {
+    if (getAuth()) await getAuth().signOut();
+  };
+
+  const saveAddress = (address) => updateAddresses(list => upsertAddress(list, address));
+  const deleteAddress = (id) => updateAddresses(list => removeAddress(list, id));
+  const setDefaultAddress = (id) => updateAddresses(list => markDefault(list, id));
+  const defaultAddress = addresses.find(a => a.isDefault) || null;
+
+  return (
+    <CustomerContext.Provider value={{
+      customer,
+      status,
+      connect,
+      signIn,
+      signUp,
+      signOut,
+      resetPassword,
+      addresses,
+      defaultAddress,
+      saveAddress,
+      deleteAddress,
+      setDefaultAddress
+    }}>
+      {children}
+    </CustomerContext.Provider>
+  );
+}
+
+export function useCustomer() {
+  return useContext(CustomerContext);
+}
+
+export default CustomerContext;
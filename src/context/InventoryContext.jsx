@@ -0,0 +1,52 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { DEFAULT_INVENTORY_SETTINGS, normalizeInventorySettings } from '../utils/inventory.js';
+import { useProducts } from './ProductContext.jsx';
+import { getCatalogRepository } from '../catalog/index.js';
+import { recordAudit } from '../audit/index.js';
+
+const InventoryContext = createContext();
+
+// The low-stock threshold is saved with the catalog (see catalog/index.js)
+const DOCUMENT = 'inventorySettings';
+
+export function InventoryProvider({ children }) {
+  const [settings, setSettings] = useState(DEFAULT_INVENTORY_SETTINGS);
+  const { saveDocument } = useProducts();
+
+  const load = async () => {
+    try {
+      const saved = await getCatalogRepository().getDocument(DOCUMENT);
+      setSettings(normalizeInventorySettings(saved));
+    } catch (err) {
+      console.error('Failed to load inventory settings:', err);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // Resolves true once saved; a rejected save reloads the saved settings
+  const updateSettings = async (next) => {
+    const normalized = normalizeInventorySettings(next);
+    setSettings(normalized);
+    if (!(await saveDocument(DOCUMENT, normalized))) {
+      load();
+      return false;
+    }
+    recordAudit({ action: 'settings.inventory', target: { id: 'inventory', name: 'Inventory' }, before: settings, after: normalized });
+    return true;
+  };
+
+  return (
+    <InventoryContext.Provider value={{ settings, updateSettings, lowStockThreshold: settings.lowStockThreshold }}>
+      {children}
+    </InventoryContext.Provider>
+  );
+}
+
+export function useInventory() {
+  return useContext(InventoryContext);
+}
+
+export default InventoryContext;
@@ -0,0 +1,47 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { DEFAULT_LOCALE, getLocale, detectLocale } from '../i18n/locales.js';
+import { createTranslator, translateLabel, localizeProduct } from '../i18n/translate.js';
+
+const LocaleContext = createContext();
+
+export function LocaleProvider({ children }) {
+  const [locale, setLocaleState] = useState(DEFAULT_LOCALE);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    const saved = localStorage.getItem('locale');
+    setLocaleState(getLocale(saved) ? saved : detectLocale(navigator.languages || [navigator.language]));
+    setLoaded(true);
+  }, []);
+
+  // Keep <html lang dir> in sync so RTL scripts lay out right to left
+  useEffect(() => {
+    if (!loaded) return;
+    localStorage.setItem('locale', locale);
+    document.documentElement.lang = locale;
+    document.documentElement.dir = getLocale(locale)?.dir || 'ltr';
+  }, [locale, loaded]);
+
+  const setLocale = (code) => {
+    if (getLocale(code)) setLocaleState(code);
+  };
+
+  return (
+    <LocaleContext.Provider value={{
+      locale,
+      setLocale,
+      dir: getLocale(locale)?.dir || 'ltr',
+      t: createTranslator(locale),
+      tLabel: (label) => translateLabel(locale, label),
+      localizeProduct: (product) => localizeProduct(product, locale)
+    }}>
+      {children}
+    </LocaleContext.Provider>
+  );
+}
+
+export function useLocale() {
+  return useContext(LocaleContext);
+}
+
+export default LocaleContext;
@@ -0,0 +1,76 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { DEFAULT_PRICING_SETTINGS, normalizePricingSettings, normalizeDestination } from '../pricing/settings.js';
+import { useProducts } from './ProductContext.jsx';
+import { getCatalogRepository } from '../catalog/index.js';
+import { recordAudit } from '../audit/index.js';
+
+const PricingContext = createContext();
+
+// Shipping and tax rates are saved with the catalog (see catalog/index.js);
+// the destination is the shopper's own and stays in this browser
+const DOCUMENT = 'pricingSettings';
+const DESTINATION_KEY = 'shippingDestination';
+
+const DEFAULT_DESTINATION = { country: 'US', region: '', zip: '' };
+
+const readDestination = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DESTINATION_KEY));
+    return saved ? normalizeDestination(saved) : DEFAULT_DESTINATION;
+  } catch (err) {
+    console.warn('⚠️ Could not read the saved shipping destination:', err);
+    return DEFAULT_DESTINATION;
+  }
+};
+
+export function PricingProvider({ children }) {
+  const [settings, setSettings] = useState(DEFAULT_PRICING_SETTINGS);
+  const [destination, setDestinationState] = useState(readDestination);
+  const { saveDocument } = useProducts();
+
+  const load = async () => {
+    try {
+      const saved = await getCatalogRepository().getDocument(DOCUMENT);
+      setSettings(normalizePricingSettings(saved));
+    } catch (err) {
+      console.error('Failed to load shipping and tax settings:', err);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(DESTINATION_KEY, JSON.stringify(destination));
+  }, [destination]);
+
+  // Resolves true once saved; a rejected save reloads the saved settings
+  const updateSettings = async (next) => {
+    const normalized = normalizePricingSettings(next);
+    setSettings(normalized);
+    if (!(await saveDocument(DOCUMENT, normalized))) {
+      load();
+      return false;
+    }
+    recordAudit({ action: 'settings.shipping', target: { id: 'shipping', name: 'Shipping & tax' }, before: settings, after: normalized });
+    return true;
+  };
+
+  // Where the shopper is shipping to; drives the shipping zone and tax rate
+  const setDestination = (updates) => {
+    setDestinationState(prev => normalizeDestination({ ...prev, ...updates }));
+  };
+
+  return (
+    <PricingContext.Provider value={{ settings, updateSettings, destination, setDestination }}>
+      {children}
+    </PricingContext.Provider>
+  );
+}
+
+export function usePricing() {
+  return useContext(PricingContext);
+}
+
+export default PricingContext;
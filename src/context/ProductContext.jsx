@@ -1,45 +1,169 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useRef, useMemo } from 'react';
+import { isPublished, getNextPublishChange } from '../utils/publishing.js';
+import { getCatalogRepository, diffCatalog, isEmptyChange } from '../catalog/index.js';
+import { recordAudit, getAuditActor } from '../audit/index.js';
+import { recordCatalogRevisions } from '../revisions/index.js';
 
 const ProductContext = createContext();
 
-const defaultProducts = [
-  { id: '1', name: 'Product 1', description: 'Quality product for your needs', price: 29.99, image: 'https://placehold.co/300x300?text=Product+1', category: 'General', inStock: true },
-  { id: '2', name: 'Product 2', description: 'Another excellent choice', price: 49.99, image: 'https://placehold.co/300x300?text=Product+2', category: 'General', inStock: true },
-  { id: '3', name: 'Product 3', description: 'Premium quality item', price: 79.99, image: 'https://placehold.co/300x300?text=Product+3', category: 'Premium', inStock: true },
-];
+// One audit entry per product a saved change touched
+const auditCatalogChanges = (prev, { upserts, removals }) => {
+  const prevById = new Map(prev.map(product => [product.id, product]));
+  upserts.forEach(product => {
+    const before = prevById.get(product.id);
+    recordAudit({ action: before ? 'product.update' : 'product.create', target: product, before, after: product });
+  });
+  removals.forEach(id => {
+    const before = prevById.get(id);
+    recordAudit({ action: 'product.delete', target: before, before, after: null });
+  });
+};
+
+// Revisions and the trash only follow admin edits, like the audit log
+const recordHistory = (prev, changes) => {
+  const actor = getAuditActor();
+  if (!actor) return Promise.resolve(false);
+  return recordCatalogRevisions(prev, changes, actor)
+    .then(() => true)
+    .catch(err => {
+      console.error('Failed to record product history:', err);
+      return false;
+    });
+};
 
 export function ProductProvider({ children }) {
   const [products, setProducts] = useState([]);
+  // 'loading' | 'ready' | 'error'
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState('');
+  // Last write the repository rejected; the admin shows it
+  const [saveError, setSaveError] = useState('');
+  // Bumped once revisions/trash for a save are written, so history views reload
+  const [historyVersion, setHistoryVersion] = useState(0);
+  // Latest catalog, so several edits in one tick build on each other
+  const current = useRef([]);
+  // Saves run one at a time, in the order they were made
+  const saving = useRef(Promise.resolve());
 
-  useEffect(() => {
-    const saved = localStorage.getItem('products');
-    if (saved) {
-      setProducts(JSON.parse(saved));
-    } else {
-      setProducts(defaultProducts);
+  // `quiet` keeps what's on screen while refreshing after a failed save
+  const load = async ({ quiet = false } = {}) => {
+    if (!quiet) {
+      setStatus('loading');
+      setError('');
+    }
+    try {
+      const list = await getCatalogRepository().list();
+      current.current = list;
+      setProducts(list);
+      setStatus('ready');
+    } catch (err) {
+      console.error('Failed to load catalog:', err);
+      if (!quiet) {
+        setError(err.message);
+        setStatus('error');
+      }
     }
+  };
+
+  useEffect(() => {
+    load();
   }, []);
 
+  // Scheduled products appear and expire on their own, without a reload:
+  // `tick` changes when the next publish window opens or closes
+  const [tick, setTick] = useState(0);
+
   useEffect(() => {
-    if (products.length > 0) {
-      localStorage.setItem('products', JSON.stringify(products));
+    const delay = getNextPublishChange(products);
+    if (delay === null) return;
+    const timer = setTimeout(() => setTick(t => t + 1), delay);
+    return () => clearTimeout(timer);
+  }, [products, tick]);
+
+  // What the storefront shows; the admin works on the full `products`. This
+  // only hides unreleased products from the page: the HTTP backend and the
+  // catalog.json export keep them out of what shoppers download.
+  const publishedProducts = useMemo(
+    () => products.filter(product => isPublished(product)),
+    [products, tick]
+  );
+
+  // Edits show up immediately and are saved in the background. If the
+  // repository rejects one, the catalog is reloaded to drop it.
+  const commit = (update) => {
+    const repository = getCatalogRepository();
+    if (repository.readOnly) {
+      repository.save().catch(err => setSaveError(err.message));
+      return;
     }
-  }, [products]);
+
+    const prev = current.current;
+    const next = update(prev);
+    const changes = diffCatalog(prev, next);
+    if (isEmptyChange(changes)) return;
+
+    current.current = next;
+    setProducts(next);
+    saving.current = saving.current
+      .then(() => repository.save(changes))
+      .then(() => {
+        auditCatalogChanges(prev, changes);
+        recordHistory(prev, changes).then(recorded => {
+          if (recorded) setHistoryVersion(v => v + 1);
+        });
+      })
+      .catch(err => {
+        console.error('Failed to save catalog:', err);
+        setSaveError(err.message);
+        load({ quiet: true });
+      });
+  };
+
+  const dismissSaveError = () => setSaveError('');
+
+  // Categories and store settings are saved through the same queue, so a
+  // rejected write shows up like any other unsaved change. Resolves false
+  // when it failed; the caller reloads its document.
+  const saveDocument = (name, value) => {
+    const repository = getCatalogRepository();
+    const saved = saving.current.then(() => repository.saveDocument(name, value));
+    saving.current = saved.catch(() => {});
+    return saved.then(() => true, err => {
+      console.error(`Failed to save ${name}:`, err);
+      setSaveError(err.message);
+      return false;
+    });
+  };
 
   const addProduct = (product) => {
-    setProducts(prev => [...prev, { ...product, id: Date.now().toString() }]);
+    commit(prev => [...prev, { ...product, id: Date.now().toString(), createdAt: Date.now() }]);
+  };
+
+  // Bulk import: one timestamp, so ids get a sequence suffix to stay unique
+  const addProducts = (list) => {
+    const now = Date.now();
+    commit(prev => [...prev, ...list.map((product, i) => ({ ...product, id: `${now}-${i}`, createdAt: now }))]);
   };
 
   const updateProduct = (id, updates) => {
-    setProducts(prev => prev.map(p => p.id === id ? { ...p, ...updates } : p));
+    commit(prev => prev.map(p => p.id === id ? { ...p, ...updates } : p));
   };
 
   const deleteProduct = (id) => {
-    setProducts(prev => prev.filter(p => p.id !== id));
+    commit(prev => prev.filter(p => p.id !== id));
+  };
+
+  // Bulk edits and undo compute the whole next catalog up front
+  const replaceProducts = (next) => {
+    commit(() => next);
   };
 
   return (
-    <ProductContext.Provider value={{ products, addProduct, updateProduct, deleteProduct }}>
+    <ProductContext.Provider value={{
+      products, publishedProducts, status, error, reload: () => load(), saveError, dismissSaveError,
+      readOnly: getCatalogRepository().readOnly, historyVersion,
+      addProduct, addProducts, updateProduct, deleteProduct, replaceProducts, saveDocument
+    }}>
       {children}
     </ProductContext.Provider>
   );
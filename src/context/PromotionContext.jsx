@@ -0,0 +1,149 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { useProducts } from './ProductContext.jsx';
+import { useCategories } from './CategoryContext.jsx';
+import { useCart } from './CartContext.jsx';
+import { usePricing } from './PricingContext.jsx';
+import { useCurrency } from './CurrencyContext.jsx';
+import { getProductCategory } from '../utils/categories.js';
+import {
+  getPromotionStore, calculateDiscount, getIneligibilityReason, normalizeCode
+} from '../promotions/index.js';
+import { computeTotals } from '../pricing/totals.js';
+import { recordAudit } from '../audit/index.js';
+
+const PromotionContext = createContext();
+
+const APPLIED_CODE_KEY = 'appliedPromoCode';
+
+export function PromotionProvider({ children }) {
+  // Every code, for the admin only; see loadPromotions
+  const [promotions, setPromotions] = useState([]);
+  const [appliedCode, setAppliedCode] = useState(() => localStorage.getItem(APPLIED_CODE_KEY) || '');
+  // The applied code's terms as the store has them
+  const [appliedPromotion, setAppliedPromotion] = useState(null);
+  const { products } = useProducts();
+  const { categories } = useCategories();
+  const { formatPrice, baseCurrency } = useCurrency();
+
+  useEffect(() => {
+    localStorage.setItem(APPLIED_CODE_KEY, appliedCode);
+  }, [appliedCode]);
+
+  // A code kept from an earlier visit is looked up again, so edits and
+  // deletions since then apply
+  useEffect(() => {
+    if (!appliedCode) return;
+    getPromotionStore().lookup(appliedCode)
+      .then(promotion => {
+        setAppliedPromotion(promotion);
+        if (!promotion) setAppliedCode('');
+      })
+      .catch(err => console.warn('⚠️ Could not look up the applied promo code:', err));
+  }, []);
+
+  // Shoppers never need the whole list, so it's only fetched by the admin
+  const loadPromotions = async () => {
+    setPromotions(await getPromotionStore().list());
+  };
+
+  const addPromotion = async (promotion) => {
+    const added = await getPromotionStore().save({ usageCount: 0, ...promotion, id: Date.now().toString() });
+    setPromotions(prev => [...prev, added]);
+    recordAudit({ action: 'promotion.create', target: { id: added.id, name: added.code }, before: null, after: added });
+  };
+
+  const updatePromotion = async (id, updates) => {
+    const before = promotions.find(p => p.id === id);
+    if (!before) return;
+    const updated = await getPromotionStore().save({ ...before, ...updates });
+    setPromotions(prev => prev.map(p => p.id === id ? updated : p));
+    recordAudit({ action: 'promotion.update', target: { id, name: before.code }, before, after: updated });
+  };
+
+  const deletePromotion = async (id) => {
+    const before = promotions.find(p => p.id === id);
+    await getPromotionStore().remove(id);
+    setPromotions(prev => prev.filter(p => p.id !== id));
+    if (before) recordAudit({ action: 'promotion.delete', target: { id, name: before.code }, before, after: null });
+  };
+
+  // Cart lines as the engine sees them, with categories resolved from the live catalog
+  const toPromotionLines = (cartItems) => cartItems.map(item => {
+    const product = products.find(p => p.id === item.id);
+    return {
+      productId: item.id,
+      categoryId: product ? getProductCategory(product, categories)?.id || null : null,
+      price: item.price,
+      quantity: item.quantity
+    };
+  });
+
+  // Resolves to why the code can't be used (a message descriptor), or null
+  // once it's applied
+  const applyCode = async (code, cartItems) => {
+    let promotion;
+    try {
+      promotion = await getPromotionStore().lookup(normalizeCode(code));
+    } catch (err) {
+      console.error('Failed to look up promo code:', err);
+      return { key: 'promo.errors.unavailable' };
+    }
+    if (!promotion) return { key: 'promo.errors.invalid' };
+    const reason = getIneligibilityReason(promotion, toPromotionLines(cartItems), { currency: baseCurrency, formatAmount: formatPrice });
+    if (reason) return reason;
+    setAppliedPromotion(promotion);
+    setAppliedCode(normalizeCode(promotion.code));
+    return null;
+  };
+
+  // Also called once an order using the code is paid; the use itself is
+  // counted by the order store (see promotions/index.js)
+  const removeCode = () => {
+    setAppliedCode('');
+    setAppliedPromotion(null);
+  };
+
+  // The applied promotion's effect on this cart; re-checked on every change
+  const getDiscount = (cartItems) => {
+    const promotion = appliedCode ? appliedPromotion : null;
+    if (!promotion) return { code: '', amount: 0, freeShipping: false, label: null, error: null };
+    const lines = toPromotionLines(cartItems);
+    const options = { now: new Date(), currency: baseCurrency, formatAmount: formatPrice };
+    const error = getIneligibilityReason(promotion, lines, options);
+    return { code: appliedCode, error, ...calculateDiscount(promotion, lines, options) };
+  };
+
+  return (
+    <PromotionContext.Provider value={{
+      promotions, appliedCode, loadPromotions, addPromotion, updatePromotion, deletePromotion,
+      applyCode, removeCode, getDiscount
+    }}>
+      {children}
+    </PromotionContext.Provider>
+  );
+}
+
+export function usePromotions() {
+  return useContext(PromotionContext);
+}
+
+// Subtotal, discount and total for what's headed to Checkout
+export function useCartTotals() {
+  const { checkoutItems, getTotal } = useCart();
+  const { getDiscount } = usePromotions();
+  const { settings, destination } = usePricing();
+  const { baseCurrency, formatPrice } = useCurrency();
+  const discount = getDiscount(checkoutItems);
+  return computeTotals({
+    subtotal: getTotal(),
+    discount: discount.error ? null : discount,
+    lines: checkoutItems,
+    destination,
+    settings,
+    currency: baseCurrency,
+    formatAmount: formatPrice
+  });
+}
+
+
+export default PromotionContext;
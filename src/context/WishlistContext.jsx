@@ -0,0 +1,83 @@
+import { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { useCustomer } from './CustomerContext.jsx';
+import { readWishlist, writeWishlist, mergeWishlists } from '../customers/wishlist.js';
+import { getWishlistStore } from '../customers/index.js';
+
+const WishlistContext = createContext();
+
+export function WishlistProvider({ children }) {
+  const { customer } = useCustomer();
+  const [items, setItems] = useState([]);
+  const owner = customer?.uid || null;
+  // Saves go out one at a time, so a quick add-then-remove lands in order
+  const saving = useRef(Promise.resolve());
+
+  const saveToAccount = (uid, ids) => {
+    const saved = saving.current.then(() => getWishlistStore().save(uid, ids));
+    saving.current = saved.catch(err => console.error('Failed to save the wishlist:', err));
+    return saved;
+  };
+
+  // Switch lists when a customer signs in or out, folding guest saves into the account
+  useEffect(() => {
+    if (!owner) {
+      setItems(readWishlist());
+      return;
+    }
+    let current = true;
+    const load = async () => {
+      const accountItems = await getWishlistStore().load(owner);
+      if (!current) return;
+      const guestItems = readWishlist();
+      const merged = mergeWishlists(accountItems, guestItems);
+      setItems(merged);
+      if (guestItems.length > 0) {
+        await saveToAccount(owner, merged);
+        writeWishlist(null, []);
+      }
+    };
+    load().catch(err => console.error('Failed to load the wishlist:', err));
+    return () => {
+      current = false;
+    };
+  }, [owner]);
+
+  const update = (next) => {
+    setItems(next);
+    if (owner) saveToAccount(owner, next).catch(() => {});
+    else writeWishlist(null, next);
+  };
+
+  const isInWishlist = (productId) => items.includes(String(productId));
+
+  const addToWishlist = (productId) => {
+    if (!isInWishlist(productId)) update([String(productId), ...items]);
+  };
+
+  const addAllToWishlist = (productIds) => update(mergeWishlists(items, productIds));
+
+  const removeFromWishlist = (productId) => {
+    update(items.filter(id => id !== String(productId)));
+  };
+
+  const toggleWishlist = (productId) => {
+    if (isInWishlist(productId)) removeFromWishlist(productId);
+    else addToWishlist(productId);
+  };
+
+  return (
+    <WishlistContext.Provider value={{
+      items, isInWishlist, addToWishlist, addAllToWishlist, removeFromWishlist, toggleWishlist
+    }}>
+      {children}
+    </WishlistContext.Provider>
+  );
+}
+
+export function useWishlist() {
+  const context = useContext(WishlistContext);
+  if (!context) throw new Error('useWishlist must be used within WishlistProvider');
+  return context;
+}
+
+export default WishlistContext;
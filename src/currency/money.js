@@ -0,0 +1,49 @@
+// ============================================
+// Money helpers
+// ============================================
+//
+// Prices are stored as decimal amounts in the store's base currency. Anything
+// that adds prices together goes through minor units (integer cents) so
+// totals don't pick up floating-point drift.
+
+const digitsCache = {};
+
+// 2 for USD/EUR, 0 for JPY, 3 for KWD
+export const getMinorDigits = (currency = 'USD') => {
+  if (digitsCache[currency] === undefined) {
+    try {
+      digitsCache[currency] = new Intl.NumberFormat('en', { style: 'currency', currency })
+        .resolvedOptions().maximumFractionDigits;
+    } catch {
+      digitsCache[currency] = 2;
+    }
+  }
+  return digitsCache[currency];
+};
+
+export const toMinor = (amount, currency = 'USD') =>
+  Math.round((Number(amount) || 0) * 10 ** getMinorDigits(currency));
+
+export const fromMinor = (minor, currency = 'USD') => minor / 10 ** getMinorDigits(currency);
+
+export const roundMoney = (amount, currency = 'USD') => fromMinor(toMinor(amount, currency), currency);
+
+// Sum of price x quantity, added up in minor units
+export const sumLines = (lines, currency = 'USD') =>
+  fromMinor(lines.reduce((sum, line) => sum + toMinor(line.price, currency) * line.quantity, 0), currency);
+
+// `rates` maps currency code -> units per one unit of the base currency
+export const convertAmount = (amount, { from, to, rates }) => {
+  if (from === to) return amount;
+  const fromRate = rates[from] || 1;
+  const toRate = rates[to] || 1;
+  return roundMoney((amount / fromRate) * toRate, to);
+};
+
+export const formatMoney = (amount, currency = 'USD', locale) => {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount || 0);
+  } catch {
+    return `${currency} ${(amount || 0).toFixed(2)}`;
+  }
+};
@@ -0,0 +1,36 @@
+// ============================================
+// Currency settings
+// ============================================
+
+export const SUPPORTED_CURRENCIES = [
+  { code: 'USD', name: 'US Dollar' },
+  { code: 'CAD', name: 'Canadian Dollar' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'GBP', name: 'British Pound' },
+  { code: 'AUD', name: 'Australian Dollar' },
+  { code: 'MXN', name: 'Mexican Peso' },
+  { code: 'JPY', name: 'Japanese Yen' }
+];
+
+// `rates` are units of each display currency per one unit of the base
+// currency, maintained by hand from the admin dashboard
+export const DEFAULT_CURRENCY_SETTINGS = {
+  baseCurrency: 'USD',
+  rates: {}
+};
+
+const isSupported = (code) => SUPPORTED_CURRENCIES.some(c => c.code === code);
+
+export const normalizeCurrencySettings = (settings) => {
+  const baseCurrency = isSupported(settings?.baseCurrency) ? settings.baseCurrency : 'USD';
+  const rates = {};
+  Object.entries(settings?.rates || {}).forEach(([code, rate]) => {
+    const value = parseFloat(rate);
+    if (isSupported(code) && code !== baseCurrency && value > 0) rates[code] = value;
+  });
+  return { baseCurrency, rates: { ...rates, [baseCurrency]: 1 } };
+};
+
+// Base currency first, then every currency with a rate
+export const getDisplayCurrencies = (settings) =>
+  [settings.baseCurrency, ...Object.keys(settings.rates).filter(code => code !== settings.baseCurrency)];
@@ -0,0 +1,66 @@
+// ============================================
+// Saved shipping addresses
+// ============================================
+//
+// Kept per Firebase user through the address store (see index.js). The first
+// address saved becomes the default; checkout pre-fills from the default.
+
+import { normalizeDestination } from '../pricing/settings.js';
+
+const storageKey = (uid) => `customerAddresses:${uid}`;
+
+const generateAddressId = () => `addr-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const normalizeAddress = (address = {}) => ({
+  id: address.id || generateAddressId(),
+  name: (address.name || '').trim(),
+  address: (address.address || '').trim(),
+  city: (address.city || '').trim(),
+  ...normalizeDestination(address),
+  isDefault: Boolean(address.isDefault)
+});
+
+// Exactly one address is the default whenever the book isn't empty
+const ensureDefault = (addresses) => {
+  if (addresses.length === 0 || addresses.some(a => a.isDefault)) return addresses;
+  return addresses.map((a, i) => ({ ...a, isDefault: i === 0 }));
+};
+
+export const normalizeAddressBook = (saved) =>
+  ensureDefault(Array.isArray(saved) ? saved.map(normalizeAddress) : []);
+
+export const readAddresses = (uid) => {
+  try {
+    return normalizeAddressBook(JSON.parse(localStorage.getItem(storageKey(uid)) || '[]'));
+  } catch {
+    return [];
+  }
+};
+
+export const writeAddresses = (uid, addresses) => {
+  localStorage.setItem(storageKey(uid), JSON.stringify(addresses));
+};
+
+// Adds a new address or replaces the one with the same id
+export const upsertAddress = (addresses, address) => {
+  const next = normalizeAddress(address);
+  let list = addresses.some(a => a.id === next.id)
+    ? addresses.map(a => (a.id === next.id ? next : a))
+    : [...addresses, next];
+  if (next.isDefault) list = list.map(a => ({ ...a, isDefault: a.id === next.id }));
+  return ensureDefault(list);
+};
+
+export const removeAddress = (addresses, id) =>
+  ensureDefault(addresses.filter(a => a.id !== id));
+
+export const setDefaultAddress = (addresses, id) =>
+  addresses.map(a => ({ ...a, isDefault: a.id === id }));
+
+// Same street, city and postcode counts as the same address
+export const findMatchingAddress = (addresses, address) =>
+  addresses.find(a =>
+    a.address.toLowerCase() === (address.address || '').trim().toLowerCase() &&
+    a.city.toLowerCase() === (address.city || '').trim().toLowerCase() &&
+    a.zip === normalizeDestination(address).zip
+  ) || null;
@@ -0,0 +1,28 @@
+// ============================================
+// Address store: REST backend
+// ============================================
+//
+// Expects the same { success, ... } envelope as the Alimi API:
+//   GET {baseUrl}/customers/:uid/addresses                      -> { success, addresses }
+//   PUT {baseUrl}/customers/:uid/addresses  body: { addresses } -> { success }
+// The whole address book is saved at once. Requests carry the customer's ID
+// token; the backend must only serve the book whose uid matches the token.
+
+import { createApiClient } from '../api/http.js';
+import { normalizeAddressBook } from './addressBook.js';
+
+export const createHttpAddressStore = ({ baseUrl, projectId }) => {
+  const request = createApiClient({ baseUrl, projectId, name: 'Address book' });
+  const addressesPath = (uid) => `/customers/${encodeURIComponent(uid)}/addresses`;
+
+  return {
+    async load(uid) {
+      const data = await request(addressesPath(uid));
+      return normalizeAddressBook(data.addresses);
+    },
+
+    async save(uid, addresses) {
+      await request(addressesPath(uid), { method: 'PUT', body: { addresses } });
+    }
+  };
+};
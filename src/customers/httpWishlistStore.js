@@ -0,0 +1,27 @@
+// ============================================
+// Wishlist store: REST backend
+// ============================================
+//
+// Expects the same { success, ... } envelope as the Alimi API:
+//   GET {baseUrl}/customers/:uid/wishlist                  -> { success, items }
+//   PUT {baseUrl}/customers/:uid/wishlist  body: { items }  -> { success }
+// `items` are product ids, newest first. Requests carry the customer's ID
+// token; the backend must only serve the list whose uid matches the token.
+
+import { createApiClient } from '../api/http.js';
+
+export const createHttpWishlistStore = ({ baseUrl, projectId }) => {
+  const request = createApiClient({ baseUrl, projectId, name: 'Wishlist' });
+  const wishlistPath = (uid) => `/customers/${encodeURIComponent(uid)}/wishlist`;
+
+  return {
+    async load(uid) {
+      const data = await request(wishlistPath(uid));
+      return Array.isArray(data.items) ? data.items.map(String) : [];
+    },
+
+    async save(uid, ids) {
+      await request(wishlistPath(uid), { method: 'PUT', body: { items: ids } });
+    }
+  };
+};
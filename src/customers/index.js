@@ -0,0 +1,59 @@
+// ============================================
+// Customer account data
+// ============================================
+//
+// Wishlist and address stores implement the same async interface, keyed by
+// the signed-in customer's Firebase uid:
+//   load(uid)          -> product id[] (newest first) | address[]
+//   save(uid, value)   -> void
+// Guests' wishlists never leave this browser (see wishlist.js). Set
+// VITE_CUSTOMERS_API_URL to save signed-in customers' data to their account;
+// this browser keeps a copy, used while the backend can't be reached.
+// Otherwise it stays in this browser's localStorage.
+
+import { createLocalStorageWishlistStore } from './localStorageWishlistStore.js';
+import { createHttpWishlistStore } from './httpWishlistStore.js';
+import { createLocalStorageAddressStore } from './localStorageAddressStore.js';
+import { createHttpAddressStore } from './httpAddressStore.js';
+import { createLazyStore } from '../utils/lazyStore.js';
+
+export {
+  createLocalStorageWishlistStore, createHttpWishlistStore, createLocalStorageAddressStore, createHttpAddressStore
+};
+
+// The account is the source of truth; the copy only answers when it can't
+export const withLocalCopy = (local, server, label) => ({
+  async load(uid) {
+    try {
+      const saved = await server.load(uid);
+      await local.save(uid, saved);
+      return saved;
+    } catch (err) {
+      console.warn(`⚠️ ${label} unavailable, using this browser's copy:`, err);
+      return local.load(uid);
+    }
+  },
+
+  async save(uid, value) {
+    await local.save(uid, value);
+    await server.save(uid, value);
+  }
+});
+
+const wishlistStore = createLazyStore(() => {
+  const baseUrl = import.meta.env.VITE_CUSTOMERS_API_URL;
+  const local = createLocalStorageWishlistStore();
+  return baseUrl ? withLocalCopy(local, createHttpWishlistStore({ baseUrl }), 'Wishlist') : local;
+});
+
+export const getWishlistStore = wishlistStore.get;
+export const setWishlistStore = wishlistStore.set;
+
+const addressStore = createLazyStore(() => {
+  const baseUrl = import.meta.env.VITE_CUSTOMERS_API_URL;
+  const local = createLocalStorageAddressStore();
+  return baseUrl ? withLocalCopy(local, createHttpAddressStore({ baseUrl }), 'Address book') : local;
+});
+
+export const getAddressStore = addressStore.get;
+export const setAddressStore = addressStore.set;
@@ -0,0 +1,19 @@
+// ============================================
+// Address store: browser localStorage
+// ============================================
+//
+// Keeps each customer's addresses under `customerAddresses:<uid>` in this
+// browser. Without a backend it's the whole store; with one, it's the copy
+// used offline.
+
+import { readAddresses, writeAddresses } from './addressBook.js';
+
+export const createLocalStorageAddressStore = () => ({
+  async load(uid) {
+    return readAddresses(uid);
+  },
+
+  async save(uid, addresses) {
+    writeAddresses(uid, addresses);
+  }
+});
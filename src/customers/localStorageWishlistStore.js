@@ -0,0 +1,18 @@
+// ============================================
+// Wishlist store: browser localStorage
+// ============================================
+//
+// Keeps each customer's list under `wishlist:<uid>` in this browser. Without
+// a backend it's the whole store; with one, it's the copy used offline.
+
+import { readWishlist, writeWishlist } from './wishlist.js';
+
+export const createLocalStorageWishlistStore = () => ({
+  async load(uid) {
+    return readWishlist(uid);
+  },
+
+  async save(uid, ids) {
+    writeWishlist(uid, ids);
+  }
+});
@@ -0,0 +1,45 @@
+// ============================================
+// Wishlist storage and share links
+// ============================================
+//
+// A wishlist is an ordered list of product ids, newest first. Guests keep
+// theirs in this browser under `wishlist`; signed-in customers' lists go
+// through the wishlist store (see index.js), and the guest list is merged
+// into them on sign-in.
+
+const storageKey = (uid) => (uid ? `wishlist:${uid}` : 'wishlist');
+
+const unique = (ids) => [...new Set(ids.map(String).filter(Boolean))];
+
+export const readWishlist = (uid = null) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(uid)) || '[]');
+    return Array.isArray(saved) ? unique(saved) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const writeWishlist = (uid, ids) => {
+  localStorage.setItem(storageKey(uid), JSON.stringify(ids));
+};
+
+// Account entries keep their order; anything saved as a guest is added in front
+export const mergeWishlists = (accountIds, guestIds) => unique([...guestIds, ...accountIds]);
+
+export const encodeWishlist = (ids) => ids.map(encodeURIComponent).join(',');
+
+export const decodeWishlist = (param) =>
+  unique((param || '').split(',').map(id => {
+    try {
+      return decodeURIComponent(id.trim());
+    } catch {
+      return '';
+    }
+  }));
+
+// Full URL for the /wishlist route; the app runs under a HashRouter
+export const getWishlistShareUrl = (ids) => {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}#/wishlist?items=${encodeWishlist(ids)}`;
+};
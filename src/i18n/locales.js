@@ -0,0 +1,20 @@
+// Storefront languages. `dir` drives the document direction for RTL scripts.
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = [
+  { code: 'en', name: 'English', dir: 'ltr' },
+  { code: 'es', name: 'Español', dir: 'ltr' },
+  { code: 'fr', name: 'Français', dir: 'ltr' },
+  { code: 'ar', name: 'العربية', dir: 'rtl' }
+];
+
+export const getLocale = (code) => LOCALES.find(l => l.code === code) || null;
+
+// Best match for the browser's preferred languages, e.g. 'fr-CA' -> 'fr'
+export const detectLocale = (languages = []) => {
+  for (const language of languages) {
+    const base = String(language).toLowerCase().split('-')[0];
+    if (getLocale(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+};
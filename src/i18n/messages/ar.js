@@ -0,0 +1,335 @@
+// Arabic uses all six plural categories; forms not listed fall back to `other`
+export default {
+  common: {
+    continueShopping: 'متابعة التسوق',
+    remove: 'إزالة',
+    buyNow: 'اشترِ الآن',
+    soldOut: 'نفدت الكمية',
+    home: 'الرئيسية',
+    shop: 'المتجر'
+  },
+  nav: {
+    home: 'الرئيسية',
+    shop: 'المتجر',
+    cart: 'السلة',
+    contact: 'اتصل بنا',
+    login: 'تسجيل الدخول',
+    allProducts: 'كل المنتجات',
+    collections: 'المجموعات',
+    language: 'اللغة',
+    currency: 'عملة العرض',
+    account: 'حسابي',
+    signIn: 'تسجيل الدخول',
+    wishlist: 'المفضلة'
+  },
+  footer: {
+    tagline: 'أزياء راقية وأناقة للمرأة العصرية. منتجات عالية الجودة وخدمة ممتازة.',
+    quickLinks: 'روابط سريعة',
+    contactUs: 'اتصل بنا',
+    followUs: 'تابعنا',
+    hours: 'الإثنين - الجمعة ٩ ص - ٥ م',
+    terms: 'شروط الخدمة',
+    privacy: 'سياسة الخصوصية',
+    cookies: 'سياسة ملفات تعريف الارتباط',
+    disclaimer: 'إخلاء المسؤولية',
+    rights: '© {year} Femme Clothing. جميع الحقوق محفوظة.'
+  },
+  catalog: {
+    loading: 'جارٍ تحميل المنتجات…',
+    errorTitle: 'تعذّر تحميل منتجاتنا',
+    errorBody: 'يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+    retry: 'إعادة المحاولة'
+  },
+  home: {
+    heroSubtitle: 'اكتشفي الأزياء الراقية للمرأة العصرية. منتجات عالية الجودة بأسعار لا تُقاوم.',
+    shopNow: 'تسوقي الآن',
+    qualityTitle: 'جودة عالية',
+    qualityBody: 'قطع مختارة بعناية ومصنوعة من أجود الخامات.',
+    shippingTitle: 'شحن سريع',
+    shippingBody: 'توصيل سريع وموثوق لتصلك مشترياتك بسرعة.',
+    loveTitle: 'رضا العملاء',
+    loveBody: 'خدمة عملاء استثنائية ورضا مضمون.',
+    featured: 'منتجات مميزة',
+    viewAll: 'عرض كل المنتجات',
+    ctaTitle: 'هل أنتِ مستعدة للارتقاء بأسلوبك؟',
+    ctaBody: 'انضمي إلى آلاف العميلات الراضيات اللواتي يثقن بـ Femme Mode.',
+    ctaButton: 'ابدئي التسوق'
+  },
+  shop: {
+    title: 'كل المنتجات',
+    subtitle: 'اكتشفي مجموعتنا الكاملة من القطع الراقية المصممة للمرأة العصرية.',
+    notFoundTitle: 'المجموعة غير موجودة',
+    notFoundBody: 'ربما تمت إعادة تسمية هذه الفئة أو حذفها.',
+    shopAll: 'تسوقي كل المنتجات',
+    searchPlaceholder: 'ابحثي بالاسم أو الوصف أو الفئة',
+    searchLabel: 'البحث في المنتجات',
+    category: 'الفئة',
+    allProducts: 'كل المنتجات',
+    categories: 'الفئات',
+    collections: 'المجموعات',
+    min: 'الحد الأدنى {currency}',
+    max: 'الحد الأقصى {currency}',
+    minLabel: 'أدنى سعر',
+    maxLabel: 'أعلى سعر',
+    inStockOnly: 'المتوفر فقط',
+    sortBy: 'الترتيب حسب',
+    resultCount: {
+      zero: '{shown} من {count} منتج',
+      one: '{shown} من منتج واحد',
+      two: '{shown} من منتجين',
+      few: '{shown} من {count} منتجات',
+      many: '{shown} من {count} منتجًا',
+      other: '{shown} من {count} منتج'
+    },
+    clearFilters: 'مسح عوامل التصفية',
+    noMatchesTitle: 'لا توجد نتائج',
+    noMatchesBody: 'جربي بحثًا مختلفًا أو أزيلي بعض عوامل التصفية.',
+    emptyScopeTitle: 'لا شيء هنا بعد',
+    emptyScopeBody: 'عودي قريبًا لرؤية القطع الجديدة في {name}.',
+    emptyTitle: 'لا توجد منتجات بعد',
+    emptyBody: 'نحن نجهز مجموعتنا. عودي قريبًا!',
+    emptyOwner: 'يمكن لأصحاب المتجر إضافة المنتجات من لوحة الإدارة.'
+  },
+  sort: {
+    featured: 'المميزة',
+    newest: 'الأحدث',
+    'price-asc': 'السعر: من الأقل إلى الأعلى',
+    'price-desc': 'السعر: من الأعلى إلى الأقل',
+    'name-asc': 'الاسم: أ إلى ي'
+  },
+  product: {
+    addToCart: 'أضيفي إلى السلة',
+    notifyMe: 'أعلميني',
+    added: '✓ تمت الإضافة — عرض السلة',
+    partnerCheckout: 'تتم عملية الدفع عبر شريك الدفع الآمن لدينا.',
+    onlyLeft: {
+      one: 'بقيت قطعة واحدة فقط',
+      two: 'بقيت قطعتان فقط',
+      few: 'بقيت {count} قطع فقط',
+      many: 'بقيت {count} قطعة فقط',
+      other: 'بقيت {count} قطعة فقط'
+    },
+    soldOutHint: 'اتركي بريدك الإلكتروني وسنخبرك عند توفره.',
+    description: 'الوصف',
+    related: 'قد يعجبك أيضًا',
+    sku: 'رمز المنتج: {sku}',
+    notFoundTitle: 'المنتج غير موجود',
+    notFoundBody: 'ربما تم حذف هذا المنتج أو أن الرابط غير صحيح.'
+  },
+  notify: {
+    emailLabel: 'البريد الإلكتروني لتنبيه التوفر',
+    success: 'سنراسلك عند توفره مجددًا.',
+    error: 'حدث خطأ ما. يرجى المحاولة مرة أخرى.',
+    unavailable: 'تعذر التسجيل الآن. يرجى المحاولة لاحقًا.'
+  },
+  wishlist: {
+    title: 'قائمة المفضلة',
+    sharedTitle: 'قائمة مفضلة مشتركة',
+    empty: 'قائمة المفضلة فارغة. اضغط على القلب في أي منتج لحفظه لوقت لاحق.',
+    sharedEmpty: 'لم يعد أي من منتجات هذه القائمة متاحًا.',
+    add: 'أضف إلى المفضلة',
+    remove: 'إزالة من المفضلة',
+    moveToCart: 'انقل إلى السلة',
+    chooseOptions: 'اختر الخيارات',
+    share: 'انسخ رابط المشاركة',
+    copied: 'تم نسخ الرابط!',
+    copyPrompt: 'انسخ هذا الرابط لمشاركة قائمتك:',
+    saveAll: 'احفظ الكل في مفضلتي',
+    viewOwn: 'عرض مفضلتي'
+  },
+  cart: {
+    title: 'سلة التسوق',
+    emptyTitle: 'سلتك فارغة',
+    emptyBody: 'أضيفي بعض القطع الجميلة للبدء!',
+    mixedNotice: 'بعض المنتجات في سلتك تُباع عبر رابط دفع خاص بها. ستجدينها تحت "الدفع بشكل منفصل" ولا تدخل في إجمالي السلة.',
+    onlyAvailable: {
+      one: 'متوفر {count} فقط',
+      other: 'متوفر {count} فقط'
+    },
+    totalItems: {
+      zero: 'الإجمالي: لا منتجات',
+      one: 'الإجمالي: منتج واحد',
+      two: 'الإجمالي: منتجان',
+      few: 'الإجمالي: {count} منتجات',
+      many: 'الإجمالي: {count} منتجًا',
+      other: 'الإجمالي: {count} منتج'
+    },
+    proceed: 'المتابعة إلى الدفع',
+    paySeparatelyTitle: 'الدفع بشكل منفصل',
+    paySeparatelyBody: 'لكل منتج من هذه المنتجات صفحة دفع آمنة خاصة به.',
+    decrease: 'إنقاص الكمية',
+    increase: 'زيادة الكمية',
+    notices: {
+      title: 'تم تحديث سلتك',
+      price: 'تغيّر سعر "{name}" من {from} إلى {to}.',
+      quantity: {
+        zero: 'لم يتبقَّ أي قطعة من "{name}".',
+        one: 'تبقّت قطعة واحدة فقط من "{name}"، لذا حدّثنا الكمية.',
+        two: 'تبقّت قطعتان فقط من "{name}"، لذا حدّثنا الكمية.',
+        few: 'تبقّت {count} قطع فقط من "{name}"، لذا حدّثنا الكمية.',
+        many: 'تبقّت {count} قطعة فقط من "{name}"، لذا حدّثنا الكمية.',
+        other: 'تبقّت {count} قطعة فقط من "{name}"، لذا حدّثنا الكمية.'
+      },
+      soldOut: 'نفدت كمية "{name}" وتمت إزالته.',
+      removed: 'لم يعد "{name}" متاحًا وتمت إزالته.',
+      dismiss: 'إغلاق'
+    },
+    restore: {
+      loading: 'جارٍ استعادة سلتك المحفوظة...',
+      restored: 'مرحبًا بعودتك! استعدنا السلة التي تركتها.',
+      failed: 'انتهت صلاحية رابط السلة هذا أو تم استخدامه بالفعل.'
+    }
+  },
+  totals: {
+    subtotal: 'المجموع الفرعي',
+    discount: 'الخصم',
+    shipping: 'الشحن',
+    free: 'مجاني',
+    tax: 'الضريبة',
+    total: 'الإجمالي:',
+    shippingPromotion: 'عرض ترويجي',
+    freeOver: 'مجاني للطلبات فوق {amount}',
+    taxRate: '{rate}%',
+    taxRateIn: '{place} {rate}%'
+  },
+  promo: {
+    placeholder: 'رمز الخصم',
+    apply: 'تطبيق',
+    code: 'الرمز',
+    percentOff: 'خصم {value}%',
+    amountOff: 'خصم {amount}',
+    freeShipping: 'شحن مجاني',
+    buyXGetY: 'اشترِ {buy} واحصل على {get} مجانًا',
+    errors: {
+      invalid: 'هذا الرمز غير صالح.',
+      notStarted: 'هذا الرمز غير مفعّل بعد.',
+      expired: 'انتهت صلاحية هذا الرمز.',
+      usedUp: 'بلغ هذا الرمز الحد الأقصى للاستخدام.',
+      minSubtotal: 'أنفق {amount} أو أكثر لاستخدام هذا الرمز.',
+      notApplicable: 'لا ينطبق هذا الرمز على المنتجات في سلتك.',
+      unavailable: 'تعذّر التحقق من هذا الرمز. يرجى المحاولة مرة أخرى.'
+    }
+  },
+  estimator: {
+    title: 'تقدير الشحن والضريبة',
+    country: 'الدولة',
+    region: 'الولاية',
+    regionLabel: 'الولاية أو المقاطعة',
+    zip: 'الرمز البريدي',
+    zipLabel: 'الرمز البريدي'
+  },
+  checkout: {
+    title: 'الدفع',
+    summary: 'ملخص الطلب',
+    externalNotice: {
+      one: 'منتج واحد له رابط دفع منفصل وغير مشمول هنا.',
+      other: '{count} منتجات لها رابط دفع منفصل وغير مشمولة هنا.'
+    },
+    buyFromCart: 'اشتريها من سلتك',
+    quantity: 'الكمية: {count}',
+    chargedIn: 'تُعرض الأسعار بعملة {display} حسب السعر الحالي. سيتم خصم {total} ({base}).',
+    shippingInfo: 'معلومات الشحن',
+    fullName: 'الاسم الكامل',
+    email: 'البريد الإلكتروني',
+    address: 'العنوان',
+    city: 'المدينة',
+    region: 'الولاية / المقاطعة',
+    zip: 'الرمز البريدي',
+    payment: 'الدفع',
+    paymentNote: 'ستُدخلين بيانات بطاقتك في الصفحة الآمنة لشريك الدفع. نحن لا نرى رقم بطاقتك ولا نحفظه أبدًا.',
+    submit: 'المتابعة إلى الدفع - {total}',
+    submitting: 'جارٍ التحويل إلى الدفع...',
+    onlyLeft: 'بقي {count} فقط من "{name}". يرجى تحديث سلتك.',
+    soldOut: 'نفدت كمية "{name}". يرجى إزالته من سلتك.',
+    unavailable: 'الدفع الإلكتروني غير متاح حاليًا. يرجى التواصل معنا لإتمام طلبك.',
+    declined: 'تم رفض الدفع. يرجى المحاولة مرة أخرى.',
+    failed: 'تعذر إتمام طلبك. يرجى المحاولة مرة أخرى.',
+    savedAddresses: 'استخدم عنوانًا محفوظًا',
+    haveAccount: 'لديك حساب؟',
+    signIn: 'سجّل الدخول لإتمام الشراء بسرعة',
+    rememberAddress: 'احفظ هذا العنوان في حسابي',
+    recoveryNote: 'سنحفظ سلتك مع هذا البريد الإلكتروني لتتمكن من المتابعة لاحقًا.'
+  },
+  order: {
+    notFoundTitle: 'الطلب غير موجود',
+    notFoundBody: 'لم نعثر على الطلب {id}. يرجى مراجعة رسالة التأكيد.',
+    thanks: 'شكرًا لطلبك!',
+    received: 'تم استلام الطلب {id}. سنرسل تأكيدًا إلى {email}.',
+    summary: 'ملخص الطلب',
+    quantity: 'الكمية: {count}',
+    shipTo: 'الشحن إلى',
+    unpaidTitle: 'لم يتم تأكيد الدفع',
+    unpaidBody: 'لم نستلم الدفع للطلب {id} بعد. إذا أكملت الدفع، فحدّث هذه الصفحة بعد قليل؛ تم الاحتفاظ بسلتك.'
+  },
+  account: {
+    title: 'حسابي',
+    signIn: 'تسجيل الدخول',
+    signUp: 'إنشاء حساب',
+    signOut: 'تسجيل الخروج',
+    password: 'كلمة المرور',
+    working: 'يرجى الانتظار...',
+    forgotPassword: 'نسيت كلمة المرور؟',
+    resetSent: 'أرسلنا رابط إعادة تعيين كلمة المرور إلى {email}.',
+    guestNote: 'لا تحتاج إلى حساب؟',
+    continueAsGuest: 'تابع كضيف',
+    greeting: 'مرحبًا، {name}',
+    orders: 'سجل الطلبات',
+    loadingOrders: 'جارٍ تحميل طلباتك...',
+    noOrders: 'لم تقدّم أي طلبات بعد.',
+    itemCount: {
+      zero: 'لا منتجات',
+      one: 'منتج واحد',
+      two: 'منتجان',
+      few: '{count} منتجات',
+      many: '{count} منتجًا',
+      other: '{count} منتج'
+    },
+    status: {
+      pending: 'بانتظار الدفع',
+      paid: 'مدفوع',
+      shipped: 'تم الشحن',
+      delivered: 'تم التسليم',
+      cancelled: 'ملغى',
+      refunded: 'مسترد'
+    },
+    addresses: 'العناوين المحفوظة',
+    addAddress: '+ إضافة عنوان',
+    noAddresses: 'لا توجد عناوين محفوظة بعد. يمكنك حفظ العناوين التي تستخدمها عند الدفع هنا.',
+    default: 'الافتراضي',
+    makeDefault: 'اجعله عنواني الافتراضي',
+    edit: 'تعديل',
+    saveAddress: 'حفظ العنوان',
+    cancel: 'إلغاء',
+    errors: {
+      credentials: 'البريد الإلكتروني أو كلمة المرور غير صحيحة.',
+      email: 'يرجى إدخال بريد إلكتروني صالح.',
+      emailInUse: 'يوجد حساب بهذا البريد الإلكتروني. حاول تسجيل الدخول.',
+      weakPassword: 'يجب أن تتكون كلمة المرور من 6 أحرف على الأقل.',
+      tooMany: 'محاولات كثيرة جدًا. يرجى المحاولة لاحقًا.',
+      unavailable: 'الحسابات غير متاحة حاليًا. لا يزال بإمكانك الشراء كضيف.',
+      generic: 'حدث خطأ ما. يرجى المحاولة مرة أخرى.'
+    }
+  },
+  contact: {
+    title: 'اتصل بنا',
+    intro: 'يسعدنا تواصلك! سواء كانت لديك أسئلة عن منتجاتنا أو تحتاجين إلى مساعدة، نحن هنا.',
+    getInTouch: 'تواصلي معنا',
+    email: 'البريد الإلكتروني',
+    phone: 'الهاتف',
+    address: 'العنوان',
+    hours: 'ساعات العمل',
+    hoursValue: 'الإثنين - الجمعة ٩ ص - ٥ م',
+    sendMessage: 'أرسلي رسالة',
+    nameLabel: 'الاسم *',
+    namePlaceholder: 'اسمك',
+    emailLabel: 'البريد الإلكتروني *',
+    phoneLabel: 'الهاتف',
+    messageLabel: 'الرسالة *',
+    messagePlaceholder: 'كيف يمكننا مساعدتك؟',
+    send: 'إرسال الرسالة',
+    sending: 'جارٍ الإرسال...',
+    success: 'شكرًا! تم إرسال رسالتك بنجاح.',
+    error: 'حدث خطأ ما. يرجى المحاولة مرة أخرى.',
+    unavailable: 'تعذر إرسال الرسالة. يرجى المحاولة لاحقًا.'
+  }
+};
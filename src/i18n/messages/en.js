@@ -0,0 +1,316 @@
+// English is the source catalog; every other locale falls back to it
+export default {
+  common: {
+    continueShopping: 'Continue Shopping',
+    remove: 'Remove',
+    buyNow: 'Buy Now',
+    soldOut: 'Sold out',
+    home: 'Home',
+    shop: 'Shop'
+  },
+  nav: {
+    home: 'Home',
+    shop: 'Shop',
+    cart: 'Cart',
+    contact: 'Contact',
+    login: 'Login',
+    allProducts: 'All Products',
+    collections: 'Collections',
+    language: 'Language',
+    currency: 'Display currency',
+    account: 'Account',
+    signIn: 'Sign In',
+    wishlist: 'Wishlist'
+  },
+  footer: {
+    tagline: 'Premium fashion and style for the modern woman. Quality products and excellent service.',
+    quickLinks: 'Quick Links',
+    contactUs: 'Contact Us',
+    followUs: 'Follow Us',
+    hours: 'Mon - Fri 9 am - 5 pm',
+    terms: 'Terms of Service',
+    privacy: 'Privacy Policy',
+    cookies: 'Cookie Policy',
+    disclaimer: 'Disclaimer',
+    rights: '© {year} Femme Clothing. All rights reserved.'
+  },
+  catalog: {
+    loading: 'Loading products…',
+    errorTitle: "We couldn't load our products",
+    errorBody: 'Please check your connection and try again.',
+    retry: 'Try Again'
+  },
+  home: {
+    heroSubtitle: 'Discover premium fashion and style for the modern woman. Quality products at unbeatable prices.',
+    shopNow: 'Shop Now',
+    qualityTitle: 'Premium Quality',
+    qualityBody: 'Carefully curated fashion pieces made with the finest materials.',
+    shippingTitle: 'Fast Shipping',
+    shippingBody: 'Quick and reliable delivery to get your fashion finds to you fast.',
+    loveTitle: 'Customer Love',
+    loveBody: 'Exceptional customer service and satisfaction guaranteed.',
+    featured: 'Featured Products',
+    viewAll: 'View All Products',
+    ctaTitle: 'Ready to Elevate Your Style?',
+    ctaBody: 'Join thousands of satisfied customers who trust Femme Mode for their fashion needs.',
+    ctaButton: 'Start Shopping'
+  },
+  shop: {
+    title: 'Shop All Products',
+    subtitle: 'Discover our complete collection of premium fashion pieces designed for the modern woman.',
+    notFoundTitle: 'Collection Not Found',
+    notFoundBody: 'This category may have been renamed or removed.',
+    shopAll: 'Shop All Products',
+    searchPlaceholder: 'Search by name, description or category',
+    searchLabel: 'Search products',
+    category: 'Category',
+    allProducts: 'All products',
+    categories: 'Categories',
+    collections: 'Collections',
+    min: 'Min {currency}',
+    max: 'Max {currency}',
+    minLabel: 'Minimum price',
+    maxLabel: 'Maximum price',
+    inStockOnly: 'In stock only',
+    sortBy: 'Sort by',
+    resultCount: {
+      one: '{shown} of {count} product',
+      other: '{shown} of {count} products'
+    },
+    clearFilters: 'Clear filters',
+    noMatchesTitle: 'No Matches Found',
+    noMatchesBody: 'Try a different search or clear some filters.',
+    emptyScopeTitle: 'Nothing Here Yet',
+    emptyScopeBody: 'Check back soon for new pieces in {name}.',
+    emptyTitle: 'No Products Available Yet',
+    emptyBody: 'Our collection is being curated. Check back soon for amazing fashion finds!',
+    emptyOwner: 'Store owners can add products via the Admin panel.'
+  },
+  sort: {
+    featured: 'Featured',
+    newest: 'Newest',
+    'price-asc': 'Price: Low to High',
+    'price-desc': 'Price: High to Low',
+    'name-asc': 'Name: A to Z'
+  },
+  product: {
+    addToCart: 'Add to Cart',
+    notifyMe: 'Notify me',
+    added: '✓ Added — View Cart',
+    partnerCheckout: 'Checkout is handled by our secure payment partner.',
+    onlyLeft: {
+      one: 'Only {count} left',
+      other: 'Only {count} left'
+    },
+    soldOutHint: "Leave your email and we'll let you know when it's back.",
+    description: 'Description',
+    related: 'You May Also Like',
+    sku: 'SKU: {sku}',
+    notFoundTitle: 'Product Not Found',
+    notFoundBody: 'This item may have been removed or the link is incorrect.'
+  },
+  notify: {
+    emailLabel: 'Email for back-in-stock alert',
+    success: "We'll email you when it's back.",
+    error: 'Something went wrong. Please try again.',
+    unavailable: 'Unable to sign up right now. Please try again later.'
+  },
+  wishlist: {
+    title: 'My Wishlist',
+    sharedTitle: 'Shared Wishlist',
+    empty: 'Your wishlist is empty. Tap the heart on any product to save it for later.',
+    sharedEmpty: 'None of the items in this wishlist are available any more.',
+    add: 'Save to wishlist',
+    remove: 'Remove from wishlist',
+    moveToCart: 'Move to Cart',
+    chooseOptions: 'Choose Options',
+    share: 'Copy Share Link',
+    copied: 'Link copied!',
+    copyPrompt: 'Copy this link to share your wishlist:',
+    saveAll: 'Save All to My Wishlist',
+    viewOwn: 'View my wishlist'
+  },
+  cart: {
+    title: 'Shopping Cart',
+    emptyTitle: 'Your Cart is Empty',
+    emptyBody: 'Add some beautiful fashion pieces to get started!',
+    mixedNotice: 'Some items in your cart are sold through their own payment link. They\'re listed under "Pay Separately" below and aren\'t part of your cart total.',
+    onlyAvailable: {
+      one: 'Only {count} available',
+      other: 'Only {count} available'
+    },
+    totalItems: {
+      one: 'Total: {count} item',
+      other: 'Total: {count} items'
+    },
+    proceed: 'Proceed to Checkout',
+    paySeparatelyTitle: 'Pay Separately',
+    paySeparatelyBody: 'Each of these items has its own secure checkout.',
+    decrease: 'Decrease quantity',
+    increase: 'Increase quantity',
+    notices: {
+      title: 'Your cart was updated',
+      price: 'The price of "{name}" changed from {from} to {to}.',
+      quantity: {
+        one: 'Only {count} of "{name}" is left, so we updated the quantity.',
+        other: 'Only {count} of "{name}" are left, so we updated the quantity.'
+      },
+      soldOut: '"{name}" sold out and was removed.',
+      removed: '"{name}" is no longer available and was removed.',
+      dismiss: 'Dismiss'
+    },
+    restore: {
+      loading: 'Restoring your saved cart...',
+      restored: 'Welcome back! We restored the cart you left.',
+      failed: 'This cart link has expired or was already used.'
+    }
+  },
+  totals: {
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    shipping: 'Shipping',
+    free: 'Free',
+    tax: 'Tax',
+    total: 'Total:',
+    shippingPromotion: 'Promotion',
+    freeOver: 'Free over {amount}',
+    taxRate: '{rate}%',
+    taxRateIn: '{place} {rate}%'
+  },
+  promo: {
+    placeholder: 'Discount code',
+    apply: 'Apply',
+    code: 'Code',
+    percentOff: '{value}% off',
+    amountOff: '{amount} off',
+    freeShipping: 'Free shipping',
+    buyXGetY: 'Buy {buy}, get {get} free',
+    errors: {
+      invalid: 'This code is not valid.',
+      notStarted: 'This code is not active yet.',
+      expired: 'This code has expired.',
+      usedUp: 'This code has reached its usage limit.',
+      minSubtotal: 'Spend {amount} or more to use this code.',
+      notApplicable: "This code doesn't apply to the items in your cart.",
+      unavailable: 'We could not check this code. Please try again.'
+    }
+  },
+  estimator: {
+    title: 'Estimate shipping & tax',
+    country: 'Country',
+    region: 'State',
+    regionLabel: 'State or province',
+    zip: 'ZIP',
+    zipLabel: 'ZIP or postal code'
+  },
+  checkout: {
+    title: 'Checkout',
+    summary: 'Order Summary',
+    externalNotice: {
+      one: "{count} item has a separate payment link and isn't included here.",
+      other: "{count} items have a separate payment link and aren't included here."
+    },
+    buyFromCart: 'Buy from your cart',
+    quantity: 'Qty: {count}',
+    chargedIn: "Prices are shown in {display} at our current rate. You'll be charged {total} ({base}).",
+    shippingInfo: 'Shipping Information',
+    fullName: 'Full Name',
+    email: 'Email',
+    address: 'Address',
+    city: 'City',
+    region: 'State / Province',
+    zip: 'ZIP Code',
+    payment: 'Payment',
+    paymentNote: "You'll enter your card details on our payment partner's secure page. We never see or store your card number.",
+    submit: 'Continue to Payment - {total}',
+    submitting: 'Redirecting to Payment...',
+    onlyLeft: 'Only {count} of "{name}" left. Please update your cart.',
+    soldOut: '"{name}" is sold out. Please remove it from your cart.',
+    unavailable: 'Online payment is not available right now. Please contact us to complete your order.',
+    declined: 'Your payment was declined. Please try again.',
+    failed: 'We could not place your order. Please try again.',
+    savedAddresses: 'Use a saved address',
+    haveAccount: 'Have an account?',
+    signIn: 'Sign in for faster checkout',
+    rememberAddress: 'Save this address to my account',
+    recoveryNote: "We'll save your cart with this email so you can pick up where you left off."
+  },
+  order: {
+    notFoundTitle: 'Order Not Found',
+    notFoundBody: "We couldn't find order {id}. Please check your confirmation email.",
+    thanks: 'Thank You for Your Order!',
+    received: 'Order {id} has been received. A confirmation will be sent to {email}.',
+    summary: 'Order Summary',
+    quantity: 'Qty: {count}',
+    shipTo: 'Shipping To',
+    unpaidTitle: 'Payment Not Confirmed',
+    unpaidBody: "We haven't received payment for order {id} yet. If you completed payment, refresh this page in a moment; your cart has been kept."
+  },
+  account: {
+    title: 'My Account',
+    signIn: 'Sign In',
+    signUp: 'Create Account',
+    signOut: 'Sign Out',
+    password: 'Password',
+    working: 'Please wait...',
+    forgotPassword: 'Forgot your password?',
+    resetSent: 'We sent a password reset link to {email}.',
+    guestNote: "Don't need an account?",
+    continueAsGuest: 'Continue as a guest',
+    greeting: 'Hi, {name}',
+    orders: 'Order History',
+    loadingOrders: 'Loading your orders...',
+    noOrders: "You haven't placed any orders yet.",
+    itemCount: {
+      one: '{count} item',
+      other: '{count} items'
+    },
+    status: {
+      pending: 'Awaiting payment',
+      paid: 'Paid',
+      shipped: 'Shipped',
+      delivered: 'Delivered',
+      cancelled: 'Cancelled',
+      refunded: 'Refunded'
+    },
+    addresses: 'Saved Addresses',
+    addAddress: '+ Add address',
+    noAddresses: 'No saved addresses yet. Addresses you use at checkout can be saved here.',
+    default: 'Default',
+    makeDefault: 'Make this my default address',
+    edit: 'Edit',
+    saveAddress: 'Save Address',
+    cancel: 'Cancel',
+    errors: {
+      credentials: 'Incorrect email or password.',
+      email: 'Please enter a valid email address.',
+      emailInUse: 'An account with this email already exists. Try signing in.',
+      weakPassword: 'Passwords must be at least 6 characters.',
+      tooMany: 'Too many attempts. Please try again later.',
+      unavailable: 'Accounts are unavailable right now. You can still check out as a guest.',
+      generic: 'Something went wrong. Please try again.'
+    }
+  },
+  contact: {
+    title: 'Contact Us',
+    intro: "We'd love to hear from you! Whether you have questions about our products or need assistance, we're here to help.",
+    getInTouch: 'Get in Touch',
+    email: 'Email',
+    phone: 'Phone',
+    address: 'Address',
+    hours: 'Business Hours',
+    hoursValue: 'Mon - Fri 9 am - 5 pm',
+    sendMessage: 'Send a Message',
+    nameLabel: 'Name *',
+    namePlaceholder: 'Your name',
+    emailLabel: 'Email *',
+    phoneLabel: 'Phone',
+    messageLabel: 'Message *',
+    messagePlaceholder: 'How can we help you?',
+    send: 'Send Message',
+    sending: 'Sending...',
+    success: 'Thank you! Your message has been sent successfully.',
+    error: 'Something went wrong. Please try again.',
+    unavailable: 'Unable to send message. Please try again later.'
+  }
+};
@@ -0,0 +1,315 @@
+export default {
+  common: {
+    continueShopping: 'Seguir comprando',
+    remove: 'Eliminar',
+    buyNow: 'Comprar ahora',
+    soldOut: 'Agotado',
+    home: 'Inicio',
+    shop: 'Tienda'
+  },
+  nav: {
+    home: 'Inicio',
+    shop: 'Tienda',
+    cart: 'Carrito',
+    contact: 'Contacto',
+    login: 'Acceder',
+    allProducts: 'Todos los productos',
+    collections: 'Colecciones',
+    language: 'Idioma',
+    currency: 'Moneda',
+    account: 'Mi cuenta',
+    signIn: 'Iniciar sesión',
+    wishlist: 'Favoritos'
+  },
+  footer: {
+    tagline: 'Moda y estilo premium para la mujer moderna. Productos de calidad y un servicio excelente.',
+    quickLinks: 'Enlaces rápidos',
+    contactUs: 'Contáctanos',
+    followUs: 'Síguenos',
+    hours: 'Lun - Vie 9:00 - 17:00',
+    terms: 'Términos del servicio',
+    privacy: 'Política de privacidad',
+    cookies: 'Política de cookies',
+    disclaimer: 'Aviso legal',
+    rights: '© {year} Femme Clothing. Todos los derechos reservados.'
+  },
+  catalog: {
+    loading: 'Cargando productos…',
+    errorTitle: 'No pudimos cargar nuestros productos',
+    errorBody: 'Comprueba tu conexión e inténtalo de nuevo.',
+    retry: 'Reintentar'
+  },
+  home: {
+    heroSubtitle: 'Descubre moda y estilo premium para la mujer moderna. Productos de calidad a precios inmejorables.',
+    shopNow: 'Comprar ahora',
+    qualityTitle: 'Calidad premium',
+    qualityBody: 'Prendas seleccionadas con cuidado y confeccionadas con los mejores materiales.',
+    shippingTitle: 'Envío rápido',
+    shippingBody: 'Entregas rápidas y fiables para que recibas tus compras cuanto antes.',
+    loveTitle: 'Clientes felices',
+    loveBody: 'Atención al cliente excepcional y satisfacción garantizada.',
+    featured: 'Productos destacados',
+    viewAll: 'Ver todos los productos',
+    ctaTitle: '¿Lista para renovar tu estilo?',
+    ctaBody: 'Únete a miles de clientas satisfechas que confían en Femme Mode.',
+    ctaButton: 'Empezar a comprar'
+  },
+  shop: {
+    title: 'Todos los productos',
+    subtitle: 'Descubre nuestra colección completa de moda premium pensada para la mujer moderna.',
+    notFoundTitle: 'Colección no encontrada',
+    notFoundBody: 'Es posible que esta categoría haya cambiado de nombre o se haya eliminado.',
+    shopAll: 'Ver todos los productos',
+    searchPlaceholder: 'Buscar por nombre, descripción o categoría',
+    searchLabel: 'Buscar productos',
+    category: 'Categoría',
+    allProducts: 'Todos los productos',
+    categories: 'Categorías',
+    collections: 'Colecciones',
+    min: 'Mín. {currency}',
+    max: 'Máx. {currency}',
+    minLabel: 'Precio mínimo',
+    maxLabel: 'Precio máximo',
+    inStockOnly: 'Solo disponibles',
+    sortBy: 'Ordenar por',
+    resultCount: {
+      one: '{shown} de {count} producto',
+      other: '{shown} de {count} productos'
+    },
+    clearFilters: 'Borrar filtros',
+    noMatchesTitle: 'Sin resultados',
+    noMatchesBody: 'Prueba otra búsqueda o quita algunos filtros.',
+    emptyScopeTitle: 'Todavía no hay nada aquí',
+    emptyScopeBody: 'Vuelve pronto para ver novedades en {name}.',
+    emptyTitle: 'Aún no hay productos',
+    emptyBody: 'Estamos preparando nuestra colección. ¡Vuelve pronto!',
+    emptyOwner: 'Los propietarios pueden añadir productos desde el panel de administración.'
+  },
+  sort: {
+    featured: 'Destacados',
+    newest: 'Novedades',
+    'price-asc': 'Precio: de menor a mayor',
+    'price-desc': 'Precio: de mayor a menor',
+    'name-asc': 'Nombre: de la A a la Z'
+  },
+  product: {
+    addToCart: 'Añadir al carrito',
+    notifyMe: 'Avísame',
+    added: '✓ Añadido — Ver carrito',
+    partnerCheckout: 'El pago lo gestiona nuestro socio de pagos seguro.',
+    onlyLeft: {
+      one: 'Solo queda {count}',
+      other: 'Solo quedan {count}'
+    },
+    soldOutHint: 'Déjanos tu correo y te avisaremos cuando vuelva.',
+    description: 'Descripción',
+    related: 'También te puede gustar',
+    sku: 'SKU: {sku}',
+    notFoundTitle: 'Producto no encontrado',
+    notFoundBody: 'Es posible que este artículo se haya eliminado o que el enlace sea incorrecto.'
+  },
+  notify: {
+    emailLabel: 'Correo para el aviso de reposición',
+    success: 'Te escribiremos cuando vuelva a estar disponible.',
+    error: 'Algo salió mal. Inténtalo de nuevo.',
+    unavailable: 'No es posible registrarse ahora. Inténtalo más tarde.'
+  },
+  wishlist: {
+    title: 'Mis favoritos',
+    sharedTitle: 'Lista de favoritos compartida',
+    empty: 'Tu lista de favoritos está vacía. Toca el corazón de cualquier producto para guardarlo.',
+    sharedEmpty: 'Ninguno de los artículos de esta lista está disponible.',
+    add: 'Guardar en favoritos',
+    remove: 'Quitar de favoritos',
+    moveToCart: 'Mover al carrito',
+    chooseOptions: 'Elegir opciones',
+    share: 'Copiar enlace para compartir',
+    copied: '¡Enlace copiado!',
+    copyPrompt: 'Copia este enlace para compartir tu lista:',
+    saveAll: 'Guardar todo en mis favoritos',
+    viewOwn: 'Ver mis favoritos'
+  },
+  cart: {
+    title: 'Carrito de compra',
+    emptyTitle: 'Tu carrito está vacío',
+    emptyBody: '¡Añade algunas prendas preciosas para empezar!',
+    mixedNotice: 'Algunos artículos de tu carrito se venden con su propio enlace de pago. Aparecen en "Pagar por separado" y no se incluyen en el total.',
+    onlyAvailable: {
+      one: 'Solo {count} disponible',
+      other: 'Solo {count} disponibles'
+    },
+    totalItems: {
+      one: 'Total: {count} artículo',
+      other: 'Total: {count} artículos'
+    },
+    proceed: 'Finalizar compra',
+    paySeparatelyTitle: 'Pagar por separado',
+    paySeparatelyBody: 'Cada uno de estos artículos tiene su propio pago seguro.',
+    decrease: 'Reducir cantidad',
+    increase: 'Aumentar cantidad',
+    notices: {
+      title: 'Tu carrito se actualizó',
+      price: 'El precio de "{name}" cambió de {from} a {to}.',
+      quantity: {
+        one: 'Solo queda {count} de "{name}", así que actualizamos la cantidad.',
+        other: 'Solo quedan {count} de "{name}", así que actualizamos la cantidad.'
+      },
+      soldOut: '"{name}" se agotó y se eliminó.',
+      removed: '"{name}" ya no está disponible y se eliminó.',
+      dismiss: 'Cerrar'
+    },
+    restore: {
+      loading: 'Recuperando tu carrito guardado...',
+      restored: '¡Bienvenido de nuevo! Recuperamos el carrito que dejaste.',
+      failed: 'Este enlace del carrito caducó o ya se usó.'
+    }
+  },
+  totals: {
+    subtotal: 'Subtotal',
+    discount: 'Descuento',
+    shipping: 'Envío',
+    free: 'Gratis',
+    tax: 'Impuestos',
+    total: 'Total:',
+    shippingPromotion: 'Promoción',
+    freeOver: 'Gratis a partir de {amount}',
+    taxRate: '{rate} %',
+    taxRateIn: '{place} {rate} %'
+  },
+  promo: {
+    placeholder: 'Código de descuento',
+    apply: 'Aplicar',
+    code: 'Código',
+    percentOff: '{value} % de descuento',
+    amountOff: '{amount} de descuento',
+    freeShipping: 'Envío gratis',
+    buyXGetY: 'Compra {buy} y llévate {get} gratis',
+    errors: {
+      invalid: 'Este código no es válido.',
+      notStarted: 'Este código aún no está activo.',
+      expired: 'Este código ha caducado.',
+      usedUp: 'Este código ha alcanzado su límite de usos.',
+      minSubtotal: 'Gasta {amount} o más para usar este código.',
+      notApplicable: 'Este código no se aplica a los artículos de tu carrito.',
+      unavailable: 'No pudimos comprobar este código. Inténtalo de nuevo.'
+    }
+  },
+  estimator: {
+    title: 'Calcular envío e impuestos',
+    country: 'País',
+    region: 'Estado',
+    regionLabel: 'Estado o provincia',
+    zip: 'C.P.',
+    zipLabel: 'Código postal'
+  },
+  checkout: {
+    title: 'Pago',
+    summary: 'Resumen del pedido',
+    externalNotice: {
+      one: '{count} artículo tiene un enlace de pago aparte y no se incluye aquí.',
+      other: '{count} artículos tienen un enlace de pago aparte y no se incluyen aquí.'
+    },
+    buyFromCart: 'Cómpralos desde tu carrito',
+    quantity: 'Cant.: {count}',
+    chargedIn: 'Los precios se muestran en {display} al tipo actual. Se te cobrará {total} ({base}).',
+    shippingInfo: 'Datos de envío',
+    fullName: 'Nombre completo',
+    email: 'Correo electrónico',
+    address: 'Dirección',
+    city: 'Ciudad',
+    region: 'Estado / Provincia',
+    zip: 'Código postal',
+    payment: 'Pago',
+    paymentNote: 'Introducirás los datos de tu tarjeta en la página segura de nuestro socio de pagos. Nunca vemos ni guardamos el número de tu tarjeta.',
+    submit: 'Continuar al pago - {total}',
+    submitting: 'Redirigiendo al pago...',
+    onlyLeft: 'Solo quedan {count} de "{name}". Actualiza tu carrito.',
+    soldOut: '"{name}" está agotado. Elimínalo de tu carrito.',
+    unavailable: 'El pago en línea no está disponible ahora. Contáctanos para completar tu pedido.',
+    declined: 'Tu pago fue rechazado. Inténtalo de nuevo.',
+    failed: 'No pudimos realizar tu pedido. Inténtalo de nuevo.',
+    savedAddresses: 'Usar una dirección guardada',
+    haveAccount: '¿Tienes una cuenta?',
+    signIn: 'Inicia sesión para pagar más rápido',
+    rememberAddress: 'Guardar esta dirección en mi cuenta',
+    recoveryNote: 'Guardaremos tu carrito con este correo para que puedas continuar donde lo dejaste.'
+  },
+  order: {
+    notFoundTitle: 'Pedido no encontrado',
+    notFoundBody: 'No encontramos el pedido {id}. Revisa tu correo de confirmación.',
+    thanks: '¡Gracias por tu pedido!',
+    received: 'Hemos recibido el pedido {id}. Enviaremos una confirmación a {email}.',
+    summary: 'Resumen del pedido',
+    quantity: 'Cant.: {count}',
+    shipTo: 'Enviar a',
+    unpaidTitle: 'Pago no confirmado',
+    unpaidBody: 'Aún no hemos recibido el pago del pedido {id}. Si completaste el pago, actualiza esta página en un momento; tu carrito se ha conservado.'
+  },
+  account: {
+    title: 'Mi cuenta',
+    signIn: 'Iniciar sesión',
+    signUp: 'Crear cuenta',
+    signOut: 'Cerrar sesión',
+    password: 'Contraseña',
+    working: 'Espera un momento...',
+    forgotPassword: '¿Olvidaste tu contraseña?',
+    resetSent: 'Enviamos un enlace para restablecer la contraseña a {email}.',
+    guestNote: '¿No necesitas una cuenta?',
+    continueAsGuest: 'Continuar como invitado',
+    greeting: 'Hola, {name}',
+    orders: 'Historial de pedidos',
+    loadingOrders: 'Cargando tus pedidos...',
+    noOrders: 'Todavía no has realizado ningún pedido.',
+    itemCount: {
+      one: '{count} artículo',
+      other: '{count} artículos'
+    },
+    status: {
+      pending: 'Pendiente de pago',
+      paid: 'Pagado',
+      shipped: 'Enviado',
+      delivered: 'Entregado',
+      cancelled: 'Cancelado',
+      refunded: 'Reembolsado'
+    },
+    addresses: 'Direcciones guardadas',
+    addAddress: '+ Añadir dirección',
+    noAddresses: 'Aún no tienes direcciones guardadas. Puedes guardar aquí las que uses al pagar.',
+    default: 'Predeterminada',
+    makeDefault: 'Usar como dirección predeterminada',
+    edit: 'Editar',
+    saveAddress: 'Guardar dirección',
+    cancel: 'Cancelar',
+    errors: {
+      credentials: 'Correo o contraseña incorrectos.',
+      email: 'Introduce un correo electrónico válido.',
+      emailInUse: 'Ya existe una cuenta con este correo. Intenta iniciar sesión.',
+      weakPassword: 'La contraseña debe tener al menos 6 caracteres.',
+      tooMany: 'Demasiados intentos. Inténtalo más tarde.',
+      unavailable: 'Las cuentas no están disponibles ahora. Puedes comprar como invitado.',
+      generic: 'Algo salió mal. Inténtalo de nuevo.'
+    }
+  },
+  contact: {
+    title: 'Contáctanos',
+    intro: '¡Nos encantaría saber de ti! Si tienes preguntas sobre nuestros productos o necesitas ayuda, aquí estamos.',
+    getInTouch: 'Ponte en contacto',
+    email: 'Correo electrónico',
+    phone: 'Teléfono',
+    address: 'Dirección',
+    hours: 'Horario',
+    hoursValue: 'Lun - Vie 9:00 - 17:00',
+    sendMessage: 'Envíanos un mensaje',
+    nameLabel: 'Nombre *',
+    namePlaceholder: 'Tu nombre',
+    emailLabel: 'Correo electrónico *',
+    phoneLabel: 'Teléfono',
+    messageLabel: 'Mensaje *',
+    messagePlaceholder: '¿En qué podemos ayudarte?',
+    send: 'Enviar mensaje',
+    sending: 'Enviando...',
+    success: '¡Gracias! Tu mensaje se ha enviado correctamente.',
+    error: 'Algo salió mal. Inténtalo de nuevo.',
+    unavailable: 'No se pudo enviar el mensaje. Inténtalo más tarde.'
+  }
+};
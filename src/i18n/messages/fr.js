@@ -0,0 +1,315 @@
+export default {
+  common: {
+    continueShopping: 'Continuer mes achats',
+    remove: 'Supprimer',
+    buyNow: 'Acheter',
+    soldOut: 'Épuisé',
+    home: 'Accueil',
+    shop: 'Boutique'
+  },
+  nav: {
+    home: 'Accueil',
+    shop: 'Boutique',
+    cart: 'Panier',
+    contact: 'Contact',
+    login: 'Connexion',
+    allProducts: 'Tous les produits',
+    collections: 'Collections',
+    language: 'Langue',
+    currency: "Devise d'affichage",
+    account: 'Mon compte',
+    signIn: 'Se connecter',
+    wishlist: 'Favoris'
+  },
+  footer: {
+    tagline: 'Mode et style haut de gamme pour la femme moderne. Des produits de qualité et un service excellent.',
+    quickLinks: 'Liens rapides',
+    contactUs: 'Nous contacter',
+    followUs: 'Suivez-nous',
+    hours: 'Lun - Ven 9 h - 17 h',
+    terms: "Conditions d'utilisation",
+    privacy: 'Politique de confidentialité',
+    cookies: 'Politique relative aux cookies',
+    disclaimer: 'Avertissement',
+    rights: '© {year} Femme Clothing. Tous droits réservés.'
+  },
+  catalog: {
+    loading: 'Chargement des produits…',
+    errorTitle: 'Impossible de charger nos produits',
+    errorBody: 'Vérifiez votre connexion et réessayez.',
+    retry: 'Réessayer'
+  },
+  home: {
+    heroSubtitle: 'Découvrez la mode haut de gamme pour la femme moderne. Des produits de qualité à prix imbattables.',
+    shopNow: 'Découvrir',
+    qualityTitle: 'Qualité supérieure',
+    qualityBody: 'Des pièces soigneusement sélectionnées, réalisées dans les plus belles matières.',
+    shippingTitle: 'Livraison rapide',
+    shippingBody: 'Une livraison rapide et fiable pour recevoir vos coups de cœur au plus vite.',
+    loveTitle: 'Clientes comblées',
+    loveBody: 'Un service client exceptionnel et une satisfaction garantie.',
+    featured: 'Produits phares',
+    viewAll: 'Voir tous les produits',
+    ctaTitle: 'Prête à sublimer votre style ?',
+    ctaBody: 'Rejoignez des milliers de clientes satisfaites qui font confiance à Femme Mode.',
+    ctaButton: 'Commencer mes achats'
+  },
+  shop: {
+    title: 'Tous les produits',
+    subtitle: 'Découvrez notre collection complète de pièces haut de gamme pensées pour la femme moderne.',
+    notFoundTitle: 'Collection introuvable',
+    notFoundBody: 'Cette catégorie a peut-être été renommée ou supprimée.',
+    shopAll: 'Voir tous les produits',
+    searchPlaceholder: 'Rechercher par nom, description ou catégorie',
+    searchLabel: 'Rechercher des produits',
+    category: 'Catégorie',
+    allProducts: 'Tous les produits',
+    categories: 'Catégories',
+    collections: 'Collections',
+    min: 'Min {currency}',
+    max: 'Max {currency}',
+    minLabel: 'Prix minimum',
+    maxLabel: 'Prix maximum',
+    inStockOnly: 'En stock uniquement',
+    sortBy: 'Trier par',
+    resultCount: {
+      one: '{shown} sur {count} produit',
+      other: '{shown} sur {count} produits'
+    },
+    clearFilters: 'Effacer les filtres',
+    noMatchesTitle: 'Aucun résultat',
+    noMatchesBody: "Essayez une autre recherche ou retirez quelques filtres.",
+    emptyScopeTitle: "Rien pour l'instant",
+    emptyScopeBody: 'Revenez bientôt pour découvrir les nouveautés de {name}.',
+    emptyTitle: 'Aucun produit pour le moment',
+    emptyBody: 'Notre collection est en préparation. Revenez bientôt !',
+    emptyOwner: "Les propriétaires peuvent ajouter des produits depuis l'espace d'administration."
+  },
+  sort: {
+    featured: 'En vedette',
+    newest: 'Nouveautés',
+    'price-asc': 'Prix croissant',
+    'price-desc': 'Prix décroissant',
+    'name-asc': 'Nom : de A à Z'
+  },
+  product: {
+    addToCart: 'Ajouter au panier',
+    notifyMe: "M'avertir",
+    added: '✓ Ajouté — Voir le panier',
+    partnerCheckout: 'Le paiement est géré par notre partenaire de paiement sécurisé.',
+    onlyLeft: {
+      one: 'Plus que {count} en stock',
+      other: 'Plus que {count} en stock'
+    },
+    soldOutHint: 'Laissez votre e-mail et nous vous préviendrons de son retour.',
+    description: 'Description',
+    related: 'Vous aimerez aussi',
+    sku: 'Réf. : {sku}',
+    notFoundTitle: 'Produit introuvable',
+    notFoundBody: 'Cet article a peut-être été supprimé ou le lien est incorrect.'
+  },
+  notify: {
+    emailLabel: 'E-mail pour l’alerte de retour en stock',
+    success: 'Nous vous écrirons dès son retour.',
+    error: 'Une erreur est survenue. Veuillez réessayer.',
+    unavailable: "Inscription impossible pour le moment. Veuillez réessayer plus tard."
+  },
+  wishlist: {
+    title: 'Mes favoris',
+    sharedTitle: 'Liste de favoris partagée',
+    empty: "Votre liste de favoris est vide. Touchez le cœur d'un produit pour l'enregistrer.",
+    sharedEmpty: "Aucun article de cette liste n'est encore disponible.",
+    add: 'Ajouter aux favoris',
+    remove: 'Retirer des favoris',
+    moveToCart: 'Déplacer vers le panier',
+    chooseOptions: 'Choisir les options',
+    share: 'Copier le lien de partage',
+    copied: 'Lien copié !',
+    copyPrompt: 'Copiez ce lien pour partager votre liste :',
+    saveAll: 'Tout ajouter à mes favoris',
+    viewOwn: 'Voir mes favoris'
+  },
+  cart: {
+    title: 'Panier',
+    emptyTitle: 'Votre panier est vide',
+    emptyBody: 'Ajoutez quelques belles pièces pour commencer !',
+    mixedNotice: 'Certains articles de votre panier sont vendus via leur propre lien de paiement. Ils figurent sous « Payer séparément » et ne sont pas inclus dans le total.',
+    onlyAvailable: {
+      one: 'Seulement {count} disponible',
+      other: 'Seulement {count} disponibles'
+    },
+    totalItems: {
+      one: 'Total : {count} article',
+      other: 'Total : {count} articles'
+    },
+    proceed: 'Passer la commande',
+    paySeparatelyTitle: 'Payer séparément',
+    paySeparatelyBody: 'Chacun de ces articles dispose de son propre paiement sécurisé.',
+    decrease: 'Diminuer la quantité',
+    increase: 'Augmenter la quantité',
+    notices: {
+      title: 'Votre panier a été mis à jour',
+      price: 'Le prix de « {name} » est passé de {from} à {to}.',
+      quantity: {
+        one: 'Il ne reste que {count} « {name} », la quantité a été ajustée.',
+        other: 'Il ne reste que {count} « {name} », la quantité a été ajustée.'
+      },
+      soldOut: '« {name} » est épuisé et a été retiré.',
+      removed: "« {name} » n'est plus disponible et a été retiré.",
+      dismiss: 'Fermer'
+    },
+    restore: {
+      loading: 'Restauration de votre panier...',
+      restored: 'Bon retour ! Nous avons restauré le panier que vous aviez laissé.',
+      failed: 'Ce lien de panier a expiré ou a déjà été utilisé.'
+    }
+  },
+  totals: {
+    subtotal: 'Sous-total',
+    discount: 'Remise',
+    shipping: 'Livraison',
+    free: 'Offerte',
+    tax: 'Taxes',
+    total: 'Total :',
+    shippingPromotion: 'Promotion',
+    freeOver: 'Offerte dès {amount}',
+    taxRate: '{rate} %',
+    taxRateIn: '{place} {rate} %'
+  },
+  promo: {
+    placeholder: 'Code promo',
+    apply: 'Appliquer',
+    code: 'Code',
+    percentOff: '-{value} %',
+    amountOff: '-{amount}',
+    freeShipping: 'Livraison offerte',
+    buyXGetY: '{buy} achetés, {get} offerts',
+    errors: {
+      invalid: "Ce code n'est pas valide.",
+      notStarted: "Ce code n'est pas encore actif.",
+      expired: 'Ce code a expiré.',
+      usedUp: "Ce code a atteint sa limite d'utilisation.",
+      minSubtotal: 'Dépensez {amount} ou plus pour utiliser ce code.',
+      notApplicable: "Ce code ne s'applique pas aux articles de votre panier.",
+      unavailable: "Nous n'avons pas pu vérifier ce code. Veuillez réessayer."
+    }
+  },
+  estimator: {
+    title: 'Estimer la livraison et les taxes',
+    country: 'Pays',
+    region: 'Région',
+    regionLabel: 'État ou province',
+    zip: 'Code postal',
+    zipLabel: 'Code postal'
+  },
+  checkout: {
+    title: 'Paiement',
+    summary: 'Récapitulatif de la commande',
+    externalNotice: {
+      one: "{count} article a un lien de paiement séparé et n'est pas inclus ici.",
+      other: "{count} articles ont un lien de paiement séparé et ne sont pas inclus ici."
+    },
+    buyFromCart: 'Achetez-les depuis votre panier',
+    quantity: 'Qté : {count}',
+    chargedIn: 'Les prix sont affichés en {display} au taux actuel. Vous serez débité de {total} ({base}).',
+    shippingInfo: 'Informations de livraison',
+    fullName: 'Nom complet',
+    email: 'E-mail',
+    address: 'Adresse',
+    city: 'Ville',
+    region: 'État / Province',
+    zip: 'Code postal',
+    payment: 'Paiement',
+    paymentNote: 'Vous saisirez vos informations de carte sur la page sécurisée de notre partenaire de paiement. Nous ne voyons ni ne conservons jamais votre numéro de carte.',
+    submit: 'Continuer vers le paiement - {total}',
+    submitting: 'Redirection vers le paiement...',
+    onlyLeft: 'Plus que {count} « {name} » en stock. Veuillez mettre à jour votre panier.',
+    soldOut: '« {name} » est épuisé. Veuillez le retirer de votre panier.',
+    unavailable: "Le paiement en ligne n'est pas disponible pour le moment. Contactez-nous pour finaliser votre commande.",
+    declined: 'Votre paiement a été refusé. Veuillez réessayer.',
+    failed: "Nous n'avons pas pu passer votre commande. Veuillez réessayer.",
+    savedAddresses: 'Utiliser une adresse enregistrée',
+    haveAccount: 'Vous avez un compte ?',
+    signIn: 'Connectez-vous pour payer plus vite',
+    rememberAddress: 'Enregistrer cette adresse dans mon compte',
+    recoveryNote: 'Nous enregistrons votre panier avec cet e-mail pour que vous puissiez reprendre plus tard.'
+  },
+  order: {
+    notFoundTitle: 'Commande introuvable',
+    notFoundBody: "Nous n'avons pas trouvé la commande {id}. Vérifiez votre e-mail de confirmation.",
+    thanks: 'Merci pour votre commande !',
+    received: 'La commande {id} a bien été reçue. Une confirmation sera envoyée à {email}.',
+    summary: 'Récapitulatif de la commande',
+    quantity: 'Qté : {count}',
+    shipTo: 'Livraison à',
+    unpaidTitle: 'Paiement non confirmé',
+    unpaidBody: "Nous n'avons pas encore reçu le paiement de la commande {id}. Si vous avez payé, actualisez cette page dans un instant ; votre panier a été conservé."
+  },
+  account: {
+    title: 'Mon compte',
+    signIn: 'Se connecter',
+    signUp: 'Créer un compte',
+    signOut: 'Se déconnecter',
+    password: 'Mot de passe',
+    working: 'Veuillez patienter...',
+    forgotPassword: 'Mot de passe oublié ?',
+    resetSent: 'Un lien de réinitialisation a été envoyé à {email}.',
+    guestNote: "Pas besoin d'un compte ?",
+    continueAsGuest: 'Continuer en tant qu’invité',
+    greeting: 'Bonjour, {name}',
+    orders: 'Historique des commandes',
+    loadingOrders: 'Chargement de vos commandes...',
+    noOrders: "Vous n'avez encore passé aucune commande.",
+    itemCount: {
+      one: '{count} article',
+      other: '{count} articles'
+    },
+    status: {
+      pending: 'En attente de paiement',
+      paid: 'Payée',
+      shipped: 'Expédiée',
+      delivered: 'Livrée',
+      cancelled: 'Annulée',
+      refunded: 'Remboursée'
+    },
+    addresses: 'Adresses enregistrées',
+    addAddress: '+ Ajouter une adresse',
+    noAddresses: 'Aucune adresse enregistrée. Vous pouvez enregistrer ici celles utilisées lors du paiement.',
+    default: 'Par défaut',
+    makeDefault: 'Utiliser comme adresse par défaut',
+    edit: 'Modifier',
+    saveAddress: "Enregistrer l'adresse",
+    cancel: 'Annuler',
+    errors: {
+      credentials: 'E-mail ou mot de passe incorrect.',
+      email: 'Veuillez saisir une adresse e-mail valide.',
+      emailInUse: 'Un compte existe déjà avec cet e-mail. Essayez de vous connecter.',
+      weakPassword: 'Le mot de passe doit contenir au moins 6 caractères.',
+      tooMany: 'Trop de tentatives. Veuillez réessayer plus tard.',
+      unavailable: 'Les comptes sont indisponibles pour le moment. Vous pouvez commander en tant qu’invité.',
+      generic: 'Une erreur est survenue. Veuillez réessayer.'
+    }
+  },
+  contact: {
+    title: 'Nous contacter',
+    intro: 'Nous serions ravis de vous lire ! Pour toute question sur nos produits ou besoin d’aide, nous sommes là.',
+    getInTouch: 'Restons en contact',
+    email: 'E-mail',
+    phone: 'Téléphone',
+    address: 'Adresse',
+    hours: "Heures d'ouverture",
+    hoursValue: 'Lun - Ven 9 h - 17 h',
+    sendMessage: 'Envoyer un message',
+    nameLabel: 'Nom *',
+    namePlaceholder: 'Votre nom',
+    emailLabel: 'E-mail *',
+    phoneLabel: 'Téléphone',
+    messageLabel: 'Message *',
+    messagePlaceholder: 'Comment pouvons-nous vous aider ?',
+    send: 'Envoyer le message',
+    sending: 'Envoi...',
+    success: 'Merci ! Votre message a bien été envoyé.',
+    error: 'Une erreur est survenue. Veuillez réessayer.',
+    unavailable: "Impossible d'envoyer le message. Veuillez réessayer plus tard."
+  }
+};
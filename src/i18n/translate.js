@@ -0,0 +1,65 @@
+// ============================================
+// Message lookup
+// ============================================
+//
+// Catalogs are nested objects addressed with dotted keys ('cart.empty.title').
+// A message is either a string with {placeholders}, or an object of plural
+// forms keyed by Intl.PluralRules category ({ one, other, ... }) that is
+// chosen with the `count` param. Anything missing in a locale falls back to
+// English, then to the key itself so gaps are visible but never crash.
+
+import { DEFAULT_LOCALE } from './locales.js';
+import en from './messages/en.js';
+import es from './messages/es.js';
+import fr from './messages/fr.js';
+import ar from './messages/ar.js';
+
+export const CATALOGS = { en, es, fr, ar };
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+const pluralRules = {};
+const selectPlural = (locale, forms, count) => {
+  if (count === 0 && forms.zero !== undefined) return forms.zero;
+  pluralRules[locale] = pluralRules[locale] || new Intl.PluralRules(locale);
+  return forms[pluralRules[locale].select(count)] ?? forms.other;
+};
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+
+const resolve = (locale, key, params) => {
+  const message = lookup(CATALOGS[locale], key);
+  if (typeof message === 'string') return message;
+  if (message && typeof message === 'object' && typeof params.count === 'number') {
+    return selectPlural(locale, message, params.count);
+  }
+  return undefined;
+};
+
+export const translate = (locale, key, params = {}) => {
+  const message = resolve(locale, key, params) ?? resolve(DEFAULT_LOCALE, key, params);
+  return message === undefined ? key : interpolate(message, params);
+};
+
+export const createTranslator = (locale) => (key, params) => translate(locale, key, params);
+
+// Labels worked out outside React (promotions, shipping, tax) are { key, params }
+// descriptors. Plain strings - zone names, or labels on orders placed before
+// descriptors existed - are shown as they are.
+export const translateLabel = (locale, label) => {
+  if (!label) return '';
+  return typeof label === 'string' ? label : translate(locale, label.key, label.params);
+};
+
+// Admin-entered overrides live on the product: translations: { es: { name, description } }
+export const localizeProduct = (product, locale) => {
+  const override = product?.translations?.[locale];
+  if (!override) return product;
+  return {
+    ...product,
+    name: override.name || product.name,
+    description: override.description || product.description
+  };
+};
@@ -0,0 +1,44 @@
+// ============================================
+// Login limit store: server-side counter
+// ============================================
+//
+// Expects the same { success, ... } envelope as the Alimi API; `status` is
+// { locked, retryAt, attemptsLeft } with retryAt in epoch milliseconds:
+//   GET    {baseUrl}/login-attempts/:identifier            -> { success, status }
+//   POST   {baseUrl}/login-attempts/:identifier/failures   -> { success, status }
+//   POST   {baseUrl}/login-attempts/:identifier/reset      -> { success }
+// The backend owns the count and the backoff. It should key counters on the
+// identifier plus the caller's IP, so one visitor can't lock everyone else
+// out. The form asks for a reset after a successful sign-in; the request
+// carries the new session's ID token, and the backend clears the counter only
+// once it has verified that token for an account allowed into this store.
+
+import { createApiClient } from '../api/http.js';
+
+const normalizeStatus = (status) => ({
+  locked: Boolean(status?.locked),
+  retryAt: Number(status?.retryAt) || null,
+  attemptsLeft: Math.max(0, Number(status?.attemptsLeft) || 0)
+});
+
+export const createHttpLoginLimitStore = ({ baseUrl, projectId }) => {
+  const request = createApiClient({ baseUrl, projectId, name: 'Login limit' });
+  const attemptsPath = (identifier) => `/login-attempts/${encodeURIComponent(identifier)}`;
+
+  return {
+    async status(identifier) {
+      const data = await request(attemptsPath(identifier));
+      return normalizeStatus(data.status);
+    },
+
+    async recordFailure(identifier) {
+      const data = await request(`${attemptsPath(identifier)}/failures`, { method: 'POST' });
+      return normalizeStatus(data.status);
+    },
+
+    // Sent signed in, so the shared client attaches the ID token
+    async reset(identifier) {
+      await request(`${attemptsPath(identifier)}/reset`, { method: 'POST' });
+    }
+  };
+};
@@ -0,0 +1,60 @@
+// ============================================
+// Login rate limiting
+// ============================================
+//
+// Every login limit store implements the same async interface:
+//   status(identifier)          -> { locked, retryAt, attemptsLeft }
+//   recordFailure(identifier)   -> status after the failure
+//   reset(identifier)           -> after a successful sign-in
+//   subscribe(identifier, fn)   -> unsubscribe; fn runs when another tab
+//                                  changes the limit (optional)
+// The signed localStorage store is always used. Set VITE_LOGIN_LIMIT_API_URL
+// to also keep a server-side counter; the stricter of the two applies, and
+// an unreachable server falls back to this browser's count.
+
+import { createLocalStorageLoginLimitStore } from './localStorageLoginLimitStore.js';
+import { createHttpLoginLimitStore } from './httpLoginLimitStore.js';
+import { mergeLimitStatus } from './loginLimitModel.js';
+import { createLazyStore } from '../utils/lazyStore.js';
+
+export {
+  DEFAULT_LOGIN_LIMIT_POLICY, EMPTY_LIMIT_RECORD, getLockoutDuration, registerFailure, registerTampering,
+  getLimitStatus, mergeLimitStatus, getMinutesUntil
+} from './loginLimitModel.js';
+export { createRecordSigner } from './recordSigning.js';
+export { createLocalStorageLoginLimitStore, createHttpLoginLimitStore };
+
+const warnServer = (err) => {
+  console.warn('⚠️ Login limit server unavailable, using this browser\'s count:', err);
+  return null;
+};
+
+// Local first so a lockout still applies offline; the server only tightens it
+export const combineLoginLimitStores = (local, server) => ({
+  async status(identifier) {
+    const [own, remote] = await Promise.all([local.status(identifier), server.status(identifier).catch(warnServer)]);
+    return remote ? mergeLimitStatus(own, remote) : own;
+  },
+
+  async recordFailure(identifier) {
+    const [own, remote] = await Promise.all([local.recordFailure(identifier), server.recordFailure(identifier).catch(warnServer)]);
+    return remote ? mergeLimitStatus(own, remote) : own;
+  },
+
+  async reset(identifier) {
+    await Promise.all([local.reset(identifier), server.reset(identifier).catch(warnServer)]);
+  },
+
+  subscribe(identifier, listener) {
+    return local.subscribe(identifier, listener);
+  }
+});
+
+const loginLimitStore = createLazyStore(() => {
+  const baseUrl = import.meta.env.VITE_LOGIN_LIMIT_API_URL;
+  const local = createLocalStorageLoginLimitStore();
+  return baseUrl ? combineLoginLimitStores(local, createHttpLoginLimitStore({ baseUrl })) : local;
+});
+
+export const getLoginLimitStore = loginLimitStore.get;
+export const setLoginLimitStore = loginLimitStore.set;
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { combineLoginLimitStores } from './index.js';
+
+const ID = 'login_test';
+const open = (attemptsLeft) => ({ locked: false, retryAt: null, attemptsLeft });
+const locked = (retryAt) => ({ locked: true, retryAt, attemptsLeft: 0 });
+
+const createFakeStore = (status) => ({
+  status: vi.fn(async () => status),
+  recordFailure: vi.fn(async () => status),
+  reset: vi.fn(async () => {}),
+  subscribe: vi.fn(() => () => {})
+});
+
+const createDownStore = () => {
+  const fail = async () => { throw new Error('offline'); };
+  return { status: vi.fn(fail), recordFailure: vi.fn(fail), reset: vi.fn(fail) };
+};
+
+describe('combineLoginLimitStores', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('applies the stricter of the browser and server limits', async () => {
+    const combined = combineLoginLimitStores(createFakeStore(open(4)), createFakeStore(locked(9000)));
+    expect(await combined.status(ID)).toEqual(locked(9000));
+    expect(await combined.recordFailure(ID)).toEqual(locked(9000));
+
+    const looser = combineLoginLimitStores(createFakeStore(open(2)), createFakeStore(open(4)));
+    expect(await looser.status(ID)).toEqual(open(2));
+  });
+
+  it('records failures in both stores', async () => {
+    const local = createFakeStore(open(2));
+    const server = createFakeStore(open(2));
+    await combineLoginLimitStores(local, server).recordFailure(ID);
+    expect(local.recordFailure).toHaveBeenCalledWith(ID);
+    expect(server.recordFailure).toHaveBeenCalledWith(ID);
+  });
+
+  it('falls back to the browser count when the server is unreachable', async () => {
+    const combined = combineLoginLimitStores(createFakeStore(locked(5000)), createDownStore());
+    expect(await combined.status(ID)).toEqual(locked(5000));
+    expect(await combined.recordFailure(ID)).toEqual(locked(5000));
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('still resets the browser count when the server reset fails', async () => {
+    const local = createFakeStore(open(3));
+    await expect(combineLoginLimitStores(local, createDownStore()).reset(ID)).resolves.toBeUndefined();
+    expect(local.reset).toHaveBeenCalledWith(ID);
+  });
+
+  it('does not hide a failing browser store', async () => {
+    const combined = combineLoginLimitStores(createDownStore(), createFakeStore(open(3)));
+    await expect(combined.status(ID)).rejects.toThrow('offline');
+  });
+
+  it('subscribes through the browser store', () => {
+    const local = createFakeStore(open(3));
+    const listener = () => {};
+    combineLoginLimitStores(local, createFakeStore(open(3))).subscribe(ID, listener);
+    expect(local.subscribe).toHaveBeenCalledWith(ID, listener);
+  });
+});
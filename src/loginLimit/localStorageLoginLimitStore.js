@@ -0,0 +1,132 @@
+// ============================================
+// Login limit store: browser localStorage
+// ============================================
+//
+// Each identifier's record is saved signed (see recordSigning.js), so a
+// refresh keeps the lockout, and an edited or deleted record is caught and
+// counted as a lockout. A reset saves an empty record rather than removing
+// it, so a missing record is only ever the work of someone else. Unsigned
+// records from before this browser could sign are read as a reset. Updates
+// run under a Web Lock where the browser has them, so two tabs can't both
+// read the same count and each add one.
+//
+// `clock` and `signer` can be swapped, e.g. a fake clock in tests.
+
+import {
+  DEFAULT_LOGIN_LIMIT_POLICY, EMPTY_LIMIT_RECORD, isLimitRecord, registerFailure, registerTampering, getLimitStatus
+} from './loginLimitModel.js';
+import { createRecordSigner } from './recordSigning.js';
+
+const STORAGE_PREFIX = 'loginLimit:';
+const LOCK_NAME = 'loginLimit';
+
+const storageKey = (identifier) => `${STORAGE_PREFIX}${identifier}`;
+
+// Other tabs wait their turn; without Web Locks the update runs straight away
+const withLock = (task) => (navigator.locks ? navigator.locks.request(LOCK_NAME, task) : task());
+
+export const createLocalStorageLoginLimitStore = ({
+  policy = DEFAULT_LOGIN_LIMIT_POLICY,
+  clock = Date.now,
+  signer = createRecordSigner()
+} = {}) => {
+  // Signatures cover the identifier too, so one record can't be copied over another
+  const signedText = (identifier, record) => `${identifier}|${JSON.stringify(record)}`;
+
+  // Without a working key records are kept unsigned rather than locking everyone out
+  let signing = signer;
+  const disableSigning = (err) => {
+    console.warn('⚠️ Login limit records can\'t be signed in this browser:', err);
+    signing = null;
+  };
+
+  const save = async (identifier, record) => {
+    let signature = null;
+    if (signing) {
+      try {
+        signature = await signing.sign(identifier, signedText(identifier, record));
+      } catch (err) {
+        disableSigning(err);
+      }
+    }
+    localStorage.setItem(storageKey(identifier), JSON.stringify({ record, signature }));
+  };
+
+  // A key without a record means the record was deleted. Errors count as
+  // "no key", in line with keeping records unsigned when the key is unusable.
+  const hasKey = async (identifier) => {
+    if (!signing) return false;
+    try {
+      return await signing.hasKey(identifier);
+    } catch (err) {
+      disableSigning(err);
+      return false;
+    }
+  };
+
+  // -> { record, tampered }
+  const load = async (identifier) => {
+    const raw = localStorage.getItem(storageKey(identifier));
+    if (raw === null) return { record: null, tampered: await hasKey(identifier) };
+
+    let saved;
+    try {
+      saved = JSON.parse(raw);
+    } catch {
+      return { record: null, tampered: true };
+    }
+    if (!isLimitRecord(saved?.record)) return { record: saved?.record, tampered: true };
+    if (!signing) return { record: saved.record, tampered: false };
+
+    // Unsigned and never signed for: a legacy record, read as a reset
+    if (saved.signature == null) {
+      const tampered = await hasKey(identifier);
+      return { record: tampered ? saved.record : EMPTY_LIMIT_RECORD, tampered };
+    }
+
+    try {
+      const valid = await signing.verify(identifier, signedText(identifier, saved.record), saved.signature);
+      return { record: saved.record, tampered: !valid };
+    } catch (err) {
+      disableSigning(err);
+      return { record: saved.record, tampered: false };
+    }
+  };
+
+  // A tampered record is replaced by a signed lockout, so it's only counted once
+  const read = async (identifier) => {
+    const { record, tampered } = await load(identifier);
+    if (!tampered) return record;
+    console.warn('⚠️ Login limit record failed verification; locking the login form');
+    const lockedRecord = registerTampering(record, clock(), policy);
+    await save(identifier, lockedRecord);
+    return lockedRecord;
+  };
+
+  return {
+    status(identifier) {
+      return withLock(async () => getLimitStatus(await read(identifier), clock(), policy));
+    },
+
+    recordFailure(identifier) {
+      return withLock(async () => {
+        const record = registerFailure(await read(identifier), clock(), policy);
+        await save(identifier, record);
+        return getLimitStatus(record, clock(), policy);
+      });
+    },
+
+    reset(identifier) {
+      return withLock(() => save(identifier, EMPTY_LIMIT_RECORD));
+    },
+
+    // Fires when another tab changes this identifier's record
+    subscribe(identifier, listener) {
+      const handleStorage = (e) => {
+        if (e.key === storageKey(identifier) || e.key === null) listener();
+      };
+      window.addEventListener('storage', handleStorage);
+      return () => window.removeEventListener('storage', handleStorage);
+    }
+  };
+};
@@ -0,0 +1,192 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createLocalStorageLoginLimitStore } from './localStorageLoginLimitStore.js';
+
+const MINUTE = 60 * 1000;
+const ID = 'login_test';
+const KEY = `loginLimit:${ID}`;
+const policy = {
+  maxAttempts: 3,
+  baseLockoutMs: 5 * MINUTE,
+  maxLockoutMs: 30 * MINUTE,
+  resetAfterMs: 60 * MINUTE
+};
+
+// Same interface as recordSigning.js; a signature is readable text, so tests
+// can tell a signed record from an edited one
+const createFakeSigner = () => {
+  const keys = new Set();
+  return {
+    keys,
+    async hasKey(identifier) {
+      return keys.has(identifier);
+    },
+    async sign(identifier, text) {
+      keys.add(identifier);
+      return `signed:${identifier}:${text}`;
+    },
+    async verify(identifier, text, signature) {
+      return keys.has(identifier) && signature === `signed:${identifier}:${text}`;
+    }
+  };
+};
+
+const readSaved = () => JSON.parse(localStorage.getItem(KEY));
+
+describe('localStorage login limit store', () => {
+  let now;
+  let signer;
+  const createStore = (options = {}) =>
+    createLocalStorageLoginLimitStore({ policy, clock: () => now, signer, ...options });
+
+  beforeEach(() => {
+    localStorage.clear();
+    now = Date.UTC(2026, 0, 1);
+    signer = createFakeSigner();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('starts open with every attempt left', async () => {
+    expect(await createStore().status(ID)).toEqual({ locked: false, retryAt: null, attemptsLeft: 3 });
+  });
+
+  it('keeps the count across a refresh', async () => {
+    await createStore().recordFailure(ID);
+    expect((await createStore().status(ID)).attemptsLeft).toBe(2);
+  });
+
+  it('locks after maxAttempts and opens again once the lockout passes', async () => {
+    const store = createStore();
+    await store.recordFailure(ID);
+    await store.recordFailure(ID);
+    expect(await store.recordFailure(ID)).toEqual({ locked: true, retryAt: now + 5 * MINUTE, attemptsLeft: 0 });
+
+    now += 5 * MINUTE;
+    expect((await store.status(ID)).locked).toBe(false);
+  });
+
+  it('saves records signed', async () => {
+    await createStore().recordFailure(ID);
+    const saved = readSaved();
+    expect(saved.signature).toBe(`signed:${ID}:${ID}|${JSON.stringify(saved.record)}`);
+  });
+
+  describe('tampering', () => {
+    it('locks out when a record is edited', async () => {
+      const store = createStore();
+      await store.recordFailure(ID);
+      await store.recordFailure(ID);
+      const saved = readSaved();
+      localStorage.setItem(KEY, JSON.stringify({ ...saved, record: { ...saved.record, failures: 0 } }));
+
+      expect(await store.status(ID)).toEqual({ locked: true, retryAt: now + 5 * MINUTE, attemptsLeft: 0 });
+    });
+
+    it('counts an edited record only once', async () => {
+      const store = createStore();
+      await store.recordFailure(ID);
+      localStorage.setItem(KEY, 'not json');
+
+      const first = await store.status(ID);
+      now += MINUTE;
+      expect(await store.status(ID)).toEqual(first);
+      expect(readSaved().record.lockouts).toBe(1);
+    });
+
+    it('locks out when a record is deleted', async () => {
+      const store = createStore();
+      await store.recordFailure(ID);
+      localStorage.removeItem(KEY);
+
+      expect((await store.status(ID)).locked).toBe(true);
+    });
+
+    it('does not let one identifier\'s record stand in for another\'s', async () => {
+      const store = createStore();
+      await store.recordFailure('login_other');
+      await store.recordFailure(ID);
+      localStorage.setItem(KEY, localStorage.getItem('loginLimit:login_other'));
+
+      expect((await store.status(ID)).locked).toBe(true);
+    });
+
+    it('locks out when an unsigned record replaces a signed one', async () => {
+      const store = createStore();
+      await store.recordFailure(ID);
+      localStorage.setItem(KEY, JSON.stringify({ record: readSaved().record, signature: null }));
+
+      expect((await store.status(ID)).locked).toBe(true);
+    });
+  });
+
+  describe('reset', () => {
+    it('opens the form again', async () => {
+      const store = createStore();
+      await store.recordFailure(ID);
+      await store.reset(ID);
+      expect(await store.status(ID)).toEqual({ locked: false, retryAt: null, attemptsLeft: 3 });
+    });
+
+    it('keeps a signed empty record, so deleting it afterwards is still caught', async () => {
+      const store = createStore();
+      await store.recordFailure(ID);
+      await store.reset(ID);
+      expect(readSaved()).toEqual({
+        record: { failures: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: 0 },
+        signature: expect.stringMatching(/^signed:/)
+      });
+
+      localStorage.removeItem(KEY);
+      expect((await store.status(ID)).locked).toBe(true);
+    });
+  });
+
+  it('reads an unsigned record saved before this browser could sign as a reset', async () => {
+    const record = { failures: 2, lockouts: 3, lockedUntil: now + 10 * MINUTE, lastFailureAt: now };
+    localStorage.setItem(KEY, JSON.stringify({ record, signature: null }));
+
+    expect(await createStore().status(ID)).toEqual({ locked: false, retryAt: null, attemptsLeft: 3 });
+  });
+
+  describe('without signing', () => {
+    it('keeps counting with unsigned records', async () => {
+      const store = createStore({ signer: null });
+      await store.recordFailure(ID);
+      expect(readSaved().signature).toBe(null);
+      expect((await store.status(ID)).attemptsLeft).toBe(2);
+    });
+
+    it('falls back to unsigned records when the signer fails', async () => {
+      signer.sign = async () => { throw new Error('no key'); };
+      const store = createStore();
+      await store.recordFailure(ID);
+      expect(readSaved().signature).toBe(null);
+      expect((await store.status(ID)).attemptsLeft).toBe(2);
+    });
+  });
+
+  describe('subscribe', () => {
+    const fireStorage = (key) => window.dispatchEvent(new StorageEvent('storage', { key }));
+
+    it('fires when another tab changes this identifier or clears storage', () => {
+      const listener = vi.fn();
+      createStore().subscribe(ID, listener);
+      fireStorage(KEY);
+      fireStorage(null);
+      fireStorage('loginLimit:login_other');
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    it('stops once unsubscribed', () => {
+      const listener = vi.fn();
+      const unsubscribe = createStore().subscribe(ID, listener);
+      unsubscribe();
+      fireStorage(KEY);
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,82 @@
+// ============================================
+// Login rate limiting: attempts and backoff
+// ============================================
+//
+// Pure functions over one identifier's record; every store keeps records in
+// this shape and passes the current time in, so the clock can be faked:
+//   { failures, lockouts, lockedUntil, lastFailureAt }
+// `maxAttempts` failures in a row lock the form. Each lockout lasts twice as
+// long as the one before, up to `maxLockoutMs`; a quiet `resetAfterMs` with
+// no failures forgets earlier lockouts.
+
+export const DEFAULT_LOGIN_LIMIT_POLICY = {
+  maxAttempts: 5,
+  baseLockoutMs: 5 * 60 * 1000, // 5 minutes, then 10, 20, 40...
+  maxLockoutMs: 24 * 60 * 60 * 1000,
+  resetAfterMs: 24 * 60 * 60 * 1000
+};
+
+export const EMPTY_LIMIT_RECORD = { failures: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: 0 };
+
+export const isLimitRecord = (record) =>
+  Boolean(record) && ['failures', 'lockouts', 'lockedUntil', 'lastFailureAt']
+    .every(key => Number.isFinite(record[key]) && record[key] >= 0);
+
+export const getLockoutDuration = (lockouts, policy = DEFAULT_LOGIN_LIMIT_POLICY) =>
+  Math.min(policy.baseLockoutMs * 2 ** lockouts, policy.maxLockoutMs);
+
+// The record as it stands at `now`: a lockout in progress is kept, anything
+// older than the quiet period is forgotten
+const currentRecord = (record, now, policy) => {
+  if (!isLimitRecord(record)) return EMPTY_LIMIT_RECORD;
+  if (record.lockedUntil > now) return record;
+  return now - record.lastFailureAt >= policy.resetAfterMs ? EMPTY_LIMIT_RECORD : record;
+};
+
+const lockOut = (record, now, policy) => ({
+  failures: 0,
+  lockouts: record.lockouts + 1,
+  lockedUntil: now + getLockoutDuration(record.lockouts, policy),
+  lastFailureAt: now
+});
+
+// Attempts made while locked are refused before they reach sign-in, so they
+// don't extend the lockout
+export const registerFailure = (record, now, policy = DEFAULT_LOGIN_LIMIT_POLICY) => {
+  const current = currentRecord(record, now, policy);
+  if (current.lockedUntil > now) return current;
+  const failures = current.failures + 1;
+  return failures >= policy.maxAttempts
+    ? lockOut(current, now, policy)
+    : { ...current, failures, lastFailureAt: now };
+};
+
+// A record that fails verification counts as a lockout of its own. Its
+// lockout count is only ever raised, since editing it down is the point of
+// tampering.
+export const registerTampering = (record, now, policy = DEFAULT_LOGIN_LIMIT_POLICY) => {
+  const lockouts = Math.max(0, Math.floor(Number(record?.lockouts)) || 0);
+  return lockOut({ ...EMPTY_LIMIT_RECORD, lockouts }, now, policy);
+};
+
+// { locked, retryAt, attemptsLeft } - what the login form needs to know
+export const getLimitStatus = (record, now, policy = DEFAULT_LOGIN_LIMIT_POLICY) => {
+  const current = currentRecord(record, now, policy);
+  const locked = current.lockedUntil > now;
+  return {
+    locked,
+    retryAt: locked ? current.lockedUntil : null,
+    attemptsLeft: locked ? 0 : Math.max(0, policy.maxAttempts - current.failures)
+  };
+};
+
+// Two views of the same limit (this browser and the server): the stricter wins
+export const mergeLimitStatus = (a, b) => ({
+  locked: a.locked || b.locked,
+  retryAt: Math.max(a.retryAt || 0, b.retryAt || 0) || null,
+  attemptsLeft: Math.min(a.attemptsLeft, b.attemptsLeft)
+});
+
+// Whole minutes left, rounded up, for "try again in N minutes"
+export const getMinutesUntil = (retryAt, now) =>
+  (retryAt && retryAt > now ? Math.ceil((retryAt - now) / 60000) : 0);
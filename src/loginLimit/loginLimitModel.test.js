@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_LOGIN_LIMIT_POLICY, EMPTY_LIMIT_RECORD, getLockoutDuration, registerFailure, registerTampering,
+  getLimitStatus, mergeLimitStatus, getMinutesUntil
+} from './loginLimitModel.js';
+
+const MINUTE = 60 * 1000;
+const policy = {
+  maxAttempts: 3,
+  baseLockoutMs: 5 * MINUTE,
+  maxLockoutMs: 30 * MINUTE,
+  resetAfterMs: 60 * MINUTE
+};
+
+// A clock the tests move by hand; every model call gets `clock.now`
+const createFakeClock = (start = Date.UTC(2026, 0, 1)) => {
+  const clock = { now: start };
+  clock.advance = (ms) => { clock.now += ms; };
+  return clock;
+};
+
+// Fails `times` times in a row, one second apart
+const failRepeatedly = (record, clock, times) => {
+  let next = record;
+  for (let i = 0; i < times; i++) {
+    clock.advance(1000);
+    next = registerFailure(next, clock.now, policy);
+  }
+  return next;
+};
+
+describe('getLockoutDuration', () => {
+  it('doubles with each lockout up to the cap', () => {
+    expect(getLockoutDuration(0, policy)).toBe(5 * MINUTE);
+    expect(getLockoutDuration(1, policy)).toBe(10 * MINUTE);
+    expect(getLockoutDuration(2, policy)).toBe(20 * MINUTE);
+    expect(getLockoutDuration(3, policy)).toBe(30 * MINUTE);
+    expect(getLockoutDuration(10, policy)).toBe(30 * MINUTE);
+  });
+
+  it('uses the default policy when none is given', () => {
+    expect(getLockoutDuration(0)).toBe(DEFAULT_LOGIN_LIMIT_POLICY.baseLockoutMs);
+  });
+});
+
+describe('registerFailure', () => {
+  it('counts failures until the limit, then locks', () => {
+    const clock = createFakeClock();
+    const record = failRepeatedly(null, clock, 2);
+    expect(record).toEqual({ failures: 2, lockouts: 0, lockedUntil: 0, lastFailureAt: clock.now });
+
+    const locked = failRepeatedly(record, clock, 1);
+    expect(locked).toEqual({ failures: 0, lockouts: 1, lockedUntil: clock.now + 5 * MINUTE, lastFailureAt: clock.now });
+  });
+
+  it('does not extend a lockout with attempts made during it', () => {
+    const clock = createFakeClock();
+    const locked = failRepeatedly(null, clock, 3);
+    clock.advance(MINUTE);
+    expect(registerFailure(locked, clock.now, policy)).toBe(locked);
+  });
+
+  it('doubles the next lockout after one expires', () => {
+    const clock = createFakeClock();
+    const first = failRepeatedly(null, clock, 3);
+    clock.advance(5 * MINUTE);
+
+    const second = failRepeatedly(first, clock, 3);
+    expect(second.lockouts).toBe(2);
+    expect(second.lockedUntil - clock.now).toBe(10 * MINUTE);
+  });
+
+  it('caps the lockout at maxLockoutMs', () => {
+    const clock = createFakeClock();
+    let record = null;
+    for (let i = 0; i < 5; i++) {
+      record = failRepeatedly(record, clock, 3);
+      clock.advance(record.lockedUntil - clock.now);
+    }
+    record = failRepeatedly(record, clock, 3);
+    expect(record.lockedUntil - clock.now).toBe(30 * MINUTE);
+  });
+
+  it('forgets failures and lockouts after a quiet resetAfterMs', () => {
+    const clock = createFakeClock();
+    const locked = failRepeatedly(null, clock, 3);
+    clock.advance(60 * MINUTE);
+
+    expect(registerFailure(locked, clock.now, policy)).toEqual({
+      ...EMPTY_LIMIT_RECORD, failures: 1, lastFailureAt: clock.now
+    });
+  });
+
+  it('keeps earlier lockouts until the quiet period has passed', () => {
+    const clock = createFakeClock();
+    const locked = failRepeatedly(null, clock, 3);
+    clock.advance(60 * MINUTE - 1);
+    expect(registerFailure(locked, clock.now, policy).lockouts).toBe(1);
+  });
+
+  it('starts over from an invalid record', () => {
+    const clock = createFakeClock();
+    expect(registerFailure({ failures: -1 }, clock.now, policy)).toEqual({
+      ...EMPTY_LIMIT_RECORD, failures: 1, lastFailureAt: clock.now
+    });
+  });
+});
+
+describe('registerTampering', () => {
+  it('locks out straight away, keeping the lockout count', () => {
+    const clock = createFakeClock();
+    const record = registerTampering({ failures: 1, lockouts: 2, lockedUntil: 0, lastFailureAt: 0 }, clock.now, policy);
+    expect(record).toEqual({ failures: 0, lockouts: 3, lockedUntil: clock.now + 20 * MINUTE, lastFailureAt: clock.now });
+  });
+
+  it('treats an unreadable record as having no lockouts', () => {
+    const clock = createFakeClock();
+    for (const record of [null, 'garbage', { lockouts: 'many' }, { lockouts: -4 }]) {
+      expect(registerTampering(record, clock.now, policy)).toEqual({
+        failures: 0, lockouts: 1, lockedUntil: clock.now + 5 * MINUTE, lastFailureAt: clock.now
+      });
+    }
+  });
+});
+
+describe('getLimitStatus', () => {
+  it('reports the attempts left', () => {
+    const clock = createFakeClock();
+    expect(getLimitStatus(null, clock.now, policy)).toEqual({ locked: false, retryAt: null, attemptsLeft: 3 });
+    expect(getLimitStatus(failRepeatedly(null, clock, 2), clock.now, policy))
+      .toEqual({ locked: false, retryAt: null, attemptsLeft: 1 });
+  });
+
+  it('reports a lockout until it expires', () => {
+    const clock = createFakeClock();
+    const locked = failRepeatedly(null, clock, 3);
+    const retryAt = clock.now + 5 * MINUTE;
+    expect(getLimitStatus(locked, clock.now, policy)).toEqual({ locked: true, retryAt, attemptsLeft: 0 });
+
+    clock.advance(5 * MINUTE - 1);
+    expect(getLimitStatus(locked, clock.now, policy).locked).toBe(true);
+    clock.advance(1);
+    expect(getLimitStatus(locked, clock.now, policy)).toEqual({ locked: false, retryAt: null, attemptsLeft: 3 });
+  });
+});
+
+describe('mergeLimitStatus', () => {
+  it('keeps the stricter of the two', () => {
+    const open = { locked: false, retryAt: null, attemptsLeft: 2 };
+    const locked = { locked: true, retryAt: 5000, attemptsLeft: 0 };
+    expect(mergeLimitStatus(open, locked)).toEqual(locked);
+    expect(mergeLimitStatus(locked, open)).toEqual(locked);
+    expect(mergeLimitStatus(locked, { ...locked, retryAt: 9000 }).retryAt).toBe(9000);
+    expect(mergeLimitStatus(open, { ...open, attemptsLeft: 4 })).toEqual(open);
+  });
+});
+
+describe('getMinutesUntil', () => {
+  it('rounds up to whole minutes', () => {
+    const clock = createFakeClock();
+    expect(getMinutesUntil(clock.now + 5 * MINUTE, clock.now)).toBe(5);
+    expect(getMinutesUntil(clock.now + 4 * MINUTE + 1, clock.now)).toBe(5);
+    expect(getMinutesUntil(clock.now + 1, clock.now)).toBe(1);
+  });
+
+  it('is zero once the time has passed or when there is none', () => {
+    const clock = createFakeClock();
+    expect(getMinutesUntil(clock.now, clock.now)).toBe(0);
+    expect(getMinutesUntil(clock.now - MINUTE, clock.now)).toBe(0);
+    expect(getMinutesUntil(null, clock.now)).toBe(0);
+  });
+});
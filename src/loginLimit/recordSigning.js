@@ -0,0 +1,99 @@
+// ============================================
+// Tamper-evident records: HMAC signatures
+// ============================================
+//
+// Each identifier gets its own signing key: a non-extractable Web Crypto key
+// kept in IndexedDB, so page scripts can use it but nobody can read it out and
+// sign an edited record by hand. A key also shows that a record was saved for
+// its identifier, so a record deleted from localStorage is caught too. This
+// makes tampering evident, not impossible: clearing all site data still
+// starts over, which is what the server counter is for.
+
+const DB_NAME = 'loginLimit';
+const KEY_STORE = 'keys';
+const KEY_PREFIX = 'recordSigning:';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const runRequest = (db, mode, operation) => new Promise((resolve, reject) => {
+  const request = operation(db.transaction(KEY_STORE, mode).objectStore(KEY_STORE));
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// -> the identifier's key, or null when there is none and `create` is off.
+// Another tab may create the key at the same moment; `add` lets only one win.
+const loadSigningKey = async (identifier, { create }) => {
+  const keyId = `${KEY_PREFIX}${identifier}`;
+  const db = await openDatabase();
+  try {
+    const existing = await runRequest(db, 'readonly', store => store.get(keyId));
+    if (existing || !create) return existing || null;
+    const key = await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+    try {
+      await runRequest(db, 'readwrite', store => store.add(key, keyId));
+      return key;
+    } catch (err) {
+      if (err?.name !== 'ConstraintError') throw err;
+      return runRequest(db, 'readonly', store => store.get(keyId));
+    }
+  } finally {
+    db.close();
+  }
+};
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+// {
+//   hasKey(identifier)                     -> whether a record was ever signed for it
+//   sign(identifier, text)                 -> signature; creates the key if needed
+//   verify(identifier, text, signature)    -> boolean; false without a key
+// }, or null where Web Crypto or IndexedDB isn't available (e.g. plain-http pages)
+export const createRecordSigner = () => {
+  if (typeof indexedDB === 'undefined' || !globalThis.crypto?.subtle) return null;
+
+  // Found keys are cached; a missing one is looked up again next time
+  const keys = new Map();
+  const getKey = async (identifier, { create = false } = {}) => {
+    if (!keys.has(identifier)) {
+      keys.set(identifier, loadSigningKey(identifier, { create }).catch(err => {
+        keys.delete(identifier);
+        throw err;
+      }));
+    }
+    const key = await keys.get(identifier);
+    if (key) return key;
+    keys.delete(identifier);
+    return create ? getKey(identifier, { create }) : null;
+  };
+  const encode = (text) => new TextEncoder().encode(text);
+
+  return {
+    async hasKey(identifier) {
+      return Boolean(await getKey(identifier));
+    },
+
+    async sign(identifier, text) {
+      const key = await getKey(identifier, { create: true });
+      return toBase64(await crypto.subtle.sign('HMAC', key, encode(text)));
+    },
+
+    async verify(identifier, text, signature) {
+      if (typeof signature !== 'string') return false;
+      try {
+        const key = await getKey(identifier);
+        return Boolean(key) && await crypto.subtle.verify('HMAC', key, fromBase64(signature), encode(text));
+      } catch (err) {
+        if (err instanceof DOMException && err.name === 'InvalidCharacterError') return false;
+        throw err;
+      }
+    }
+  };
+};
@@ -0,0 +1,58 @@
+// ============================================
+// Order store: REST backend
+// ============================================
+//
+// Expects the same { success, ... } envelope as the Alimi API:
+//   POST  {baseUrl}/orders          body: order      -> { success, order }
+//   GET   {baseUrl}/orders/:id    X-Order-Token      -> { success, order }
+//   GET   {baseUrl}/orders?status=&customerId=       -> { success, orders }
+//   PATCH {baseUrl}/orders/:id      body: updates    -> { success, order }
+// Orders hold names and addresses, so the backend must not hand them out
+// freely. It issues the order's `id` and `accessToken` itself on POST (the
+// returned order is the one to use), and answers GET /orders/:id only to a
+// caller presenting that token, the signed-in customer who placed it, or
+// staff. Listing and PATCH are staff-only; listing by customerId is also
+// allowed to that customer. Identity comes from the ID token.
+// The backend takes ordered stock off the catalog and counts the promo code's
+// use when an order becomes paid (payment webhook or the PATCH above), in the
+// same write, so neither depends on a shopper's browser or a stale catalog.
+// Point VITE_ORDERS_API_URL at a local mock server to test checkout end to end.
+
+import { createApiClient } from '../api/http.js';
+
+export const createHttpOrderStore = ({ baseUrl, projectId }) => {
+  const request = createApiClient({ baseUrl, projectId, name: 'Order' });
+
+  return {
+    async create(order) {
+      const data = await request('/orders', { method: 'POST', body: order });
+      return data.order;
+    },
+
+    async get(id, { token } = {}) {
+      try {
+        const data = await request(`/orders/${encodeURIComponent(id)}`, {
+          headers: token ? { 'X-Order-Token': token } : {}
+        });
+        return data.order;
+      } catch (err) {
+        console.warn('⚠️ Could not load order:', err);
+        return null;
+      }
+    },
+
+    async list({ status, customerId } = {}) {
+      const params = new URLSearchParams();
+      if (status) params.set('status', status);
+      if (customerId) params.set('customerId', customerId);
+      const query = params.toString() ? `?${params}` : '';
+      const data = await request(`/orders${query}`);
+      return data.orders || [];
+    },
+
+    async update(id, updates) {
+      const data = await request(`/orders/${encodeURIComponent(id)}`, { method: 'PATCH', body: updates });
+      return data.order;
+    }
+  };
+};
@@ -0,0 +1,39 @@
+// ============================================
+// Orders subsystem
+// ============================================
+//
+// Every order store implements the same async interface:
+//   create(order) -> order
+//   get(id, { token }) -> order | null; `token` is the order's accessToken
+//                         for guests without an account
+//   list({ status, customerId }) -> order[] (newest first)
+//   update(id, updates) -> order
+// Set VITE_ORDERS_API_URL to use the HTTP store; otherwise orders stay in
+// this browser's localStorage.
+
+import { createLocalStorageOrderStore } from './localStorageOrderStore.js';
+import { createHttpOrderStore } from './httpOrderStore.js';
+import { takeStockForOrder } from '../catalog/index.js';
+import { redeemPromotionForOrder } from '../promotions/index.js';
+import { createLazyStore } from '../utils/lazyStore.js';
+
+export {
+  ORDER_STATUSES, ORDER_TRANSITIONS, canTransition, transitionOrder, addOrderNote, createOrder, snapshotLineItems
+} from './orderModel.js';
+export { createLocalStorageOrderStore, createHttpOrderStore };
+
+// What the backend does when an order is paid, for offline development
+const settlePaidOrder = async (order) => {
+  await takeStockForOrder(order);
+  await redeemPromotionForOrder(order);
+};
+
+const orderStore = createLazyStore(() => {
+  const baseUrl = import.meta.env.VITE_ORDERS_API_URL;
+  return baseUrl
+    ? createHttpOrderStore({ baseUrl })
+    : createLocalStorageOrderStore({ onPaid: settlePaidOrder });
+});
+
+export const getOrderStore = orderStore.get;
+export const setOrderStore = orderStore.set;
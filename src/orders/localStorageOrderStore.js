@@ -0,0 +1,52 @@
+// ============================================
+// Order store: browser localStorage (offline dev / single-device stores)
+// ============================================
+//
+// Orders here never leave this browser, so `get` doesn't ask for the
+// order's access token. `onPaid(order)` runs when an order moves to paid, doing what the backend
+// would (taking stock off the catalog).
+
+const STORAGE_KEY = 'orders';
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (err) {
+    console.warn('⚠️ Could not read saved orders:', err);
+    return [];
+  }
+};
+
+const writeAll = (orders) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(orders));
+};
+
+export const createLocalStorageOrderStore = ({ onPaid } = {}) => ({
+  async create(order) {
+    writeAll([order, ...readAll()]);
+    return order;
+  },
+
+  async get(id) {
+    return readAll().find(order => order.id === id) || null;
+  },
+
+  async list({ status, customerId } = {}) {
+    return readAll().filter(order =>
+      (!status || order.status === status) && (!customerId || order.customerId === customerId));
+  },
+
+  async update(id, updates) {
+    let previous = null;
+    let updated = null;
+    writeAll(readAll().map(order => {
+      if (order.id !== id) return order;
+      previous = order;
+      updated = { ...order, ...updates, updatedAt: new Date().toISOString() };
+      return updated;
+    }));
+    if (!updated) throw new Error(`Order ${id} not found`);
+    if (onPaid && updated.status === 'paid' && previous.status !== 'paid') await onPaid(updated);
+    return updated;
+  }
+});
@@ -0,0 +1,117 @@
+// ============================================
+// Order records
+// ============================================
+
+import { sumLines, toMinor, fromMinor } from '../currency/money.js';
+
+export const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// Which statuses an order may move to from each status
+export const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'refunded', 'cancelled'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+export const canTransition = (order, status) =>
+  (ORDER_TRANSITIONS[order.status] || []).includes(status);
+
+// Returns the fields to update; history keeps who moved it and when
+export const transitionOrder = (order, status, actor = null) => {
+  if (!canTransition(order, status)) {
+    throw new Error(`Cannot move order from ${order.status} to ${status}`);
+  }
+  return {
+    status,
+    statusHistory: [...(order.statusHistory || []), { status, at: new Date().toISOString(), by: actor }]
+  };
+};
+
+// Internal notes are for staff only and never shown to the customer
+export const addOrderNote = (order, text, author = null) => ({
+  notes: [...(order.notes || []), { text, at: new Date().toISOString(), author }]
+});
+
+// Crockford base32: no I, L, O or U, so an id read out over the phone is unambiguous
+const ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const randomBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  return bytes;
+};
+
+// 80 random bits, so one order's id says nothing about any other's
+export const generateOrderId = () =>
+  `ORD-${Array.from(randomBytes(16), b => ID_ALPHABET[b % 32]).join('')}`;
+
+// The guest's proof that an order is theirs: the confirmation link carries
+// it, and the backend only shows the order to whoever presents it (or to the
+// signed-in customer and staff)
+export const generateOrderAccessToken = () =>
+  Array.from(randomBytes(16), b => b.toString(16).padStart(2, '0')).join('');
+
+// Snapshot cart lines so later catalog edits never change a placed order
+export const snapshotLineItems = (cartItems, currency = 'USD') =>
+  cartItems.map(item => ({
+    lineId: item.lineId,
+    productId: item.id,
+    variantId: item.variantId || null,
+    variantOptions: item.variantOptions || null,
+    sku: item.sku || '',
+    name: item.name,
+    image: item.image || '',
+    price: item.price,
+    quantity: item.quantity,
+    lineTotal: sumLines([item], currency)
+  }));
+
+// `customerId` links the order to a signed-in shopper; guests leave it null
+export const createOrder = ({ cartItems, customer, shipping, totals = null, customerId = null }) => {
+  // Everything is recorded in the base currency the totals were computed in
+  const currency = totals?.currency || 'USD';
+  const items = snapshotLineItems(cartItems, currency);
+  const subtotalMinor = items.reduce((sum, item) => sum + toMinor(item.lineTotal, currency), 0);
+  const discountMinor = Math.min(toMinor(totals?.discount, currency), subtotalMinor);
+  const shippingMinor = Math.max(0, toMinor(totals?.shipping, currency));
+  const taxMinor = Math.max(0, toMinor(totals?.tax, currency));
+  const now = new Date().toISOString();
+
+  return {
+    id: generateOrderId(),
+    accessToken: generateOrderAccessToken(),
+    createdAt: now,
+    updatedAt: now,
+    status: 'pending',
+    statusHistory: [{ status: 'pending', at: now }],
+    customerId,
+    items,
+    customer: {
+      name: customer.name,
+      email: customer.email
+    },
+    shipping: {
+      address: shipping.address,
+      city: shipping.city,
+      region: shipping.region || '',
+      zip: shipping.zip,
+      country: shipping.country || ''
+    },
+    totals: {
+      subtotal: fromMinor(subtotalMinor, currency),
+      discount: fromMinor(discountMinor, currency),
+      discountLabel: totals?.discountLabel || '',
+      promotionCode: totals?.promotionCode || '',
+      freeShipping: Boolean(totals?.freeShipping),
+      shipping: fromMinor(shippingMinor, currency),
+      shippingLabel: totals?.shippingLabel || '',
+      tax: fromMinor(taxMinor, currency),
+      taxLabel: totals?.taxLabel || '',
+      total: fromMinor(subtotalMinor - discountMinor + shippingMinor + taxMinor, currency),
+      currency
+    }
+  };
+};
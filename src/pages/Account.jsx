@@ -0,0 +1,281 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { useCustomer } from '../context/CustomerContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+import { getOrderStore } from '../orders/index.js'
+import { formatMoney } from '../currency/money.js'
+import { getCountryName } from '../utils/countries.js'
+import AddressForm from '../components/AddressForm.jsx'
+
+const inputClass = 'w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent'
+
+// Firebase error codes -> message keys; anything else gets the generic one
+const AUTH_ERRORS = {
+  'auth/user-not-found': 'account.errors.credentials',
+  'auth/wrong-password': 'account.errors.credentials',
+  'auth/invalid-credential': 'account.errors.credentials',
+  'auth/invalid-email': 'account.errors.email',
+  'auth/email-already-in-use': 'account.errors.emailInUse',
+  'auth/weak-password': 'account.errors.weakPassword',
+  'auth/too-many-requests': 'account.errors.tooMany'
+}
+
+// Only same-app paths, so ?redirect= can't send shoppers off-site
+const safeRedirect = (path) => (path && path.startsWith('/') && !path.startsWith('//') ? path : null)
+
+function Spinner() {
+  return (
+    <div className="py-16 bg-gray-50 min-h-screen flex justify-center">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-2" style={{ borderColor: '#1e2a67' }}></div>
+    </div>
+  )
+}
+
+function AuthForms({ onSignedIn }) {
+  const { signIn, signUp, resetPassword } = useCustomer()
+  const { t } = useLocale()
+  const [mode, setMode] = useState('signIn')
+  const [form, setForm] = useState({ name: '', email: '', password: '' })
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value })
+  }
+
+  const switchMode = (next) => {
+    setMode(next)
+    setError('')
+    setNotice('')
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setNotice('')
+    setIsSubmitting(true)
+    try {
+      if (mode === 'signUp') {
+        await signUp(form)
+      } else {
+        await signIn(form.email, form.password)
+      }
+      onSignedIn()
+    } catch (err) {
+      setError(t(AUTH_ERRORS[err.code] || 'account.errors.generic'))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleReset = async () => {
+    setError('')
+    if (!form.email) {
+      setError(t('account.errors.email'))
+      return
+    }
+    try {
+      await resetPassword(form.email)
+      setNotice(t('account.resetSent', { email: form.email }))
+    } catch (err) {
+      setError(t(AUTH_ERRORS[err.code] || 'account.errors.generic'))
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex border-b mb-6">
+        {['signIn', 'signUp'].map(tab => (
+          <button
+            key={tab}
+            type="button"
+            onClick={() => switchMode(tab)}
+            className={`flex-1 pb-3 font-semibold ${mode === tab ? 'border-b-2' : 'text-gray-500'}`}
+            style={mode === tab ? { borderColor: '#1e2a67', color: '#1e2a67' } : undefined}
+          >
+            {t(`account.${tab}`)}
+          </button>
+        ))}
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {error && <div className="p-3 rounded-lg bg-red-100 text-red-700 text-sm">{error}</div>}
+        {notice && <div className="p-3 rounded-lg bg-green-100 text-green-700 text-sm">{notice}</div>}
+        {mode === 'signUp' && (
+          <input type="text" name="name" placeholder={t('checkout.fullName')} required value={form.name} onChange={handleChange} className={inputClass} />
+        )}
+        <input type="email" name="email" placeholder={t('checkout.email')} required autoComplete="email" value={form.email} onChange={handleChange} className={inputClass} />
+        <input
+          type="password"
+          name="password"
+          placeholder={t('account.password')}
+          required
+          minLength={mode === 'signUp' ? 6 : undefined}
+          autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'}
+          value={form.password}
+          onChange={handleChange}
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full text-white py-3 rounded-lg font-semibold hover:opacity-90 transition disabled:opacity-50"
+          style={{ backgroundColor: '#1e2a67' }}
+        >
+          {isSubmitting ? t('account.working') : t(`account.${mode}`)}
+        </button>
+        {mode === 'signIn' && (
+          <button type="button" onClick={handleReset} className="text-sm text-gray-500 hover:underline">
+            {t('account.forgotPassword')}
+          </button>
+        )}
+      </form>
+    </div>
+  )
+}
+
+function OrderHistory({ customerId }) {
+  const { t, locale } = useLocale()
+  const [orders, setOrders] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    getOrderStore().list({ customerId })
+      .then(result => { if (!cancelled) setOrders(result) })
+      .catch(err => {
+        console.error('Failed to load orders:', err)
+        if (!cancelled) setOrders([])
+      })
+    return () => { cancelled = true }
+  }, [customerId])
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-semibold mb-4">{t('account.orders')}</h2>
+      {orders === null ? (
+        <p className="text-gray-500">{t('account.loadingOrders')}</p>
+      ) : orders.length === 0 ? (
+        <p className="text-gray-500">{t('account.noOrders')}</p>
+      ) : (
+        <div className="divide-y">
+          {orders.map(order => (
+            <Link key={order.id} to={`/order/${order.id}`} className="flex justify-between items-center py-3 hover:bg-gray-50 -mx-2 px-2 rounded">
+              <div>
+                <p className="font-medium">{order.id}</p>
+                <p className="text-sm text-gray-500">
+                  {new Date(order.createdAt).toLocaleDateString(locale)} · {t('account.itemCount', { count: order.items.reduce((sum, item) => sum + item.quantity, 0) })}
+                </p>
+              </div>
+              <div className="text-end">
+                <p className="font-semibold">{formatMoney(order.totals.total, order.totals.currency, locale)}</p>
+                <p className="text-sm text-gray-500">{t(`account.status.${order.status}`)}</p>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function AddressBook() {
+  const { addresses, saveAddress, deleteAddress, setDefaultAddress } = useCustomer()
+  const { t } = useLocale()
+  // null = list view, {} = new address, otherwise the address being edited
+  const [editing, setEditing] = useState(null)
+
+  const handleSave = (address) => {
+    saveAddress(address)
+    setEditing(null)
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">{t('account.addresses')}</h2>
+        {!editing && (
+          <button type="button" onClick={() => setEditing({})} className="text-sm font-semibold hover:underline" style={{ color: '#1e2a67' }}>
+            {t('account.addAddress')}
+          </button>
+        )}
+      </div>
+      {editing ? (
+        <AddressForm initial={editing} onSave={handleSave} onCancel={() => setEditing(null)} />
+      ) : addresses.length === 0 ? (
+        <p className="text-gray-500">{t('account.noAddresses')}</p>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-4">
+          {addresses.map(address => (
+            <div key={address.id} className="border rounded-lg p-4 text-sm">
+              {address.isDefault && (
+                <span className="inline-block mb-2 px-2 py-0.5 rounded bg-gray-100 text-xs font-semibold text-gray-600">{t('account.default')}</span>
+              )}
+              <p className="font-medium">{address.name}</p>
+              <p className="text-gray-600">{address.address}</p>
+              <p className="text-gray-600">{[address.city, address.region, address.zip].filter(Boolean).join(' ')}</p>
+              <p className="text-gray-600">{getCountryName(address.country)}</p>
+              <div className="flex gap-3 mt-3">
+                <button type="button" onClick={() => setEditing(address)} className="hover:underline" style={{ color: '#1e2a67' }}>{t('account.edit')}</button>
+                {!address.isDefault && (
+                  <button type="button" onClick={() => setDefaultAddress(address.id)} className="text-gray-600 hover:underline">{t('account.makeDefault')}</button>
+                )}
+                <button type="button" onClick={() => deleteAddress(address.id)} className="text-red-600 hover:underline">{t('common.remove')}</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function Account() {
+  const { customer, status, connect, signOut } = useCustomer()
+  const { t } = useLocale()
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const redirect = safeRedirect(searchParams.get('redirect'))
+
+  // Guests don't load Firebase until they open this page
+  useEffect(() => {
+    connect()
+  }, [])
+
+  if (status === 'idle' || status === 'loading') return <Spinner />
+
+  return (
+    <div className="py-12 bg-gray-50 min-h-screen">
+      <div className="container mx-auto px-4 max-w-4xl">
+        <h1 className="text-3xl font-bold mb-8">{t('account.title')}</h1>
+
+        {status === 'error' ? (
+          <div className="p-4 rounded-lg bg-red-100 text-red-700">{t('account.errors.unavailable')}</div>
+        ) : !customer ? (
+          <div className="max-w-md mx-auto space-y-4">
+            <AuthForms onSignedIn={() => redirect && navigate(redirect)} />
+            <p className="text-center text-sm text-gray-500">
+              {t('account.guestNote')}{' '}
+              <Link to={redirect || '/shop'} className="underline">{t('account.continueAsGuest')}</Link>
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-md p-6 flex justify-between items-center">
+              <div>
+                <p className="font-semibold">{t('account.greeting', { name: customer.name || customer.email })}</p>
+                <p className="text-sm text-gray-500">{customer.email}</p>
+              </div>
+              <button type="button" onClick={signOut} className="px-4 py-2 rounded-lg border text-gray-700 hover:bg-gray-50">
+                {t('account.signOut')}
+              </button>
+            </div>
+            <OrderHistory customerId={customer.uid} />
+            <AddressBook />
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Account
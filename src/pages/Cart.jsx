@@ -1,13 +1,66 @@
-import { Link } from 'react-router-dom'
+import { useState, useEffect } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
 import { useCart } from '../context/CartContext.jsx'
+import { useProducts } from '../context/ProductContext.jsx'
+import { useCurrency } from '../context/CurrencyContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+import { formatVariantLabel } from '../utils/variants.js'
+import { getExternalPaymentUrl } from '../utils/externalPayment.js'
+import { useCartTotals } from '../context/PromotionContext.jsx'
+import PromoCodeInput from '../components/PromoCodeInput.jsx'
+import OrderTotals from '../components/OrderTotals.jsx'
+import ShippingEstimator from '../components/ShippingEstimator.jsx'
+import CartNotices from '../components/CartNotices.jsx'
+import { getSnapshotStore, getSnapshotLines, setRecoveryToken } from '../recovery/index.js'
 
 function Cart() {
-  const { cartItems, removeFromCart, updateQuantity, getTotal } = useCart()
+  const {
+    cartItems, checkoutItems, externalItems, removeFromCart, updateQuantity, getAvailableForLine, restoreCart
+  } = useCart()
+  const { products } = useProducts()
+  const { formatPrice } = useCurrency()
+  const { t, localizeProduct } = useLocale()
+  const totals = useCartTotals()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const restoreToken = searchParams.get('restore')
+  const [restoreStatus, setRestoreStatus] = useState(restoreToken ? 'loading' : null)
+
+  // Abandoned cart links land here as /cart?restore=<token>
+  useEffect(() => {
+    if (!restoreToken) return
+    let cancelled = false
+    setRestoreStatus('loading')
+    getSnapshotStore().get(restoreToken).then(snapshot => {
+      if (cancelled) return
+      if (!snapshot || snapshot.status === 'converted') {
+        setRestoreStatus('failed')
+      } else {
+        restoreCart(getSnapshotLines(snapshot))
+        // Checkout keeps updating this snapshot and marks it converted on success
+        setRecoveryToken(restoreToken)
+        getSnapshotStore().update(restoreToken, { status: 'recovered', recoveredAt: new Date().toISOString() })
+          .catch(err => console.warn('⚠️ Could not update cart snapshot:', err))
+        setRestoreStatus('restored')
+      }
+      setSearchParams({}, { replace: true })
+    })
+    return () => { cancelled = true }
+  }, [restoreToken])
+
+  const restoreBanner = restoreStatus && (
+    <div className={`p-4 mb-6 rounded-lg border text-start ${restoreStatus === 'failed' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-800'}`}>
+      {t(`cart.restore.${restoreStatus}`)}
+    </div>
+  )
 
   if (cartItems.length === 0) {
     return (
       <div className="py-16 text-center bg-gray-50 min-h-screen">
         <div className="container mx-auto px-4">
+          <div className="max-w-xl mx-auto text-start">
+            {restoreBanner}
+            <CartNotices />
+          </div>
           <div 
             className="w-24 h-24 rounded-full flex items-center justify-center mx-auto mb-6"
             style={{ backgroundColor: '#1e2a6720' }}
@@ -16,14 +69,14 @@ function Cart() {
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4m0 0L7 13m0 0l-2.5 5M7 13l2.5 5m6-5v5a2 2 0 01-2 2H9a2 2 0 01-2-2v-5m6-5V6a2 2 0 00-2-2H9a2 2 0 00-2 2v2" />
             </svg>
           </div>
-          <h1 className="text-3xl font-bold mb-4">Your Cart is Empty</h1>
-          <p className="text-gray-600 mb-8">Add some beautiful fashion pieces to get started!</p>
+          <h1 className="text-3xl font-bold mb-4">{t('cart.emptyTitle')}</h1>
+          <p className="text-gray-600 mb-8">{t('cart.emptyBody')}</p>
           <Link 
             to="/shop" 
             className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition inline-block"
             style={{ backgroundColor: '#1e2a67' }}
           >
-            Continue Shopping
+            {t('common.continueShopping')}
           </Link>
         </div>
       </div>
@@ -33,62 +86,135 @@ function Cart() {
   return (
     <div className="py-12 bg-gray-50 min-h-screen">
       <div className="container mx-auto px-4">
-        <h1 className="text-3xl font-bold mb-8">Shopping Cart</h1>
-        <div className="bg-white rounded-lg shadow-md p-6">
-          {cartItems.map(item => (
-            <div key={item.id} className="flex items-center justify-between py-4 border-b last:border-b-0">
-              <div className="flex items-center gap-4">
-                <img 
-                  src={item.image || 'https://placehold.co/80x80?text=No+Image'} 
-                  alt={item.name} 
-                  className="w-20 h-20 object-cover rounded"
-                />
-                <div>
-                  <h3 className="font-semibold text-lg">{item.name}</h3>
-                  <p className="text-gray-600">${item.price?.toFixed(2)}</p>
+        <h1 className="text-3xl font-bold mb-8">{t('cart.title')}</h1>
+        {restoreBanner}
+        <CartNotices />
+        {externalItems.length > 0 && checkoutItems.length > 0 && (
+          <div className="p-4 mb-6 rounded-lg bg-amber-50 border border-amber-200 text-amber-800">
+            {t('cart.mixedNotice')}
+          </div>
+        )}
+        {checkoutItems.length > 0 && (
+          <div className="bg-white rounded-lg shadow-md p-6">
+            {checkoutItems.map(item => (
+              <div key={item.lineId} className="flex items-center justify-between py-4 border-b last:border-b-0">
+                <div className="flex items-center gap-4">
+                  <Link to={`/product/${item.id}`}>
+                    <img 
+                      src={item.image || 'https://placehold.co/80x80?text=No+Image'} 
+                      alt={item.name} 
+                      className="w-20 h-20 object-cover rounded"
+                    />
+                  </Link>
+                  <div>
+                    <h3 className="font-semibold text-lg">
+                      <Link to={`/product/${item.id}`} className="hover:underline">{localizeProduct(item).name}</Link>
+                    </h3>
+                    {item.variantOptions && (
+                      <p className="text-sm text-gray-500">{formatVariantLabel(item.variantOptions)}</p>
+                    )}
+                    <p className="text-gray-600">{formatPrice(item.price)}</p>
+                    {item.quantity >= getAvailableForLine(item) && (
+                      <p className="text-xs text-amber-600">{t('cart.onlyAvailable', { count: getAvailableForLine(item) })}</p>
+                    )}
+                  </div>
                 </div>
-              </div>
-              <div className="flex items-center gap-4">
-                <div className="flex items-center border rounded-lg">
+                <div className="flex items-center gap-4">
+                  <div className="flex items-center border rounded-lg">
+                    <button 
+                      onClick={() => updateQuantity(item.lineId, item.quantity - 1)} 
+                      aria-label={t('cart.decrease')}
+                      className="px-3 py-2 hover:bg-gray-100 transition"
+                    >
+                      -
+                    </button>
+                    <span className="px-4 py-2 border-l border-r">{item.quantity}</span>
+                    <button 
+                      onClick={() => updateQuantity(item.lineId, item.quantity + 1)} 
+                      aria-label={t('cart.increase')}
+                      disabled={item.quantity >= getAvailableForLine(item)}
+                      className="px-3 py-2 hover:bg-gray-100 transition disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      +
+                    </button>
+                  </div>
                   <button 
-                    onClick={() => updateQuantity(item.id, item.quantity - 1)} 
-                    className="px-3 py-2 hover:bg-gray-100 transition"
+                    onClick={() => removeFromCart(item.lineId)} 
+                    className="text-red-500 hover:text-red-700 transition font-medium"
                   >
-                    -
-                  </button>
-                  <span className="px-4 py-2 border-l border-r">{item.quantity}</span>
-                  <button 
-                    onClick={() => updateQuantity(item.id, item.quantity + 1)} 
-                    className="px-3 py-2 hover:bg-gray-100 transition"
-                  >
-                    +
+                    {t('common.remove')}
                   </button>
                 </div>
-                <button 
-                  onClick={() => removeFromCart(item.id)} 
-                  className="text-red-500 hover:text-red-700 transition font-medium"
+              </div>
+            ))}
+            <div className="mt-8 flex flex-col md:flex-row justify-between md:items-start gap-6">
+              <div className="text-left space-y-4">
+                <p className="text-gray-600">{t('cart.totalItems', { count: checkoutItems.reduce((sum, item) => sum + item.quantity, 0) })}</p>
+                <div className="max-w-xs">
+                  <PromoCodeInput cartItems={checkoutItems} />
+                </div>
+                <div className="max-w-xs">
+                  <ShippingEstimator />
+                </div>
+              </div>
+              <div className="md:w-72">
+                <div className="mb-4">
+                  <OrderTotals totals={totals} size="lg" />
+                </div>
+                <Link 
+                  to="/checkout" 
+                  className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition block text-center"
+                  style={{ backgroundColor: '#1e2a67' }}
                 >
-                  Remove
-                </button>
+                  {t('cart.proceed')}
+                </Link>
               </div>
             </div>
-          ))}
-          <div className="mt-8 flex justify-between items-center">
-            <div className="text-left">
-              <p className="text-gray-600">Total Items: {cartItems.reduce((sum, item) => sum + item.quantity, 0)}</p>
-            </div>
-            <div className="text-right">
-              <p className="text-2xl font-bold mb-4">Total: ${getTotal().toFixed(2)}</p>
-              <Link 
-                to="/checkout" 
-                className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition inline-block"
-                style={{ backgroundColor: '#1e2a67' }}
-              >
-                Proceed to Checkout
-              </Link>
-            </div>
           </div>
-        </div>
+        )}
+
+        {externalItems.length > 0 && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h2 className="text-xl font-semibold mb-1">{t('cart.paySeparatelyTitle')}</h2>
+            <p className="text-gray-600 text-sm mb-4">{t('cart.paySeparatelyBody')}</p>
+            {externalItems.map(item => {
+              const product = products.find(p => p.id === item.id)
+              return (
+                <div key={item.lineId} className="flex items-center justify-between py-4 border-b last:border-b-0">
+                  <div className="flex items-center gap-4">
+                    <img 
+                      src={item.image || 'https://placehold.co/80x80?text=No+Image'} 
+                      alt={item.name} 
+                      className="w-20 h-20 object-cover rounded"
+                    />
+                    <div>
+                      <h3 className="font-semibold text-lg">
+                        <Link to={`/product/${item.id}`} className="hover:underline">{localizeProduct(item).name}</Link>
+                      </h3>
+                      <p className="text-gray-600">{formatPrice(product.price)}</p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-4">
+                    <a
+                      href={getExternalPaymentUrl(product)}
+                      rel="noopener noreferrer"
+                      className="text-white px-4 py-2 rounded-lg font-semibold hover:opacity-90 transition"
+                      style={{ backgroundColor: '#1e2a67' }}
+                    >
+                      {t('common.buyNow')}
+                    </a>
+                    <button 
+                      onClick={() => removeFromCart(item.lineId)} 
+                      className="text-red-500 hover:text-red-700 transition font-medium"
+                    >
+                      {t('common.remove')}
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
       </div>
     </div>
   )
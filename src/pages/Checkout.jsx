@@ -1,44 +1,187 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { useCart } from '../context/CartContext.jsx'
-import { useNavigate } from 'react-router-dom'
+import { useProducts } from '../context/ProductContext.jsx'
+import { findShortages } from '../utils/inventory.js'
+import { getOrderStore, createOrder, transitionOrder } from '../orders/index.js'
+import { useCartTotals } from '../context/PromotionContext.jsx'
+import { usePricing } from '../context/PricingContext.jsx'
+import { useCurrency } from '../context/CurrencyContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+import { useCustomer } from '../context/CustomerContext.jsx'
+import { findMatchingAddress } from '../customers/addressBook.js'
+import { COUNTRIES } from '../utils/countries.js'
+import PromoCodeInput from '../components/PromoCodeInput.jsx'
+import OrderTotals from '../components/OrderTotals.jsx'
+import CartNotices from '../components/CartNotices.jsx'
+import { getPaymentProviders, selectPaymentProvider, getReturnUrls, getOrderPath, setPendingOrder } from '../payments/index.js'
+import {
+  getSnapshotStore, canSnapshot, createCartSnapshot, generateRecoveryToken, getRecoveryToken, setRecoveryToken
+} from '../recovery/index.js'
+import { formatVariantLabel } from '../utils/variants.js'
+import { sumLines } from '../currency/money.js'
+import { Link, useNavigate } from 'react-router-dom'
 
 function Checkout() {
-  const { cartItems, getTotal, clearCart } = useCart()
+  const { cartItems: allCartItems, checkoutItems: cartItems, externalItems } = useCart()
+  const totals = useCartTotals()
+  const { destination, setDestination } = usePricing()
+  const { baseCurrency, displayCurrency, formatPrice, formatBase } = useCurrency()
+  const { t, localizeProduct } = useLocale()
+  const { products } = useProducts()
+  const { customer, addresses, defaultAddress, saveAddress } = useCustomer()
   const navigate = useNavigate()
+  const [error, setError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [rememberAddress, setRememberAddress] = useState(true)
+  const [prefilled, setPrefilled] = useState(false)
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     address: '',
     city: '',
-    zip: '',
-    cardNumber: '',
-    expiry: '',
-    cvv: ''
+    region: destination.region,
+    zip: destination.zip,
+    country: destination.country
   })
 
-  const handleSubmit = (e) => {
+  const applyAddress = (address) => {
+    setFormData(prev => ({
+      ...prev,
+      name: address.name || prev.name,
+      address: address.address,
+      city: address.city,
+      region: address.region,
+      zip: address.zip,
+      country: address.country
+    }))
+    setDestination({ country: address.country, region: address.region, zip: address.zip })
+  }
+
+  // Once there's an email to follow up with, keep a snapshot of the cart in case
+  // the shopper leaves; typing pauses are debounced so this isn't saved per keystroke
+  useEffect(() => {
+    if (isSubmitting || !canSnapshot(formData.email, allCartItems)) return
+    const timer = setTimeout(() => {
+      const token = getRecoveryToken() || generateRecoveryToken()
+      setRecoveryToken(token)
+      getSnapshotStore().save(createCartSnapshot({
+        token,
+        items: allCartItems,
+        email: formData.email,
+        name: formData.name,
+        customerId: customer?.uid || null,
+        currency: baseCurrency
+      })).catch(err => console.warn('⚠️ Could not save cart snapshot:', err))
+    }, 1000)
+    return () => clearTimeout(timer)
+  }, [formData.email, formData.name, allCartItems, isSubmitting])
+
+  // Signed-in shoppers start from their account details; guests fill the form as before
+  useEffect(() => {
+    if (!customer || prefilled) return
+    setFormData(prev => ({ ...prev, name: prev.name || customer.name, email: prev.email || customer.email }))
+    if (defaultAddress) applyAddress(defaultAddress)
+    setPrefilled(true)
+  }, [customer, defaultAddress])
+
+  const handleSubmit = async (e) => {
     e.preventDefault()
-    alert('Order placed successfully! Thank you for your purchase.')
-    clearCart()
-    navigate('/')
+    setError('')
+
+    // Stock may have sold while this cart sat open
+    const shortages = findShortages(products, cartItems)
+    if (shortages.length > 0) {
+      setError(shortages.map(({ line, available }) =>
+        available > 0
+          ? t('checkout.onlyLeft', { count: available, name: localizeProduct(line).name })
+          : t('checkout.soldOut', { name: localizeProduct(line).name })
+      ).join(' '))
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const draft = createOrder({
+        cartItems,
+        customer: { name: formData.name, email: formData.email },
+        shipping: {
+          address: formData.address,
+          city: formData.city,
+          region: destination.region,
+          zip: destination.zip,
+          country: destination.country
+        },
+        totals,
+        customerId: customer?.uid || null
+      })
+
+      const provider = await selectPaymentProvider(getPaymentProviders(), draft)
+      if (!provider) {
+        setError(t('checkout.unavailable'))
+        return
+      }
+
+      const store = getOrderStore()
+      // A backend may issue its own id and access token, so carry on with what it saved
+      const order = await store.create({ ...draft, payment: { provider: provider.id } })
+      if (customer && rememberAddress && !findMatchingAddress(addresses, formData)) {
+        await saveAddress(formData)
+      }
+      const recoveryToken = getRecoveryToken()
+      if (recoveryToken) {
+        setRecoveryToken(null)
+        getSnapshotStore().update(recoveryToken, { status: 'converted', orderId: order.id })
+          .catch(err => console.warn('⚠️ Could not update cart snapshot:', err))
+      }
+      // Cart and stock are settled on the confirmation page, once the shopper is back
+      setPendingOrder(order.id)
+
+      const session = await provider.createSession({ order, ...getReturnUrls(order) })
+      if (session.type === 'redirect') {
+        window.location.href = session.url
+        return
+      }
+
+      await store.update(order.id, {
+        ...transitionOrder(order, session.status, provider.id),
+        payment: { provider: provider.id, reference: session.reference || null }
+      })
+      navigate(getOrderPath(order))
+    } catch (err) {
+      console.error('Order error:', err)
+      setError(err.code === 'payment_declined' ? t('checkout.declined') : t('checkout.failed'))
+    } finally {
+      setIsSubmitting(false)
+    }
   }
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value })
+    // Shipping zone and tax follow the address as it is typed
+    if (['country', 'region', 'zip'].includes(e.target.name)) {
+      setDestination({ [e.target.name]: e.target.value })
+    }
   }
 
   return (
     <div className="py-12 bg-gray-50 min-h-screen">
       <div className="container mx-auto px-4 max-w-4xl">
-        <h1 className="text-3xl font-bold mb-8">Checkout</h1>
+        <h1 className="text-3xl font-bold mb-8">{t('checkout.title')}</h1>
+        <CartNotices />
         
         <div className="grid lg:grid-cols-2 gap-8">
           {/* Order Summary */}
           <div className="bg-white rounded-lg shadow-md p-6">
-            <h2 className="text-xl font-semibold mb-4">Order Summary</h2>
+            <h2 className="text-xl font-semibold mb-4">{t('checkout.summary')}</h2>
+            {externalItems.length > 0 && (
+              <div className="p-3 mb-4 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+                {t('checkout.externalNotice', { count: externalItems.length })}{' '}
+                <Link to="/cart" className="underline">{t('checkout.buyFromCart')}</Link>
+              </div>
+            )}
             <div className="space-y-4">
               {cartItems.map(item => (
-                <div key={item.id} className="flex justify-between items-center">
+                <div key={item.lineId} className="flex justify-between items-center">
                   <div className="flex items-center gap-3">
                     <img 
                       src={item.image || 'https://placehold.co/50x50?text=No+Image'} 
@@ -46,33 +189,66 @@ function Checkout() {
                       className="w-12 h-12 object-cover rounded"
                     />
                     <div>
-                      <p className="font-medium">{item.name}</p>
-                      <p className="text-sm text-gray-600">Qty: {item.quantity}</p>
+                      <p className="font-medium">{localizeProduct(item).name}</p>
+                      {item.variantOptions && (
+                        <p className="text-xs text-gray-500">{formatVariantLabel(item.variantOptions)}</p>
+                      )}
+                      <p className="text-sm text-gray-600">{t('checkout.quantity', { count: item.quantity })}</p>
                     </div>
                   </div>
-                  <p className="font-semibold">${(item.price * item.quantity).toFixed(2)}</p>
+                  <p className="font-semibold">{formatPrice(sumLines([item], baseCurrency))}</p>
                 </div>
               ))}
             </div>
-            <div className="border-t mt-4 pt-4">
-              <div className="flex justify-between text-xl font-bold">
-                <span>Total:</span>
-                <span>${getTotal().toFixed(2)}</span>
-              </div>
+            <div className="border-t mt-4 pt-4 space-y-4">
+              <PromoCodeInput cartItems={cartItems} />
+              <OrderTotals totals={totals} />
+              {displayCurrency !== baseCurrency && (
+                <p className="text-xs text-gray-500">
+                  {t('checkout.chargedIn', { display: displayCurrency, total: formatBase(totals.total), base: baseCurrency })}
+                </p>
+              )}
             </div>
           </div>
 
           {/* Checkout Form */}
           <div className="bg-white rounded-lg shadow-md p-6">
             <form onSubmit={handleSubmit} className="space-y-6">
+              {error && (
+                <div className="p-4 rounded-lg bg-red-100 text-red-700">{error}</div>
+              )}
               <div>
-                <h2 className="text-xl font-semibold mb-4">Shipping Information</h2>
+                <h2 className="text-xl font-semibold mb-4">{t('checkout.shippingInfo')}</h2>
+                {customer ? (
+                  addresses.length > 0 && (
+                    <select
+                      defaultValue=""
+                      onChange={(e) => {
+                        const address = addresses.find(a => a.id === e.target.value)
+                        if (address) applyAddress(address)
+                      }}
+                      className="w-full px-4 py-2 border rounded-lg bg-white mb-4"
+                      aria-label={t('checkout.savedAddresses')}
+                    >
+                      <option value="" disabled>{t('checkout.savedAddresses')}</option>
+                      {addresses.map(a => (
+                        <option key={a.id} value={a.id}>{[a.name, a.address, a.city].filter(Boolean).join(', ')}</option>
+                      ))}
+                    </select>
+                  )
+                ) : (
+                  <p className="text-sm text-gray-600 mb-4">
+                    {t('checkout.haveAccount')}{' '}
+                    <Link to="/account?redirect=/checkout" className="underline">{t('checkout.signIn')}</Link>
+                  </p>
+                )}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <input 
                     type="text" 
                     name="name" 
-                    placeholder="Full Name" 
+                    placeholder={t('checkout.fullName')} 
                     required 
+                    value={formData.name}
                     onChange={handleChange} 
                     className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent"
                     style={{ focusRingColor: '#1e2a67' }}
@@ -80,18 +256,21 @@ function Checkout() {
                   <input 
                     type="email" 
                     name="email" 
-                    placeholder="Email" 
+                    placeholder={t('checkout.email')} 
                     required 
+                    value={formData.email}
                     onChange={handleChange} 
                     className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent"
                     style={{ focusRingColor: '#1e2a67' }}
                   />
                 </div>
+                <p className="text-xs text-gray-500 mt-2">{t('checkout.recoveryNote')}</p>
                 <input 
                   type="text" 
                   name="address" 
-                  placeholder="Address" 
+                  placeholder={t('checkout.address')} 
                   required 
+                  value={formData.address}
                   onChange={handleChange} 
                   className="w-full px-4 py-2 border rounded-lg mt-4 focus:ring-2 focus:border-transparent"
                   style={{ focusRingColor: '#1e2a67' }}
@@ -100,63 +279,68 @@ function Checkout() {
                   <input 
                     type="text" 
                     name="city" 
-                    placeholder="City" 
+                    placeholder={t('checkout.city')} 
                     required 
+                    value={formData.city}
                     onChange={handleChange} 
                     className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent"
                     style={{ focusRingColor: '#1e2a67' }}
                   />
                   <input 
                     type="text" 
-                    name="zip" 
-                    placeholder="ZIP Code" 
-                    required 
+                    name="region" 
+                    placeholder={t('checkout.region')} 
+                    value={formData.region}
                     onChange={handleChange} 
                     className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent"
                     style={{ focusRingColor: '#1e2a67' }}
                   />
-                </div>
-              </div>
-              
-              <div>
-                <h2 className="text-xl font-semibold mb-4">Payment Information</h2>
-                <input 
-                  type="text" 
-                  name="cardNumber" 
-                  placeholder="Card Number" 
-                  required 
-                  onChange={handleChange} 
-                  className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent"
-                  style={{ focusRingColor: '#1e2a67' }}
-                />
-                <div className="grid grid-cols-2 gap-4 mt-4">
                   <input 
                     type="text" 
-                    name="expiry" 
-                    placeholder="MM/YY" 
+                    name="zip" 
+                    placeholder={t('checkout.zip')} 
                     required 
+                    value={formData.zip}
                     onChange={handleChange} 
                     className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent"
                     style={{ focusRingColor: '#1e2a67' }}
                   />
-                  <input 
-                    type="text" 
-                    name="cvv" 
-                    placeholder="CVV" 
+                  <select 
+                    name="country" 
                     required 
+                    value={formData.country}
                     onChange={handleChange} 
-                    className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent"
+                    className="w-full px-4 py-2 border rounded-lg bg-white focus:ring-2 focus:border-transparent"
                     style={{ focusRingColor: '#1e2a67' }}
-                  />
+                  >
+                    {COUNTRIES.map(c => <option key={c.code} value={c.code}>{c.name}</option>)}
+                  </select>
+                </div>
+                {customer && (
+                  <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+                    <input type="checkbox" checked={rememberAddress} onChange={(e) => setRememberAddress(e.target.checked)} />
+                    {t('checkout.rememberAddress')}
+                  </label>
+                )}
+              </div>
+              
+              <div>
+                <h2 className="text-xl font-semibold mb-4">{t('checkout.payment')}</h2>
+                <div className="p-4 rounded-lg bg-gray-50 border text-sm text-gray-600 flex items-start gap-3">
+                  <svg className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: '#1e2a67' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                  </svg>
+                  <p>{t('checkout.paymentNote')}</p>
                 </div>
               </div>
 
               <button 
                 type="submit" 
-                className="w-full text-white py-3 rounded-lg font-semibold hover:opacity-90 transition"
+                disabled={isSubmitting || cartItems.length === 0}
+                className="w-full text-white py-3 rounded-lg font-semibold hover:opacity-90 transition disabled:opacity-50"
                 style={{ backgroundColor: '#1e2a67' }}
               >
-                Place Order - ${getTotal().toFixed(2)}
+                {isSubmitting ? t('checkout.submitting') : t('checkout.submit', { total: formatBase(totals.total) })}
               </button>
             </form>
           </div>
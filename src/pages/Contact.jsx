@@ -1,6 +1,8 @@
 import { useState } from 'react'
+import { useLocale } from '../context/LocaleContext.jsx'
 
 function Contact() {
+  const { t } = useLocale()
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -29,13 +31,13 @@ function Contact() {
       const result = await response.json()
 
       if (response.ok) {
-        setStatus({ type: 'success', message: 'Thank you! Your message has been sent successfully.' })
+        setStatus({ type: 'success', message: t('contact.success') })
         setFormData({ name: '', email: '', phone: '', message: '' })
       } else {
-        setStatus({ type: 'error', message: result.error || 'Something went wrong. Please try again.' })
+        setStatus({ type: 'error', message: result.error || t('contact.error') })
       }
     } catch (error) {
-      setStatus({ type: 'error', message: 'Unable to send message. Please try again later.' })
+      setStatus({ type: 'error', message: t('contact.unavailable') })
     } finally {
       setIsSubmitting(false)
     }
@@ -46,14 +48,14 @@ function Contact() {
       <div className="container mx-auto px-4">
         <div className="max-w-4xl mx-auto">
           <div className="text-center mb-12">
-            <h1 className="text-4xl font-bold mb-4">Contact Us</h1>
-            <p className="text-gray-600 max-w-2xl mx-auto">We'd love to hear from you! Whether you have questions about our products or need assistance, we're here to help.</p>
+            <h1 className="text-4xl font-bold mb-4">{t('contact.title')}</h1>
+            <p className="text-gray-600 max-w-2xl mx-auto">{t('contact.intro')}</p>
           </div>
           
           <div className="grid md:grid-cols-2 gap-12">
             {/* Contact Info */}
             <div>
-              <h2 className="text-2xl font-semibold mb-6">Get in Touch</h2>
+              <h2 className="text-2xl font-semibold mb-6">{t('contact.getInTouch')}</h2>
               <div className="space-y-6">
                 <div className="flex items-start gap-4">
                   <div 
@@ -65,7 +67,7 @@ function Contact() {
                     </svg>
                   </div>
                   <div>
-                    <h3 className="font-semibold mb-1">Email</h3>
+                    <h3 className="font-semibold mb-1">{t('contact.email')}</h3>
                     <a href="mailto:contact@holysmokas.com" className="text-gray-600 hover:underline">contact@holysmokas.com</a>
                   </div>
                 </div>
@@ -80,7 +82,7 @@ function Contact() {
                     </svg>
                   </div>
                   <div>
-                    <h3 className="font-semibold mb-1">Phone</h3>
+                    <h3 className="font-semibold mb-1">{t('contact.phone')}</h3>
                     <a href="tel:(800) 555 - 9999" className="text-gray-600 hover:underline">(800) 555 - 9999</a>
                   </div>
                 </div>
@@ -96,7 +98,7 @@ function Contact() {
                     </svg>
                   </div>
                   <div>
-                    <h3 className="font-semibold mb-1">Address</h3>
+                    <h3 className="font-semibold mb-1">{t('contact.address')}</h3>
                     <p className="text-gray-600">333 Broadway, New York, NY, 10025</p>
                   </div>
                 </div>
@@ -111,8 +113,8 @@ function Contact() {
                     </svg>
                   </div>
                   <div>
-                    <h3 className="font-semibold mb-1">Business Hours</h3>
-                    <p className="text-gray-600">Mon - Fri 9 am - 5 pm</p>
+                    <h3 className="font-semibold mb-1">{t('contact.hours')}</h3>
+                    <p className="text-gray-600">{t('contact.hoursValue')}</p>
                   </div>
                 </div>
               </div>
@@ -120,7 +122,7 @@ function Contact() {
 
             {/* Contact Form */}
             <div className="bg-white rounded-lg shadow-md p-6">
-              <h2 className="text-2xl font-semibold mb-6">Send a Message</h2>
+              <h2 className="text-2xl font-semibold mb-6">{t('contact.sendMessage')}</h2>
               
               {status.message && (
                 <div className={`p-4 rounded-lg mb-6 ${status.type === 'success' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
@@ -130,7 +132,7 @@ function Contact() {
 
               <form onSubmit={handleSubmit} className="space-y-4">
                 <div>
-                  <label className="block text-sm font-medium mb-1">Name *</label>
+                  <label className="block text-sm font-medium mb-1">{t('contact.nameLabel')}</label>
                   <input
                     type="text"
                     name="name"
@@ -139,11 +141,11 @@ function Contact() {
                     required
                     className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent"
                     style={{ focusRingColor: '#1e2a67' }}
-                    placeholder="Your name"
+                    placeholder={t('contact.namePlaceholder')}
                   />
                 </div>
                 <div>
-                  <label className="block text-sm font-medium mb-1">Email *</label>
+                  <label className="block text-sm font-medium mb-1">{t('contact.emailLabel')}</label>
                   <input
                     type="email"
                     name="email"
@@ -156,7 +158,7 @@ function Contact() {
                   />
                 </div>
                 <div>
-                  <label className="block text-sm font-medium mb-1">Phone</label>
+                  <label className="block text-sm font-medium mb-1">{t('contact.phoneLabel')}</label>
                   <input
                     type="tel"
                     name="phone"
@@ -168,7 +170,7 @@ function Contact() {
                   />
                 </div>
                 <div>
-                  <label className="block text-sm font-medium mb-1">Message *</label>
+                  <label className="block text-sm font-medium mb-1">{t('contact.messageLabel')}</label>
                   <textarea
                     name="message"
                     value={formData.message}
@@ -177,7 +179,7 @@ function Contact() {
                     rows="4"
                     className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent"
                     style={{ focusRingColor: '#1e2a67' }}
-                    placeholder="How can we help you?"
+                    placeholder={t('contact.messagePlaceholder')}
                   ></textarea>
                 </div>
                 <button
@@ -186,7 +188,7 @@ function Contact() {
                   className="w-full text-white py-3 rounded-lg font-semibold hover:opacity-90 transition disabled:opacity-50"
                   style={{ backgroundColor: '#1e2a67' }}
                 >
-                  {isSubmitting ? 'Sending...' : 'Send Message'}
+                  {isSubmitting ? t('contact.sending') : t('contact.send')}
                 </button>
               </form>
             </div>
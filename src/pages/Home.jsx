@@ -1,9 +1,12 @@
 import { Link } from 'react-router-dom'
 import { useProducts } from '../context/ProductContext.jsx'
 import ProductCard from '../components/ProductCard.jsx'
+import CatalogStatus from '../components/CatalogStatus.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
 
 function Home() {
-  const { products } = useProducts()
+  const { publishedProducts: products, status } = useProducts()
+  const { t } = useLocale()
   const featuredProducts = products.slice(0, 4)
 
   return (
@@ -15,12 +18,12 @@ function Home() {
       >
         <div className="container mx-auto px-4 text-center">
           <h1 className="text-5xl md:text-6xl font-bold mb-6">Femme Mode</h1>
-          <p className="text-xl mb-8 max-w-2xl mx-auto">Discover premium fashion and style for the modern woman. Quality products at unbeatable prices.</p>
+          <p className="text-xl mb-8 max-w-2xl mx-auto">{t('home.heroSubtitle')}</p>
           <Link 
             to="/shop" 
             className="bg-white text-gray-900 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition inline-block"
           >
-            Shop Now
+            {t('home.shopNow')}
           </Link>
         </div>
       </section>
@@ -38,8 +41,8 @@ function Home() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                 </svg>
               </div>
-              <h3 className="text-xl font-semibold mb-2">Premium Quality</h3>
-              <p className="text-gray-600">Carefully curated fashion pieces made with the finest materials.</p>
+              <h3 className="text-xl font-semibold mb-2">{t('home.qualityTitle')}</h3>
+              <p className="text-gray-600">{t('home.qualityBody')}</p>
             </div>
             <div className="text-center">
               <div 
@@ -50,8 +53,8 @@ function Home() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
               </div>
-              <h3 className="text-xl font-semibold mb-2">Fast Shipping</h3>
-              <p className="text-gray-600">Quick and reliable delivery to get your fashion finds to you fast.</p>
+              <h3 className="text-xl font-semibold mb-2">{t('home.shippingTitle')}</h3>
+              <p className="text-gray-600">{t('home.shippingBody')}</p>
             </div>
             <div className="text-center">
               <div 
@@ -62,8 +65,8 @@ function Home() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
                 </svg>
               </div>
-              <h3 className="text-xl font-semibold mb-2">Customer Love</h3>
-              <p className="text-gray-600">Exceptional customer service and satisfaction guaranteed.</p>
+              <h3 className="text-xl font-semibold mb-2">{t('home.loveTitle')}</h3>
+              <p className="text-gray-600">{t('home.loveBody')}</p>
             </div>
           </div>
         </div>
@@ -72,19 +75,23 @@ function Home() {
       {/* Featured Products */}
       <section className="py-16">
         <div className="container mx-auto px-4">
-          <h2 className="text-3xl font-bold text-center mb-12">Featured Products</h2>
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
-            {featuredProducts.map(product => (
-              <ProductCard key={product.id} product={product} />
-            ))}
-          </div>
+          <h2 className="text-3xl font-bold text-center mb-12">{t('home.featured')}</h2>
+          {status === 'ready' ? (
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+              {featuredProducts.map(product => (
+                <ProductCard key={product.id} product={product} />
+              ))}
+            </div>
+          ) : (
+            <CatalogStatus />
+          )}
           <div className="text-center mt-12">
             <Link 
               to="/shop" 
               className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition inline-block"
               style={{ backgroundColor: '#16a34a' }}
             >
-              View All Products
+              {t('home.viewAll')}
             </Link>
           </div>
         </div>
@@ -93,14 +100,14 @@ function Home() {
       {/* CTA Section */}
       <section className="py-16 bg-gray-50">
         <div className="container mx-auto px-4 text-center">
-          <h2 className="text-3xl font-bold mb-4">Ready to Elevate Your Style?</h2>
-          <p className="text-gray-600 mb-8 max-w-2xl mx-auto">Join thousands of satisfied customers who trust Femme Mode for their fashion needs.</p>
+          <h2 className="text-3xl font-bold mb-4">{t('home.ctaTitle')}</h2>
+          <p className="text-gray-600 mb-8 max-w-2xl mx-auto">{t('home.ctaBody')}</p>
           <Link 
             to="/shop" 
             className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition inline-block"
             style={{ backgroundColor: '#16a34a' }}
           >
-            Start Shopping
+            {t('home.ctaButton')}
           </Link>
         </div>
       </section>
@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import { useCart } from '../context/CartContext.jsx'
+import { useProducts } from '../context/ProductContext.jsx'
+import { usePromotions } from '../context/PromotionContext.jsx'
+import { getOrderStore } from '../orders/index.js'
+import { confirmPayment, takePendingOrder } from '../payments/index.js'
+import { formatVariantLabel } from '../utils/variants.js'
+import OrderTotals from '../components/OrderTotals.jsx'
+import { formatMoney } from '../currency/money.js'
+import { useLocale } from '../context/LocaleContext.jsx'
+
+function OrderConfirmation() {
+  const { orderId } = useParams()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [order, setOrder] = useState(null)
+  const [paid, setPaid] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const { removeFromCart } = useCart()
+  const { reload } = useProducts()
+  const { removeCode } = usePromotions()
+  const { t, locale } = useLocale()
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    getOrderStore().get(orderId, { token }).then(async result => {
+      const confirmed = result ? await confirmPayment(result) : false
+      if (cancelled) return
+      // First visit after a confirmed payment in this tab: the sale is done.
+      // Stock was taken when the order was paid, so just pick up the new counts.
+      if (confirmed && takePendingOrder(result.id)) {
+        result.items.forEach(item => removeFromCart(item.lineId))
+        if (result.totals.promotionCode) removeCode()
+        reload()
+      }
+      setOrder(result)
+      setPaid(confirmed)
+      setLoading(false)
+    })
+    return () => { cancelled = true }
+  }, [orderId, token])
+
+  if (loading) {
+    return (
+      <div className="py-16 bg-gray-50 min-h-screen flex justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2" style={{ borderColor: '#1e2a67' }}></div>
+      </div>
+    )
+  }
+
+  if (!order) {
+    return (
+      <div className="py-16 text-center bg-gray-50 min-h-screen">
+        <div className="container mx-auto px-4">
+          <h1 className="text-3xl font-bold mb-4">{t('order.notFoundTitle')}</h1>
+          <p className="text-gray-600 mb-8">{t('order.notFoundBody', { id: orderId })}</p>
+          <Link 
+            to="/shop" 
+            className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition inline-block"
+            style={{ backgroundColor: '#1e2a67' }}
+          >
+            {t('common.continueShopping')}
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="py-12 bg-gray-50 min-h-screen">
+      <div className="container mx-auto px-4 max-w-3xl">
+        <div className="text-center mb-8">
+          {paid ? (
+            <>
+              <div className="w-16 h-16 rounded-full bg-green-100 text-green-600 flex items-center justify-center mx-auto mb-4 text-3xl">✓</div>
+              <h1 className="text-3xl font-bold mb-2">{t('order.thanks')}</h1>
+              <p className="text-gray-600">{t('order.received', { id: order.id, email: order.customer.email })}</p>
+            </>
+          ) : (
+            <>
+              <div className="w-16 h-16 rounded-full bg-yellow-100 text-yellow-600 flex items-center justify-center mx-auto mb-4 text-3xl">…</div>
+              <h1 className="text-3xl font-bold mb-2">{t('order.unpaidTitle')}</h1>
+              <p className="text-gray-600">{t('order.unpaidBody', { id: order.id })}</p>
+            </>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-semibold mb-4">{t('order.summary')}</h2>
+          <div className="space-y-4">
+            {order.items.map(item => (
+              <div key={item.lineId} className="flex justify-between items-center">
+                <div className="flex items-center gap-3">
+                  <img 
+                    src={item.image || 'https://placehold.co/50x50?text=No+Image'} 
+                    alt={item.name}
+                    className="w-12 h-12 object-cover rounded"
+                  />
+                  <div>
+                    <p className="font-medium">{item.name}</p>
+                    {item.variantOptions && (
+                      <p className="text-xs text-gray-500">{formatVariantLabel(item.variantOptions)}</p>
+                    )}
+                    <p className="text-sm text-gray-600">{t('order.quantity', { count: item.quantity })}</p>
+                  </div>
+                </div>
+                <p className="font-semibold">{formatMoney(item.lineTotal, order.totals.currency, locale)}</p>
+              </div>
+            ))}
+          </div>
+          <div className="border-t mt-4 pt-4">
+            <OrderTotals totals={order.totals} formatAmount={(amount) => formatMoney(amount, order.totals.currency, locale)} />
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-xl font-semibold mb-2">{t('order.shipTo')}</h2>
+          <p className="text-gray-700">{order.customer.name}</p>
+          <p className="text-gray-600">{order.shipping.address}</p>
+          <p className="text-gray-600">{[order.shipping.city, order.shipping.region, order.shipping.zip].filter(Boolean).join(' ')}</p>
+          {order.shipping.country && <p className="text-gray-600">{order.shipping.country}</p>}
+        </div>
+
+        <div className="text-center">
+          <Link 
+            to="/shop" 
+            className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition inline-block"
+            style={{ backgroundColor: '#1e2a67' }}
+          >
+            {t('common.continueShopping')}
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OrderConfirmation
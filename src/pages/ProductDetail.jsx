@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { useProducts } from '../context/ProductContext.jsx'
+import { useCart } from '../context/CartContext.jsx'
+import { useCategories } from '../context/CategoryContext.jsx'
+import { useCurrency } from '../context/CurrencyContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+import { useInventory } from '../context/InventoryContext.jsx'
+import ProductCard from '../components/ProductCard.jsx'
+import ProductGallery from '../components/ProductGallery.jsx'
+import VariantPicker from '../components/VariantPicker.jsx'
+import NotifyMe from '../components/NotifyMe.jsx'
+import CatalogStatus from '../components/CatalogStatus.jsx'
+import {
+  hasVariants, findVariant, getDefaultSelection, getVariantPrice, getGalleryImages, isVariantAvailable,
+  formatVariantLabel
+} from '../utils/variants.js'
+import { getAvailableStock } from '../utils/inventory.js'
+import { getProductCategory } from '../utils/categories.js'
+import { hasExternalPayment, getExternalPaymentUrl } from '../utils/externalPayment.js'
+
+const MAX_RELATED = 4
+
+function ProductDetail() {
+  const { id } = useParams()
+  const { publishedProducts: products, status } = useProducts()
+  const { addToCart } = useCart()
+  const { categories } = useCategories()
+  const { formatPrice } = useCurrency()
+  const { lowStockThreshold } = useInventory()
+  const { t, localizeProduct } = useLocale()
+  const product = products.find(p => p.id === id)
+
+  const [selection, setSelection] = useState(() => product ? getDefaultSelection(product) : {})
+  const [added, setAdded] = useState(false)
+
+  useEffect(() => {
+    window.scrollTo(0, 0)
+    setAdded(false)
+    if (product) setSelection(getDefaultSelection(product))
+  }, [id, product?.id])
+
+  if (!product) {
+    if (status === 'loading') return <div className="py-16 min-h-screen bg-gray-50" />
+    if (status === 'error') {
+      return (
+        <div className="py-16 min-h-screen bg-gray-50">
+          <div className="container mx-auto px-4">
+            <CatalogStatus />
+          </div>
+        </div>
+      )
+    }
+
+    return (
+      <div className="py-16 text-center bg-gray-50 min-h-screen">
+        <div className="container mx-auto px-4">
+          <h1 className="text-3xl font-bold mb-4">{t('product.notFoundTitle')}</h1>
+          <p className="text-gray-600 mb-8">{t('product.notFoundBody')}</p>
+          <Link 
+            to="/shop" 
+            className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition inline-block"
+            style={{ backgroundColor: '#1e2a67' }}
+          >
+            {t('common.continueShopping')}
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  const withVariants = hasVariants(product)
+  const variant = withVariants ? findVariant(product, selection) : null
+  const available = getAvailableStock(product, variant?.id || null)
+  const canAdd = available > 0 && (!withVariants || isVariantAvailable(variant))
+  const price = getVariantPrice(product, variant)
+  const { name, description } = localizeProduct(product)
+
+  const category = getProductCategory(product, categories)
+  const related = category
+    ? products
+      .filter(p => p.id !== product.id && getProductCategory(p, categories)?.id === category.id)
+      .slice(0, MAX_RELATED)
+    : []
+
+  const handleAdd = () => {
+    addToCart(product, variant)
+    setAdded(true)
+  }
+
+  return (
+    <div className="py-12 bg-gray-50 min-h-screen">
+      <div className="container mx-auto px-4">
+        {/* Breadcrumbs */}
+        <nav className="text-sm text-gray-500 mb-8" aria-label="Breadcrumb">
+          <Link to="/" className="hover:text-gray-800">{t('common.home')}</Link>
+          <span className="mx-2">/</span>
+          <Link to="/shop" className="hover:text-gray-800">{t('common.shop')}</Link>
+          {category && (
+            <>
+              <span className="mx-2">/</span>
+              <Link to={`/shop/${category.slug}`} className="hover:text-gray-800">
+                {category.name}
+              </Link>
+            </>
+          )}
+          <span className="mx-2">/</span>
+          <span className="text-gray-800">{name}</span>
+        </nav>
+
+        <div className="grid md:grid-cols-2 gap-12">
+          <ProductGallery images={getGalleryImages(product, variant)} alt={name} />
+
+          <div>
+            <h1 className="text-3xl md:text-4xl font-bold mb-4">{name}</h1>
+            <p className="text-2xl font-bold text-gray-900 mb-6">{formatPrice(price)}</p>
+
+            {withVariants && (
+              <div className="mb-6">
+                <VariantPicker product={product} selection={selection} onChange={setSelection} size="lg" />
+                {variant?.sku && <p className="text-xs text-gray-400 mt-2">{t('product.sku', { sku: variant.sku })}</p>}
+              </div>
+            )}
+
+            {canAdd ? (
+              <div className="mb-8">
+                <div className="flex items-center gap-4">
+                  {hasExternalPayment(product) ? (
+                    <a
+                      href={getExternalPaymentUrl(product)}
+                      rel="noopener noreferrer"
+                      className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition"
+                      style={{ backgroundColor: '#1e2a67' }}
+                    >
+                      {t('common.buyNow')}
+                    </a>
+                  ) : (
+                    <button
+                      onClick={handleAdd}
+                      className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition"
+                      style={{ backgroundColor: '#1e2a67' }}
+                    >
+                      {t('product.addToCart')}
+                    </button>
+                  )}
+                  {added && (
+                    <Link to="/cart" className="text-green-700 font-medium hover:underline">
+                      {t('product.added')}
+                    </Link>
+                  )}
+                </div>
+                {hasExternalPayment(product) && (
+                  <p className="text-sm text-gray-500 mt-2">{t('product.partnerCheckout')}</p>
+                )}
+                {available <= lowStockThreshold && (
+                  <p className="text-sm text-amber-600 mt-2">{t('product.onlyLeft', { count: available })}</p>
+                )}
+              </div>
+            ) : (
+              <div className="mb-8 max-w-sm">
+                <p className="font-semibold text-gray-900">{t('common.soldOut')}</p>
+                <p className="text-sm text-gray-600">{t('product.soldOutHint')}</p>
+                <NotifyMe product={product} variantLabel={variant ? formatVariantLabel(variant.options) : ''} />
+              </div>
+            )}
+
+            <div className="border-t pt-6">
+              <h2 className="text-lg font-semibold mb-2">{t('product.description')}</h2>
+              <p className="text-gray-600 whitespace-pre-line">{description}</p>
+            </div>
+          </div>
+        </div>
+
+        {/* Related Products */}
+        {related.length > 0 && (
+          <section className="mt-16">
+            <h2 className="text-2xl font-bold mb-8">{t('product.related')}</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+              {related.map(p => (
+                <ProductCard key={p.id} product={p} />
+              ))}
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ProductDetail
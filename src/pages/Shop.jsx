@@ -1,41 +1,233 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom'
 import { useProducts } from '../context/ProductContext.jsx'
+import { useCategories } from '../context/CategoryContext.jsx'
+import { useCurrency } from '../context/CurrencyContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
 import ProductCard from '../components/ProductCard.jsx'
+import CatalogStatus from '../components/CatalogStatus.jsx'
+import { SORT_OPTIONS, parseFilters, serializeFilters, filterProducts } from '../utils/search.js'
+import { getProductsInScope } from '../utils/categories.js'
+
+// Typing in the search box waits this long before touching the URL
+const SEARCH_DEBOUNCE_MS = 250
 
 function Shop() {
-  const { products } = useProducts()
+  const { publishedProducts: allProducts, status } = useProducts()
+  const { categories, loaded: categoriesLoaded, getBySlug } = useCategories()
+  const { displayCurrency, convertPrice } = useCurrency()
+  const { t } = useLocale()
+  const { category: slug } = useParams()
+  const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const filters = parseFilters(searchParams)
+  const [query, setQuery] = useState(filters.q)
+
+  // Reads the params at apply time, so a delayed call can't undo changes made in the meantime
+  const updateFilters = (updates) => {
+    setSearchParams(prev => serializeFilters({ ...parseFilters(prev), ...updates }), { replace: true })
+  }
+
+  // Keep the box in sync when the URL changes from outside (back button, shared link)
+  useEffect(() => {
+    setQuery(filters.q)
+  }, [filters.q])
+
+  useEffect(() => {
+    if (query === filters.q) return
+    const timer = setTimeout(() => updateFilters({ q: query.trim() ? query : '' }), SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [query])
+
+  const scope = slug ? getBySlug(slug) : null
+  const products = getProductsInScope(allProducts, scope, categories)
+  const results = filterProducts(products, filters, convertPrice)
+  const hasActiveFilters = filters.q || filters.min || filters.max || filters.inStock
+  const categoryOptions = categories.filter(c => c.type === 'category')
+  const collectionOptions = categories.filter(c => c.type === 'collection')
+
+  // Switching category keeps the rest of the filters
+  const changeScope = (nextSlug) => {
+    const query = new URLSearchParams(serializeFilters(filters)).toString()
+    navigate(`/shop${nextSlug ? `/${nextSlug}` : ''}${query ? `?${query}` : ''}`)
+  }
+
+  if (slug && !scope) {
+    if (!categoriesLoaded) return <div className="py-16 min-h-screen bg-gray-50" />
+
+    return (
+      <div className="py-16 text-center bg-gray-50 min-h-screen">
+        <div className="container mx-auto px-4">
+          <h1 className="text-3xl font-bold mb-4">{t('shop.notFoundTitle')}</h1>
+          <p className="text-gray-600 mb-8">{t('shop.notFoundBody')}</p>
+          <Link 
+            to="/shop" 
+            className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition inline-block"
+            style={{ backgroundColor: '#1e2a67' }}
+          >
+            {t('shop.shopAll')}
+          </Link>
+        </div>
+      </div>
+    )
+  }
 
   return (
-    <div className="py-12 bg-gray-50 min-h-screen">
-      <div className="container mx-auto px-4">
+    <div className="bg-gray-50 min-h-screen">
+      {scope?.heroImage && (
+        <div
+          className="h-64 bg-cover bg-center"
+          style={{ backgroundImage: `url("${encodeURI(scope.heroImage)}")` }}
+          role="img"
+          aria-label={scope.name}
+        />
+      )}
+      <div className="container mx-auto px-4 py-12">
         <div className="text-center mb-12">
-          <h1 className="text-4xl font-bold mb-4">Shop All Products</h1>
-          <p className="text-gray-600 max-w-2xl mx-auto">Discover our complete collection of premium fashion pieces designed for the modern woman.</p>
-        </div>
-        
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
-          {products.map(product => (
-            <ProductCard key={product.id} product={product} />
-          ))}
+          {scope && (
+            <nav className="text-sm text-gray-500 mb-4" aria-label="Breadcrumb">
+              <Link to="/" className="hover:text-gray-800">{t('common.home')}</Link>
+              <span className="mx-2">/</span>
+              <Link to="/shop" className="hover:text-gray-800">{t('common.shop')}</Link>
+              <span className="mx-2">/</span>
+              <span className="text-gray-800">{scope.name}</span>
+            </nav>
+          )}
+          <h1 className="text-4xl font-bold mb-4">{scope ? scope.name : t('shop.title')}</h1>
+          <p className="text-gray-600 max-w-2xl mx-auto">
+            {scope ? scope.description : t('shop.subtitle')}
+          </p>
         </div>
+
+        {status !== 'ready' ? (
+          <CatalogStatus placeholders={8} />
+        ) : (
+          <>
+            {allProducts.length > 0 && (
+              <div className="bg-white rounded-lg shadow-md p-4 mb-8 space-y-4">
+                <input
+                  type="search"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder={t('shop.searchPlaceholder')}
+                  className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent"
+                  aria-label={t('shop.searchLabel')}
+                />
+                <div className="flex flex-wrap items-center gap-4 text-sm">
+                  <select
+                    value={scope?.slug || ''}
+                    onChange={(e) => changeScope(e.target.value)}
+                    className="px-3 py-2 border rounded-lg bg-white"
+                    aria-label={t('shop.category')}
+                  >
+                    <option value="">{t('shop.allProducts')}</option>
+                    {categoryOptions.length > 0 && (
+                      <optgroup label={t('shop.categories')}>
+                        {categoryOptions.map(c => <option key={c.id} value={c.slug}>{c.name}</option>)}
+                      </optgroup>
+                    )}
+                    {collectionOptions.length > 0 && (
+                      <optgroup label={t('shop.collections')}>
+                        {collectionOptions.map(c => <option key={c.id} value={c.slug}>{c.name}</option>)}
+                      </optgroup>
+                    )}
+                  </select>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={filters.min}
+                      onChange={(e) => updateFilters({ min: e.target.value })}
+                      placeholder={t('shop.min', { currency: displayCurrency })}
+                      className="w-24 px-3 py-2 border rounded-lg"
+                      aria-label={t('shop.minLabel')}
+                    />
+                    <span className="text-gray-400">–</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={filters.max}
+                      onChange={(e) => updateFilters({ max: e.target.value })}
+                      placeholder={t('shop.max', { currency: displayCurrency })}
+                      className="w-24 px-3 py-2 border rounded-lg"
+                      aria-label={t('shop.maxLabel')}
+                    />
+                  </div>
+                  <label className="flex items-center gap-2 text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={filters.inStock}
+                      onChange={(e) => updateFilters({ inStock: e.target.checked })}
+                      className="w-4 h-4"
+                    />
+                    {t('shop.inStockOnly')}
+                  </label>
+                  <select
+                    value={filters.sort}
+                    onChange={(e) => updateFilters({ sort: e.target.value })}
+                    className="px-3 py-2 border rounded-lg bg-white md:ml-auto"
+                    aria-label={t('shop.sortBy')}
+                  >
+                    {SORT_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{t(`sort.${option.value}`)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center justify-between text-sm text-gray-500">
+                  <span>{t('shop.resultCount', { shown: results.length, count: products.length })}</span>
+                  {hasActiveFilters && (
+                    <button
+                      onClick={() => { setQuery(''); setSearchParams(serializeFilters({ sort: filters.sort }), { replace: true }) }}
+                      className="font-medium hover:underline"
+                      style={{ color: '#1e2a67' }}
+                    >
+                      {t('shop.clearFilters')}
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
         
-        {products.length === 0 && (
-          <div className="text-center py-12">
-            <div 
-              className="w-24 h-24 rounded-full flex items-center justify-center mx-auto mb-6"
-              style={{ backgroundColor: '#1e2a6720' }}
-            >
-              <svg className="w-12 h-12" style={{ color: '#1e2a67' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" />
-              </svg>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+              {results.map(product => (
+                <ProductCard key={product.id} product={product} />
+              ))}
             </div>
-            <h2 className="text-2xl font-bold mb-4">No Products Available Yet</h2>
-            <p className="text-gray-500 text-lg mb-6">Our collection is being curated. Check back soon for amazing fashion finds!</p>
-            <p className="text-gray-400">Store owners can add products via the Admin panel.</p>
-          </div>
+
+            {products.length > 0 && results.length === 0 && (
+              <div className="text-center py-12">
+                <h2 className="text-2xl font-bold mb-4">{t('shop.noMatchesTitle')}</h2>
+                <p className="text-gray-500 text-lg">{t('shop.noMatchesBody')}</p>
+              </div>
+            )}
+        
+            {scope && products.length === 0 && allProducts.length > 0 && (
+              <div className="text-center py-12">
+                <h2 className="text-2xl font-bold mb-4">{t('shop.emptyScopeTitle')}</h2>
+                <p className="text-gray-500 text-lg">{t('shop.emptyScopeBody', { name: scope.name })}</p>
+              </div>
+            )}
+
+            {allProducts.length === 0 && (
+              <div className="text-center py-12">
+                <div 
+                  className="w-24 h-24 rounded-full flex items-center justify-center mx-auto mb-6"
+                  style={{ backgroundColor: '#1e2a6720' }}
+                >
+                  <svg className="w-12 h-12" style={{ color: '#1e2a67' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" />
+                  </svg>
+                </div>
+                <h2 className="text-2xl font-bold mb-4">{t('shop.emptyTitle')}</h2>
+                <p className="text-gray-500 text-lg mb-6">{t('shop.emptyBody')}</p>
+                <p className="text-gray-400">{t('shop.emptyOwner')}</p>
+              </div>
+            )}
+          </>
         )}
       </div>
     </div>
   )
 }
 
-export default Shop
\ No newline at end of file
+export default Shop
@@ -0,0 +1,155 @@
+import { useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useWishlist } from '../context/WishlistContext.jsx'
+import { useCart } from '../context/CartContext.jsx'
+import { useProducts } from '../context/ProductContext.jsx'
+import { useCurrency } from '../context/CurrencyContext.jsx'
+import { useLocale } from '../context/LocaleContext.jsx'
+import { hasVariants } from '../utils/variants.js'
+import { isSoldOut } from '../utils/inventory.js'
+import { hasExternalPayment, getExternalPaymentUrl } from '../utils/externalPayment.js'
+import { decodeWishlist, getWishlistShareUrl } from '../customers/wishlist.js'
+
+function WishlistItem({ product, shared }) {
+  const { removeFromWishlist } = useWishlist()
+  const { addToCart } = useCart()
+  const { formatPrice } = useCurrency()
+  const { t, localizeProduct } = useLocale()
+  const { name } = localizeProduct(product)
+
+  const moveToCart = () => {
+    addToCart(product)
+    if (!shared) removeFromWishlist(product.id)
+  }
+
+  const buttonClass = 'text-white px-4 py-2 rounded-lg font-semibold hover:opacity-90 transition text-sm'
+
+  return (
+    <div className="flex items-center justify-between py-4 border-b last:border-b-0 gap-4">
+      <div className="flex items-center gap-4">
+        <Link to={`/product/${product.id}`}>
+          <img
+            src={product.image || 'https://placehold.co/80x80?text=No+Image'}
+            alt={name}
+            className={`w-20 h-20 object-cover rounded ${isSoldOut(product) ? 'opacity-60' : ''}`}
+          />
+        </Link>
+        <div>
+          <h3 className="font-semibold text-lg">
+            <Link to={`/product/${product.id}`} className="hover:underline">{name}</Link>
+          </h3>
+          <p className="text-gray-600">{formatPrice(product.price)}</p>
+        </div>
+      </div>
+      <div className="flex items-center gap-3">
+        {isSoldOut(product) ? (
+          <span className="text-sm text-gray-500">{t('common.soldOut')}</span>
+        ) : hasExternalPayment(product) ? (
+          <a href={getExternalPaymentUrl(product)} rel="noopener noreferrer" className={buttonClass} style={{ backgroundColor: '#1e2a67' }}>
+            {t('common.buyNow')}
+          </a>
+        ) : hasVariants(product) ? (
+          // Size, color etc. still have to be picked on the product page
+          <Link to={`/product/${product.id}`} className={buttonClass} style={{ backgroundColor: '#1e2a67' }}>
+            {t('wishlist.chooseOptions')}
+          </Link>
+        ) : (
+          <button type="button" onClick={moveToCart} className={buttonClass} style={{ backgroundColor: '#1e2a67' }}>
+            {shared ? t('product.addToCart') : t('wishlist.moveToCart')}
+          </button>
+        )}
+        {!shared && (
+          <button type="button" onClick={() => removeFromWishlist(product.id)} className="text-red-500 hover:text-red-700 text-sm">
+            {t('common.remove')}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function Wishlist() {
+  const { items, addAllToWishlist } = useWishlist()
+  const { publishedProducts: products } = useProducts()
+  const { t } = useLocale()
+  const [searchParams] = useSearchParams()
+  const [copied, setCopied] = useState(false)
+
+  // ?items= is someone else's list; without it this is the shopper's own
+  const sharedIds = searchParams.has('items') ? decodeWishlist(searchParams.get('items')) : null
+  const shared = sharedIds !== null
+  const ids = shared ? sharedIds : items
+  // Products removed from the catalog since they were saved are skipped
+  const wishlistProducts = ids.map(id => products.find(p => p.id === id)).filter(Boolean)
+  const shareUrl = getWishlistShareUrl(items)
+
+  const handleShare = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch {
+      window.prompt(t('wishlist.copyPrompt'), shareUrl)
+    }
+  }
+
+  return (
+    <div className="py-12 bg-gray-50 min-h-screen">
+      <div className="container mx-auto px-4 max-w-4xl">
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-8">
+          <h1 className="text-3xl font-bold">{shared ? t('wishlist.sharedTitle') : t('wishlist.title')}</h1>
+          {shared ? (
+            wishlistProducts.length > 0 && (
+              <button
+                type="button"
+                onClick={() => addAllToWishlist(wishlistProducts.map(p => p.id))}
+                className="px-4 py-2 rounded-lg font-semibold border transition hover:bg-gray-50"
+                style={{ borderColor: '#1e2a67', color: '#1e2a67' }}
+              >
+                {t('wishlist.saveAll')}
+              </button>
+            )
+          ) : (
+            wishlistProducts.length > 0 && (
+              <button
+                type="button"
+                onClick={handleShare}
+                className="px-4 py-2 rounded-lg font-semibold border transition hover:bg-gray-50"
+                style={{ borderColor: '#1e2a67', color: '#1e2a67' }}
+              >
+                {copied ? t('wishlist.copied') : t('wishlist.share')}
+              </button>
+            )
+          )}
+        </div>
+
+        {wishlistProducts.length === 0 ? (
+          <div className="text-center py-8">
+            <p className="text-gray-600 mb-8">{shared ? t('wishlist.sharedEmpty') : t('wishlist.empty')}</p>
+            <Link
+              to="/shop"
+              className="text-white px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition inline-block"
+              style={{ backgroundColor: '#1e2a67' }}
+            >
+              {t('common.continueShopping')}
+            </Link>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-md p-6">
+            {wishlistProducts.map(product => (
+              <WishlistItem key={product.id} product={product} shared={shared} />
+            ))}
+          </div>
+        )}
+
+        {shared && (
+          <p className="mt-6 text-center text-sm text-gray-500">
+            <Link to="/wishlist" className="underline">{t('wishlist.viewOwn')}</Link>
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Wishlist
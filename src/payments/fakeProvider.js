@@ -0,0 +1,24 @@
+// ============================================
+// Payment provider: fake, for local development and tests
+// ============================================
+//
+// Never contacts a payment processor. Pass { outcome: 'declined' } to
+// exercise the failure path.
+
+export const createFakeProvider = ({ outcome = 'paid' } = {}) => ({
+  id: 'fake',
+  label: 'Test payment (no charge)',
+
+  async isAvailable() {
+    return true;
+  },
+
+  async createSession({ order }) {
+    if (outcome === 'declined') {
+      const err = new Error('Test payment declined');
+      err.code = 'payment_declined';
+      throw err;
+    }
+    return { type: 'complete', status: 'paid', reference: `fake_${order.id}` };
+  }
+});
@@ -0,0 +1,76 @@
+// ============================================
+// Payments subsystem
+// ============================================
+//
+// Checkout never sees card numbers. Every provider implements:
+//   isAvailable({ order }) -> boolean
+//   createSession({ order, successUrl, cancelUrl })
+//     -> { type: 'redirect', url }       hosted page, shopper leaves the site
+//     -> { type: 'complete', status }    settled in-page (fake provider)
+//   getPaymentStatus({ order }) -> 'paid' | 'pending' | 'failed' (optional;
+//     providers without it settle in-page)
+// Products with their own external payment link never reach checkout (see
+// utils/externalPayment.js), so every order here is paid through a provider.
+// Set VITE_PAYMENT_PROVIDER=fake to skip real payments in development.
+
+import { createStripeCheckoutProvider } from './stripeCheckoutProvider.js';
+import { createFakeProvider } from './fakeProvider.js';
+import { getProjectId } from '../api/http.js';
+
+export { createStripeCheckoutProvider, createFakeProvider };
+
+// Providers in order of preference
+export const getPaymentProviders = () => {
+  if (import.meta.env.VITE_PAYMENT_PROVIDER === 'fake') {
+    return [createFakeProvider()];
+  }
+  return [createStripeCheckoutProvider({ projectId: getProjectId() })];
+};
+
+export const selectPaymentProvider = async (providers, order) => {
+  for (const provider of providers) {
+    if (await provider.isAvailable({ order })) return provider;
+  }
+  return null;
+};
+
+// Route of the confirmation page for an order; guests need the order's token to see it
+export const getOrderPath = (order) => {
+  const query = order.accessToken ? `?${new URLSearchParams({ token: order.accessToken })}` : '';
+  return `/order/${encodeURIComponent(order.id)}${query}`;
+};
+
+// Hash-router URLs the hosted page sends the shopper back to
+export const getReturnUrls = (order) => {
+  const base = `${window.location.origin}${window.location.pathname}`;
+  return {
+    successUrl: `${base}#${getOrderPath(order)}`,
+    cancelUrl: `${base}#/checkout`
+  };
+};
+
+// Whether the backend has the order as paid. An order still pending is
+// checked with its provider, so a shopper back from a hosted page isn't left
+// waiting on the payment webhook; nothing the browser holds counts as proof.
+export const confirmPayment = async (order) => {
+  if (order.status !== 'pending') return ['paid', 'shipped', 'delivered'].includes(order.status);
+  const provider = getPaymentProviders().find(p => p.id === order.payment?.provider);
+  if (!provider?.getPaymentStatus) return false;
+  try {
+    return (await provider.getPaymentStatus({ order })) === 'paid';
+  } catch (err) {
+    console.warn('⚠️ Could not check payment status:', err);
+    return false;
+  }
+};
+
+// The order awaiting payment in this tab; the confirmation page settles it
+const PENDING_KEY = 'pendingOrderId';
+
+export const setPendingOrder = (orderId) => sessionStorage.setItem(PENDING_KEY, orderId);
+
+export const takePendingOrder = (orderId) => {
+  if (sessionStorage.getItem(PENDING_KEY) !== orderId) return false;
+  sessionStorage.removeItem(PENDING_KEY);
+  return true;
+};
@@ -0,0 +1,71 @@
+// ============================================
+// Payment provider: Stripe Checkout via the store's connected account
+// ============================================
+//
+// The backend creates a hosted Checkout session on the Stripe Connect account
+// set up from the admin dashboard, so card details only ever reach Stripe.
+// The browser only says what is being bought - product and variant ids,
+// quantities, the promo code and where it ships. The backend prices every
+// line from its own catalog, applies the promotion, shipping and tax itself,
+// and checks the result against the order before charging.
+
+const API_URL = 'https://api.alimi.ai';
+
+const post = async (path, body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+};
+
+export const createStripeCheckoutProvider = ({ projectId }) => ({
+  id: 'stripe',
+  label: 'Credit or debit card (Stripe)',
+
+  async isAvailable() {
+    if (!projectId) return false;
+    try {
+      const data = await post('/check-connect-status', { projectId });
+      return Boolean(data.success && data.chargesEnabled);
+    } catch (err) {
+      console.error('Failed to check Stripe status:', err);
+      return false;
+    }
+  },
+
+  async createSession({ order, successUrl, cancelUrl }) {
+    const data = await post('/create-checkout-session', {
+      projectId,
+      orderId: order.id,
+      customerEmail: order.customer.email,
+      items: order.items.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.quantity
+      })),
+      promotionCode: order.totals.promotionCode || '',
+      destination: {
+        country: order.shipping.country,
+        region: order.shipping.region,
+        zip: order.shipping.zip
+      },
+      successUrl,
+      cancelUrl
+    });
+
+    if (!data.success || !data.url) {
+      throw new Error(data.error || 'Failed to start payment');
+    }
+    return { type: 'redirect', url: data.url, sessionId: data.sessionId || null };
+  },
+
+  // Asks Stripe, through the backend, whether the order's session was paid.
+  // The backend marks the order paid (as its webhook would) before answering.
+  async getPaymentStatus({ order }) {
+    const data = await post('/checkout-session-status', { projectId, orderId: order.id });
+    if (!data.success) throw new Error(data.error || 'Failed to check payment');
+    return data.status;
+  }
+});
@@ -0,0 +1,80 @@
+// ============================================
+// Shipping and tax settings
+// ============================================
+//
+// Shipping: a default rate plus optional zones matched by country and ZIP
+// prefix. `method` is 'flat' (one charge per order) or 'weight'
+// (base + per-unit charge on the cart weight). Tax rates are percentages
+// matched by country, region (state/province) and ZIP prefix.
+
+export const SHIPPING_METHODS = [
+  { value: 'flat', label: 'Flat rate per order' },
+  { value: 'weight', label: 'By cart weight' }
+];
+
+export const DEFAULT_PRICING_SETTINGS = {
+  shipping: {
+    method: 'flat',
+    flatRate: 0,
+    weightBase: 0,
+    weightRate: 0,
+    weightUnit: 'lb',
+    freeOverThreshold: 0,
+    zones: []
+  },
+  tax: {
+    taxShipping: false,
+    rates: []
+  }
+};
+
+const toAmount = (value) => Math.max(0, parseFloat(value) || 0);
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim().toUpperCase())
+  .filter(Boolean);
+
+export const normalizeDestination = (destination) => ({
+  country: String(destination?.country || '').trim().toUpperCase(),
+  region: String(destination?.region || '').trim().toUpperCase(),
+  zip: String(destination?.zip || '').replace(/\s+/g, '').toUpperCase()
+});
+
+export const normalizeShippingZone = (zone) => ({
+  id: zone.id,
+  name: String(zone.name || '').trim(),
+  countries: toList(zone.countries),
+  zipPrefixes: toList(zone.zipPrefixes),
+  flatRate: toAmount(zone.flatRate),
+  weightBase: toAmount(zone.weightBase),
+  weightRate: toAmount(zone.weightRate)
+});
+
+export const normalizeTaxRate = (rate) => ({
+  id: rate.id,
+  country: String(rate.country || '').trim().toUpperCase(),
+  region: String(rate.region || '').trim().toUpperCase(),
+  zipPrefix: String(rate.zipPrefix || '').replace(/\s+/g, '').toUpperCase(),
+  rate: Math.min(100, toAmount(rate.rate))
+});
+
+// Fills gaps from older saved settings so the pipeline never sees undefined
+export const normalizePricingSettings = (settings) => {
+  const shipping = { ...DEFAULT_PRICING_SETTINGS.shipping, ...(settings?.shipping || {}) };
+  const tax = { ...DEFAULT_PRICING_SETTINGS.tax, ...(settings?.tax || {}) };
+  return {
+    shipping: {
+      method: SHIPPING_METHODS.some(m => m.value === shipping.method) ? shipping.method : 'flat',
+      flatRate: toAmount(shipping.flatRate),
+      weightBase: toAmount(shipping.weightBase),
+      weightRate: toAmount(shipping.weightRate),
+      weightUnit: shipping.weightUnit || 'lb',
+      freeOverThreshold: toAmount(shipping.freeOverThreshold),
+      zones: (shipping.zones || []).map(normalizeShippingZone)
+    },
+    tax: {
+      taxShipping: Boolean(tax.taxShipping),
+      rates: (tax.rates || []).map(normalizeTaxRate)
+    }
+  };
+};
@@ -0,0 +1,62 @@
+// ============================================
+// Shipping rules
+// ============================================
+
+import { normalizeDestination } from './settings.js';
+import { formatMoney, roundMoney } from '../currency/money.js';
+
+export const getCartWeight = (lines) =>
+  lines.reduce((sum, line) => sum + (parseFloat(line.weight) || 0) * line.quantity, 0);
+
+// Longest matching ZIP prefix wins, then a country-only zone. A zone with no
+// countries matches any country.
+export const findShippingZone = (zones, destination) => {
+  const { country, zip } = normalizeDestination(destination);
+  let best = null;
+  let bestScore = -1;
+
+  zones.forEach(zone => {
+    if (zone.countries.length > 0 && !zone.countries.includes(country)) return;
+    let score = zone.countries.length > 0 ? 1 : 0;
+    if (zone.zipPrefixes.length > 0) {
+      const match = zone.zipPrefixes
+        .filter(prefix => zip.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+      if (!match) return;
+      score += 1 + match.length;
+    }
+    if (score > bestScore) {
+      best = zone;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+const rateFor = (method, rates, weight) => (method === 'weight'
+  ? rates.weightBase + rates.weightRate * weight
+  : rates.flatRate);
+
+// `subtotal` is the merchandise total after discounts; `freeShipping` comes
+// from a promotion. Amounts round to the minor units of `currency`.
+// Returns { amount, label, zone }; `label` is the zone's name as the admin
+// typed it, or a message descriptor to translate.
+export const calculateShipping = ({
+  subtotal, lines, destination, settings, freeShipping = false, currency = 'USD', formatAmount = formatMoney
+}) => {
+  if (lines.length === 0) return { amount: 0, label: '', zone: null };
+  if (freeShipping) return { amount: 0, label: { key: 'totals.shippingPromotion' }, zone: null };
+  if (settings.freeOverThreshold > 0 && subtotal >= settings.freeOverThreshold) {
+    return {
+      amount: 0,
+      label: { key: 'totals.freeOver', params: { amount: formatAmount(settings.freeOverThreshold) } },
+      zone: null
+    };
+  }
+
+  const zone = findShippingZone(settings.zones, destination);
+  const amount = rateFor(settings.method, zone || settings, getCartWeight(lines));
+
+  return { amount: roundMoney(Math.max(0, amount), currency), label: zone?.name || '', zone };
+};
@@ -0,0 +1,49 @@
+// ============================================
+// Sales tax by destination
+// ============================================
+
+import { normalizeDestination } from './settings.js';
+import { roundMoney } from '../currency/money.js';
+
+// Most specific rule wins: ZIP prefix, then region, then country.
+// Blank fields on a rule act as wildcards.
+export const findTaxRate = (rates, destination) => {
+  const { country, region, zip } = normalizeDestination(destination);
+  let best = null;
+  let bestScore = -1;
+
+  rates.forEach(rule => {
+    if (rule.country && rule.country !== country) return;
+    if (rule.region && rule.region !== region) return;
+    if (rule.zipPrefix && !zip.startsWith(rule.zipPrefix)) return;
+    const score = (rule.country ? 1 : 0) + (rule.region ? 10 : 0) + (rule.zipPrefix ? 100 + rule.zipPrefix.length : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+// A message descriptor, e.g. "CA, US 7.25%"
+const describeRate = (rule) => {
+  const place = [rule.zipPrefix && `${rule.zipPrefix}*`, rule.region, rule.country].filter(Boolean).join(', ');
+  return place
+    ? { key: 'totals.taxRateIn', params: { place, rate: rule.rate } }
+    : { key: 'totals.taxRate', params: { rate: rule.rate } };
+};
+
+// `taxableAmount` is the merchandise total after discounts. Amounts round to
+// the minor units of `currency`. Returns { amount, rate, label }.
+export const calculateTax = ({ taxableAmount, shipping = 0, destination, settings, currency = 'USD' }) => {
+  const rule = findTaxRate(settings.rates, destination);
+  if (!rule || rule.rate <= 0) return { amount: 0, rate: 0, label: null };
+
+  const base = taxableAmount + (settings.taxShipping ? shipping : 0);
+  return {
+    amount: roundMoney(Math.max(0, base) * rule.rate / 100, currency),
+    rate: rule.rate,
+    label: describeRate(rule)
+  };
+};
@@ -0,0 +1,60 @@
+// ============================================
+// Order totals
+// ============================================
+//
+// subtotal -> promotion discount -> shipping -> sales tax. Every step is a
+// pure function of its inputs so Cart, Checkout and order creation agree.
+// Amounts are in the store's base currency and summed in minor units.
+
+import { DEFAULT_PRICING_SETTINGS } from './settings.js';
+import { calculateShipping } from './shipping.js';
+import { calculateTax } from './tax.js';
+import { toMinor, fromMinor, formatMoney } from '../currency/money.js';
+
+export const computeTotals = ({
+  subtotal,
+  discount = null,
+  lines = [],
+  destination = null,
+  settings = DEFAULT_PRICING_SETTINGS,
+  currency = 'USD',
+  formatAmount = (amount) => formatMoney(amount, currency)
+}) => {
+  const subtotalMinor = toMinor(subtotal, currency);
+  const discountMinor = Math.min(toMinor(discount?.amount, currency), subtotalMinor);
+  const merchandise = fromMinor(subtotalMinor - discountMinor, currency);
+  const freeShipping = Boolean(discount?.freeShipping);
+
+  const shipping = calculateShipping({
+    subtotal: merchandise,
+    lines,
+    destination,
+    settings: settings.shipping,
+    freeShipping,
+    currency,
+    formatAmount
+  });
+  const tax = calculateTax({
+    taxableAmount: merchandise,
+    shipping: shipping.amount,
+    destination,
+    settings: settings.tax,
+    currency
+  });
+  const shippingMinor = toMinor(shipping.amount, currency);
+  const taxMinor = toMinor(tax.amount, currency);
+
+  return {
+    subtotal: fromMinor(subtotalMinor, currency),
+    discount: fromMinor(discountMinor, currency),
+    discountLabel: discount?.label || '',
+    promotionCode: discountMinor > 0 || freeShipping ? discount.code : '',
+    freeShipping,
+    shipping: fromMinor(shippingMinor, currency),
+    shippingLabel: shipping.label,
+    tax: fromMinor(taxMinor, currency),
+    taxLabel: tax.label,
+    total: fromMinor(subtotalMinor - discountMinor + shippingMinor + taxMinor, currency),
+    currency
+  };
+};
@@ -0,0 +1,124 @@
+// ============================================
+// Promotions engine
+// ============================================
+//
+// Pure functions: given a promotion and the cart, decide whether it applies
+// and how much it takes off. Cart lines are passed in as
+//   { productId, categoryId, price, quantity }
+// so the engine never needs to know about React state or storage.
+//
+// Promotion shape:
+//   { id, code, type, value, buyQuantity, getQuantity, minSubtotal,
+//     scope: { type: 'all' | 'category' | 'product', ids: [] },
+//     startsAt, endsAt, usageLimit, usageCount, active }
+//
+// Shopper-facing text comes back as { key, params } message descriptors for
+// the storefront to translate (see translateLabel in i18n/translate.js).
+// Functions that produce them take an optional `formatAmount` so amounts in
+// the params follow the display currency. Prices and discounts are in the
+// store's base `currency` and round to its minor units.
+
+import { formatMoney, roundMoney, sumLines } from '../currency/money.js';
+
+export const PROMOTION_TYPES = [
+  { value: 'percentage', label: 'Percentage off' },
+  { value: 'fixed', label: 'Fixed amount off' },
+  { value: 'free_shipping', label: 'Free shipping' },
+  { value: 'bxgy', label: 'Buy X get Y' },
+];
+
+export const normalizeCode = (code) =>
+  String(code || '').toUpperCase().replace(/[^A-Z0-9_-]/g, '').slice(0, 32);
+
+const isLineInScope = (promotion, line) => {
+  const scope = promotion.scope || { type: 'all', ids: [] };
+  if (scope.type === 'product') return scope.ids.includes(line.productId);
+  if (scope.type === 'category') return scope.ids.includes(line.categoryId);
+  return true;
+};
+
+export const getSubtotal = (lines, currency = 'USD') => sumLines(lines, currency);
+
+const reason = (name, params) => ({ key: `promo.errors.${name}`, params });
+
+// Returns null when the promotion can be used, otherwise the reason it can't
+export const getIneligibilityReason = (promotion, lines, {
+  now = new Date(), currency = 'USD', formatAmount = (amount) => formatMoney(amount, currency)
+} = {}) => {
+  if (!promotion || !promotion.active) return reason('invalid');
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) return reason('notStarted');
+  if (promotion.endsAt && now > new Date(promotion.endsAt)) return reason('expired');
+  if (promotion.usageLimit && (promotion.usageCount || 0) >= promotion.usageLimit) {
+    return reason('usedUp');
+  }
+  const subtotal = getSubtotal(lines, currency);
+  if (promotion.minSubtotal && subtotal < promotion.minSubtotal) {
+    return reason('minSubtotal', { amount: formatAmount(promotion.minSubtotal) });
+  }
+  if (!lines.some(line => isLineInScope(promotion, line))) {
+    return reason('notApplicable');
+  }
+  return null;
+};
+
+// Every (buy + get) eligible units, the cheapest `get` units are free
+const getBxgyDiscount = (promotion, eligible) => {
+  const buy = Math.max(1, promotion.buyQuantity || 1);
+  const get = Math.max(1, promotion.getQuantity || 1);
+  const units = eligible
+    .flatMap(line => Array(line.quantity).fill(line.price))
+    .sort((a, b) => b - a);
+
+  let discount = 0;
+  for (let start = 0; start + buy + get <= units.length; start += buy + get) {
+    discount += units.slice(start + buy, start + buy + get).reduce((sum, price) => sum + price, 0);
+  }
+  return discount;
+};
+
+// { amount, freeShipping, label } - amount never exceeds the eligible subtotal
+export const calculateDiscount = (promotion, lines, {
+  now = new Date(), currency = 'USD', formatAmount = (amount) => formatMoney(amount, currency)
+} = {}) => {
+  const none = { amount: 0, freeShipping: false, label: null };
+  if (getIneligibilityReason(promotion, lines, { now, currency, formatAmount })) return none;
+
+  const eligible = lines.filter(line => isLineInScope(promotion, line));
+  const eligibleSubtotal = getSubtotal(eligible, currency);
+  const label = describePromotion(promotion, formatAmount);
+  const round = (amount) => roundMoney(amount, currency);
+
+  switch (promotion.type) {
+    case 'percentage':
+      return { amount: round(eligibleSubtotal * Math.min(promotion.value, 100) / 100), freeShipping: false, label };
+    case 'fixed':
+      return { amount: round(Math.min(promotion.value, eligibleSubtotal)), freeShipping: false, label };
+    case 'free_shipping':
+      return { amount: 0, freeShipping: true, label };
+    case 'bxgy':
+      return { amount: round(getBxgyDiscount(promotion, eligible)), freeShipping: false, label };
+    default:
+      return none;
+  }
+};
+
+// A message descriptor, or null for an unknown type
+export const describePromotion = (promotion, formatAmount = formatMoney) => {
+  switch (promotion.type) {
+    case 'percentage':
+      return { key: 'promo.percentOff', params: { value: promotion.value } };
+    case 'fixed':
+      return { key: 'promo.amountOff', params: { amount: formatAmount(Number(promotion.value)) } };
+    case 'free_shipping':
+      return { key: 'promo.freeShipping' };
+    case 'bxgy':
+      return { key: 'promo.buyXGetY', params: { buy: promotion.buyQuantity || 1, get: promotion.getQuantity || 1 } };
+    default:
+      return null;
+  }
+};
+
+export const findPromotionByCode = (promotions, code) => {
+  const normalized = normalizeCode(code);
+  return promotions.find(p => normalizeCode(p.code) === normalized) || null;
+};
@@ -0,0 +1,47 @@
+// ============================================
+// Promotion store: REST backend
+// ============================================
+//
+// Expects the same { success, ... } envelope as the Alimi API:
+//   GET    {baseUrl}/promotions                        -> { success, promotions }
+//   GET    {baseUrl}/promotions/lookup?code=           -> { success, promotion } (404: no such code)
+//   PUT    {baseUrl}/promotions/:id   body: promotion  -> { success, promotion }
+//   DELETE {baseUrl}/promotions/:id                    -> { success }
+// Listing and changes are for staff allowed to manage promotions. Shoppers
+// can only look up the one code they typed, so the full list never leaves
+// the backend. The browser checks a code only to show its effect: the backend
+// validates it again when pricing the payment session, and counts a use when
+// the order is paid, once per order.
+
+import { createApiClient } from '../api/http.js';
+
+export const createHttpPromotionStore = ({ baseUrl, projectId }) => {
+  const request = createApiClient({ baseUrl, projectId, name: 'Promotion' });
+  const promotionPath = (id) => `/promotions/${encodeURIComponent(id)}`;
+
+  return {
+    async list() {
+      const data = await request('/promotions');
+      return data.promotions || [];
+    },
+
+    async lookup(code) {
+      try {
+        const data = await request(`/promotions/lookup?${new URLSearchParams({ code })}`);
+        return data.promotion;
+      } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
+      }
+    },
+
+    async save(promotion) {
+      const data = await request(promotionPath(promotion.id), { method: 'PUT', body: promotion });
+      return data.promotion;
+    },
+
+    async remove(id) {
+      await request(promotionPath(id), { method: 'DELETE' });
+    }
+  };
+};
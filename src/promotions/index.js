@@ -0,0 +1,39 @@
+// ============================================
+// Promotions subsystem
+// ============================================
+//
+// Every promotion store implements the same async interface:
+//   list()            -> promotion[] (admin)
+//   lookup(code)      -> promotion | null, for the code a shopper typed
+//   save(promotion)   -> promotion (created or replaced by id)
+//   remove(id)        -> void
+// Uses are counted when an order is paid, never at checkout. The backend
+// does it for the HTTP store; the localStorage store alone also has
+// redeem(code), so offline development behaves the same.
+// Set VITE_PROMOTIONS_API_URL to use the HTTP store; otherwise codes stay in
+// this browser's localStorage.
+
+import { createLocalStoragePromotionStore } from './localStoragePromotionStore.js';
+import { createHttpPromotionStore } from './httpPromotionStore.js';
+import { createLazyStore } from '../utils/lazyStore.js';
+
+export {
+  PROMOTION_TYPES, normalizeCode, getSubtotal, getIneligibilityReason, calculateDiscount, describePromotion,
+  findPromotionByCode
+} from './engine.js';
+export { createLocalStoragePromotionStore, createHttpPromotionStore };
+
+const promotionStore = createLazyStore(() => {
+  const baseUrl = import.meta.env.VITE_PROMOTIONS_API_URL;
+  return baseUrl ? createHttpPromotionStore({ baseUrl }) : createLocalStoragePromotionStore();
+});
+
+export const getPromotionStore = promotionStore.get;
+export const setPromotionStore = promotionStore.set;
+
+// Called by the local order store when an order is paid
+export const redeemPromotionForOrder = async (order) => {
+  const store = getPromotionStore();
+  if (!order.totals?.promotionCode || !store.redeem) return;
+  await store.redeem(order.totals.promotionCode);
+};
@@ -0,0 +1,49 @@
+// ============================================
+// Promotion store: browser localStorage (offline dev only)
+// ============================================
+//
+// Codes saved here only exist in the owner's browser. `redeem` stands in for
+// the backend counting a use when an order is paid.
+
+import { findPromotionByCode } from './engine.js';
+
+const STORAGE_KEY = 'promotions';
+
+const readAll = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    console.warn('⚠️ Could not read saved promotions:', err);
+    return [];
+  }
+};
+
+const writeAll = (promotions) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(promotions));
+};
+
+export const createLocalStoragePromotionStore = () => ({
+  async list() {
+    return readAll();
+  },
+
+  async lookup(code) {
+    return findPromotionByCode(readAll(), code);
+  },
+
+  async save(promotion) {
+    writeAll([...readAll().filter(p => p.id !== promotion.id), promotion]);
+    return promotion;
+  },
+
+  async remove(id) {
+    writeAll(readAll().filter(p => p.id !== id));
+  },
+
+  async redeem(code) {
+    const promotion = findPromotionByCode(readAll(), code);
+    if (!promotion) return;
+    writeAll(readAll().map(p => p.id === promotion.id ? { ...p, usageCount: (p.usageCount || 0) + 1 } : p));
+  }
+});
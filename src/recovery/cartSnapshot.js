@@ -0,0 +1,54 @@
+// ============================================
+// Cart snapshots for abandoned cart recovery
+// ============================================
+
+import { sumLines } from '../currency/money.js';
+import { packCart, migrateCart } from '../cart/cartSchema.js';
+
+export const SNAPSHOT_STATUSES = ['open', 'recovered', 'converted'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Nothing is captured until there's a cart and a plausible address to reach
+export const canSnapshot = (email, items) => EMAIL_PATTERN.test((email || '').trim()) && items.length > 0;
+
+// Open snapshots untouched for this long are treated as abandoned
+export const ABANDONED_AFTER_MINUTES = 30;
+
+// Unguessable, since the token alone is enough to restore the cart
+export const generateRecoveryToken = () => {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// `items` are cart lines; they're stored in the versioned cart format so an
+// old link still restores after the cart schema changes. Value is in the base currency.
+export const createCartSnapshot = ({ token, items, email, name = '', customerId = null, currency = 'USD' }) => {
+  const now = new Date().toISOString();
+  return {
+    token,
+    status: 'open',
+    email: email.trim().toLowerCase(),
+    name: name.trim(),
+    customerId,
+    cart: packCart(items),
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    value: sumLines(items, currency),
+    currency,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+export const getSnapshotLines = (snapshot) => migrateCart(snapshot?.cart);
+
+export const isAbandoned = (snapshot, now = Date.now()) =>
+  snapshot.status === 'open' &&
+  now - new Date(snapshot.updatedAt).getTime() >= ABANDONED_AFTER_MINUTES * 60 * 1000;
+
+// Shareable link; the app runs under a HashRouter
+export const getRestoreUrl = (token) => {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}#/cart?restore=${encodeURIComponent(token)}`;
+};
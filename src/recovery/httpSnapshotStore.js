@@ -0,0 +1,45 @@
+// ============================================
+// Cart snapshot store: REST backend
+// ============================================
+//
+// Expects the same { success, ... } envelope as the Alimi API:
+//   PUT   {baseUrl}/abandoned-carts/:token   body: snapshot -> { success, snapshot }
+//   GET   {baseUrl}/abandoned-carts/:token                  -> { success, snapshot }
+//   GET   {baseUrl}/abandoned-carts?status=                 -> { success, snapshots }
+//   PATCH {baseUrl}/abandoned-carts/:token   body: updates  -> { success, snapshot }
+// The backend is expected to send the recovery emails itself.
+
+import { createApiClient } from '../api/http.js';
+
+export const createHttpSnapshotStore = ({ baseUrl, projectId }) => {
+  const request = createApiClient({ baseUrl, projectId, name: 'Cart snapshot' });
+  const snapshotPath = (token) => `/abandoned-carts/${encodeURIComponent(token)}`;
+
+  return {
+    async save(snapshot) {
+      const data = await request(snapshotPath(snapshot.token), { method: 'PUT', body: snapshot });
+      return data.snapshot;
+    },
+
+    async get(token) {
+      try {
+        const data = await request(snapshotPath(token));
+        return data.snapshot;
+      } catch (err) {
+        console.warn('⚠️ Could not load cart snapshot:', err);
+        return null;
+      }
+    },
+
+    async list({ status } = {}) {
+      const query = status ? `?${new URLSearchParams({ status })}` : '';
+      const data = await request(`/abandoned-carts${query}`);
+      return data.snapshots || [];
+    },
+
+    async update(token, updates) {
+      const data = await request(snapshotPath(token), { method: 'PATCH', body: updates });
+      return data.snapshot;
+    }
+  };
+};
@@ -0,0 +1,44 @@
+// ============================================
+// Abandoned cart recovery
+// ============================================
+//
+// Checkout saves a snapshot of the cart once the shopper has entered an
+// email. Snapshots that never turn into an order show up in the admin, and
+// /cart?restore=<token> rebuilds the cart from one.
+//
+// Every snapshot store implements the same async interface:
+//   save(snapshot)          -> snapshot (created, or refreshed by token keeping
+//                              its status and createdAt)
+//   get(token)              -> snapshot | null
+//   list({ status })        -> snapshot[] (most recently saved first)
+//   update(token, updates)  -> snapshot
+// Set VITE_ABANDONED_CARTS_API_URL to use the HTTP store; otherwise
+// snapshots stay in this browser's localStorage.
+
+import { createLocalStorageSnapshotStore } from './localStorageSnapshotStore.js';
+import { createHttpSnapshotStore } from './httpSnapshotStore.js';
+import { createLazyStore } from '../utils/lazyStore.js';
+
+export {
+  SNAPSHOT_STATUSES, ABANDONED_AFTER_MINUTES, generateRecoveryToken, canSnapshot, createCartSnapshot, isAbandoned,
+  getSnapshotLines, getRestoreUrl
+} from './cartSnapshot.js';
+export { createLocalStorageSnapshotStore, createHttpSnapshotStore };
+
+const snapshotStore = createLazyStore(() => {
+  const baseUrl = import.meta.env.VITE_ABANDONED_CARTS_API_URL;
+  return baseUrl ? createHttpSnapshotStore({ baseUrl }) : createLocalStorageSnapshotStore();
+});
+
+export const getSnapshotStore = snapshotStore.get;
+export const setSnapshotStore = snapshotStore.set;
+
+// The snapshot this tab's checkout keeps updating, so one visit is one snapshot
+const SESSION_KEY = 'cartRecoveryToken';
+
+export const getRecoveryToken = () => sessionStorage.getItem(SESSION_KEY);
+
+export const setRecoveryToken = (token) => {
+  if (token) sessionStorage.setItem(SESSION_KEY, token);
+  else sessionStorage.removeItem(SESSION_KEY);
+};
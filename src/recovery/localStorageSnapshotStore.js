@@ -0,0 +1,51 @@
+// ============================================
+// Cart snapshot store: browser localStorage (offline dev / single-device stores)
+// ============================================
+//
+// Only useful for trying the flow out: a snapshot saved here is invisible
+// to the admin on any other device.
+
+const STORAGE_KEY = 'abandonedCarts';
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (err) {
+    console.warn('⚠️ Could not read saved cart snapshots:', err);
+    return [];
+  }
+};
+
+const writeAll = (snapshots) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshots));
+};
+
+export const createLocalStorageSnapshotStore = () => ({
+  async save(snapshot) {
+    const existing = readAll().find(s => s.token === snapshot.token);
+    const saved = existing
+      ? { ...existing, ...snapshot, status: existing.status, createdAt: existing.createdAt }
+      : snapshot;
+    writeAll([saved, ...readAll().filter(s => s.token !== snapshot.token)]);
+    return saved;
+  },
+
+  async get(token) {
+    return readAll().find(s => s.token === token) || null;
+  },
+
+  async list({ status } = {}) {
+    return readAll().filter(s => !status || s.status === status);
+  },
+
+  async update(token, updates) {
+    let updated = null;
+    writeAll(readAll().map(s => {
+      if (s.token !== token) return s;
+      updated = { ...s, ...updates, updatedAt: new Date().toISOString() };
+      return updated;
+    }));
+    if (!updated) throw new Error(`Cart snapshot ${token} not found`);
+    return updated;
+  }
+});
@@ -0,0 +1,61 @@
+// ============================================
+// Revision store: REST backend
+// ============================================
+//
+// Expects the same { success, ... } envelope as the Alimi API:
+//   POST   {baseUrl}/products/:id/revisions  body: { revision, baseline } -> { success, revision }
+//   GET    {baseUrl}/products/:id/revisions                             -> { success, revisions } (newest first)
+//   GET    {baseUrl}/trash                                              -> { success, trash }
+//   PUT    {baseUrl}/trash/:id               body: entry                -> { success, entry }
+//   DELETE {baseUrl}/trash/:id                                          -> { success, removed }
+//   DELETE {baseUrl}/products/:id/revisions                             -> { success }
+//   GET    {baseUrl}/revisions/image-urls?except=:id                    -> { success, urls }
+// `baseline` is the version before the first recorded change; the backend
+// stores it only when the product has no history yet. `urls` are the main,
+// gallery and variant image URLs of every trash entry and kept revision,
+// leaving out the product named by `except`.
+
+import { createApiClient } from '../api/http.js';
+
+export const createHttpRevisionStore = ({ baseUrl, projectId }) => {
+  const request = createApiClient({ baseUrl, projectId, name: 'Revision' });
+  const revisionsPath = (productId) => `/products/${encodeURIComponent(productId)}/revisions`;
+  const trashPath = (productId) => `/trash/${encodeURIComponent(productId)}`;
+
+  return {
+    async append(revision, baseline = null) {
+      const data = await request(revisionsPath(revision.productId), { method: 'POST', body: { revision, baseline } });
+      return data.revision;
+    },
+
+    async list(productId) {
+      const data = await request(revisionsPath(productId));
+      return data.revisions || [];
+    },
+
+    async listTrash() {
+      const data = await request('/trash');
+      return data.trash || [];
+    },
+
+    async putInTrash(entry) {
+      const data = await request(trashPath(entry.productId), { method: 'PUT', body: entry });
+      return data.entry;
+    },
+
+    async removeFromTrash(productId) {
+      const data = await request(trashPath(productId), { method: 'DELETE' });
+      return Boolean(data.removed);
+    },
+
+    async listImageUrls(exceptProductId) {
+      const data = await request(`/revisions/image-urls?except=${encodeURIComponent(exceptProductId)}`);
+      return data.urls || [];
+    },
+
+    async purge(productId) {
+      await request(revisionsPath(productId), { method: 'DELETE' });
+      await request(trashPath(productId), { method: 'DELETE' });
+    }
+  };
+};
@@ -0,0 +1,60 @@
+// ============================================
+// Product revisions subsystem
+// ============================================
+//
+// Every revision store implements the same async interface:
+//   append(revision, baseline)  -> revision
+//   list(productId)             -> revision[] (newest first)
+//   listTrash()                 -> trashEntry[]
+//   putInTrash(entry)           -> entry
+//   removeFromTrash(productId)  -> whether it was in the trash
+//   purge(productId)            -> void; drops the trash entry and its history
+//   listImageUrls(exceptProductId) -> image URLs (string[]) kept in the trash
+//                                     or in any other product's history
+// Set VITE_REVISIONS_API_URL to use the HTTP store; otherwise history stays
+// in this browser's localStorage.
+
+import { createLocalStorageRevisionStore } from './localStorageRevisionStore.js';
+import { createHttpRevisionStore } from './httpRevisionStore.js';
+import { createRevision, createTrashEntry } from './revisionModel.js';
+import { createLazyStore } from '../utils/lazyStore.js';
+
+export {
+  REVISION_ACTIONS, DEFAULT_TRASH_RETENTION_DAYS, TRASH_SETTINGS_DOCUMENT, normalizeRetentionDays, createRevision,
+  createTrashEntry, getPurgeDate, isExpired, getProductImageUrls, getPurgeableDriveFiles
+} from './revisionModel.js';
+export { createLocalStorageRevisionStore, createHttpRevisionStore };
+
+const revisionStore = createLazyStore(() => {
+  const baseUrl = import.meta.env.VITE_REVISIONS_API_URL;
+  return baseUrl ? createHttpRevisionStore({ baseUrl }) : createLocalStorageRevisionStore();
+});
+
+export const getRevisionStore = revisionStore.get;
+export const setRevisionStore = revisionStore.set;
+
+// Called once a catalog change has been saved. New versions become
+// revisions, deleted products move to the trash, and a product that comes
+// back (undo, restore) leaves it.
+export const recordCatalogRevisions = async (prev, { upserts, removals }, actor) => {
+  const revisions = getRevisionStore();
+  const prevById = new Map(prev.map(product => [product.id, product]));
+
+  for (const product of upserts) {
+    const before = prevById.get(product.id);
+    if (before) {
+      const baseline = createRevision({ product: before, action: 'baseline', actor: null });
+      await revisions.append(createRevision({ product, action: 'update', actor }), baseline);
+    } else {
+      const restored = await revisions.removeFromTrash(product.id);
+      await revisions.append(createRevision({ product, action: restored ? 'restore' : 'create', actor }));
+    }
+  }
+
+  for (const id of removals) {
+    const product = prevById.get(id);
+    if (!product) continue;
+    await revisions.append(createRevision({ product, action: 'delete', actor }));
+    await revisions.putInTrash(createTrashEntry({ product, actor }));
+  }
+};
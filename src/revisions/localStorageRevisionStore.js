@@ -0,0 +1,74 @@
+// ============================================
+// Revision store: browser localStorage (offline dev only)
+// ============================================
+//
+// Keeps the latest revisions of each product in this browser; older ones
+// roll off so storage doesn't fill up.
+
+import { getProductImageUrls } from './revisionModel.js';
+
+const REVISIONS_KEY = 'productRevisions';
+const TRASH_KEY = 'productTrash';
+const MAX_REVISIONS_PER_PRODUCT = 50;
+
+const read = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${key}:`, err);
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  localStorage.setItem(key, JSON.stringify(value));
+};
+
+export const createLocalStorageRevisionStore = () => ({
+  async append(revision, baseline = null) {
+    const all = read(REVISIONS_KEY, {});
+    const history = all[revision.productId] || [];
+    const seeded = history.length === 0 && baseline ? [baseline] : [];
+    all[revision.productId] = [revision, ...history, ...seeded].slice(0, MAX_REVISIONS_PER_PRODUCT);
+    write(REVISIONS_KEY, all);
+    return revision;
+  },
+
+  async list(productId) {
+    return read(REVISIONS_KEY, {})[productId] || [];
+  },
+
+  async listTrash() {
+    return read(TRASH_KEY, []);
+  },
+
+  async putInTrash(entry) {
+    write(TRASH_KEY, [entry, ...read(TRASH_KEY, []).filter(e => e.productId !== entry.productId)]);
+    return entry;
+  },
+
+  async removeFromTrash(productId) {
+    const trash = read(TRASH_KEY, []);
+    const remaining = trash.filter(e => e.productId !== productId);
+    write(TRASH_KEY, remaining);
+    return remaining.length !== trash.length;
+  },
+
+  async listImageUrls(exceptProductId) {
+    const histories = Object.entries(read(REVISIONS_KEY, {}))
+      .filter(([productId]) => productId !== exceptProductId)
+      .flatMap(([, history]) => history.map(revision => revision.product));
+    const trashed = read(TRASH_KEY, [])
+      .filter(entry => entry.productId !== exceptProductId)
+      .map(entry => entry.product);
+    return [...new Set([...histories, ...trashed].flatMap(getProductImageUrls))];
+  },
+
+  // History goes with the product once it's gone for good
+  async purge(productId) {
+    const all = read(REVISIONS_KEY, {});
+    delete all[productId];
+    write(REVISIONS_KEY, all);
+    write(TRASH_KEY, read(TRASH_KEY, []).filter(e => e.productId !== productId));
+  }
+});
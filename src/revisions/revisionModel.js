@@ -0,0 +1,67 @@
+// ============================================
+// Product revisions and trash
+// ============================================
+
+// baseline is the version a product had before its history started
+export const REVISION_ACTIONS = {
+  baseline: 'Earlier version',
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Deleted',
+  restore: 'Restored from trash'
+};
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Saved with the catalog as { retentionDays }, so every admin purges on the
+// same schedule
+export const TRASH_SETTINGS_DOCUMENT = 'trashSettings';
+
+export const normalizeRetentionDays = (value) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) ? DEFAULT_TRASH_RETENTION_DAYS : Math.min(365, Math.max(1, days));
+};
+
+// `product` is the full product as it was after the change (before it, for deletes)
+export const createRevision = ({ product, action, actor }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  productId: product.id,
+  at: new Date().toISOString(),
+  action,
+  actor: actor ? { uid: actor.uid, email: actor.email || '' } : null,
+  product
+});
+
+export const createTrashEntry = ({ product, actor }) => ({
+  productId: product.id,
+  product,
+  deletedAt: new Date().toISOString(),
+  deletedBy: actor ? actor.email || actor.uid : null
+});
+
+export const getPurgeDate = (entry, retentionDays) =>
+  new Date(new Date(entry.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+
+export const isExpired = (entry, retentionDays, now = Date.now()) =>
+  getPurgeDate(entry, retentionDays).getTime() <= now;
+
+// Every image URL a product shows: main, gallery and variant images
+export const getProductImageUrls = (product) => [
+  product.image,
+  ...(product.images || []).map(image => image.url),
+  ...(product.variants || []).map(variant => variant.image)
+].filter(Boolean);
+
+// Drive files only this product used, in any saved version, so images
+// removed in earlier edits go too. Duplicates share image URLs with their
+// source, so files still shown by a product in the catalog, or kept in the
+// trash or another product's history (`keptUrls`), are left alone.
+export const getPurgeableDriveFiles = (versions, products, keptUrls = []) => {
+  const inUse = new Set([...products.flatMap(getProductImageUrls), ...keptUrls]);
+  return [...new Set(versions.flatMap(product => [
+    { fileId: product.driveFileId, url: product.image },
+    ...(product.images || []).map(image => ({ fileId: image.driveFileId, url: image.url }))
+  ])
+    .filter(file => file.fileId && !inUse.has(file.url))
+    .map(file => file.fileId))];
+};
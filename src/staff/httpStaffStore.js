@@ -0,0 +1,50 @@
+// ============================================
+// Staff store: REST backend
+// ============================================
+//
+// Expects the same { success, ... } envelope as the Alimi API:
+//   GET   {baseUrl}/staff                              -> { success, staff }
+//   POST  {baseUrl}/staff          body: member        -> { success, member }
+//   PATCH {baseUrl}/staff/:email   body: updates       -> { success, member }
+//   POST  {baseUrl}/staff/claim                        -> { success, member } (404: not invited)
+// Every request carries the caller's ID token. The backend must only let the
+// project owner list, invite or change staff. `claim` is how a staff member
+// signs in: the backend reads the email from the verified token, refuses it
+// unless `email_verified` is set, binds the invitation to the token's uid on
+// first use, and marks it active.
+
+import { createApiClient } from '../api/http.js';
+
+export const createHttpStaffStore = ({ baseUrl, projectId }) => {
+  const request = createApiClient({ baseUrl, projectId, name: 'Staff' });
+
+  return {
+    grantsAccess: true,
+
+    async list() {
+      const data = await request('/staff');
+      return data.staff || [];
+    },
+
+    async invite(member) {
+      const data = await request('/staff', { method: 'POST', body: member });
+      return data.member;
+    },
+
+    // The signed-in user's own invitation, or null when they have none
+    async claim() {
+      try {
+        const data = await request('/staff/claim', { method: 'POST' });
+        return data.member;
+      } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
+      }
+    },
+
+    async update(email, updates) {
+      const data = await request(`/staff/${encodeURIComponent(email)}`, { method: 'PATCH', body: updates });
+      return data.member;
+    }
+  };
+};
@@ -0,0 +1,29 @@
+// ============================================
+// Staff subsystem
+// ============================================
+//
+// Every staff store implements the same async interface:
+//   list()               -> member[]
+//   invite(member)       -> member
+//   update(email, updates) -> member
+//   claim()              -> the signed-in user's member record | null
+//   grantsAccess         -> whether claimed invitations let staff sign in
+// Set VITE_STAFF_API_URL to use the HTTP store; otherwise invitations stay in
+// this browser's localStorage and staff can't sign in.
+
+import { createLocalStorageStaffStore } from './localStorageStaffStore.js';
+import { createHttpStaffStore } from './httpStaffStore.js';
+import { createLazyStore } from '../utils/lazyStore.js';
+
+export {
+  STAFF_STATUSES, normalizeStaffEmail, isValidStaffEmail, createInvitation
+} from './staffModel.js';
+export { createLocalStorageStaffStore, createHttpStaffStore };
+
+const staffStore = createLazyStore(() => {
+  const baseUrl = import.meta.env.VITE_STAFF_API_URL;
+  return baseUrl ? createHttpStaffStore({ baseUrl }) : createLocalStorageStaffStore();
+});
+
+export const getStaffStore = staffStore.get;
+export const setStaffStore = staffStore.set;
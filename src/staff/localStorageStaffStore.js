@@ -0,0 +1,54 @@
+// ============================================
+// Staff store: browser localStorage (offline dev only)
+// ============================================
+//
+// Invitations saved here only exist in the owner's browser, and a browser
+// can't vouch for who is signing in, so they never grant access. Use the
+// HTTP store for real staff.
+
+const STORAGE_KEY = 'staffMembers';
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (err) {
+    console.warn('⚠️ Could not read staff members:', err);
+    return [];
+  }
+};
+
+const writeAll = (members) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(members));
+};
+
+export const createLocalStorageStaffStore = () => ({
+  grantsAccess: false,
+
+  async list() {
+    return readAll();
+  },
+
+  async claim() {
+    return null;
+  },
+
+  async invite(member) {
+    const existing = readAll().find(m => m.email === member.email);
+    if (existing && existing.status !== 'revoked') {
+      throw new Error(`${member.email} is already on the team`);
+    }
+    writeAll([member, ...readAll().filter(m => m.email !== member.email)]);
+    return member;
+  },
+
+  async update(email, updates) {
+    let updated = null;
+    writeAll(readAll().map(m => {
+      if (m.email !== email) return m;
+      updated = { ...m, ...updates };
+      return updated;
+    }));
+    if (!updated) throw new Error(`Staff member ${email} not found`);
+    return updated;
+  }
+});
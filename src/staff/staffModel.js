@@ -0,0 +1,28 @@
+// ============================================
+// Staff invitations
+// ============================================
+
+import { STAFF_ROLES } from '../admin/roles.js';
+
+// invited: waiting for a first sign-in; active: has signed in; revoked: no access
+export const STAFF_STATUSES = ['invited', 'active', 'revoked'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Staff are matched on the address they sign in with
+export const normalizeStaffEmail = (email) => (email || '').trim().toLowerCase();
+
+export const isValidStaffEmail = (email) => EMAIL_PATTERN.test(normalizeStaffEmail(email));
+
+export const createInvitation = ({ email, role, invitedBy }) => {
+  if (!STAFF_ROLES.includes(role)) throw new Error(`Unknown staff role: ${role}`);
+  return {
+    email: normalizeStaffEmail(email),
+    role,
+    status: 'invited',
+    uid: null,
+    invitedBy: invitedBy || null,
+    invitedAt: new Date().toISOString(),
+    lastSignInAt: null
+  };
+};
@@ -0,0 +1,46 @@
+// ============================================
+// Categories and curated collections
+// ============================================
+//
+// A category groups products by kind (product.categoryId); a collection is a
+// hand-picked list of products (collection.productIds) such as "New Arrivals".
+// Both have a slug so they can be addressed as /shop/:category.
+
+export const slugify = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+
+// Slugs must stay unique across categories and collections
+export const uniqueSlug = (base, entries, ignoreId = null) => {
+  const root = slugify(base) || 'collection';
+  let slug = root;
+  let n = 2;
+  while (entries.some(entry => entry.slug === slug && entry.id !== ignoreId)) {
+    slug = `${root}-${n++}`;
+  }
+  return slug;
+};
+
+export const byOrder = (a, b) => a.order - b.order;
+
+// Products saved before categories existed only carry the category name
+export const getProductCategory = (product, categories) =>
+  categories.find(c => c.type === 'category' && c.id === product.categoryId) ||
+  categories.find(c => c.type === 'category' && product.category && c.name === product.category) ||
+  null;
+
+export const getProductsInScope = (products, scope, categories) => {
+  if (!scope) return products;
+  if (scope.type === 'collection') {
+    // Curated order wins for collections
+    return (scope.productIds || [])
+      .map(id => products.find(p => p.id === id))
+      .filter(Boolean);
+  }
+  return products.filter(p => getProductCategory(p, categories)?.id === scope.id);
+};
@@ -0,0 +1,25 @@
+// ============================================
+// External payment links (product.externalPaymentUrl)
+// ============================================
+//
+// Products with an owner-supplied checkout link (Stripe Payment Link, PayPal,
+// etc.) are bought one at a time through that link instead of the cart.
+
+export const hasExternalPayment = (product) => Boolean(product?.externalPaymentUrl);
+
+// success.html skips clearing the cart for buy-now returns
+export const getSuccessPageUrl = () =>
+  `${window.location.origin}${import.meta.env.BASE_URL || '/'}success.html?buy_now=1`;
+
+// Optionally tell the provider where to send the shopper afterwards
+export const getExternalPaymentUrl = (product) => {
+  const url = product.externalPaymentUrl;
+  if (!product.externalReturnToStore) return url;
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.set(product.externalReturnParam || 'return_url', getSuccessPageUrl());
+    return parsed.toString();
+  } catch (err) {
+    return url;
+  }
+};
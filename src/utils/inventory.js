@@ -0,0 +1,76 @@
+// ============================================
+// Inventory: numeric stock per product or per variant
+// ============================================
+//
+// Products created before stock tracking only carry the `inStock` boolean.
+// They are treated as untracked (unlimited) while marked in stock.
+
+import { hasVariants } from './variants.js';
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Saved with the catalog, so the storefront's "only N left" follows the
+// admin's alert threshold
+export const DEFAULT_INVENTORY_SETTINGS = { lowStockThreshold: DEFAULT_LOW_STOCK_THRESHOLD };
+
+export const normalizeInventorySettings = (settings) => {
+  const threshold = parseInt(settings?.lowStockThreshold, 10);
+  return { lowStockThreshold: Number.isNaN(threshold) ? DEFAULT_LOW_STOCK_THRESHOLD : Math.max(0, threshold) };
+};
+
+export const isTracked = (product) =>
+  hasVariants(product) || typeof product?.stock === 'number';
+
+export const getAvailableStock = (product, variantId = null) => {
+  if (!product) return 0;
+  if (hasVariants(product)) {
+    const variants = variantId
+      ? product.variants.filter(v => v.id === variantId)
+      : product.variants;
+    return variants.reduce((sum, v) => sum + Math.max(0, Number(v.stock) || 0), 0);
+  }
+  if (typeof product.stock === 'number') return Math.max(0, product.stock);
+  return product.inStock === false ? 0 : Infinity;
+};
+
+export const isSoldOut = (product) => getAvailableStock(product) <= 0;
+
+// Flatten products into stock-keeping units at or below the threshold
+export const getLowStockItems = (products, threshold) =>
+  products.flatMap(product => {
+    if (!isTracked(product)) return [];
+    const units = hasVariants(product)
+      ? product.variants.map(variant => ({ product, variant, stock: Number(variant.stock) || 0 }))
+      : [{ product, variant: null, stock: product.stock }];
+    return units.filter(unit => unit.stock <= threshold);
+  }).sort((a, b) => a.stock - b.stock);
+
+// Returns the products list with ordered quantities taken off the shelf
+export const applyStockDecrement = (products, lineItems) =>
+  products.map(product => {
+    const lines = lineItems.filter(line => line.id === product.id);
+    if (lines.length === 0 || !isTracked(product)) return product;
+
+    if (hasVariants(product)) {
+      const variants = product.variants.map(variant => {
+        const ordered = lines
+          .filter(line => line.variantId === variant.id)
+          .reduce((sum, line) => sum + line.quantity, 0);
+        return ordered > 0 ? { ...variant, stock: Math.max(0, variant.stock - ordered) } : variant;
+      });
+      return { ...product, variants, inStock: variants.some(v => v.stock > 0) };
+    }
+
+    const ordered = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const stock = Math.max(0, product.stock - ordered);
+    return { ...product, stock, inStock: stock > 0 };
+  });
+
+// Lines whose quantity exceeds what's left on the shelf
+export const findShortages = (products, lineItems) =>
+  lineItems
+    .map(line => ({
+      line,
+      available: getAvailableStock(products.find(p => p.id === line.id), line.variantId)
+    }))
+    .filter(({ line, available }) => line.quantity > available);
@@ -0,0 +1,20 @@
+// ============================================
+// Lazily created subsystem stores
+// ============================================
+//
+// Each subsystem picks its store (HTTP or localStorage) from the environment
+// the first time it's used. `set` replaces it at runtime, e.g. with one built
+// with different options.
+
+export const createLazyStore = (create) => {
+  let store = null;
+  return {
+    get: () => {
+      if (!store) store = create();
+      return store;
+    },
+    set: (nextStore) => {
+      store = nextStore;
+    }
+  };
+};
@@ -0,0 +1,63 @@
+// ============================================
+// Publishing: product status and publish window
+// ============================================
+//
+// Products saved before statuses existed have no `status` and stay published.
+// `publishAt` / `unpublishAt` are ISO timestamps; a missing one leaves that
+// side of the window open. A scheduled product goes live at `publishAt`.
+
+export const PRODUCT_STATUSES = {
+  draft: 'Draft',
+  scheduled: 'Scheduled',
+  published: 'Published',
+  archived: 'Archived'
+};
+
+// Longest delay setTimeout accepts; later changes are re-checked after it
+const MAX_TIMER_MS = 2147483647;
+
+export const getProductStatus = (product) =>
+  PRODUCT_STATUSES[product?.status] ? product.status : 'published';
+
+const toTime = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+// Where a product stands right now, for the admin:
+// 'draft' | 'archived' | 'upcoming' (window not open yet) | 'live' | 'ended'
+export const getPublishState = (product, now = Date.now()) => {
+  const status = getProductStatus(product);
+  if (status === 'draft' || status === 'archived') return status;
+  const publishAt = toTime(product.publishAt);
+  const unpublishAt = toTime(product.unpublishAt);
+  if (status === 'scheduled' && publishAt === null) return 'draft';
+  if (publishAt !== null && now < publishAt) return 'upcoming';
+  if (unpublishAt !== null && now >= unpublishAt) return 'ended';
+  return 'live';
+};
+
+// Whether shoppers can see the product at `now`
+export const isPublished = (product, now = Date.now()) => getPublishState(product, now) === 'live';
+
+// Milliseconds until the next product goes live or comes down, or null
+export const getNextPublishChange = (products, now = Date.now()) => {
+  const upcoming = products
+    .filter(product => ['scheduled', 'published'].includes(getProductStatus(product)))
+    .flatMap(product => [toTime(product.publishAt), toTime(product.unpublishAt)])
+    .filter(time => time !== null && time > now);
+  return upcoming.length > 0 ? Math.min(Math.min(...upcoming) - now, MAX_TIMER_MS) : null;
+};
+
+// ISO timestamp <-> value of a datetime-local input, in the admin's timezone
+export const toLocalInput = (iso) => {
+  const time = toTime(iso);
+  if (time === null) return '';
+  const date = new Date(time);
+  return new Date(time - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+export const fromLocalInput = (value) => {
+  const time = toTime(value);
+  return time === null ? null : new Date(time).toISOString();
+};
@@ -0,0 +1,126 @@
+// ============================================
+// Catalog search, facet filtering and sorting
+// ============================================
+//
+// Category scoping happens before this (see getProductsInScope); these
+// filters narrow whatever list they're given.
+
+import { getPriceRange } from './variants.js';
+import { isSoldOut } from './inventory.js';
+
+export const SORT_OPTIONS = [
+  { value: 'featured', label: 'Featured' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'price-asc', label: 'Price: Low to High' },
+  { value: 'price-desc', label: 'Price: High to Low' },
+  { value: 'name-asc', label: 'Name: A to Z' },
+];
+
+const normalize = (text) =>
+  String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Optimal string alignment distance: insert, delete, substitute, swap neighbours
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Longer words tolerate more typos; short ones must match exactly
+const allowedTypos = (token) => (token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0);
+
+// Score one query token against a field: exact word > prefix > substring > typo
+const scoreToken = (token, text, words) => {
+  if (words.includes(token)) return 4;
+  if (words.some(word => word.startsWith(token))) return 3;
+  if (text.includes(token)) return 2;
+  const typos = allowedTypos(token);
+  if (typos > 0 && words.some(word =>
+    editDistance(word, token) <= typos || editDistance(word.slice(0, token.length), token) <= typos
+  )) return 1;
+  return 0;
+};
+
+const FIELD_WEIGHTS = { name: 3, category: 2, description: 1 };
+
+// 0 means no match; every query token must match some field
+export const fuzzyScore = (product, query) => {
+  const tokens = normalize(query).split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return 1;
+
+  const fields = Object.keys(FIELD_WEIGHTS).map(field => {
+    const text = normalize(product[field]);
+    return { weight: FIELD_WEIGHTS[field], text, words: text.split(/[^a-z0-9]+/).filter(Boolean) };
+  });
+
+  let total = 0;
+  for (const token of tokens) {
+    const best = Math.max(...fields.map(({ weight, text, words }) => scoreToken(token, text, words) * weight));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total;
+};
+
+const getSortPrice = (product) => getPriceRange(product).min;
+
+const getCreatedAt = (product) => product.createdAt || Number(product.id) || 0;
+
+// Read filter state from URL query params
+export const parseFilters = (searchParams) => ({
+  q: searchParams.get('q') || '',
+  min: searchParams.get('min') || '',
+  max: searchParams.get('max') || '',
+  inStock: searchParams.get('instock') === '1',
+  sort: searchParams.get('sort') || 'featured',
+});
+
+// Only non-default values go into the URL, so shared links stay short
+export const serializeFilters = (filters) => {
+  const params = {};
+  if (filters.q) params.q = filters.q;
+  if (filters.min) params.min = filters.min;
+  if (filters.max) params.max = filters.max;
+  if (filters.inStock) params.instock = '1';
+  if (filters.sort && filters.sort !== 'featured') params.sort = filters.sort;
+  return params;
+};
+
+// `convertPrice` maps base prices into the currency the shopper typed min/max in
+export const filterProducts = (products, filters, convertPrice = (amount) => amount) => {
+  const min = parseFloat(filters.min);
+  const max = parseFloat(filters.max);
+
+  const matched = products
+    .map((product, index) => ({ product, index, score: fuzzyScore(product, filters.q) }))
+    .filter(({ product, score }) => {
+      if (score === 0) return false;
+      if (filters.inStock && isSoldOut(product)) return false;
+      const { min: low, max: high } = getPriceRange(product);
+      if (!Number.isNaN(min) && convertPrice(high) < min) return false;
+      if (!Number.isNaN(max) && convertPrice(low) > max) return false;
+      return true;
+    });
+
+  const comparators = {
+    newest: (a, b) => getCreatedAt(b.product) - getCreatedAt(a.product),
+    'price-asc': (a, b) => getSortPrice(a.product) - getSortPrice(b.product),
+    'price-desc': (a, b) => getSortPrice(b.product) - getSortPrice(a.product),
+    'name-asc': (a, b) => String(a.product.name).localeCompare(String(b.product.name)),
+    // Featured keeps catalog order, but a search ranks best matches first
+    featured: (a, b) => (filters.q ? b.score - a.score : 0) || a.index - b.index,
+  };
+
+  return matched
+    .sort(comparators[filters.sort] || comparators.featured)
+    .map(({ product }) => product);
+};
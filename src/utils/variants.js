@@ -0,0 +1,99 @@
+// ============================================
+// Product variants (option axes such as Size / Color)
+// ============================================
+//
+// A product may declare option axes and a list of variants:
+//   options:  [{ name: 'Size', values: ['S', 'M', 'L'] }]
+//   variants: [{ id, sku, options: { Size: 'S' }, price: null, stock: 3, image: '' }]
+// A variant with a null price inherits the product price, and one without an
+// image inherits the product image.
+
+export const hasVariants = (product) =>
+  Array.isArray(product?.variants) && product.variants.length > 0;
+
+// Only axes that actually have values are meaningful to shoppers
+export const getOptionAxes = (product) =>
+  (product?.options || []).filter(axis => axis.name && axis.values?.length > 0);
+
+export const findVariant = (product, selection) => {
+  if (!hasVariants(product)) return null;
+  const axes = getOptionAxes(product);
+  return product.variants.find(variant =>
+    axes.every(axis => variant.options?.[axis.name] === selection?.[axis.name])
+  ) || null;
+};
+
+export const getVariantPrice = (product, variant) => {
+  if (variant && variant.price !== null && variant.price !== undefined && variant.price !== '') {
+    return Number(variant.price);
+  }
+  return product.price;
+};
+
+export const getVariantImage = (product, variant) => variant?.image || product.image;
+
+// Gallery order: selected variant image, main image, then extra gallery images
+export const getGalleryImages = (product, variant) => [...new Set([
+  variant?.image,
+  product.image,
+  ...(product.images || []).map(image => image.url)
+].filter(Boolean))];
+
+export const isVariantAvailable = (variant) => Number(variant?.stock) > 0;
+
+// Pre-select the first variant that can actually be bought
+export const getDefaultSelection = (product) => {
+  if (!hasVariants(product)) return {};
+  const variant = product.variants.find(isVariantAvailable) || product.variants[0];
+  return { ...variant.options };
+};
+
+// Whether a value on one axis can still be combined with the rest of the selection
+export const isOptionValueAvailable = (product, selection, axisName, value) =>
+  isVariantAvailable(findVariant(product, { ...selection, [axisName]: value }));
+
+export const getPriceRange = (product) => {
+  if (!hasVariants(product)) return { min: product.price, max: product.price };
+  const prices = product.variants.map(variant => getVariantPrice(product, variant));
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+};
+
+export const formatVariantLabel = (options) =>
+  Object.entries(options || {}).map(([name, value]) => `${name}: ${value}`).join(' / ');
+
+// Cart lines are keyed by variant, so the same dress in S and M are separate lines
+export const getLineId = (product, variant) =>
+  variant ? `${product.id}:${variant.id}` : product.id;
+
+// Whether a variant is exactly this combination: same axes, same values.
+// A variant that still names a removed axis is a different combination.
+const isSameCombination = (variant, combo) => {
+  const names = Object.keys(combo);
+  const own = Object.keys(variant.options || {});
+  return own.length === names.length && names.every(name => variant.options[name] === combo[name]);
+};
+
+// Build every combination of the option axes. Stock, price, SKU and image
+// carry over only from a variant for the very same combination; anything
+// else is dropped, so editing or removing an axis never leaves stale rows.
+export const generateVariants = (options, existing = []) => {
+  const axes = options.filter(axis => axis.name && axis.values?.length > 0);
+  if (axes.length === 0) return [];
+
+  const combinations = axes.reduce(
+    (acc, axis) => acc.flatMap(combo => axis.values.map(value => ({ ...combo, [axis.name]: value }))),
+    [{}]
+  );
+
+  return combinations.map((combo, index) => {
+    const match = existing.find(variant => isSameCombination(variant, combo));
+    return match ? { ...match, options: combo } : {
+      id: `${Object.values(combo).join('-').toLowerCase().replace(/[^a-z0-9-]/g, '')}-${index}`,
+      sku: '',
+      options: combo,
+      price: null,
+      stock: 0,
+      image: ''
+    };
+  });
+};